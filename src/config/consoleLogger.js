@@ -61,8 +61,18 @@ module.exports = {
   offramp:  makeLogger("Offramp",  c.orange),
   poll:     makeLogger("Poll",     c.purple),
   lenco:    makeLogger("Lenco",    c.blue),
+  paystack: makeLogger("Paystack", c.cyan),
+  payouts:  makeLogger("Payouts",  c.blue),
   indexer:  makeLogger("Indexer",  c.cyan),
   route:    makeLogger("Route",    c.gray),
+  oracle:   makeLogger("Oracle",   c.cyan),
+  market:   makeLogger("Market",   c.yellow),
+  alerts:   makeLogger("Alerts",   c.purple),
+  jobs:     makeLogger("Jobs",     c.white),
+  refunds:  makeLogger("Refunds",  c.yellow),
+  sweeps:   makeLogger("Sweeps",   c.green),
+  treasury: makeLogger("Treasury", c.green),
+  nonces:   makeLogger("Nonces",   c.blue),
   c,
   ts,
   divider,
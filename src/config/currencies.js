@@ -0,0 +1,77 @@
+// ============= config/currencies.js =============
+// Fiat currencies we price in.
+//
+// Every enabled currency gets a USD→fiat FX rate and a per-token price from
+// the oracle. Only `settlement: true` currencies can be traded — they are the
+// ones Monnify (collection) and Lenco (payout) actually move. The rest are
+// priced for display and indicative quotes until a payout rail exists.
+
+const FIAT_CURRENCIES = {
+  NGN: {
+    code:       "NGN",
+    name:       "Nigerian Naira",
+    symbol:     "₦",
+    coingecko:  "ngn",
+    // Used only when every price source is unreachable
+    emergencyUsdRate: parseFloat(process.env.EMERGENCY_USD_NGN || "1620"),
+    settlement: true,
+  },
+  GHS: {
+    code:       "GHS",
+    name:       "Ghanaian Cedi",
+    symbol:     "GH₵",
+    coingecko:  "ghs",
+    emergencyUsdRate: parseFloat(process.env.EMERGENCY_USD_GHS || "15.5"),
+    settlement: false,
+  },
+  KES: {
+    code:       "KES",
+    name:       "Kenyan Shilling",
+    symbol:     "KSh",
+    coingecko:  "kes",
+    emergencyUsdRate: parseFloat(process.env.EMERGENCY_USD_KES || "129"),
+    settlement: false,
+  },
+};
+
+// The currency every pre-existing *NGN field is denominated in
+const DEFAULT_FIAT = "NGN";
+
+// FIAT_CURRENCIES=NGN,GHS,KES narrows the set that is priced. NGN is always on.
+const ENABLED_FIATS = [...new Set([
+  DEFAULT_FIAT,
+  ...(process.env.FIAT_CURRENCIES || Object.keys(FIAT_CURRENCIES).join(","))
+    .split(",")
+    .map((code) => code.trim().toUpperCase())
+    .filter((code) => FIAT_CURRENCIES[code]),
+])];
+
+/** Upper-cased code if it is an enabled currency, otherwise null. */
+function normalizeFiat(code) {
+  if (!code) return DEFAULT_FIAT;
+  const upper = String(code).trim().toUpperCase();
+  return ENABLED_FIATS.includes(upper) ? upper : null;
+}
+
+function isSettlementCurrency(code) {
+  return !!FIAT_CURRENCIES[code]?.settlement;
+}
+
+function fiatSymbol(code) {
+  return FIAT_CURRENCIES[code]?.symbol || `${code} `;
+}
+
+/** USD→fiat emergency rates for every enabled currency. */
+function emergencyFxRates() {
+  return Object.fromEntries(ENABLED_FIATS.map((code) => [code, FIAT_CURRENCIES[code].emergencyUsdRate]));
+}
+
+module.exports = {
+  FIAT_CURRENCIES,
+  DEFAULT_FIAT,
+  ENABLED_FIATS,
+  normalizeFiat,
+  isSettlementCurrency,
+  fiatSymbol,
+  emergencyFxRates,
+};
@@ -1,5 +1,6 @@
 
 const swaggerJsdoc = require("swagger-jsdoc");
+const { listTokens } = require("./tokens");
 
 const options = {
   definition: {
@@ -22,8 +23,15 @@ const options = {
       { name: "Health", description: "Server status" },
       { name: "Prices", description: "Live STX & USDC price feeds in NGN" },
       { name: "Transactions", description: "Swap transaction lifecycle" },
+      { name: "Quotes", description: "Locked, expiring onramp/offramp quotes" },
+      { name: "Price Alerts", description: "Threshold notifications on token prices" },
+      { name: "Admin", description: "Operator tools — requires x-admin-key" },
     ],
     components: {
+      securitySchemes: {
+        InternalApiKey: { type: "apiKey", in: "header", name: "x-internal-key" },
+        AdminApiKey:    { type: "apiKey", in: "header", name: "x-admin-key" },
+      },
       schemas: {
         Price: {
           type: "object",
@@ -40,8 +48,7 @@ const options = {
             data: {
               type: "object",
               properties: {
-                STX: { $ref: "#/components/schemas/Price" },
-                USDC: { $ref: "#/components/schemas/Price" },
+                ...Object.fromEntries(listTokens().map((symbol) => [symbol, { $ref: "#/components/schemas/Price" }])),
                 usdToNgn: { type: "number", example: 1620.5 },
                 fromCache: { type: "boolean", example: true },
                 fetchedAt: { type: "string", format: "date-time" },
@@ -53,7 +60,7 @@ const options = {
           type: "object",
           properties: {
             _id: { type: "string", example: "65f1a2b3c4d5e6f7a8b9c0d1" },
-            token: { type: "string", enum: ["STX", "USDC"], example: "STX" },
+            token: { type: "string", enum: listTokens(), example: "STX" },
             type: { type: "string", enum: ["sell", "buy"], example: "sell" },
             tokenAmount: { type: "number", example: 100 },
             ngnAmount: { type: "number", example: 184735 },
@@ -63,7 +70,7 @@ const options = {
             senderAddress: { type: "string", example: "SP3EWE151DHDTV7CP5D7N2YYESA3VEH3TBPNTT4EV" },
             recipientAddress: { type: "string", example: "SM2J6ZY48GV1EZ5V2V5RB9MP66SW86PYKKQVX8X0G" },
             txId: { type: "string", example: "0xabc123..." },
-            status: { type: "string", enum: ["pending", "processing", "confirmed", "failed"], example: "pending" },
+            status: { type: "string", enum: ["pending", "processing", "confirmed", "failed", "expired", "held", "refunded"], example: "pending" },
             memo: { type: "string", example: "Optional note" },
             createdAt: { type: "string", format: "date-time" },
             updatedAt: { type: "string", format: "date-time" },
@@ -73,7 +80,7 @@ const options = {
           type: "object",
           required: ["token", "type", "tokenAmount", "senderAddress", "recipientAddress"],
           properties: {
-            token: { type: "string", enum: ["STX", "USDC"], example: "STX" },
+            token: { type: "string", enum: listTokens(), example: "STX" },
             type: { type: "string", enum: ["sell", "buy"], example: "sell" },
             tokenAmount: { type: "number", example: 100 },
             senderAddress: { type: "string", example: "SP3EWE151DHDTV7CP5D7N2YYESA3VEH3TBPNTT4EV" },
@@ -0,0 +1,126 @@
+// ============= config/tokens.js =============
+// Token registry — the one place a token is listed.
+//
+// Prices, quotes, validation, model enums, hot-wallet sends and the deposit
+// indexer all read from here. To list a new SIP-010 token add an entry below
+// (or flip `enabled`); ENABLED_TOKENS=STX,USDC,SBTC overrides the flags.
+//
+// Entry fields:
+//   symbol      — upper-case ticker used in every API payload and DB document
+//   name        — display name
+//   decimals    — on-chain decimals (amount × 10^decimals = base units)
+//   contractId  — SIP-010 contract per network, "SP….contract-name"; null for native STX
+//   assetName   — the contract's define-fungible-token name (post-conditions, FT events)
+//   priceIds    — id/pair per price provider; omit a provider that doesn't list it
+//   emergencyUsd — USD price used only when every price source is down
+//   directions  — { onramp, offramp } — which flows may trade it
+//   offrampLimits — optional { minToken, maxToken } overriding OFFRAMP_MIN/MAX_TOKEN
+//   enabled     — priced and tradable at all
+
+const NETWORK = process.env.STACKS_NETWORK || "mainnet"; // "mainnet" | "testnet"
+
+const TOKENS = {
+  STX: {
+    symbol:       "STX",
+    name:         "Stacks",
+    decimals:     6,
+    contractId:   null,
+    assetName:    null,
+    priceIds:     { coingecko: "blockstack", binance: "STXUSDT" },
+    emergencyUsd: parseFloat(process.env.EMERGENCY_STX_USD || "1.14"),
+    directions:   { onramp: true, offramp: true },
+    enabled:      true,
+  },
+  USDC: {
+    symbol:       "USDC",
+    name:         "USD Coin",
+    decimals:     6,
+    contractId: {
+      mainnet: `${process.env.USDC_CONTRACT_ADDRESS || "SP3Y2DC0WJ6EXMM9MSSEZ5JHVHPS6XMTFJ35XAPD"}.${process.env.USDC_CONTRACT_NAME || "usdc-token"}`,
+      testnet: `${process.env.USDC_CONTRACT_ADDRESS_TESTNET || "ST3FBR2AGK5H9QBDH3EEN6DF8EK8JY7RX8QJ5SVTE"}.${process.env.USDC_CONTRACT_NAME_TESTNET || "usdc-token"}`,
+    },
+    assetName:    "usdc",
+    priceIds:     { coingecko: "usd-coin", binance: "USDCUSDT" },
+    emergencyUsd: parseFloat(process.env.EMERGENCY_USDC_USD || "1.00"),
+    directions:   { onramp: true, offramp: true },
+    enabled:      true,
+  },
+  // Bitcoin-pegged, priced off BTC. Off until the hot wallet holds inventory.
+  SBTC: {
+    symbol:       "SBTC",
+    name:         "sBTC",
+    decimals:     8,
+    contractId: {
+      mainnet: process.env.SBTC_CONTRACT_ID         || "SM3VDXK3WZZSA84XXFKAFAF15NNZX32CTSG82JFQ4.sbtc-token",
+      testnet: process.env.SBTC_CONTRACT_ID_TESTNET || null,
+    },
+    assetName:    "sbtc-token",
+    priceIds:     { coingecko: "bitcoin", binance: "BTCUSDT" },
+    emergencyUsd: parseFloat(process.env.EMERGENCY_SBTC_USD || "60000"),
+    directions:   { onramp: true, offramp: true },
+    offrampLimits: { minToken: 0.0001, maxToken: 1 },
+    enabled:      false,
+  },
+};
+
+// Every symbol ever listed — used for model enums so old documents still validate
+const ALL_TOKEN_SYMBOLS = Object.keys(TOKENS);
+
+const ENABLED_SYMBOLS = process.env.ENABLED_TOKENS
+  ? process.env.ENABLED_TOKENS.split(",").map((s) => s.trim().toUpperCase()).filter((s) => TOKENS[s])
+  : ALL_TOKEN_SYMBOLS.filter((s) => TOKENS[s].enabled);
+
+/** Registry entry for an enabled token, or null. Case-insensitive. */
+function getToken(symbol) {
+  const upper = String(symbol || "").toUpperCase();
+  return ENABLED_SYMBOLS.includes(upper) ? TOKENS[upper] : null;
+}
+
+/** Enabled symbols, optionally only those tradable in "onramp" or "offramp". */
+function listTokens(direction) {
+  return ENABLED_SYMBOLS.filter((s) => !direction || TOKENS[s].directions[direction]);
+}
+
+function isSupportedToken(symbol, direction) {
+  return listTokens(direction).includes(String(symbol || "").toUpperCase());
+}
+
+/** "token must be one of STX, USDC" — the shared validation message. */
+function tokenListMessage(direction) {
+  return `token must be one of ${listTokens(direction).join(", ")}`;
+}
+
+function isNative(token) {
+  return !token.contractId;
+}
+
+/** { address, name, fullId } of a SIP-010 token on the configured network. */
+function getContract(token) {
+  if (isNative(token)) return null;
+  const fullId = NETWORK in token.contractId ? token.contractId[NETWORK] : token.contractId.mainnet;
+  if (!fullId) throw new Error(`${token.symbol} has no contract configured for ${NETWORK}`);
+  const [address, name] = fullId.split(".");
+  return { address, name, fullId };
+}
+
+function toBaseUnits(token, amount) {
+  return Math.round(amount * 10 ** token.decimals);
+}
+
+function fromBaseUnits(token, raw) {
+  return parseInt(raw, 10) / 10 ** token.decimals;
+}
+
+module.exports = {
+  TOKENS,
+  ALL_TOKEN_SYMBOLS,
+  NETWORK,
+  getToken,
+  listTokens,
+  isSupportedToken,
+  tokenListMessage,
+  isNative,
+  getContract,
+  toBaseUnits,
+  fromBaseUnits,
+};
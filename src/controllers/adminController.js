@@ -0,0 +1,285 @@
+// ============= controllers/adminController.js =============
+// Operator endpoints under /api/admin — every route sits behind
+// requireAdminKey (middleware/adminAuth.js).
+
+const Transaction = require("../models/Transaction");
+const TreasurySnapshot = require("../models/TreasurySnapshot");
+const { requestRefund } = require("../services/refundService");
+const { retryPayout } = require("./offrampController");
+const { retryDelivery } = require("./onrampController");
+const { RUNWAY_ALERT_HOURS } = require("../services/treasuryService");
+const logger = require("../config/logger");
+
+const REFUND_STATUSES = ["flagged", "queued", "sending", "sent", "failed"];
+
+// Orders handed to a human:
+//   offramp — tokens received, NGN payout failed (requiresManualSettlement)
+//   onramp  — NGN received, token delivery failed (requiresManualCredit)
+//   offramp — a refund the policy sweep wouldn't send (requiresManualRefund),
+//             done with POST /api/admin/refunds
+const EXCEPTION_QUERY = {
+  $or: [
+    { status: "failed", "meta.requiresManualSettlement": true },
+    { status: "failed", "meta.requiresManualCredit": true },
+    { "meta.requiresManualRefund": true },
+  ],
+};
+
+function formatRefund(tx) {
+  return {
+    transactionId:        tx._id,
+    transactionReference: tx.paymentReference,
+    token:                tx.token,
+    status:               tx.status,
+    senderAddress:        tx.senderAddress,
+    stacksTxId:           tx.txId,
+    failureReason:        tx.meta?.failureReason,
+    refundTokenAmount:    tx.meta?.refundTokenAmount,
+    autoRefundSkipped:    tx.meta?.autoRefundSkipped,
+    refund:               tx.refund,
+    updatedAt:            tx.updatedAt,
+  };
+}
+
+/**
+ * @desc    Refund the tokens received for an offramp order to its sender
+ * @route   POST /api/admin/refunds
+ * @access  Admin
+ * @body    { transactionReference, reason?, operator? }
+ */
+async function createRefund(req, res) {
+  const { transactionReference, reason, operator } = req.body;
+  if (!transactionReference) {
+    return res.status(400).json({ success: false, message: "transactionReference is required" });
+  }
+
+  try {
+    const tx = await requestRefund(transactionReference, { trigger: "admin", requestedBy: operator || "admin", reason });
+    logger.info(`Admin refund requested for ${transactionReference} by ${operator || "admin"}`);
+    res.status(202).json({ success: true, message: "Refund queued", data: formatRefund(tx) });
+  } catch (err) {
+    if (!err.statusCode) logger.error(`createRefund error: ${err.message}`);
+    res.status(err.statusCode || 500).json({ success: false, message: err.message, code: err.code });
+  }
+}
+
+/**
+ * @desc    List offramp refunds — "flagged" are orders marked requiresRefund with none requested yet
+ * @route   GET /api/admin/refunds?status=failed&page=1&limit=20
+ * @access  Admin
+ */
+async function listRefunds(req, res) {
+  const { status } = req.query;
+  if (status && !REFUND_STATUSES.includes(status)) {
+    return res.status(400).json({ success: false, message: `status must be one of: ${REFUND_STATUSES.join(", ")}` });
+  }
+
+  try {
+    const query = { direction: "offramp" };
+    if (status === "flagged") {
+      query["meta.requiresRefund"] = true;
+      query.refund = null;
+    } else if (status) {
+      query["refund.status"] = status;
+    } else {
+      query.$or = [{ "meta.requiresRefund": true }, { refund: { $ne: null } }];
+    }
+
+    const page  = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const [txs, total] = await Promise.all([
+      Transaction.find(query).sort({ updatedAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      Transaction.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      data: txs.map(formatRefund),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    });
+  } catch (err) {
+    logger.error(`listRefunds error: ${err.message}`);
+    res.status(500).json({ success: false, message: "Failed to retrieve refunds." });
+  }
+}
+
+// ── Manual settlement exceptions ─────────────────────────────────────
+
+function formatException(tx) {
+  const offramp = tx.direction === "offramp";
+  return {
+    transactionId:        tx._id,
+    transactionReference: tx.paymentReference,
+    direction:            tx.direction,
+    token:                tx.token,
+    tokenAmount:          tx.tokenAmount,
+    ngnAmount:            tx.ngnAmount,
+    failureReason:        tx.meta?.failureReason,
+    stacksTxId:           tx.txId,
+    ...(offramp
+      ? {
+        bank:            { accountName: tx.meta?.accountName, accountNumber: tx.meta?.accountNumber, bankName: tx.meta?.bankName, bankCode: tx.meta?.bankCode },
+        payoutReference: tx.meta?.payoutReference || tx.paymentReference,
+        retries:         tx.meta?.payoutRetries || 0,
+        refund:          tx.refund,
+        // Refund this by hand, not the payout — see autoRefundSkipped
+        requiresManualRefund: Boolean(tx.meta?.requiresManualRefund),
+        refundTokenAmount:    tx.meta?.refundTokenAmount,
+        autoRefundSkipped:    tx.meta?.autoRefundSkipped,
+      }
+      : {
+        recipientAddress:       tx.recipientAddress,
+        deliveryReference:      tx.meta?.deliveryReference || tx.paymentReference,
+        retries:                tx.meta?.deliveryRetries || 0,
+        // The last send may have reached the network — check before retrying
+        deliveryOutcomeUnknown: Boolean(tx.meta?.deliveryStartedAt),
+      }),
+    manualActions: tx.meta?.manualActions || [],
+    createdAt:     tx.createdAt,
+    updatedAt:     tx.updatedAt,
+  };
+}
+
+/**
+ * @desc    Orders awaiting manual settlement (offramp) or manual credit (onramp)
+ * @route   GET /api/admin/exceptions?direction=offramp&page=1&limit=20
+ * @access  Admin
+ */
+async function listExceptions(req, res) {
+  const { direction } = req.query;
+  if (direction && !["onramp", "offramp"].includes(direction)) {
+    return res.status(400).json({ success: false, message: "direction must be onramp or offramp" });
+  }
+
+  try {
+    const query = { ...EXCEPTION_QUERY };
+    if (direction) query.direction = direction;
+
+    const page  = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const [txs, total] = await Promise.all([
+      Transaction.find(query).sort({ updatedAt: 1 }).skip((page - 1) * limit).limit(limit).lean(),
+      Transaction.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      data: txs.map(formatException),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    });
+  } catch (err) {
+    logger.error(`listExceptions error: ${err.message}`);
+    res.status(500).json({ success: false, message: "Failed to retrieve exceptions." });
+  }
+}
+
+/**
+ * @desc    Retry the NGN payout (offramp) or token delivery (onramp) under a fresh reference
+ * @route   POST /api/admin/exceptions/:reference/retry
+ * @access  Admin
+ * @body    { operator, notes?, confirmNotSent? }
+ */
+async function retryException(req, res) {
+  const { reference } = req.params;
+  const { operator, notes, confirmNotSent } = req.body;
+  if (!operator) return res.status(400).json({ success: false, message: "operator is required" });
+
+  try {
+    const tx = await Transaction.findOne({ paymentReference: reference }).lean();
+    if (!tx) return res.status(404).json({ success: false, message: "Transaction not found" });
+
+    const { tx: updated, job } = tx.direction === "onramp"
+      ? await retryDelivery(reference, { operator, notes, confirmNotSent: confirmNotSent === true })
+      : await retryPayout(reference, { operator, notes });
+
+    res.status(202).json({
+      success: true,
+      message: tx.direction === "onramp" ? "Token delivery re-queued" : "Payout re-queued",
+      data: { ...formatException(updated), status: updated.status, jobId: job._id },
+    });
+  } catch (err) {
+    if (!err.statusCode) logger.error(`retryException error: ${err.message}`);
+    res.status(err.statusCode || 500).json({ success: false, message: err.message, code: err.code });
+  }
+}
+
+/**
+ * @desc    Mark an exception settled outside the system (manual bank transfer, manual send)
+ * @route   POST /api/admin/exceptions/:reference/resolve
+ * @access  Admin
+ * @body    { operator, notes, externalReference? }
+ */
+async function resolveException(req, res) {
+  const { reference } = req.params;
+  const { operator, notes, externalReference } = req.body;
+  if (!operator || !notes) return res.status(400).json({ success: false, message: "operator and notes are required" });
+
+  try {
+    const tx = await Transaction.findOne({ paymentReference: reference }).lean();
+    if (!tx) return res.status(404).json({ success: false, message: "Transaction not found" });
+    if (tx.refund && !(tx.refund.status === "failed" && !tx.refund.outcomeUnknown)) {
+      return res.status(409).json({ success: false, message: `Tokens for this order are being refunded (refund ${tx.refund.status})`, code: "REFUND_IN_PROGRESS" });
+    }
+
+    const flag = tx.direction === "onramp" ? "meta.requiresManualCredit" : "meta.requiresManualSettlement";
+    const at   = new Date();
+    const updated = await Transaction.findOneAndUpdate(
+      { _id: tx._id, status: "failed", [flag]: true },
+      {
+        $set: {
+          status:                  "confirmed",
+          confirmedAt:             at,
+          [flag]:                  false,
+          "meta.manualResolution": { operator, notes, externalReference, at: at.toISOString() },
+        },
+        $push: { "meta.manualActions": { action: "resolve", operator, notes, externalReference, at: at.toISOString() } },
+      },
+      { new: true }
+    );
+    if (!updated) {
+      return res.status(409).json({ success: false, message: `Order is ${tx.status} and not awaiting manual settlement`, code: "NOT_AN_EXCEPTION" });
+    }
+
+    logger.info(`Exception ${reference} resolved out-of-band by ${operator}${externalReference ? ` (${externalReference})` : ""}`);
+    res.json({ success: true, message: "Marked as settled", data: { ...formatException(updated), status: updated.status } });
+  } catch (err) {
+    logger.error(`resolveException error: ${err.message}`);
+    res.status(500).json({ success: false, message: err.message });
+  }
+}
+
+/**
+ * @desc    Latest treasury snapshot (balances, burn rate, runway) and the series behind it
+ * @route   GET /api/admin/treasury?hours=24
+ * @access  Admin
+ */
+async function getTreasury(req, res) {
+  const hours = Math.min(parseInt(req.query.hours) || 24, 24 * 30);
+  try {
+    const snapshots = await TreasurySnapshot.find({ createdAt: { $gte: new Date(Date.now() - hours * 60 * 60 * 1000) } })
+      .sort({ createdAt: -1 })
+      .limit(1000)
+      .lean();
+
+    res.json({
+      success: true,
+      data: {
+        latest:         snapshots[0] || null,
+        thresholdHours: RUNWAY_ALERT_HOURS,
+        history:        snapshots.map((s) => ({ takenAt: s.createdAt, assets: s.assets })),
+      },
+    });
+  } catch (err) {
+    logger.error(`getTreasury error: ${err.message}`);
+    res.status(500).json({ success: false, message: "Failed to retrieve treasury snapshots." });
+  }
+}
+
+module.exports = {
+  createRefund,
+  listRefunds,
+  listExceptions,
+  retryException,
+  resolveException,
+  getTreasury,
+};
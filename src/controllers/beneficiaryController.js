@@ -0,0 +1,131 @@
+// ============= controllers/beneficiaryController.js =============
+// Saved payout bank accounts — CRUD under /api/offramp/beneficiaries, keyed
+// by Stacks address. Orders use them via beneficiaryId on /api/offramp/initialize.
+// Writes are gated by an ownership proof in routes/offramp.js, so only the
+// wallet itself can choose where its payouts go.
+
+const {
+  addBeneficiary,
+  listBeneficiaries,
+  updateBeneficiary,
+  deleteBeneficiary,
+  maskAccountNumber,
+} = require("../services/beneficiaryService");
+const logger = require("../config/logger");
+
+const STACKS_ADDRESS_RE = /^(SP|SM|ST)[0-9A-Z]{20,50}$/i;
+
+function formatBeneficiary(beneficiary) {
+  return {
+    beneficiaryId: beneficiary._id,
+    stacksAddress: beneficiary.stacksAddress,
+    label:         beneficiary.label || null,
+    bankCode:      beneficiary.bankCode,
+    bankName:      beneficiary.bankName,
+    accountNumber: maskAccountNumber(beneficiary.accountNumber),
+    accountName:   beneficiary.accountName,
+    isDefault:     beneficiary.isDefault,
+    verifiedAt:    beneficiary.verifiedAt,
+    lastUsedAt:    beneficiary.lastUsedAt || null,
+    createdAt:     beneficiary.createdAt,
+  };
+}
+
+// Every route but POST identifies the owner with ?address=
+function requireAddress(req, res) {
+  const { address } = req.query;
+  if (!address || !STACKS_ADDRESS_RE.test(address)) {
+    res.status(400).json({ success: false, message: "address query param must be a valid Stacks address." });
+    return null;
+  }
+  return address;
+}
+
+/**
+ * @desc    Save a bank account (verified with the payout provider first)
+ * @route   POST /api/offramp/beneficiaries
+ * @access  Public — signed by the address's wallet (middleware/addressProof.js)
+ * @body    { stacksAddress, bankCode, accountNumber, label?, isDefault? }
+ */
+async function postBeneficiary(req, res) {
+  try {
+    const { stacksAddress, bankCode, accountNumber, label, isDefault } = req.body;
+
+    if (!stacksAddress || !bankCode || !accountNumber) {
+      return res.status(400).json({ success: false, message: "Missing required fields: stacksAddress, bankCode, accountNumber" });
+    }
+    if (!STACKS_ADDRESS_RE.test(stacksAddress)) {
+      return res.status(400).json({ success: false, message: "Invalid Stacks wallet address" });
+    }
+    if (!/^\d{10}$/.test(accountNumber)) {
+      return res.status(400).json({ success: false, message: "accountNumber must be exactly 10 digits" });
+    }
+
+    const beneficiary = await addBeneficiary({ stacksAddress, bankCode: String(bankCode), accountNumber, label, isDefault });
+
+    logger.info(`Beneficiary ${beneficiary._id} saved for ${stacksAddress}: ${beneficiary.bankName || bankCode} ${maskAccountNumber(accountNumber)}`);
+    res.status(201).json({ success: true, data: formatBeneficiary(beneficiary) });
+  } catch (err) {
+    if (!err.statusCode) logger.error(`postBeneficiary error: ${err.message}`);
+    res.status(err.statusCode || 500).json({ success: false, message: err.message, code: err.code });
+  }
+}
+
+/**
+ * @desc    List an address's beneficiaries, default first
+ * @route   GET /api/offramp/beneficiaries?address=SP...
+ * @access  Public
+ */
+async function getBeneficiaries(req, res) {
+  const address = requireAddress(req, res);
+  if (!address) return;
+
+  try {
+    const beneficiaries = await listBeneficiaries(address);
+    res.json({ success: true, data: beneficiaries.map(formatBeneficiary) });
+  } catch (err) {
+    logger.error(`getBeneficiaries error: ${err.message}`);
+    res.status(500).json({ success: false, message: "Failed to retrieve beneficiaries." });
+  }
+}
+
+/**
+ * @desc    Rename a beneficiary or make it the default
+ * @route   PATCH /api/offramp/beneficiaries/:id?address=SP...
+ * @access  Public — signed by the address's wallet (middleware/addressProof.js)
+ * @body    { label?, isDefault? }
+ */
+async function patchBeneficiary(req, res) {
+  const address = requireAddress(req, res);
+  if (!address) return;
+
+  try {
+    const { label, isDefault } = req.body;
+    const beneficiary = await updateBeneficiary(req.params.id, address, { label, isDefault });
+    res.json({ success: true, data: formatBeneficiary(beneficiary) });
+  } catch (err) {
+    if (!err.statusCode) logger.error(`patchBeneficiary error: ${err.message}`);
+    res.status(err.statusCode || 500).json({ success: false, message: err.message, code: err.code });
+  }
+}
+
+/**
+ * @desc    Delete a beneficiary (past orders keep their own copy of the bank details)
+ * @route   DELETE /api/offramp/beneficiaries/:id?address=SP...
+ * @access  Public — signed by the address's wallet (middleware/addressProof.js)
+ */
+async function removeBeneficiary(req, res) {
+  const address = requireAddress(req, res);
+  if (!address) return;
+
+  try {
+    const beneficiary = await deleteBeneficiary(req.params.id, address);
+    logger.info(`Beneficiary ${beneficiary._id} deleted by ${address}`);
+    res.json({ success: true, data: formatBeneficiary(beneficiary) });
+  } catch (err) {
+    if (!err.statusCode) logger.error(`removeBeneficiary error: ${err.message}`);
+    res.status(err.statusCode || 500).json({ success: false, message: err.message, code: err.code });
+  }
+}
+
+module.exports = { postBeneficiary, getBeneficiaries, patchBeneficiary, removeBeneficiary };
@@ -1,38 +1,78 @@
 // ============= controllers/offrampController.js =============
-// StackSwap Offramp: Send STX or USDC from Stacks wallet → Receive NGN via Lenco bank transfer
+// StackSwap Offramp: Send STX or USDC from Stacks wallet → Receive NGN by bank transfer (services/payoutProviders)
 // VERBOSE LOGGING VERSION — every step prints to console so you can trace exactly what's happening.
 
 const crypto = require("crypto");
 const axios  = require("axios");
 const Transaction = require("../models/Transaction");
-const { getCurrentPrices } = require("../services/priceService");
+const { assertTradingOpen } = require("../services/marketStatusService");
+const {
+  calculateOfframpQuote,
+  calculateIndicativeRate,
+  consumeQuote,
+  releaseQuote,
+  getQuote,
+  quoteFromDoc,
+  OFFRAMP_FLAT_FEE_NGN,
+  getOfframpLimits,
+} = require("../services/quoteService");
+const { normalizeFiat, isSettlementCurrency, fiatSymbol, ENABLED_FIATS, DEFAULT_FIAT } = require("../config/currencies");
+const { isSupportedToken, tokenListMessage, getToken, isNative, getContract, fromBaseUnits } = require("../config/tokens");
+const { registerHandler, enqueue, defer, giveUp } = require("../services/jobQueue");
+const { sendOpsAlert } = require("../services/opsAlertService");
+const { getBeneficiary, markBeneficiaryUsed, maskAccountNumber } = require("../services/beneficiaryService");
+const { isEnabled: perOrderDepositAddresses, allocateDepositAddress } = require("../services/depositAddressService");
+const { getReserved, reserveLiquidity, growReservation, keepReservation, releaseReservation } = require("../services/liquidityReservationService");
+const {
+  MIN_BALANCE_NGN,
+  getProvider,
+  isOutage,
+  markDown,
+  getBalance: getPayoutBalance,
+  invalidateBalance,
+  nextProvider,
+  getLiquidity,
+  getBankList: getPayoutBankList,
+  bankCodeFor,
+  resolveAccount,
+} = require("../services/payoutProviders");
 
 // ── Shared console logger ────────────────────────────────────────────────────
-const { offramp: log, lenco: llog, poll: plog, c, divider, box } = require("../config/consoleLogger");
+const { offramp: log, poll: plog, payouts: paylog, c, divider, box } = require("../config/consoleLogger");
 
 // ── Config ───────────────────────────────────────────────────────────────────
-const LENCO_API_KEY         = process.env.LENCO_API_KEY         || "";
-const LENCO_BASE_URL        = "https://api.lenco.co";
-const LENCO_WEBHOOK_SECRET  = process.env.LENCO_WEBHOOK_SECRET  || "";
 const STACKS_API_URL        = process.env.STACKS_API_URL        || "https://api.mainnet.hiro.so";
-const OFFRAMP_FLAT_FEE_NGN  = parseFloat(process.env.OFFRAMP_FLAT_FEE_NGN || "100");
-const MIN_TOKEN_AMOUNT      = parseFloat(process.env.OFFRAMP_MIN_TOKEN     || "1");
-const MAX_TOKEN_AMOUNT      = parseFloat(process.env.OFFRAMP_MAX_TOKEN     || "50000");
 const SETTLEMENT_TIMEOUT_MINUTES = 30;
 
-// ── Liquidity buffer: reject orders if balance would drop below this amount ──
-// Set LENCO_MIN_BALANCE_NGN in your .env — defaults to 5,000 NGN safety cushion
-const LENCO_MIN_BALANCE_NGN = parseFloat(process.env.LENCO_MIN_BALANCE_NGN || "0");
-
-// ── Bank list cache ──────────────────────────────────────────────────────────
-let bankListCache    = null;
-let bankListCachedAt = null;
-const BANK_CACHE_TTL_MS = 24 * 60 * 60 * 1000;
-
-// ── Lenco balance cache (short TTL — 30 seconds) ─────────────────────────────
-let lencoBalanceCache     = null;
-let lencoBalanceCachedAt  = null;
-const BALANCE_CACHE_TTL_MS = 30 * 1000; // 30 seconds
+// Deposit confirmation job — how often to re-check a broadcast TX, and how
+// long to wait for it before failing the order (10 min, as the old poll loop)
+const CONFIRM_POLL_MS    = parseInt(process.env.OFFRAMP_CONFIRM_POLL_MS    || "5000",   10);
+const CONFIRM_TIMEOUT_MS = parseInt(process.env.OFFRAMP_CONFIRM_TIMEOUT_MS || "600000", 10);
+
+// What to do with a deposit that arrives after its order expired:
+//   requote — pay out at the current bid rate for the amount received
+//   refund  — pay nothing; flag the order for the tokens to be sent back
+// A requote that can't be priced (trading halted, amount below the fee),
+// verified on-chain or covered by payout liquidity falls back to refund.
+const LATE_DEPOSIT_POLICIES = ["requote", "refund"];
+const LATE_DEPOSIT_POLICY   = LATE_DEPOSIT_POLICIES.includes(process.env.OFFRAMP_LATE_DEPOSIT_POLICY)
+  ? process.env.OFFRAMP_LATE_DEPOSIT_POLICY
+  : "requote";
+
+// Deposits off the ordered amount by more than AMOUNT_TOLERANCE_PCT:
+//   underpaid — prorata: pay for what arrived, at the order's rate
+//               hold:    park the order as "held" until the user accepts
+//                        the pro-rata payout or asks for a refund
+//   overpaid  — refund:  pay the order as quoted; flag the excess for refund
+//               credit:  pay for everything that arrived, at the order's rate
+const AMOUNT_TOLERANCE_PCT = parseFloat(process.env.OFFRAMP_AMOUNT_TOLERANCE_PCT || "0.1");
+const UNDERPAYMENT_POLICY  = process.env.OFFRAMP_UNDERPAYMENT_POLICY === "hold" ? "hold" : "prorata";
+const OVERPAYMENT_POLICY   = process.env.OFFRAMP_OVERPAYMENT_POLICY  === "credit" ? "credit" : "refund";
+const HOLD_TIMEOUT_HOURS   = parseInt(process.env.OFFRAMP_HOLD_TIMEOUT_HOURS || "24", 10);
+
+// Settling orders with no webhook after this long are checked with their provider
+const RECONCILE_AFTER_MINUTES = parseInt(process.env.PAYOUT_RECONCILE_AFTER_MINUTES || process.env.LENCO_RECONCILE_AFTER_MINUTES || "15", 10);
+const RECONCILE_BATCH         = 50;
 
 // ── Helpers ──────────────────────────────────────────────────────────────────
 
@@ -42,96 +82,31 @@ function generateReference() {
   return `SSWAP_OFFRAMP_${ts}_${rand}`;
 }
 
-function verifyLencoSignature(payload, signature) {
-  if (!LENCO_WEBHOOK_SECRET) {
-    log.warn("LENCO_WEBHOOK_SECRET not configured — skipping signature check");
-    return true;
-  }
-  const hash = crypto
-    .createHmac("sha256", LENCO_WEBHOOK_SECRET)
-    .update(JSON.stringify(payload))
-    .digest("hex");
-  const match = hash === signature;
-  if (!match) {
-    log.error(`Signature mismatch\n  Expected: ${hash}\n  Got     : ${signature}`);
-  }
-  return match;
-}
-
-// ── Lenco Balance Check ───────────────────────────────────────────────────────
-// Fetches the NGN balance of the platform's Lenco account.
-// Uses a short cache (30s) to avoid hammering the API on every order attempt.
-
-async function getLencoAccountBalance(forceRefresh = false) {
-  const debitAccountId = process.env.LENCO_ACCOUNT_ID;
-  if (!debitAccountId) {
-    llog.warn("LENCO_ACCOUNT_ID not set — skipping balance check");
-    return null;
-  }
-
-  const now        = Date.now();
-  const cacheStale = !lencoBalanceCachedAt || now - lencoBalanceCachedAt > BALANCE_CACHE_TTL_MS;
-
-  if (!forceRefresh && lencoBalanceCache !== null && !cacheStale) {
-    llog.info(`Balance cache hit — ₦${lencoBalanceCache.toLocaleString()} (age: ${Math.round((now - lencoBalanceCachedAt) / 1000)}s)`);
-    return lencoBalanceCache;
-  }
-
-  // ✅ CORRECT ENDPOINT: /access/v1/account/:id/balance  (singular "account")
-  // NOT /access/v1/accounts/:id — that returns full account object, not balance
-  const url = `${LENCO_BASE_URL}/access/v1/account/${debitAccountId}/balance`;
-  llog.info(`Fetching Lenco account balance... GET ${url}`);
-
-  try {
-    const res = await axios.get(url, {
-      headers: { Authorization: `Bearer ${LENCO_API_KEY}`, "Content-Type": "application/json" },
-      timeout: 10000,
-    });
-
-    llog.info(`  HTTP ${res.status}`);
-    llog.data("Lenco balance response", res.data);
-
-    if (!res.data?.status) {
-      throw new Error(res.data?.message || "Failed to fetch account balance");
-    }
-
-    // Dedicated balance endpoint returns:
-    // { status: true, data: { balance: number, ledgerBalance: number } }
-    // Balance is in KOBO — divide by 100 to get NGN
-    const balanceRaw = res.data?.data?.availableBalance ?? res.data?.data?.currentBalance ?? res.data?.data?.balance ?? "0";
-    const balanceNGN = parseFloat(String(balanceRaw)); // already NGN — just parse
-
-    lencoBalanceCache    = balanceNGN;
-    lencoBalanceCachedAt = now;
-
-    llog.success(`Lenco balance: ₦${balanceNGN.toLocaleString()} (raw string: "${balanceRaw}" NGN)`);
-    return balanceNGN;
-
-  } catch (err) {
-    if (err.response) {
-      llog.error(`Lenco balance HTTP ${err.response.status}: ${err.response.data?.message || JSON.stringify(err.response.data)}`);
-    } else {
-      llog.error(`Lenco balance network error: ${err.message}`);
-    }
-    if (lencoBalanceCache !== null) {
-      llog.warn(`Using stale cached balance: ₦${lencoBalanceCache.toLocaleString()}`);
-      return lencoBalanceCache;
-    }
-    return null;
-  }
-}
+// Orders paid out before payout providers were pluggable all went through Lenco
+const payoutProviderOf = (tx) => getProvider(tx.meta?.payoutProvider || "lenco");
 
 // ── Liquidity check: can we fulfil this order? ────────────────────────────────
-// Returns { ok: true } or { ok: false, reason, availableNGN, requiredNGN }
-
-async function checkLiquidity(requiredNGN) {
-  llog.info(`Checking liquidity — order needs: ${c.bold}₦${requiredNGN.toLocaleString()}${c.reset} | minimum buffer: ₦${LENCO_MIN_BALANCE_NGN.toLocaleString()}`);
+// Returns { ok: true, provider } or { ok: false, reason, availableNGN, requiredNGN }.
+// An accepted order holds a reservation for requiredNGN under `reference`
+// (services/liquidityReservationService.js) until its payout is sent. With
+// `extend`, requiredNGN is added to the order's existing reservation instead.
+
+// Provider liquidity less what open orders have reserved; maxOrderNGN is
+// capped by what is still free
+async function withReservations(liquidity) {
+  const { reserved: reservedNGN, count } = await getReserved("NGN");
+  const freeNGN = Math.max(0, liquidity.capacityNGN - reservedNGN);
+  return { ...liquidity, reservedNGN, reservations: count, freeNGN, maxOrderNGN: Math.min(liquidity.maxOrderNGN, freeNGN) };
+}
 
-  const balanceNGN = await getLencoAccountBalance();
+async function checkLiquidity(requiredNGN, reference, { extend = false } = {}) {
+  paylog.info(`Checking liquidity — order needs: ${c.bold}₦${requiredNGN.toLocaleString()}${c.reset} | minimum buffer: ₦${MIN_BALANCE_NGN.toLocaleString()}`);
 
-  if (balanceNGN === null) {
-    // Can't reach Lenco — fail safe: reject the order
-    llog.warn("Balance unknown (Lenco unreachable) — rejecting order as precaution");
+  const provider  = await nextProvider(requiredNGN);
+  const liquidity = await getLiquidity();
+  if (!liquidity) {
+    // Can't reach any provider — fail safe: reject the order
+    paylog.warn("Balance unknown (no payout provider reachable) — rejecting order as precaution");
     return {
       ok: false,
       reason: "Unable to verify liquidity at this time. Please try again in a moment.",
@@ -140,202 +115,62 @@ async function checkLiquidity(requiredNGN) {
     };
   }
 
-  // Total needed = payout amount + safety buffer
-  const totalNeeded = requiredNGN + LENCO_MIN_BALANCE_NGN;
-
-  if (balanceNGN < totalNeeded) {
-    const shortfall = totalNeeded - balanceNGN;
-    llog.error(
-      `Insufficient liquidity!\n` +
-      `  Balance     : ₦${balanceNGN.toLocaleString()}\n` +
-      `  Order needs : ₦${requiredNGN.toLocaleString()}\n` +
-      `  Buffer      : ₦${LENCO_MIN_BALANCE_NGN.toLocaleString()}\n` +
-      `  Total needed: ₦${totalNeeded.toLocaleString()}\n` +
-      `  Shortfall   : ${c.red}₦${shortfall.toLocaleString()}${c.reset}`
+  if (provider) {
+    const balanceNGN  = await getPayoutBalance(provider);
+    const reservation = extend
+      ? await growReservation(reference, requiredNGN, liquidity.capacityNGN)
+      : await reserveLiquidity(reference, requiredNGN, liquidity.capacityNGN);
+    if (reservation.ok) {
+      paylog.success(
+        `Liquidity OK — ${provider.label} balance ₦${balanceNGN.toLocaleString()} ≥ required ₦${(requiredNGN + MIN_BALANCE_NGN).toLocaleString()} ` +
+        `(order ₦${requiredNGN.toLocaleString()} + buffer ₦${MIN_BALANCE_NGN.toLocaleString()}); ₦${reservation.free.toLocaleString()} left unreserved`
+      );
+      return { ok: true, provider: provider.name, availableNGN: balanceNGN, requiredNGN };
+    }
+    // Enough in the provider, but already promised to other open orders
+    paylog.error(
+      `Insufficient unreserved liquidity!\n` +
+      `  Capacity    : ₦${liquidity.capacityNGN.toLocaleString()}\n` +
+      `  Reserved    : ₦${reservation.reserved.toLocaleString()}\n` +
+      `  Order needs : ₦${requiredNGN.toLocaleString()}`
     );
     return {
       ok: false,
       reason: "Insufficient liquidity to process this order right now. Please try a smaller amount or come back shortly.",
-      availableNGN: balanceNGN,
+      availableNGN: liquidity.balanceNGN,
+      maxOrderNGN:  Math.min(liquidity.maxOrderNGN, reservation.free),
       requiredNGN,
-      shortfallNGN: shortfall,
     };
   }
 
-  llog.success(
-    `Liquidity OK — balance ₦${balanceNGN.toLocaleString()} ≥ required ₦${totalNeeded.toLocaleString()} ` +
-    `(order ₦${requiredNGN.toLocaleString()} + buffer ₦${LENCO_MIN_BALANCE_NGN.toLocaleString()})`
+  const { maxOrderNGN, reservedNGN } = await withReservations(liquidity);
+  paylog.error(
+    `Insufficient liquidity!\n` +
+    `  Balances    : ${liquidity.providers.map((p) => `${p.name} ${p.balanceNGN === null ? "unknown" : "₦" + p.balanceNGN.toLocaleString()}${p.down ? " (down)" : ""}`).join(", ")}\n` +
+    `  Reserved    : ₦${reservedNGN.toLocaleString()}\n` +
+    `  Order needs : ₦${requiredNGN.toLocaleString()}\n` +
+    `  Buffer      : ₦${MIN_BALANCE_NGN.toLocaleString()}\n` +
+    `  Max order   : ${c.red}₦${maxOrderNGN.toLocaleString()}${c.reset}`
   );
   return {
-    ok: true,
-    availableNGN: balanceNGN,
+    ok: false,
+    reason: "Insufficient liquidity to process this order right now. Please try a smaller amount or come back shortly.",
+    availableNGN: liquidity.balanceNGN,
+    maxOrderNGN,
     requiredNGN,
   };
 }
 
-async function calculateOfframpQuote(token, tokenAmount) {
-  log.step(1, `Calculating quote — ${c.bold}${tokenAmount} ${token}${c.reset}`);
-  const prices    = await getCurrentPrices();
-  const tokenData = prices[token.toUpperCase()];
-  if (!tokenData) throw new Error(`Unsupported token: ${token}`);
-
-  const marketRateNGN = tokenData.priceNGN;
-  const grossNGN      = tokenAmount * marketRateNGN;
-  // ✅ FIX: floor to whole NGN — Lenco requires integer amounts
-  const ngnAmount     = Math.floor(grossNGN - OFFRAMP_FLAT_FEE_NGN);
-
-  const quote = {
-    token:         token.toUpperCase(),
-    marketRateNGN: parseFloat(marketRateNGN.toFixed(2)),
-    flatFeeNGN:    OFFRAMP_FLAT_FEE_NGN,
-    grossNGN:      parseFloat(grossNGN.toFixed(2)),
-    ngnAmount,   // already a whole number
-    tokenAmount:   parseFloat(tokenAmount.toFixed(6)),
-    priceUSD:      tokenData.priceUSD,
-    usdToNgn:      tokenData.usdToNgn,
-  };
-
-  box([
-    `${c.bold}Token     :${c.reset} ${quote.token}`,
-    `${c.bold}Amount    :${c.reset} ${quote.tokenAmount}`,
-    `${c.bold}Rate NGN  :${c.reset} ₦${quote.marketRateNGN.toLocaleString()}`,
-    `${c.bold}Gross NGN :${c.reset} ₦${quote.grossNGN.toLocaleString()}`,
-    `${c.bold}Fee       :${c.reset} ₦${quote.flatFeeNGN}`,
-    `${c.bold}Net NGN   :${c.reset} ${c.green}₦${quote.ngnAmount.toLocaleString()}${c.reset}`,
-  ]);
-
-  if (ngnAmount <= 0) throw new Error(`Amount too small — ₦${OFFRAMP_FLAT_FEE_NGN} fee exceeds payout`);
-  return quote;
-}
-
-async function verifyBankAccount(bankCode, accountNumber) {
-  const url = `${LENCO_BASE_URL}/access/v1/resolve`;
-  llog.info(`Verifying bank account → GET ${url}`);
-  llog.info(`  bankCode=${c.bold}${bankCode}${c.reset} | accountNumber=${c.bold}${accountNumber}${c.reset}`);
-
-  try {
-    const res = await axios.get(url, {
-      params:  { bankCode, accountNumber },
-      headers: { Authorization: `Bearer ${LENCO_API_KEY}`, "Content-Type": "application/json" },
-      timeout: 15000,
-    });
-
-    llog.info(`  HTTP ${res.status} — ${res.data?.status ? c.green + "OK" + c.reset : c.red + "FAILED" + c.reset}`);
-    llog.data("Lenco resolve response", res.data);
-
-    if (!res.data?.status) throw new Error(res.data?.message || "Account verification failed");
-
-    const result = {
-      success:       true,
-      accountName:   res.data.data?.accountName,
-      accountNumber: res.data.data?.accountNumber,
-      bankCode:      res.data.data?.bank?.code || bankCode,
-      bankName:      res.data.data?.bank?.name,
-    };
-    llog.success(`Account verified: ${c.bold}${result.accountName}${c.reset} @ ${result.bankName}`);
-    return result;
-  } catch (err) {
-    if (err.response) {
-      const msg = err.response.data?.message || err.response.data?.error || JSON.stringify(err.response.data);
-      llog.error(`Lenco resolve HTTP ${err.response.status}: ${msg}`);
-      llog.data("Lenco error body", err.response.data);
-      throw new Error(msg);
-    }
-    llog.error(`Lenco resolve network error: ${err.message}`);
-    throw err;
-  }
-}
-
-async function initiateLencoTransfer(amountNGN, accountNumber, bankCode, accountName, reference) {
-  const debitAccountId = process.env.LENCO_ACCOUNT_ID;
-
-  divider("💸 LENCO NGN TRANSFER");
-  llog.info(`Initiating transfer → POST ${LENCO_BASE_URL}/access/v1/transactions`);
-  box([
-    `${c.bold}Reference   :${c.reset} ${reference}`,
-    `${c.bold}Amount      :${c.reset} ${c.green}₦${amountNGN.toLocaleString()}${c.reset}`,
-    `${c.bold}To account  :${c.reset} ${accountNumber} (${bankCode})`,
-    `${c.bold}Account name:${c.reset} ${accountName}`,
-    `${c.bold}Debit from  :${c.reset} ${debitAccountId || c.red + "NOT SET ⚠" + c.reset}`,
-  ]);
-
-  if (!debitAccountId) throw new Error("LENCO_ACCOUNT_ID not configured — needed to debit your Lenco account");
-
-  const payload = {
-    accountId:    debitAccountId,
-    amount:       String(amountNGN),
-    accountNumber,
-    bankCode,
-    narration:    `StackSwap offramp - ${reference}`,
-    reference,
-  };
-
-  llog.data("Lenco transfer request body", payload);
-
-  try {
-    const res = await axios.post(`${LENCO_BASE_URL}/access/v1/transactions`, payload, {
-      headers: { Authorization: `Bearer ${LENCO_API_KEY}`, "Content-Type": "application/json" },
-      timeout: 30000,
-    });
-
-    llog.info(`  HTTP ${res.status}`);
-    llog.data("Lenco transfer response", res.data);
-
-    if (!res.data?.status) throw new Error(res.data?.message || "Lenco transfer initiation failed");
-
-    const result = {
-      success:        true,
-      transferId:     res.data.data?.id,
-      lencoReference: res.data.data?.transactionReference,
-      status:         res.data.data?.status,
-      reference,
-    };
-    llog.success(`Transfer initiated — ID: ${c.bold}${result.transferId}${c.reset} | Status: ${result.status}`);
-
-    // Bust the balance cache immediately after a transfer so the next order
-    // sees the updated (lower) balance
-    lencoBalanceCache    = null;
-    lencoBalanceCachedAt = null;
-    llog.info("Balance cache invalidated after transfer");
-
-    return result;
-  } catch (err) {
-    if (err.response) {
-      const msg = err.response.data?.message || err.response.data?.error || JSON.stringify(err.response.data);
-      llog.error(`Lenco transfer HTTP ${err.response.status}: ${msg}`);
-      llog.data("Lenco transfer error body", err.response.data);
-      throw new Error(msg);
-    }
-    llog.error(`Lenco transfer network error: ${err.message}`);
-    throw err;
-  }
-}
-
 // ── Controllers ──────────────────────────────────────────────────────────────
 
 async function getBankList(req, res) {
   log.info("GET /banks — fetching bank list");
   try {
-    const now        = Date.now();
-    const cacheStale = !bankListCachedAt || now - bankListCachedAt > BANK_CACHE_TTL_MS;
-
-    if (!bankListCache || cacheStale) {
-      log.info("Cache miss — fetching from Lenco...");
-      const response = await axios.get(`${LENCO_BASE_URL}/access/v1/banks`, {
-        headers: { Authorization: `Bearer ${LENCO_API_KEY}`, "Content-Type": "application/json" },
-        timeout: 15000,
-      });
-      log.info(`Lenco banks HTTP ${response.status}`);
-      if (!response.data?.status) throw new Error(response.data?.message || "Failed to fetch bank list");
-      bankListCache    = response.data.data || [];
-      bankListCachedAt = now;
-      log.success(`Bank list cached — ${c.bold}${bankListCache.length}${c.reset} banks`);
-    } else {
-      log.info(`Cache hit — ${bankListCache.length} banks (age: ${Math.round((now - bankListCachedAt) / 1000)}s)`);
-    }
+    const { provider, banks, cachedAt } = await getPayoutBankList();
+    log.info(`${banks.length} banks from ${provider}`);
 
     const PRIORITY_BANKS = ["OPay","Kuda","PalmPay","Moniepoint","Carbon","FairMoney","GTBank","Zenith Bank","Access Bank","First Bank","UBA","Stanbic IBTC","FCMB","Fidelity","Union Bank","Wema Bank","Polaris Bank"];
-    const sorted = [...bankListCache].sort((a, b) => {
+    const sorted = [...banks].sort((a, b) => {
       const aIdx = PRIORITY_BANKS.findIndex((p) => a.name?.toLowerCase().includes(p.toLowerCase()));
       const bIdx = PRIORITY_BANKS.findIndex((p) => b.name?.toLowerCase().includes(p.toLowerCase()));
       if (aIdx !== -1 && bIdx !== -1) return aIdx - bIdx;
@@ -345,7 +180,7 @@ async function getBankList(req, res) {
     });
 
     log.success(`Returning ${sorted.length} banks`);
-    res.json({ success: true, data: sorted, meta: { total: sorted.length, cachedAt: new Date(bankListCachedAt).toISOString() } });
+    res.json({ success: true, data: sorted, meta: { total: sorted.length, cachedAt } });
   } catch (err) {
     log.error(`getBankList error: ${err.message}`);
     res.status(500).json({ success: false, message: err.message });
@@ -353,29 +188,33 @@ async function getBankList(req, res) {
 }
 
 async function getOfframpRate(req, res) {
-  const { token = "STX", tokenAmount } = req.query;
-  log.info(`GET /rate — token=${token} tokenAmount=${tokenAmount || "(not provided)"}`);
+  const { token = "STX", tokenAmount, currency } = req.query;
+  log.info(`GET /rate — token=${token} tokenAmount=${tokenAmount || "(not provided)"} currency=${currency || DEFAULT_FIAT}`);
   try {
-    if (!["STX", "USDC"].includes(token.toUpperCase())) {
-      return res.status(400).json({ success: false, message: "token must be STX or USDC" });
+    if (!isSupportedToken(token, "offramp")) {
+      return res.status(400).json({ success: false, message: tokenListMessage("offramp") });
+    }
+    const fiatCurrency = normalizeFiat(currency);
+    if (!fiatCurrency) {
+      return res.status(400).json({ success: false, message: `currency must be one of ${ENABLED_FIATS.join(", ")}`, code: "UNSUPPORTED_CURRENCY" });
     }
+    const limits = getOfframpLimits(token);
     let quote;
     if (tokenAmount) {
       const amount = parseFloat(tokenAmount);
       if (isNaN(amount) || amount <= 0) return res.status(400).json({ success: false, message: "Invalid tokenAmount" });
-      if (amount < MIN_TOKEN_AMOUNT) return res.status(400).json({ success: false, message: `Minimum is ${MIN_TOKEN_AMOUNT} ${token.toUpperCase()}` });
-      if (amount > MAX_TOKEN_AMOUNT) return res.status(400).json({ success: false, message: `Maximum is ${MAX_TOKEN_AMOUNT} ${token.toUpperCase()}` });
-      quote = await calculateOfframpQuote(token, amount);
+      if (amount < limits.minToken) return res.status(400).json({ success: false, message: `Minimum is ${limits.minToken} ${token.toUpperCase()}` });
+      if (amount > limits.maxToken) return res.status(400).json({ success: false, message: `Maximum is ${limits.maxToken} ${token.toUpperCase()}` });
+      quote = await calculateOfframpQuote(token, amount, fiatCurrency);
     } else {
-      const prices    = await getCurrentPrices();
-      const tokenData = prices[token.toUpperCase()];
-      quote = { token: token.toUpperCase(), marketRateNGN: parseFloat(tokenData.priceNGN.toFixed(2)), flatFeeNGN: OFFRAMP_FLAT_FEE_NGN, priceUSD: tokenData.priceUSD, usdToNgn: tokenData.usdToNgn };
+      quote = await calculateIndicativeRate(token, "offramp", fiatCurrency);
     }
-    log.success(`Rate fetched for ${token}: ₦${quote.marketRateNGN}`);
-    res.json({ success: true, data: { ...quote, limits: { minToken: MIN_TOKEN_AMOUNT, maxToken: MAX_TOKEN_AMOUNT }, estimatedSettlement: "30-60 seconds", fetchedAt: new Date().toISOString() } });
+    const sym = fiatSymbol(fiatCurrency);
+    log.success(`Rate fetched for ${token}: ${sym}${quote.rate} (mid ${sym}${quote.midRate}, ${quote.spreadBps} bps)`);
+    res.json({ success: true, data: { ...quote, limits: { minToken: limits.minToken, maxToken: limits.maxToken }, settlementSupported: isSettlementCurrency(fiatCurrency), estimatedSettlement: "30-60 seconds", fetchedAt: new Date().toISOString() } });
   } catch (err) {
     log.error(`getOfframpRate error: ${err.message}`);
-    res.status(500).json({ success: false, message: err.message });
+    res.status(err.statusCode || 500).json({ success: false, message: err.message, code: err.code });
   }
 }
 
@@ -385,7 +224,7 @@ async function verifyAccount(req, res) {
   try {
     if (!bankCode || !accountNumber) return res.status(400).json({ success: false, message: "bankCode and accountNumber are required" });
     if (!/^\d{10}$/.test(accountNumber)) return res.status(400).json({ success: false, message: "accountNumber must be exactly 10 digits" });
-    const result = await verifyBankAccount(bankCode, accountNumber);
+    const result = await resolveAccount(bankCode, accountNumber);
     res.json({ success: true, data: result });
   } catch (err) {
     log.error(`verifyAccount error: ${err.message}`);
@@ -395,43 +234,47 @@ async function verifyAccount(req, res) {
 
 // ── NEW: Public endpoint to expose available liquidity to the frontend ────────
 // GET /api/offramp/liquidity
-// Returns the platform's available NGN balance so the UI can warn users early.
-// Does NOT expose the raw balance — returns a sanitised "maxOrderNGN" instead.
+// Returns the platform's available NGN balance so the UI can warn users early,
+// split into what open orders have reserved and what is still free.
+// maxOrderNGN is the largest order that would be accepted right now.
 
 async function getLiquidityInfo(req, res) {
   try {
-    llog.info("GET /liquidity — checking platform liquidity");
+    paylog.info("GET /liquidity — checking platform liquidity");
 
-    // Force-refresh balance (bypass 30s cache for accurate check)
-    const balanceNGN = await getLencoAccountBalance(true);
+    // Force-refresh balances (bypass 30s cache for accurate check)
+    const liquidity = await getLiquidity(true);
 
-    if (balanceNGN === null) {
-      llog.warn("Could not fetch Lenco balance — liquidity check unavailable");
+    if (!liquidity) {
+      paylog.warn("Could not fetch any payout provider balance — liquidity check unavailable");
       return res.status(503).json({
         success: false,
         message: "Liquidity check temporarily unavailable. Please try again.",
       });
     }
 
-    const LENCO_MIN_BALANCE_NGN = parseFloat(process.env.LENCO_MIN_BALANCE_NGN ?? "0");
-    const maxOrderNGN  = Math.max(0, Math.floor(balanceNGN - LENCO_MIN_BALANCE_NGN));
-    const available    = balanceNGN > 0 && maxOrderNGN > 0;
+    const { balanceNGN, capacityNGN, reservedNGN, reservations, freeNGN, maxOrderNGN } = await withReservations(liquidity);
+    const available = balanceNGN > 0 && maxOrderNGN > 0;
 
-    llog.info(`Liquidity: balance=₦${balanceNGN} maxOrder=₦${maxOrderNGN} available=${available}`);
+    paylog.info(`Liquidity: balance=₦${balanceNGN} reserved=₦${reservedNGN} free=₦${freeNGN} maxOrder=₦${maxOrderNGN} available=${available}`);
 
     return res.json({
       success: true,
       data: {
         balanceNGN,          // ← raw balance for direct frontend comparison
-        maxOrderNGN,         // ← balance minus safety buffer
+        capacityNGN,         // ← all providers' balances minus the safety buffer
+        reservedNGN,         // ← held for open (unpaid) orders
+        freeNGN,             // ← capacity not yet reserved
+        reservations,
+        maxOrderNGN,         // ← largest single order accepted right now
         available,
-        minBufferNGN: LENCO_MIN_BALANCE_NGN,
+        minBufferNGN: MIN_BALANCE_NGN,
         checkedAt: new Date().toISOString(),
       },
     });
 
   } catch (err) {
-    llog.error(`getLiquidityInfo error: ${err.message}`);
+    paylog.error(`getLiquidityInfo error: ${err.message}`);
     return res.status(500).json({
       success: false,
       message: "Internal server error during liquidity check.",
@@ -440,7 +283,8 @@ async function getLiquidityInfo(req, res) {
 }
 
 async function initializeOfframp(req, res) {
-  const { token, tokenAmount, stacksAddress, bankCode, accountNumber, accountName } = req.body;
+  const { stacksAddress, bankCode, accountNumber, accountName, beneficiaryId, quoteId } = req.body;
+  let { token, tokenAmount } = req.body;
 
   divider("🚀 OFFRAMP INITIALIZE");
   log.info("POST /initialize");
@@ -448,57 +292,110 @@ async function initializeOfframp(req, res) {
     `${c.bold}Token      :${c.reset} ${token}`,
     `${c.bold}Amount     :${c.reset} ${tokenAmount}`,
     `${c.bold}Wallet     :${c.reset} ${stacksAddress}`,
-    `${c.bold}Bank code  :${c.reset} ${bankCode}`,
-    `${c.bold}Account    :${c.reset} ${accountNumber}`,
-    `${c.bold}Acct name  :${c.reset} ${accountName || "(not provided)"}`,
+    ...(beneficiaryId
+      ? [`${c.bold}Beneficiary:${c.reset} ${beneficiaryId}`]
+      : [
+          `${c.bold}Bank code  :${c.reset} ${bankCode}`,
+          `${c.bold}Account    :${c.reset} ${accountNumber}`,
+          `${c.bold}Acct name  :${c.reset} ${accountName || "(not provided)"}`,
+        ]),
+    `${c.bold}Quote ID   :${c.reset} ${quoteId || "(live rate)"}`,
   ]);
 
   try {
-    if (!token || !tokenAmount || !stacksAddress || !bankCode || !accountNumber) {
+    // Payout providers pay out NGN only — other currencies are quote-only for now
+    const fiatCurrency = normalizeFiat(req.body.fiatCurrency);
+    if (!fiatCurrency || !isSettlementCurrency(fiatCurrency)) {
+      log.warn(`Unsupported settlement currency: ${req.body.fiatCurrency}`);
+      return res.status(400).json({
+        success: false,
+        message: `Offramp payouts can only be made in ${DEFAULT_FIAT} (got ${req.body.fiatCurrency})`,
+        code: "UNSUPPORTED_SETTLEMENT_CURRENCY",
+      });
+    }
+
+    // Locked quote: token/tokenAmount default to the quote's and must match if sent
+    if (quoteId) {
+      const locked = await getQuote(quoteId);
+      if ((token && token.toUpperCase() !== locked.token) || (tokenAmount && parseFloat(tokenAmount) !== locked.tokenAmount)) {
+        log.warn(`Quote mismatch — quote is for ${locked.tokenAmount} ${locked.token}`);
+        return res.status(400).json({ success: false, message: `Quote ${quoteId} is for ${locked.tokenAmount} ${locked.token}`, code: "QUOTE_MISMATCH" });
+      }
+      token       = locked.token;
+      tokenAmount = locked.tokenAmount;
+    }
+
+    if (!token || !tokenAmount || !stacksAddress || (!beneficiaryId && (!bankCode || !accountNumber))) {
       log.warn("Missing required fields");
-      return res.status(400).json({ success: false, message: "Required: token, tokenAmount, stacksAddress, bankCode, accountNumber" });
+      return res.status(400).json({ success: false, message: "Required: token, tokenAmount (or quoteId), stacksAddress, and beneficiaryId or bankCode + accountNumber" });
+    }
+    if (beneficiaryId && (bankCode || accountNumber)) {
+      return res.status(400).json({ success: false, message: "Send either beneficiaryId or bankCode + accountNumber, not both" });
     }
 
     const upperToken = token.toUpperCase();
-    if (!["STX", "USDC"].includes(upperToken)) return res.status(400).json({ success: false, message: "token must be STX or USDC" });
+    if (!isSupportedToken(upperToken, "offramp")) return res.status(400).json({ success: false, message: tokenListMessage("offramp") });
 
     const amount = parseFloat(tokenAmount);
     if (isNaN(amount) || amount <= 0) return res.status(400).json({ success: false, message: "tokenAmount must be a positive number" });
-    if (amount < MIN_TOKEN_AMOUNT) return res.status(400).json({ success: false, message: `Minimum is ${MIN_TOKEN_AMOUNT} ${upperToken}` });
-    if (amount > MAX_TOKEN_AMOUNT) return res.status(400).json({ success: false, message: `Maximum is ${MAX_TOKEN_AMOUNT} ${upperToken}` });
+    const limits = getOfframpLimits(upperToken);
+    if (amount < limits.minToken) return res.status(400).json({ success: false, message: `Minimum is ${limits.minToken} ${upperToken}` });
+    if (amount > limits.maxToken) return res.status(400).json({ success: false, message: `Maximum is ${limits.maxToken} ${upperToken}` });
     if (!stacksAddress.match(/^(SP|SM|ST)[0-9A-Z]{20,50}$/i)) return res.status(400).json({ success: false, message: "Invalid Stacks wallet address" });
-    if (!/^\d{10}$/.test(accountNumber)) return res.status(400).json({ success: false, message: "accountNumber must be 10 digits" });
+    if (!beneficiaryId && !/^\d{10}$/.test(accountNumber)) return res.status(400).json({ success: false, message: "accountNumber must be 10 digits" });
+
+    // Refuse new orders while pricing is halted (throws TRADING_HALTED)
+    await assertTradingOpen();
 
-    // Step 1: Verify bank
-    log.step(1, "Verifying bank account with Lenco...");
+    // Step 1: Verify bank — a saved beneficiary was verified when it was added
     let bankDetails;
-    try {
-      bankDetails = await verifyBankAccount(bankCode, accountNumber);
-    } catch (err) {
-      log.error(`Bank verification failed: ${err.message}`);
-      return res.status(400).json({ success: false, message: `Bank verification failed: ${err.message}` });
+    if (beneficiaryId) {
+      log.step(1, "Loading saved beneficiary...");
+      bankDetails = await getBeneficiary(beneficiaryId, stacksAddress); // 404 unless stacksAddress owns it
+    } else {
+      log.step(1, "Verifying bank account...");
+      try {
+        bankDetails = await resolveAccount(bankCode, accountNumber);
+      } catch (err) {
+        log.error(`Bank verification failed: ${err.message}`);
+        return res.status(400).json({ success: false, message: `Bank verification failed: ${err.message}` });
+      }
     }
 
-    // Step 2: Check deposit address
+    // Step 2: Check deposit address — with DEPOSIT_WALLET_SEED set, each
+    // order gets its own (allocated in step 5, once the order is accepted)
     log.step(2, "Checking platform deposit address...");
-    const depositAddress = process.env.PLATFORM_STX_ADDRESS;
-    if (!depositAddress) {
+    const ownAddress = perOrderDepositAddresses();
+    let depositAddress = ownAddress ? null : process.env.PLATFORM_STX_ADDRESS;
+    let depositIndex;
+    if (!ownAddress && !depositAddress) {
       log.error("PLATFORM_STX_ADDRESS not set in environment!");
       return res.status(503).json({ success: false, message: "Deposit address not configured. Contact support." });
     }
-    log.info(`  Deposit address: ${c.bold}${depositAddress}${c.reset}`);
+    log.info(ownAddress ? "  Deposit address: per order (HD wallet)" : `  Deposit address: ${c.bold}${depositAddress}${c.reset}`);
 
-    // Step 3: Calculate quote
-    log.step(3, "Calculating NGN quote...");
-    const quote = await calculateOfframpQuote(upperToken, amount);
+    // Step 3: Calculate quote — or claim the locked one (throws QUOTE_EXPIRED / QUOTE_USED)
+    log.step(3, quoteId ? `Claiming locked quote ${quoteId}...` : "Calculating NGN quote...");
+    const quote = quoteId
+      ? quoteFromDoc(await consumeQuote(quoteId, { direction: "offramp", token: upperToken }))
+      : await calculateOfframpQuote(upperToken, amount);
 
     // ── Step 4: LIQUIDITY CHECK ───────────────────────────────────────────────
-    // Verify the platform's Lenco account has enough NGN to fulfil this payout
+    // Verify a payout provider has enough NGN to fulfil this payout
     // BEFORE we create the DB record or ask the user to sign anything.
-    log.step(4, "Checking Lenco account liquidity...");
-    const liquidity = await checkLiquidity(quote.ngnAmount);
+    log.step(4, "Checking payout liquidity...");
+    const transactionReference = generateReference();
+    let liquidity;
+    try {
+      liquidity = await checkLiquidity(quote.ngnAmount, transactionReference);
+    } catch (err) {
+      // The order was never placed — the user keeps their quote
+      if (quoteId) await releaseQuote(quoteId);
+      throw err;
+    }
 
     if (!liquidity.ok) {
+      if (quoteId) await releaseQuote(quoteId);
       divider("🚫 ORDER REJECTED — INSUFFICIENT LIQUIDITY");
       log.error(
         `Rejected order:\n` +
@@ -514,50 +411,67 @@ async function initializeOfframp(req, res) {
           requiredNGN:   quote.ngnAmount,
           // We deliberately don't expose the raw balance to end users for security.
           // We only tell them the max they CAN sell right now (if knowable).
-          maxOrderNGN: liquidity.availableNGN !== null
-            ? Math.max(0, Math.floor(liquidity.availableNGN - LENCO_MIN_BALANCE_NGN))
-            : null,
+          maxOrderNGN: liquidity.maxOrderNGN ?? null,
         },
       });
     }
 
     // Step 5: Create transaction
     log.step(5, "Creating pending transaction in DB...");
-    const transactionReference = generateReference();
-    const expiresAt            = new Date(Date.now() + SETTLEMENT_TIMEOUT_MINUTES * 60 * 1000);
-
-    const tx = await Transaction.create({
-      token:            upperToken,
-      type:             "sell",
-      direction:        "offramp",
-      tokenAmount:      amount,
-      ngnAmount:        quote.ngnAmount,
-      feeNGN:           OFFRAMP_FLAT_FEE_NGN,
-      feeToken:         0,
-      netNGN:           quote.ngnAmount,
-      rateAtTime:       quote.marketRateNGN,
-      senderAddress:    stacksAddress,
-      recipientAddress: depositAddress,
-      paymentReference: transactionReference,
-      status:           "pending",
-      meta: {
-        bankCode:        bankDetails.bankCode,
-        accountNumber:   bankDetails.accountNumber,
-        accountName:     bankDetails.accountName || accountName,
-        bankName:        bankDetails.bankName,
-        marketRateNGN:   quote.marketRateNGN,
-        grossNGN:        quote.grossNGN,
-        flatFeeNGN:      OFFRAMP_FLAT_FEE_NGN,
-        usdToNgn:        quote.usdToNgn,
-        depositAddress,
-        expiresAt:       expiresAt.toISOString(),
-        lencoTransferId: null,
-        // Record the balance snapshot at time of order for audit trail
-        balanceAtOrderTime: liquidity.availableNGN,
-      },
-    });
+    const expiresAt = new Date(Date.now() + SETTLEMENT_TIMEOUT_MINUTES * 60 * 1000);
+
+    let tx;
+    try {
+      if (ownAddress) ({ index: depositIndex, address: depositAddress } = await allocateDepositAddress());
+
+      tx = await Transaction.create({
+        token:            upperToken,
+        type:             "sell",
+        direction:        "offramp",
+        tokenAmount:      amount,
+        ngnAmount:        quote.ngnAmount,
+        fiatCurrency,
+        fiatAmount:       quote.ngnAmount,
+        feeNGN:           quote.flatFeeNGN,
+        feeToken:         0,
+        netNGN:           quote.ngnAmount,
+        rateAtTime:       quote.rateNGN,        // bid rate actually paid
+        senderAddress:    stacksAddress,
+        recipientAddress: depositAddress,
+        depositIndex,
+        paymentReference: transactionReference,
+        status:           "pending",
+        expiresAt,
+        meta: {
+          bankCode:        bankDetails.bankCode,
+          accountNumber:   bankDetails.accountNumber,
+          accountName:     bankDetails.accountName || accountName,
+          bankName:        bankDetails.bankName,
+          beneficiaryId:   beneficiaryId ? bankDetails._id : null,
+          marketRateNGN:   quote.marketRateNGN,
+          midRateNGN:      quote.midRateNGN,
+          spreadBps:       quote.spreadBps,
+          grossNGN:        quote.grossNGN,
+          flatFeeNGN:      OFFRAMP_FLAT_FEE_NGN,
+          usdToNgn:        quote.usdToNgn,
+          depositAddress,
+          expiresAt:       expiresAt.toISOString(),
+          payoutTransferId: null,
+          // Record the balance snapshot at time of order for audit trail
+          balanceAtOrderTime: liquidity.availableNGN,
+          quoteId:         quote.quoteId || null,
+        },
+      });
+    } catch (err) {
+      if (quoteId) await releaseQuote(quoteId);
+      await releaseReservation(transactionReference, "abandoned");
+      throw err;
+    }
 
     log.success(`Transaction created in DB — ID: ${c.bold}${tx._id}${c.reset}`);
+    if (beneficiaryId) {
+      markBeneficiaryUsed(bankDetails._id).catch((err) => log.warn(`Couldn't mark beneficiary ${beneficiaryId} used: ${err.message}`));
+    }
     box([
       `${c.bold}Reference  :${c.reset} ${transactionReference}`,
       `${c.bold}DB ID      :${c.reset} ${tx._id}`,
@@ -566,7 +480,7 @@ async function initializeOfframp(req, res) {
       `${c.bold}Fee        :${c.reset} ₦${OFFRAMP_FLAT_FEE_NGN}`,
       `${c.bold}Net NGN    :${c.reset} ${c.green}₦${quote.ngnAmount.toLocaleString()}${c.reset}`,
       `${c.bold}Expires at :${c.reset} ${expiresAt.toISOString()}`,
-      `${c.bold}Bank       :${c.reset} ${bankDetails.accountName} — ${bankDetails.bankName} ${accountNumber}`,
+      `${c.bold}Bank       :${c.reset} ${bankDetails.accountName} — ${bankDetails.bankName} ${bankDetails.accountNumber}`,
       `${c.bold}Balance    :${c.reset} ₦${liquidity.availableNGN?.toLocaleString()} (at order time)`,
     ]);
 
@@ -577,30 +491,38 @@ async function initializeOfframp(req, res) {
       data: {
         transactionId:        tx._id,
         transactionReference,
+        quoteId:              quote.quoteId || null,
         token:                upperToken,
+        fiatCurrency,
         tokenAmount:          amount,
         flatFeeNGN:           OFFRAMP_FLAT_FEE_NGN,
         grossNGN:             quote.grossNGN,
         ngnAmount:            quote.ngnAmount,
         marketRateNGN:        quote.marketRateNGN,
+        midRateNGN:           quote.midRateNGN,
+        spreadBps:            quote.spreadBps,
+        rateNGN:              quote.rateNGN,
         breakdown: {
           youSend:    `${amount} ${upperToken}`,
-          grossNGN:   `${amount} × ₦${quote.marketRateNGN} = ₦${quote.grossNGN.toLocaleString()}`,
+          rate:       `₦${quote.rateNGN} per ${upperToken} (₦${quote.midRateNGN} mid − ${quote.spreadBps} bps spread)`,
+          grossNGN:   `${amount} × ₦${quote.rateNGN} = ₦${quote.grossNGN.toLocaleString()}`,
           fee:        `−₦${OFFRAMP_FLAT_FEE_NGN} flat service fee`,
           youReceive: `₦${quote.ngnAmount.toLocaleString()}`,
-          toBank:     `${bankDetails.accountName} — ${bankDetails.bankName} ${accountNumber}`,
+          toBank:     `${bankDetails.accountName} — ${bankDetails.bankName} ${maskAccountNumber(bankDetails.accountNumber)}`,
         },
         depositInstructions: {
           sendTo:           depositAddress,
           amount:           `${amount} ${upperToken}`,
           memo:             transactionReference,
-          warning:          `Include "${transactionReference}" as memo/note.`,
+          warning:          ownAddress
+            ? `This address is for this order only — send ${upperToken} from your wallet, memo optional.`
+            : `Include "${transactionReference}" as memo/note.`,
           expiresAt:        expiresAt.toISOString(),
           expiresInMinutes: SETTLEMENT_TIMEOUT_MINUTES,
         },
         bank: {
           accountName:   bankDetails.accountName,
-          accountNumber,
+          accountNumber: maskAccountNumber(bankDetails.accountNumber),
           bankName:      bankDetails.bankName,
           bankCode:      bankDetails.bankCode,
         },
@@ -609,203 +531,672 @@ async function initializeOfframp(req, res) {
   } catch (err) {
     log.error(`initializeOfframp error: ${err.message}`);
     log.error(err.stack);
-    res.status(500).json({ success: false, message: err.message });
+    res.status(err.statusCode || 500).json({ success: false, message: err.message, code: err.code });
   }
 }
 
-// ── notifyTxBroadcast + pollAndSettle ─────────────────────────────────────────
+// ── Settlement jobs ───────────────────────────────────────────────────────────
+// Deposit confirmation and the NGN payout run on the durable job queue
+// (services/jobQueue.js). Every run re-reads the transaction first, so a job
+// picked up again after a crash carries on from the last recorded step.
 
-async function notifyTxBroadcast(req, res) {
-  const { transactionReference, stacksTxId } = req.body;
+function queueDepositConfirmation(reference, stacksTxId) {
+  return enqueue(
+    "offramp.confirm_deposit",
+    { reference, stacksTxId, deadline: new Date(Date.now() + CONFIRM_TIMEOUT_MS).toISOString() },
+    { key: `offramp.confirm_deposit:${reference}:${stacksTxId}` }
+  );
+}
 
-  divider("📡 TX BROADCAST NOTIFICATION");
-  log.info("POST /notify-tx");
-  box([
-    `${c.bold}Reference :${c.reset} ${transactionReference}`,
-    `${c.bold}Stacks TX :${c.reset} ${stacksTxId}`,
-  ]);
+// One payout job per payout reference — the order reference, or the fresh
+// one an operator's retry (retryPayout) assigned as meta.payoutReference
+function queuePayout(reference, payoutReference = reference) {
+  return enqueue("offramp.payout", { reference }, { key: `offramp.payout:${payoutReference}` });
+}
 
-  if (!transactionReference || !stacksTxId) {
-    log.warn("Missing transactionReference or stacksTxId");
-    return res.status(400).json({ success: false, message: "transactionReference and stacksTxId required" });
+// pending → processing (or held / failed, per the amount check), once.
+// Returns null if someone else got there first.
+function markTokensReceived(reference, stacksTxId, { status = "processing", fields = {}, meta = {} } = {}) {
+  const set = {
+    ...fields,
+    status,
+    txId:                   stacksTxId,
+    "meta.stacksTxId":      stacksTxId,
+    "meta.tokenReceivedAt": new Date().toISOString(),
+  };
+  for (const [k, v] of Object.entries(meta)) set[`meta.${k}`] = v;
+
+  return Transaction.findOneAndUpdate(
+    { paymentReference: reference, direction: "offramp", status: "pending" },
+    { $set: set },
+    { new: true }
+  );
+}
+
+async function failIfPending(reference, failureReason) {
+  return Transaction.findOneAndUpdate(
+    { paymentReference: reference, direction: "offramp", status: "pending" },
+    { $set: { status: "failed", "meta.failureReason": failureReason } },
+    { new: true }
+  );
+}
+
+// ── On-chain deposit ─────────────────────────────────────────────────────────
+// A TX id reaches us from the public /notify-tx, so nothing in it is taken on
+// trust: an order is credited only with the transfers of its own token from
+// its sender to its deposit address, and only once across all orders.
+
+/** Sum of `events` (a confirmed TX's) that paid `tx`'s deposit, in tokens. */
+function depositedAmount(tx, events = []) {
+  const token = getToken(tx.token);
+  if (!token) return 0;
+  const assetId = isNative(token) ? null : `${getContract(token).fullId}::${token.assetName}`;
+
+  const raw = events
+    .filter((e) => (assetId
+      ? e.event_type === "fungible_token_asset" && e.asset?.asset_id === assetId
+      : e.event_type === "stx_asset"))
+    .filter((e) => e.asset.asset_event_type === "transfer" &&
+      e.asset.recipient === tx.recipientAddress &&
+      e.asset.sender === tx.senderAddress)
+    .reduce((sum, e) => sum + parseInt(e.asset.amount || "0", 10), 0);
+  return fromBaseUnits(token, raw);
+}
+
+/** Look `stacksTxId` up on-chain: what it deposited for `tx`, 0 if nothing or not (yet) successful. */
+async function fetchDepositedAmount(tx, stacksTxId) {
+  const { data } = await axios.get(`${STACKS_API_URL}/extended/v1/tx/${stacksTxId}`, { timeout: 10000 });
+  return data?.tx_status === "success" ? depositedAmount(tx, data.events) : 0;
+}
+
+/** Whether an order other than `tx` already claimed `stacksTxId`. */
+async function txIdUsedElsewhere(tx, stacksTxId) {
+  return Boolean(await Transaction.exists({ txId: stacksTxId, _id: { $ne: tx._id } }));
+}
+
+// ── Deposit amount check ─────────────────────────────────────────────────────
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const round6 = (n) => parseFloat(n.toFixed(6));
+
+// Payout for `tokenAmount` at the rate the order was booked at
+function proRataNGN(tx, tokenAmount) {
+  return Math.floor(tokenAmount * tx.rateAtTime - (tx.meta?.flatFeeNGN ?? OFFRAMP_FLAT_FEE_NGN));
+}
+
+// Amount fields for paying out `tokenAmount` instead of the ordered amount
+function repricedFields(tx, tokenAmount) {
+  const ngnAmount = proRataNGN(tx, tokenAmount);
+  return {
+    tokenAmount,
+    ngnAmount,
+    fiatAmount:      ngnAmount,
+    netNGN:          ngnAmount,
+    "meta.grossNGN": round2(tokenAmount * tx.rateAtTime),
+  };
+}
+
+/**
+ * Compare what arrived with what was ordered and decide what to do with it.
+ * Returns { status, fields, resolution } — the order's next status, any
+ * amount fields to rewrite, and the record kept as meta.depositResolution.
+ * `overpaymentPolicy` overrides OFFRAMP_OVERPAYMENT_POLICY.
+ */
+function resolveDepositAmount(tx, receivedAmount, overpaymentPolicy = OVERPAYMENT_POLICY) {
+  const expected = tx.tokenAmount;
+  const diff     = receivedAmount - expected;
+  const resolution = {
+    expectedTokenAmount: expected,
+    receivedTokenAmount: receivedAmount,
+    differenceToken:     round6(diff),
+    originalNGN:         tx.ngnAmount,
+    resolvedAt:          new Date().toISOString(),
+    resolvedBy:          "auto",
+  };
+
+  if (Math.abs(diff) <= expected * AMOUNT_TOLERANCE_PCT / 100) {
+    return { status: "processing", fields: {}, resolution: { ...resolution, kind: "exact", action: "paid_in_full", payoutNGN: tx.ngnAmount } };
   }
 
-  const tx = await Transaction.findOne({ paymentReference: transactionReference, direction: "offramp" });
-  if (!tx) {
-    log.error(`Transaction not found in DB for reference: ${transactionReference}`);
-    return res.status(404).json({ success: false, message: "Transaction not found" });
+  if (diff < 0) {
+    const kind = { ...resolution, kind: "underpaid", policy: UNDERPAYMENT_POLICY, proRataNGN: proRataNGN(tx, receivedAmount) };
+    // Too little arrived to cover the fee — nothing to pay, send it back
+    if (kind.proRataNGN <= 0) {
+      return { status: "failed", fields: { "meta.failureReason": "Deposit too small to cover the fee", "meta.requiresRefund": true, "meta.refundTokenAmount": receivedAmount }, resolution: { ...kind, action: "refund", payoutNGN: 0 } };
+    }
+    if (UNDERPAYMENT_POLICY === "hold") {
+      return { status: "held", fields: {}, resolution: { ...kind, action: "held", payoutNGN: null, holdExpiresAt: new Date(Date.now() + HOLD_TIMEOUT_HOURS * 3600 * 1000).toISOString() } };
+    }
+    return { status: "processing", fields: repricedFields(tx, receivedAmount), resolution: { ...kind, action: "prorata", payoutNGN: kind.proRataNGN } };
   }
 
-  log.info(`Found TX in DB — current status: ${c.bold}${tx.status}${c.reset}`);
+  const kind = { ...resolution, kind: "overpaid", policy: overpaymentPolicy };
+  if (overpaymentPolicy === "credit") {
+    const fields = repricedFields(tx, receivedAmount);
+    return { status: "processing", fields, resolution: { ...kind, action: "credit_excess", payoutNGN: fields.ngnAmount } };
+  }
+  return {
+    status: "processing",
+    fields: { "meta.requiresRefund": true, "meta.refundTokenAmount": round6(diff) },
+    resolution: { ...kind, action: "refund_excess", payoutNGN: tx.ngnAmount, excessTokenAmount: round6(diff) },
+  };
+}
 
-  if (["confirmed", "processing", "settling"].includes(tx.status)) {
-    log.warn(`Already in progress (status: ${tx.status}) — no action needed`);
-    return res.json({ success: true, message: "Already processing" });
+// ── Late deposits ────────────────────────────────────────────────────────────
+// Tokens for an order the sweeper already expired (services/offrampExpiryService.js).
+// Claimed once via meta.lateDeposit, so the job and the indexer can't both act.
+// A requote pays for the amount the TX verifiably sent to the deposit address
+// (looked up on-chain if the caller only reported it), and reserves NGN for
+// the new payout first — the order's reservation was freed when it expired.
+
+async function handleLateDeposit(tx, { stacksTxId, tokenAmount, verified = false }) {
+  const reference   = tx.paymentReference;
+  const lateDeposit = { stacksTxId, tokenAmount, verified, receivedAt: new Date().toISOString(), policy: LATE_DEPOSIT_POLICY };
+  const unclaimed   = { _id: tx._id, status: "expired", "meta.lateDeposit": { $exists: false } };
+
+  if (await txIdUsedElsewhere(tx, stacksTxId)) {
+    log.error(`TX ${stacksTxId} already paid another order — not taken as a late deposit for ${reference}`);
+    return { outcome: "tx_already_used", tx };
   }
 
-  tx.txId = stacksTxId;
-  tx.meta = { ...tx.meta, stacksTxId, notifiedAt: new Date().toISOString() };
-  await tx.save();
-  log.success(`TX ID saved to DB — starting background polling`);
+  divider("⌛ LATE DEPOSIT");
+  log.warn(`${tokenAmount} ${tx.token} arrived for expired order ${reference} — policy: ${LATE_DEPOSIT_POLICY}`);
 
-  res.json({
-    success: true,
-    message: "TX received. Monitoring confirmation and triggering NGN payout.",
-    data: { transactionReference, stacksTxId },
-  });
+  if (LATE_DEPOSIT_POLICY === "requote") {
+    let reserved = false;
+    try {
+      await assertTradingOpen();
+      if (!verified) {
+        const onChain = await fetchDepositedAmount(tx, stacksTxId);
+        if (!onChain) throw new Error(`TX ${stacksTxId} shows no ${tx.token} from ${tx.senderAddress} to ${tx.recipientAddress}`);
+        if (onChain !== tokenAmount) log.warn(`${reference}: ${tokenAmount} ${tx.token} reported, ${onChain} on-chain — using the on-chain amount`);
+        Object.assign(lateDeposit, { tokenAmount: onChain, verified: true, reportedTokenAmount: tokenAmount });
+      }
+      const amount = lateDeposit.tokenAmount;
+      const quote  = await calculateOfframpQuote(tx.token, amount);
+
+      // A reservation the expiry cron hasn't freed yet is replaced
+      await releaseReservation(reference, "expired");
+      const liquidity = await checkLiquidity(quote.ngnAmount, reference);
+      if (!liquidity.ok) throw new Error(liquidity.reason);
+      reserved = true;
+
+      const requoted = await Transaction.findOneAndUpdate(unclaimed, {
+        $set: {
+          status:                 "processing",
+          txId:                   stacksTxId,
+          tokenAmount:            amount,
+          ngnAmount:              quote.ngnAmount,
+          fiatAmount:             quote.ngnAmount,
+          netNGN:                 quote.ngnAmount,
+          rateAtTime:             quote.rateNGN,
+          "meta.stacksTxId":      stacksTxId,
+          "meta.tokenReceivedAt": new Date().toISOString(),
+          "meta.marketRateNGN":   quote.marketRateNGN,
+          "meta.midRateNGN":      quote.midRateNGN,
+          "meta.spreadBps":       quote.spreadBps,
+          "meta.grossNGN":        quote.grossNGN,
+          "meta.usdToNgn":        quote.usdToNgn,
+          "meta.quoteId":         null,
+          "meta.lateDeposit": {
+            ...lateDeposit,
+            resolution:          "requoted",
+            originalTokenAmount: tx.tokenAmount,
+            originalNGN:         tx.ngnAmount,
+            originalRateNGN:     tx.rateAtTime,
+            originalQuoteId:     tx.meta?.quoteId || null,
+          },
+        },
+      }, { new: true });
+      if (!requoted) {
+        await releaseReservation(reference, "abandoned");
+        return { outcome: "already_handled" };
+      }
 
-  pollAndSettle(tx, stacksTxId, transactionReference).catch((err) => {
-    log.error(`pollAndSettle crashed for ${transactionReference}: ${err.message}`);
-    log.error(err.stack);
-  });
+      log.success(`Requoted ${reference}: ₦${tx.ngnAmount.toLocaleString()} → ₦${quote.ngnAmount.toLocaleString()} @ ₦${quote.rateNGN}`);
+      await queuePayout(reference);
+      return { outcome: "requoted", tx: requoted };
+    } catch (err) {
+      log.warn(`Requote failed for ${reference}: ${err.message} — queueing for refund instead`);
+      if (reserved) await releaseReservation(reference, "abandoned");
+      lateDeposit.requoteError = err.message;
+    }
+  }
+
+  const flagged = await Transaction.findOneAndUpdate(unclaimed, {
+    $set: {
+      txId:                 stacksTxId,
+      "meta.stacksTxId":    stacksTxId,
+      "meta.lateDeposit":   { ...lateDeposit, resolution: "refund" },
+      "meta.requiresRefund": true,
+      "meta.refundTokenAmount": lateDeposit.tokenAmount,
+    },
+  }, { new: true });
+  if (!flagged) return { outcome: "already_handled" };
+
+  log.error(`REFUND REQUIRED — ${lateDeposit.tokenAmount} ${tx.token} from ${tx.senderAddress} (order ${reference}, TX ${stacksTxId})`);
+  return { outcome: "refund", tx: flagged };
 }
 
-async function pollAndSettle(tx, stacksTxId, reference) {
-  const MAX_ATTEMPTS    = 120;
-  const POLL_INTERVAL   = 5000;
-  const explorerBase    = "https://explorer.hiro.so/txid";
+/**
+ * A deposit for `reference` has landed on-chain. Pending orders go through
+ * the amount check and, unless held or refunded, get their payout queued;
+ * expired ones go through the late-deposit policy. Safe to call more than once.
+ */
+async function acceptDeposit(reference, stacksTxId, tokenAmount, meta = {}) {
+  let tx = await Transaction.findOne({ paymentReference: reference, direction: "offramp" });
+  if (!tx) return { outcome: "not_found" };
+
+  if (tx.status === "pending") {
+    if (await txIdUsedElsewhere(tx, stacksTxId)) {
+      log.error(`TX ${stacksTxId} already paid another order — not credited to ${reference}`);
+      return { outcome: "tx_already_used", tx };
+    }
 
-  divider("🔄 POLLING STACKS FOR TX CONFIRMATION");
-  plog.info(`Starting poll loop for ${c.bold}${reference}${c.reset}`);
-  box([
-    `${c.bold}Stacks TX  :${c.reset} ${stacksTxId}`,
-    `${c.bold}Max wait   :${c.reset} ${MAX_ATTEMPTS * POLL_INTERVAL / 1000}s (${MAX_ATTEMPTS} attempts × ${POLL_INTERVAL / 1000}s)`,
-    `${c.bold}API URL    :${c.reset} ${STACKS_API_URL}/extended/v1/tx/${stacksTxId}`,
-    `${c.bold}Explorer   :${c.reset} ${explorerBase}/${stacksTxId}`,
-  ]);
+    let { status, fields, resolution } = resolveDepositAmount(tx, tokenAmount);
+    // Crediting the excess pays out more than the order reserved — reserve
+    // the difference too, or refund the excess instead
+    if (resolution.action === "credit_excess") {
+      const liquidity = await checkLiquidity(resolution.payoutNGN - tx.ngnAmount, reference, { extend: true });
+      if (!liquidity.ok) {
+        log.warn(`Can't credit ${reference}'s excess (${liquidity.reason}) — refunding it instead`);
+        ({ status, fields, resolution } = resolveDepositAmount(tx, tokenAmount, "refund"));
+        resolution.creditRefused = liquidity.reason;
+      }
+    }
+    const received = await markTokensReceived(reference, stacksTxId, {
+      status,
+      fields,
+      meta: { ...meta, depositResolution: resolution },
+    });
+    if (received) {
+      const line = `Deposit ${resolution.kind} — ${tokenAmount}/${resolution.expectedTokenAmount} ${tx.token} → ${resolution.action}` +
+        (resolution.payoutNGN !== null ? ` (₦${resolution.payoutNGN.toLocaleString()})` : "");
+      resolution.kind === "exact" ? log.success(line) : log.warn(line);
+      if (status === "processing") await queuePayout(reference);
+      return { outcome: resolution.action, tx: received };
+    }
+    tx = await Transaction.findOne({ paymentReference: reference, direction: "offramp" });
+  }
+
+  if (tx?.status === "expired" && !tx.meta?.lateDeposit) {
+    return handleLateDeposit(tx, { stacksTxId, tokenAmount, verified: Boolean(meta.depositVerified) });
+  }
+  // Received but the payout may never have been queued (crash in between) — queueing is idempotent
+  if (tx?.status === "processing") await queuePayout(reference, tx.meta?.payoutReference);
+  return { outcome: "already_handled", tx };
+}
 
-  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
-    await new Promise((r) => setTimeout(r, POLL_INTERVAL));
+// ── Job: offramp.confirm_deposit ─────────────────────────────────────────────
+// One look at the user's broadcast TX per run; deferred until it settles
+// on-chain or the deadline passes.
 
-    plog.info(`Attempt ${c.bold}${attempt}/${MAX_ATTEMPTS}${c.reset} — querying Stacks API...`);
+async function confirmDepositJob(job) {
+  const { reference, stacksTxId, deadline } = job.payload;
+  const explorerBase = "https://explorer.hiro.so/txid";
 
-    try {
-      const apiUrl = `${STACKS_API_URL}/extended/v1/tx/${stacksTxId}`;
-      const res    = await axios.get(apiUrl, { timeout: 10000 });
-      const data   = res.data;
-
-      const statusColor = data.tx_status === "success" ? c.green
-        : data.tx_status === "pending"  ? c.yellow
-        : c.red;
-
-      plog.info(
-        `  tx_status = ${statusColor}${c.bold}${data.tx_status}${c.reset} | ` +
-        `block_height = ${data.block_height || "(mempool)"} | ` +
-        `burn_block_time = ${data.burn_block_time_iso || "N/A"}`
-      );
+  const tx = await Transaction.findOne({ paymentReference: reference, direction: "offramp" });
+  if (!tx) throw giveUp(`Transaction ${reference} not found`);
 
-      if (data.tx_status === "success") {
-        divider("✅ STACKS TX CONFIRMED");
-        plog.success(`TX confirmed on-chain at block ${data.block_height}`);
-        box([
-          `${c.bold}TX ID        :${c.reset} ${stacksTxId}`,
-          `${c.bold}Block        :${c.reset} ${data.block_height}`,
-          `${c.bold}Confirmed at :${c.reset} ${data.burn_block_time_iso || "N/A"}`,
-          `${c.bold}Attempt      :${c.reset} ${attempt} (${(attempt * POLL_INTERVAL / 1000)}s elapsed)`,
-        ]);
-
-        const freshTx = await Transaction.findOne({ paymentReference: reference });
-        plog.info(`Fresh DB status: ${c.bold}${freshTx?.status}${c.reset}`);
-
-        if (!freshTx) { plog.error(`TX disappeared from DB for reference ${reference}!`); return; }
-        if (["confirmed", "settling", "processing"].includes(freshTx.status)) {
-          plog.warn(`Already handled by indexer (status: ${freshTx.status}) — skipping`);
-          return;
-        }
-
-        let confirmedAmount = tx.tokenAmount;
-        plog.info(`Parsing blockchain events for amount verification...`);
-        try {
-          const events = data.events || [];
-          plog.info(`  Found ${events.length} event(s)`);
-          events.forEach((e, i) => plog.info(`  Event ${i}: type=${e.event_type} amount=${e.asset?.amount || "N/A"}`));
-          const ftEvent = events.find((e) => e.event_type === "fungible_token_asset" || e.event_type === "stx_asset");
-          if (ftEvent?.asset?.amount) {
-            confirmedAmount = parseInt(ftEvent.asset.amount) / 1_000_000;
-            plog.info(`  Confirmed amount from event: ${c.bold}${confirmedAmount}${c.reset}`);
-          } else {
-            plog.warn(`  No FT/STX event found — using stored amount: ${confirmedAmount}`);
-          }
-        } catch (parseErr) {
-          plog.warn(`  Event parsing error: ${parseErr.message} — using stored amount`);
-        }
-
-        plog.info(`Updating DB status → processing...`);
-        freshTx.status = "processing";
-        freshTx.txId   = stacksTxId;
-        freshTx.meta   = { ...freshTx.meta, stacksTxId, tokenReceivedAt: new Date().toISOString(), confirmedAttempt: attempt, confirmedAmount };
-        await freshTx.save();
-        plog.success(`DB updated to "processing"`);
-
-        plog.info(`Triggering Lenco NGN payout...`);
-        box([
-          `${c.bold}Amount NGN   :${c.reset} ${c.green}₦${freshTx.ngnAmount.toLocaleString()}${c.reset}`,
-          `${c.bold}To account   :${c.reset} ${freshTx.meta.accountNumber}`,
-          `${c.bold}Bank code    :${c.reset} ${freshTx.meta.bankCode}`,
-          `${c.bold}Account name :${c.reset} ${freshTx.meta.accountName}`,
-          `${c.bold}Reference    :${c.reset} ${reference}`,
-        ]);
-
-        try {
-          const lencoResult = await initiateLencoTransfer(freshTx.ngnAmount, freshTx.meta.accountNumber, freshTx.meta.bankCode, freshTx.meta.accountName, reference);
-          freshTx.status = "settling";
-          freshTx.meta   = { ...freshTx.meta, lencoTransferId: lencoResult.transferId, lencoReference: lencoResult.lencoReference, settlementInitiatedAt: new Date().toISOString() };
-          await freshTx.save();
-          divider("🎉 NGN PAYOUT INITIATED");
-          llog.success(`Lenco transfer created!\n  Lenco ID  : ${c.bold}${lencoResult.transferId}${c.reset}\n  Reference : ${lencoResult.lencoReference}\n  Status    : ${lencoResult.status}\n  Amount    : ${c.green}₦${freshTx.ngnAmount.toLocaleString()}${c.reset} → ${freshTx.meta.accountName}`);
-        } catch (lencoErr) {
-          divider("❌ LENCO TRANSFER FAILED");
-          llog.error(`Lenco payout failed for ${reference}: ${lencoErr.message}`);
-          llog.error(`CRITICAL — MANUAL ACTION REQUIRED:`);
-          box([
-            `${c.red}${c.bold}Stacks TX received but NGN NOT sent!${c.reset}`,
-            `${c.bold}Reference  :${c.reset} ${reference}`,
-            `${c.bold}Stacks TX  :${c.reset} ${stacksTxId}`,
-            `${c.bold}NGN amount :${c.reset} ₦${freshTx.ngnAmount}`,
-            `${c.bold}To account :${c.reset} ${freshTx.meta.accountNumber} (${freshTx.meta.bankName})`,
-            `${c.bold}To name    :${c.reset} ${freshTx.meta.accountName}`,
-          ]);
-          freshTx.status = "failed";
-          freshTx.meta   = { ...freshTx.meta, failureReason: `Lenco failed: ${lencoErr.message}`, requiresManualSettlement: true };
-          await freshTx.save();
-        }
-
-        return;
-      }
+  // Already received (by the indexer, or by this job before a crash) —
+  // make sure the payout is queued and stop
+  if (tx.status === "processing") {
+    await queuePayout(reference, tx.meta?.payoutReference);
+    return { outcome: "already_received" };
+  }
+  // Expired orders are still watched — a late deposit goes to handleLateDeposit
+  if (tx.status !== "pending" && !(tx.status === "expired" && !tx.meta?.lateDeposit)) {
+    plog.warn(`${reference} already handled (status: ${tx.status}) — skipping`);
+    return { outcome: "skipped", status: tx.status };
+  }
 
-      if (data.tx_status === "abort_by_response" || data.tx_status === "abort_by_post_condition") {
-        divider("🚫 STACKS TX ABORTED");
-        plog.error(`TX aborted — status: ${data.tx_status}`);
-        const failTx = await Transaction.findOne({ paymentReference: reference });
-        if (failTx) { failTx.status = "failed"; failTx.meta = { ...failTx.meta, failureReason: `Stacks TX aborted: ${data.tx_status}` }; await failTx.save(); }
-        return;
-      }
+  if (job.runs === 1) {
+    divider("🔄 POLLING STACKS FOR TX CONFIRMATION");
+    box([
+      `${c.bold}Reference  :${c.reset} ${reference}`,
+      `${c.bold}Stacks TX  :${c.reset} ${stacksTxId}`,
+      `${c.bold}Deadline   :${c.reset} ${deadline}`,
+      `${c.bold}API URL    :${c.reset} ${STACKS_API_URL}/extended/v1/tx/${stacksTxId}`,
+      `${c.bold}Explorer   :${c.reset} ${explorerBase}/${stacksTxId}`,
+    ]);
+  }
 
-      if (data.tx_status === "dropped_replace_by_fee" || data.tx_status === "dropped_too_expensive") {
-        plog.warn(`TX was dropped from mempool: ${data.tx_status}`);
-      }
+  plog.info(`Run ${c.bold}${job.runs}${c.reset} for ${reference} — querying Stacks API...`);
 
-      if (attempt % 6 === 0) {
-        plog.info(`Still waiting... ${c.dim}(${attempt * POLL_INTERVAL / 1000}s elapsed)${c.reset}`);
-        plog.info(`  Track on explorer: ${explorerBase}/${stacksTxId}`);
-      }
+  let data = null;
+  try {
+    const res = await axios.get(`${STACKS_API_URL}/extended/v1/tx/${stacksTxId}`, { timeout: 10000 });
+    data = res.data;
+
+    const statusColor = data.tx_status === "success" ? c.green
+      : data.tx_status === "pending"  ? c.yellow
+      : c.red;
+    plog.info(
+      `  tx_status = ${statusColor}${c.bold}${data.tx_status}${c.reset} | ` +
+      `block_height = ${data.block_height || "(mempool)"} | ` +
+      `burn_block_time = ${data.burn_block_time_iso || "N/A"}`
+    );
+  } catch (err) {
+    if (err.response?.status === 404) {
+      plog.warn(`  TX not found on API yet (404)`);
+    } else {
+      plog.warn(`  API error — ${err.message}`);
+    }
+  }
+
+  if (data?.tx_status === "success") {
+    divider("✅ STACKS TX CONFIRMED");
+    plog.success(`TX confirmed on-chain at block ${data.block_height} (run ${job.runs})`);
+
+    const confirmedAmount = depositedAmount(tx, data.events);
+    if (!confirmedAmount) {
+      plog.error(`  TX sent no ${tx.token} from ${tx.senderAddress} to ${tx.recipientAddress} — not a deposit for this order`);
+      await failIfPending(reference, `Stacks TX ${stacksTxId} has no ${tx.token} transfer from the order's sender to its deposit address`);
+      return { outcome: "no_deposit", blockHeight: data.block_height };
+    }
+    plog.info(`  Deposited to ${tx.recipientAddress}: ${c.bold}${confirmedAmount} ${tx.token}${c.reset}`);
+
+    const { outcome } = await acceptDeposit(reference, stacksTxId, confirmedAmount, { confirmedAmount, depositVerified: true, confirmedRuns: job.runs });
+    plog.info(`Deposit for ${reference}: ${outcome}`);
+    return { outcome, blockHeight: data.block_height, confirmedAmount };
+  }
+
+  if (data?.tx_status === "abort_by_response" || data?.tx_status === "abort_by_post_condition") {
+    divider("🚫 STACKS TX ABORTED");
+    plog.error(`TX aborted — status: ${data.tx_status}`);
+    await failIfPending(reference, `Stacks TX aborted: ${data.tx_status}`);
+    return { outcome: "aborted", txStatus: data.tx_status };
+  }
+
+  if (data?.tx_status === "dropped_replace_by_fee" || data?.tx_status === "dropped_too_expensive") {
+    plog.warn(`TX was dropped from mempool: ${data.tx_status}`);
+  }
+
+  if (Date.now() > new Date(deadline).getTime()) {
+    divider("⏰ POLL TIMEOUT");
+    plog.error(`Gave up on ${reference} after ${job.runs} check(s)`);
+    await failIfPending(reference, `Poll timeout — TX not confirmed within ${Math.round(CONFIRM_TIMEOUT_MS / 60000)} minutes`);
+    return { outcome: "timeout" };
+  }
+
+  if (job.runs % 6 === 0) plog.info(`Still waiting... track on explorer: ${explorerBase}/${stacksTxId}`);
+  throw defer(CONFIRM_POLL_MS, `tx_status ${data?.tx_status || "not found"}`);
+}
+
+// ── Job: offramp.payout ──────────────────────────────────────────────────────
+// processing → settling. The provider that was last tried is asked for the
+// transfer by reference before any retry, so a run that died after it
+// accepted the transfer can't pay twice. The reference is the order's, or
+// meta.payoutReference after a manual retry.
+//
+// The payout goes to the provider services/payoutProviders routes it to.
+// One that is down or short on balance is skipped; one that fails here is
+// only left for the next once it confirms it holds no transfer for the
+// reference. Each provider given up on is recorded in meta.payoutFailovers.
+
+async function payoutJob(job) {
+  const { reference } = job.payload;
+
+  const tx = await Transaction.findOne({ paymentReference: reference, direction: "offramp" });
+  if (!tx) throw giveUp(`Transaction ${reference} not found`);
+  if (tx.status !== "processing") {
+    paylog.warn(`${reference} not awaiting payout (status: ${tx.status}) — skipping`);
+    return { outcome: "skipped", status: tx.status };
+  }
+  const payoutReference = tx.meta?.payoutReference || reference;
+
+  let provider = null;
+  let result   = null;
+  if (tx.meta?.payoutAttemptedAt) {
+    provider = payoutProviderOf(tx);
+    paylog.warn(`Previous payout attempt for ${payoutReference} at ${tx.meta.payoutAttemptedAt} left no result — checking ${provider.label}`);
+    result = await provider.findTransfer(payoutReference);
+    if (result) paylog.success(`Found existing ${provider.label} transfer ${result.transferId} — not sending again`);
+  }
+
+  const tried = [];
+  let lastErr = null;
+  while (!result) {
+    provider = await nextProvider(tx.ngnAmount, { exclude: tried });
+    if (!provider) throw lastErr || new Error("No payout provider available — unconfigured or short on balance");
+    tried.push(provider.name);
+
+    const bankCode = await bankCodeFor(provider, tx.meta.bankCode);
+    if (bankCode === null) {
+      paylog.warn(`${provider.label} doesn't list ${tx.meta.bankName} (${tx.meta.bankCode}) — trying the next provider`);
+      lastErr = lastErr || new Error(`No available payout provider lists ${tx.meta.bankName} (${tx.meta.bankCode})`);
+      continue;
+    }
 
+    tx.meta = { ...tx.meta, payoutProvider: provider.name, payoutAttemptedAt: new Date().toISOString() };
+    await tx.save();
+
+    paylog.info(`Triggering ${provider.label} NGN payout...`);
+    box([
+      `${c.bold}Amount NGN   :${c.reset} ${c.green}₦${tx.ngnAmount.toLocaleString()}${c.reset}`,
+      `${c.bold}To account   :${c.reset} ${tx.meta.accountNumber}`,
+      `${c.bold}Bank code    :${c.reset} ${bankCode}`,
+      `${c.bold}Account name :${c.reset} ${tx.meta.accountName}`,
+      `${c.bold}Reference    :${c.reset} ${payoutReference}`,
+      `${c.bold}Provider     :${c.reset} ${provider.label}`,
+      `${c.bold}Attempt      :${c.reset} ${job.attempts}/${job.maxAttempts}`,
+    ]);
+
+    try {
+      result = await provider.initiateTransfer({
+        amountNGN:     tx.ngnAmount,
+        accountNumber: tx.meta.accountNumber,
+        bankCode,
+        accountName:   tx.meta.accountName,
+        reference:     payoutReference,
+      });
     } catch (err) {
-      if (err.response?.status === 404) {
-        plog.warn(`Attempt ${attempt}: TX not found on API yet (404) — retrying...`);
-      } else {
-        plog.warn(`Attempt ${attempt}: API error — ${err.message} — will retry`);
-      }
+      // The provider refused the request itself — retrying the same payload won't help
+      if (!err.insufficientFunds && !isOutage(err)) throw giveUp(err.message);
+
+      // A timeout can hide a transfer that went through — only move on once the provider says it has none
+      result = await provider.findTransfer(payoutReference);
+      if (result) break;
+
+      if (err.insufficientFunds) invalidateBalance(provider.name);
+      else markDown(provider, err);
+      paylog.warn(`${provider.label} payout failed (${err.message}) — failing over`);
+      lastErr = err;
+      tx.meta = {
+        ...tx.meta,
+        payoutAttemptedAt: null,
+        payoutFailovers:   [...(tx.meta.payoutFailovers || []), { provider: provider.name, error: err.message, at: new Date().toISOString() }],
+      };
+      await tx.save();
     }
   }
 
-  divider("⏰ POLL TIMEOUT");
-  plog.error(`Gave up after ${MAX_ATTEMPTS} attempts for ${reference}`);
-  const timeoutTx = await Transaction.findOne({ paymentReference: reference });
-  if (timeoutTx && timeoutTx.status === "pending") {
-    timeoutTx.status = "failed";
-    timeoutTx.meta   = { ...timeoutTx.meta, failureReason: "Poll timeout — TX not confirmed within 10 minutes" };
-    await timeoutTx.save();
+  tx.status = "settling";
+  tx.meta   = {
+    ...tx.meta,
+    payoutProvider:          provider.name,
+    payoutTransferId:        result.transferId,
+    payoutProviderReference: result.providerReference,
+    settlementInitiatedAt:   new Date().toISOString(),
+  };
+  await tx.save();
+  // So the next order sees the (lower) balance — which now carries this
+  // payout, so the order's reservation can go
+  invalidateBalance(provider.name);
+  await releaseReservation(reference, "settled").catch((err) => paylog.warn(`Couldn't release reservation for ${reference}: ${err.message}`));
+
+  divider("🎉 NGN PAYOUT INITIATED");
+  paylog.success(`${provider.label} transfer created!\n  Transfer  : ${c.bold}${result.transferId}${c.reset}\n  Reference : ${result.providerReference}\n  Status    : ${result.status}\n  Amount    : ${c.green}₦${tx.ngnAmount.toLocaleString()}${c.reset} → ${tx.meta.accountName}`);
+
+  // Some transfers (and every mock one) are final as soon as they are made
+  const state = provider.transferState(result.status);
+  if (state === "completed" || state === "failed") {
+    await applyPayoutOutcome(payoutReference, state, { reason: `${provider.label} status: ${result.status}`, source: "initiation" });
+  }
+  return { outcome: "initiated", provider: provider.name, transferId: result.transferId };
+}
+
+async function onPayoutDead(job, err) {
+  const { reference } = job.payload;
+  const tx = await Transaction.findOneAndUpdate(
+    { paymentReference: reference, direction: "offramp", status: "processing" },
+    { $set: { status: "failed", "meta.failureReason": `Payout failed: ${err.message}`, "meta.requiresManualSettlement": true } },
+    { new: true }
+  );
+  if (!tx) return;
+
+  divider("❌ NGN PAYOUT FAILED");
+  paylog.error(`Payout failed for ${reference}${tx.meta.payoutProvider ? ` (last tried: ${tx.meta.payoutProvider})` : ""}: ${err.message}`);
+  paylog.error(`CRITICAL — MANUAL ACTION REQUIRED:`);
+  box([
+    `${c.red}${c.bold}Stacks TX received but NGN NOT sent!${c.reset}`,
+    `${c.bold}Reference  :${c.reset} ${reference}`,
+    `${c.bold}Stacks TX  :${c.reset} ${tx.txId}`,
+    `${c.bold}NGN amount :${c.reset} ₦${tx.ngnAmount}`,
+    `${c.bold}To account :${c.reset} ${tx.meta.accountNumber} (${tx.meta.bankName})`,
+    `${c.bold}To name    :${c.reset} ${tx.meta.accountName}`,
+    `${c.bold}Job        :${c.reset} ${job._id} (${job.attempts} attempt(s))`,
+  ]);
+}
+
+registerHandler("offramp.confirm_deposit", confirmDepositJob);
+registerHandler("offramp.payout", payoutJob, { onDead: onPayoutDead });
+
+// ── Manual settlement retry ──────────────────────────────────────────────────
+// Used by the admin exceptions queue (controllers/adminController.js).
+
+function retryError(message, statusCode, code) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  err.code       = code;
+  return err;
+}
+
+/**
+ * Re-run the payout of a failed order flagged requiresManualSettlement under
+ * a fresh reference (<reference>-R<n>), routed afresh. Refused while the
+ * provider of the last attempt still has a live or completed transfer under
+ * the previous reference, or while the tokens are being (or were) refunded.
+ */
+async function retryPayout(reference, { operator, notes } = {}) {
+  const tx = await Transaction.findOne({ paymentReference: reference, direction: "offramp" });
+  if (!tx) throw retryError("Transaction not found", 404, "NOT_FOUND");
+  if (tx.status !== "failed" || !tx.meta?.requiresManualSettlement) {
+    throw retryError(`Order is ${tx.status} and not awaiting manual settlement`, 409, "NOT_AN_EXCEPTION");
+  }
+  if (tx.refund && !(tx.refund.status === "failed" && !tx.refund.outcomeUnknown)) {
+    throw retryError(`Tokens for this order are being refunded (refund ${tx.refund.status})`, 409, "REFUND_IN_PROGRESS");
+  }
+
+  const previousReference = tx.meta.payoutReference || reference;
+  if (tx.meta.payoutAttemptedAt || tx.meta.payoutTransferId || tx.meta.lencoTransferId) {
+    const provider = payoutProviderOf(tx);
+    const previous = await provider.findTransfer(previousReference);
+    if (previous && provider.transferState(previous.status) !== "failed") {
+      throw retryError(`${provider.label} transfer ${previous.transferId} (${previousReference}) is ${previous.status} — not paying again`, 409, "PAYOUT_EXISTS");
+    }
+  }
+
+  // The failed payout released the order's NGN — take it back (or keep it, if
+  // the reconciler hasn't released it yet) before paying again
+  const reserved = (await keepReservation(reference)) || (await checkLiquidity(tx.ngnAmount, reference)).ok;
+  if (!reserved) {
+    throw retryError(`Not enough unreserved NGN to pay ₦${tx.ngnAmount.toLocaleString()} right now — top up the payout provider, then retry`, 503, "INSUFFICIENT_LIQUIDITY");
+  }
+
+  const retries         = tx.meta.payoutRetries || 0;
+  const payoutReference = `${reference}-R${retries + 1}`;
+  const at              = new Date().toISOString();
+
+  const updated = await Transaction.findOneAndUpdate(
+    { _id: tx._id, status: "failed", "meta.requiresManualSettlement": true, "meta.payoutRetries": tx.meta.payoutRetries ?? null },
+    {
+      $set: {
+        status:                          "processing",
+        "meta.requiresManualSettlement": false,
+        "meta.payoutReference":          payoutReference,
+        "meta.payoutRetries":            retries + 1,
+        "meta.payoutAttemptedAt":        null,
+        "meta.payoutTransferId":         null,
+        "meta.payoutProviderReference":  null,
+        "meta.payoutStatus":             null,
+        "meta.previousFailureReason":    tx.meta.failureReason,
+        "meta.failureReason":            null,
+      },
+      $push: { "meta.manualActions": { action: "retry", operator, notes, payoutReference, previousReference, at } },
+    },
+    { new: true }
+  );
+  if (!updated) {
+    await releaseReservation(reference, "abandoned");
+    throw retryError("Order changed while the retry was being set up — try again", 409, "CONFLICT");
+  }
+
+  const job = await queuePayout(reference, payoutReference);
+  log.warn(`Manual payout retry for ${reference} by ${operator} — new reference ${payoutReference}, job ${job._id}`);
+  return { tx: updated, job };
+}
+
+// ── notifyTxBroadcast ─────────────────────────────────────────────────────────
+
+async function notifyTxBroadcast(req, res) {
+  const { transactionReference, stacksTxId } = req.body;
+
+  divider("📡 TX BROADCAST NOTIFICATION");
+  log.info("POST /notify-tx");
+  box([
+    `${c.bold}Reference :${c.reset} ${transactionReference}`,
+    `${c.bold}Stacks TX :${c.reset} ${stacksTxId}`,
+  ]);
+
+  if (!transactionReference || !stacksTxId) {
+    log.warn("Missing transactionReference or stacksTxId");
+    return res.status(400).json({ success: false, message: "transactionReference and stacksTxId required" });
+  }
+
+  try {
+    const tx = await Transaction.findOne({ paymentReference: transactionReference, direction: "offramp" });
+    if (!tx) {
+      log.error(`Transaction not found in DB for reference: ${transactionReference}`);
+      return res.status(404).json({ success: false, message: "Transaction not found" });
+    }
+
+    log.info(`Found TX in DB — current status: ${c.bold}${tx.status}${c.reset}`);
+
+    if (["confirmed", "processing", "settling", "held", "refunded"].includes(tx.status) || tx.meta?.lateDeposit) {
+      log.warn(`Already in progress (status: ${tx.status}) — no action needed`);
+      return res.json({ success: true, message: "Already processing" });
+    }
+    if (await txIdUsedElsewhere(tx, stacksTxId)) {
+      log.warn(`TX ${stacksTxId} is already attached to another order`);
+      return res.status(409).json({ success: false, message: "This TX has already been used for another order", code: "TX_ALREADY_USED" });
+    }
+    const expired = tx.status === "expired";
+    if (expired) log.warn(`Order expired at ${tx.expiredAt?.toISOString()} — deposit will be handled per late-deposit policy: ${LATE_DEPOSIT_POLICY}`);
+
+    tx.txId = stacksTxId;
+    tx.meta = { ...tx.meta, stacksTxId, notifiedAt: new Date().toISOString() };
+    await tx.save();
+
+    const job = await queueDepositConfirmation(transactionReference, stacksTxId);
+    log.success(`TX ID saved to DB — confirmation job ${job._id} queued`);
+
+    res.json({
+      success: true,
+      message: expired
+        ? (LATE_DEPOSIT_POLICY === "requote"
+          ? "TX received, but the order has expired. Once confirmed it will be paid at the current rate."
+          : "TX received, but the order has expired. Once confirmed the tokens will be refunded.")
+        : "TX received. Monitoring confirmation and triggering NGN payout.",
+      data: { transactionReference, stacksTxId, jobId: job._id, expired, lateDepositPolicy: expired ? LATE_DEPOSIT_POLICY : undefined },
+    });
+  } catch (err) {
+    // Another order claimed the same TX between the check and the save
+    if (err.code === 11000) {
+      return res.status(409).json({ success: false, message: "This TX has already been used for another order", code: "TX_ALREADY_USED" });
+    }
+    log.error(`notifyTxBroadcast error: ${err.message}`);
+    res.status(500).json({ success: false, message: err.message });
   }
 }
 
@@ -832,95 +1223,273 @@ async function confirmTokenReceipt(req, res) {
 
     log.info(`Found TX — status: ${c.bold}${tx.status}${c.reset}`);
 
-    if (tx.status === "confirmed" || tx.status === "processing") {
+    if (["confirmed", "settling", "held", "refunded"].includes(tx.status)) {
       log.warn(`Already processed (status: ${tx.status})`);
       return res.json({ success: true, message: "Already processed" });
     }
+    // Received but the payout may never have been queued (crash in between) — queueing is idempotent
+    if (tx.status === "processing") {
+      await queuePayout(transactionReference, tx.meta?.payoutReference);
+      log.warn(`Already processing — payout job ensured`);
+      return res.json({ success: true, message: "Already processed" });
+    }
+    if (tx.status === "expired") {
+      if (tx.meta?.lateDeposit) return res.json({ success: true, message: "Already processed" });
+      const late = await handleLateDeposit(tx, { stacksTxId, tokenAmount: parseFloat(tokenAmount) || tx.tokenAmount });
+      return res.json({
+        success: true,
+        message: late.outcome === "requoted" ? "Late deposit requoted. NGN settlement queued." : "Late deposit queued for refund.",
+        data: { transactionReference, stacksTxId, lateDeposit: late.tx?.meta?.lateDeposit, ngnAmount: late.tx?.ngnAmount },
+      });
+    }
     if (tx.status !== "pending") {
       log.warn(`Unexpected status "${tx.status}"`);
       return res.status(400).json({ success: false, message: `Cannot confirm — status is ${tx.status}` });
     }
 
-    const tolerance = tx.tokenAmount * 0.001;
-    const diff      = Math.abs(parseFloat(tokenAmount) - tx.tokenAmount);
-    if (diff > tolerance) {
-      log.warn(`Amount mismatch — expected ${tx.tokenAmount}, got ${tokenAmount}`);
-    } else {
-      log.success(`Amount verified — expected ${tx.tokenAmount}, got ${tokenAmount}`);
-    }
-
-    tx.status = "processing";
-    tx.txId   = stacksTxId;
-    tx.meta   = { ...tx.meta, stacksTxId, tokenReceivedAt: new Date().toISOString() };
-    await tx.save();
-    log.success(`DB updated to "processing"`);
+    // Amount check and under/over-payment policy live in acceptDeposit
+    const { outcome, tx: updated } = await acceptDeposit(transactionReference, stacksTxId, parseFloat(tokenAmount) || tx.tokenAmount);
+    const settling = updated?.status === "processing";
+    log.info(`Deposit outcome: ${c.bold}${outcome}${c.reset} — status ${updated?.status}`);
 
-    let lencoResult;
-    try {
-      lencoResult = await initiateLencoTransfer(tx.ngnAmount, tx.meta.accountNumber, tx.meta.bankCode, tx.meta.accountName, transactionReference);
-      tx.status = "settling";
-      tx.meta   = { ...tx.meta, lencoTransferId: lencoResult.transferId, settlementInitiatedAt: new Date().toISOString() };
-      await tx.save();
-      log.success(`DB updated to "settling" — Lenco transfer ID: ${lencoResult.transferId}`);
-    } catch (lencoErr) {
-      log.error(`Lenco transfer failed: ${lencoErr.message}`);
-      tx.status = "failed";
-      tx.meta   = { ...tx.meta, failureReason: `Lenco failed: ${lencoErr.message}`, requiresManualSettlement: true };
-      await tx.save();
-      return res.status(500).json({ success: false, message: "NGN settlement failed. Support notified." });
-    }
-
-    res.json({ success: true, message: "Tokens received. NGN settlement initiated.", data: { transactionReference, stacksTxId, tokenAmount: tx.tokenAmount, ngnAmount: tx.ngnAmount, lencoTransferId: lencoResult.transferId, estimatedSettlement: "30-60 seconds" } });
+    res.json({
+      success: true,
+      message: settling ? "Tokens received. NGN settlement queued." : `Tokens received. Order is ${updated?.status}.`,
+      data: {
+        transactionReference,
+        stacksTxId,
+        tokenAmount:       updated?.tokenAmount ?? tx.tokenAmount,
+        ngnAmount:         updated?.ngnAmount ?? tx.ngnAmount,
+        outcome,
+        depositResolution: updated?.meta?.depositResolution,
+        estimatedSettlement: settling ? "30-60 seconds" : undefined,
+      },
+    });
   } catch (err) {
     log.error(`confirmTokenReceipt error: ${err.message}`);
     res.status(500).json({ success: false, message: err.message });
   }
 }
 
-async function handleLencoWebhook(req, res) {
-  divider("🔔 LENCO WEBHOOK");
-  llog.info("POST /lenco-webhook");
+/**
+ * @desc    Resolve a held underpayment — take the pro-rata payout or a refund
+ * @route   POST /api/offramp/resolve-underpayment
+ * @access  Public — signed by the order's sender wallet (middleware/addressProof.js)
+ * @body    { transactionReference, stacksAddress, action: "accept" | "refund" }
+ */
+async function resolveUnderpayment(req, res) {
+  const { transactionReference, stacksAddress, action } = req.body;
+  log.info(`POST /resolve-underpayment — ${transactionReference} → ${action}`);
+
+  if (!transactionReference || !stacksAddress || !["accept", "refund"].includes(action)) {
+    return res.status(400).json({ success: false, message: "Required: transactionReference, stacksAddress, action (accept | refund)" });
+  }
+
+  try {
+    const tx = await Transaction.findOne({ paymentReference: transactionReference, direction: "offramp" });
+    // Same 404 for someone else's order so references can't be probed
+    if (!tx || tx.senderAddress !== stacksAddress) return res.status(404).json({ success: false, message: "Transaction not found" });
+    if (tx.status !== "held") {
+      return res.status(409).json({ success: false, message: `Order is ${tx.status}, not held`, code: "NOT_HELD" });
+    }
+
+    const received   = tx.meta.depositResolution.receivedTokenAmount;
+    const resolution = { ...tx.meta.depositResolution, resolvedAt: new Date().toISOString(), resolvedBy: "user" };
+    const set = action === "accept"
+      ? {
+        ...repricedFields(tx, received),
+        status: "processing",
+        "meta.depositResolution": { ...resolution, action: "prorata", payoutNGN: proRataNGN(tx, received) },
+      }
+      : {
+        status: "failed",
+        "meta.failureReason":     "Underpaid deposit — refund requested",
+        "meta.requiresRefund":    true,
+        "meta.refundTokenAmount": received,
+        "meta.depositResolution": { ...resolution, action: "refund", payoutNGN: 0 },
+      };
 
-  const payload   = req.body;
-  const signature = req.headers["x-lenco-signature"];
+    const updated = await Transaction.findOneAndUpdate({ _id: tx._id, status: "held" }, { $set: set }, { new: true });
+    if (!updated) return res.status(409).json({ success: false, message: "Order was resolved already", code: "NOT_HELD" });
 
-  llog.info(`Event: ${c.bold}${payload?.event}${c.reset} | Reference: ${payload?.data?.reference}`);
-  llog.data("Full webhook payload", payload);
+    if (action === "accept") await queuePayout(transactionReference);
+    log.success(`Underpayment on ${transactionReference} resolved by user: ${action}`);
 
-  if (!signature) { llog.error("Missing x-lenco-signature header"); return res.status(401).json({ success: false, message: "Missing signature" }); }
-  if (!verifyLencoSignature(payload, signature)) { llog.error("Invalid signature"); return res.status(401).json({ success: false, message: "Invalid signature" }); }
+    res.json({
+      success: true,
+      message: action === "accept" ? "Pro-rata payout queued." : "Refund requested.",
+      data: {
+        transactionReference,
+        status:            updated.status,
+        tokenAmount:       updated.tokenAmount,
+        ngnAmount:         updated.ngnAmount,
+        depositResolution: updated.meta.depositResolution,
+      },
+    });
+  } catch (err) {
+    log.error(`resolveUnderpayment error: ${err.message}`);
+    res.status(500).json({ success: false, message: err.message });
+  }
+}
 
-  llog.success("Signature verified");
+// ── Payout outcome ───────────────────────────────────────────────────────────
+// The one place an offramp leaves "settling" — fed by the provider webhooks,
+// by transfers that were final when made, and by reconcileSettlingPayouts
+// when the webhook never came.
+
+/**
+ * Apply a final provider result for `payoutReference`:
+ *   completed — → confirmed
+ *   failed    — failed / declined / reversed → failed + requiresManualSettlement
+ * After a manual retry the live payout is meta.payoutReference; results for
+ * the reference it replaced don't move the order.
+ *
+ * @returns {{ outcome: "confirmed" | "failed" | "already" | "superseded" | "not_found", tx? }}
+ */
+async function applyPayoutOutcome(payoutReference, result, { reason, source }) {
+  const tx = await Transaction.findOne({
+    direction: "offramp",
+    $or: [{ paymentReference: payoutReference }, { "meta.payoutReference": payoutReference }],
+  });
+  if (!tx) { paylog.warn(`No TX found for reference ${payoutReference}`); return { outcome: "not_found" }; }
 
-  const { event, data } = payload;
+  if ((tx.meta?.payoutReference || tx.paymentReference) !== payoutReference) {
+    if (result === "completed") {
+      paylog.error(`CRITICAL — superseded payout ${payoutReference} for ${tx.paymentReference} completed; current payout is ${tx.meta.payoutReference}. Possible double payout.`);
+      await Transaction.updateOne({ _id: tx._id }, { $set: { "meta.duplicatePayoutSuspected": payoutReference } });
+    } else {
+      paylog.warn(`${payoutReference} was replaced by ${tx.meta.payoutReference} — ignoring`);
+    }
+    return { outcome: "superseded", tx };
+  }
 
-  if (event === "transfer.completed") {
-    const tx = await Transaction.findOne({ paymentReference: data.reference, direction: "offramp" });
-    if (!tx) { llog.warn(`No TX found for reference ${data.reference}`); return res.json({ success: true, message: "Webhook received" }); }
-    if (tx.status === "confirmed") { llog.info("Already confirmed"); return res.json({ success: true, message: "Already confirmed" }); }
-    tx.status      = "confirmed";
-    tx.confirmedAt = new Date();
-    tx.meta        = { ...tx.meta, lencoStatus: "completed", lencoSettledAt: new Date().toISOString() };
-    await tx.save();
-    llog.success(`✅ OFFRAMP COMPLETE — ${tx.tokenAmount} ${tx.token} → ₦${tx.ngnAmount} → ${tx.meta.accountName}`);
+  if (result === "completed") {
+    const confirmed = await Transaction.findOneAndUpdate(
+      { _id: tx._id, status: { $nin: ["confirmed", "refunded"] } },
+      { $set: { status: "confirmed", confirmedAt: new Date(), "meta.payoutStatus": "completed", "meta.payoutSettledAt": new Date().toISOString(), "meta.settledVia": source } },
+      { new: true }
+    );
+    if (!confirmed) {
+      if (tx.status === "refunded") paylog.error(`CRITICAL — ${tx.paymentReference} was refunded but payout ${payoutReference} completed. Paid twice.`);
+      else paylog.info("Already confirmed");
+      return { outcome: "already", tx };
+    }
+    paylog.success(`✅ OFFRAMP COMPLETE — ${confirmed.tokenAmount} ${confirmed.token} → ₦${confirmed.ngnAmount} → ${confirmed.meta.accountName} (${source})`);
     // Refresh balance cache after confirmed payout
-    getLencoAccountBalance(true).catch(() => {});
-    return res.json({ success: true, message: "Transaction confirmed" });
+    getPayoutBalance(payoutProviderOf(confirmed), true).catch(() => {});
+    return { outcome: "confirmed", tx: confirmed };
   }
 
-  if (event === "transfer.failed" || event === "transfer.reversed") {
-    llog.error(`Transfer FAILED/REVERSED for ${data?.reference}`);
-    const tx = await Transaction.findOne({ paymentReference: data.reference, direction: "offramp" });
-    if (tx) {
-      tx.status = "failed";
-      tx.meta   = { ...tx.meta, lencoStatus: "failed", failureReason: data.reason || `Lenco event: ${event}`, requiresManualSettlement: true };
-      await tx.save();
+  // Reversals can follow a completion, so confirmed orders fail too
+  const failed = await Transaction.findOneAndUpdate(
+    { _id: tx._id, status: { $in: ["processing", "settling", "confirmed"] } },
+    { $set: { status: "failed", "meta.payoutStatus": "failed", "meta.failureReason": reason, "meta.requiresManualSettlement": true, "meta.settledVia": source } },
+    { new: true }
+  );
+  return failed ? { outcome: "failed", tx: failed } : { outcome: "already", tx };
+}
+
+// One handler per provider webhook (POST /api/offramp/<provider>-webhook).
+// The provider checks the signature and maps its events to a result.
+function payoutWebhook(providerName) {
+  const provider = getProvider(providerName);
+
+  return async function handlePayoutWebhook(req, res) {
+    divider(`🔔 ${provider.label.toUpperCase()} WEBHOOK`);
+    paylog.info(`POST /${provider.name}-webhook`);
+    paylog.data("Full webhook payload", req.body);
+
+    const parsed = provider.parseWebhook(req.headers, req.body);
+    if (parsed.error) { paylog.error(parsed.error); return res.status(401).json({ success: false, message: parsed.error }); }
+
+    paylog.success(`Signature verified — event: ${c.bold}${parsed.event}${c.reset} | Reference: ${parsed.reference}`);
+
+    try {
+      if (parsed.result === "completed") {
+        const { outcome } = await applyPayoutOutcome(parsed.reference, "completed", { source: "webhook" });
+        const messages = { not_found: "Webhook received", superseded: "Superseded payout recorded", already: "Already confirmed" };
+        return res.json({ success: true, message: messages[outcome] || "Transaction confirmed" });
+      }
+
+      if (parsed.result === "failed") {
+        paylog.error(`Transfer FAILED/REVERSED for ${parsed.reference}`);
+        const { outcome } = await applyPayoutOutcome(parsed.reference, "failed", { reason: parsed.reason, source: "webhook" });
+        return res.json({ success: true, message: outcome === "superseded" ? "Superseded payout — ignored" : "Failure recorded" });
+      }
+    } catch (err) {
+      paylog.error(`${provider.label} webhook error: ${err.message}`);
+      return res.status(500).json({ success: false, message: err.message });
+    }
+
+    paylog.info(`Unhandled event "${parsed.event}" — acknowledged`);
+    res.json({ success: true, message: `Event ${parsed.event} acknowledged` });
+  };
+}
+
+const handleLencoWebhook    = payoutWebhook("lenco");
+const handlePaystackWebhook = payoutWebhook("paystack");
+
+// ── Reconciliation ───────────────────────────────────────────────────────────
+// Safety net for missed webhooks: asks the provider about every order that
+// has been "settling" for PAYOUT_RECONCILE_AFTER_MINUTES and applies the same
+// outcome the webhook would have. Run from cron (index.js).
+
+/**
+ * @returns {{ checked, confirmed, failed, pending, unknown, errors }}
+ */
+async function reconcileSettlingPayouts(now = new Date()) {
+  const cutoff = new Date(now.getTime() - RECONCILE_AFTER_MINUTES * 60 * 1000);
+  const txs = await Transaction.find({
+    direction: "offramp",
+    status:    "settling",
+    $or: [
+      { "meta.settlementInitiatedAt": { $lte: cutoff.toISOString() } },
+      { "meta.settlementInitiatedAt": null, updatedAt: { $lte: cutoff } },
+    ],
+  }).sort({ updatedAt: 1 }).limit(RECONCILE_BATCH);
+
+  const summary = { checked: 0, confirmed: 0, failed: 0, pending: 0, unknown: 0, errors: 0 };
+  for (const tx of txs) {
+    const payoutReference = tx.meta?.payoutReference || tx.paymentReference;
+    const provider        = payoutProviderOf(tx);
+    summary.checked++;
+
+    let transfer;
+    try {
+      transfer = await provider.findTransfer(payoutReference);
+    } catch (err) {
+      summary.errors++;
+      continue;
+    }
+
+    const state = transfer ? provider.transferState(transfer.status) : "unknown";
+    await Transaction.updateOne(
+      { _id: tx._id },
+      { $set: { "meta.lastReconciledAt": now.toISOString(), "meta.payoutReconcileStatus": transfer?.status ?? "not_found" } }
+    );
+
+    if (state === "completed" || state === "failed") {
+      const { outcome } = await applyPayoutOutcome(payoutReference, state, { reason: `${provider.label} status: ${transfer.status} (reconciled)`, source: "reconciliation" });
+      if (outcome === "confirmed" || outcome === "failed") summary[outcome]++;
+    } else if (state === "pending") {
+      summary.pending++;
+    } else {
+      summary.unknown++;
+      await sendOpsAlert({
+        key:     `payout-reconcile:${payoutReference}`,
+        subject: `${provider.label} doesn't recognise payout ${payoutReference}`,
+        text:    [
+          `Order ${tx.paymentReference} has been settling since ${tx.meta?.settlementInitiatedAt || tx.updatedAt.toISOString()}.`,
+          transfer ? `${provider.label} returned status "${transfer.status}".` : `${provider.label} has no transfer with this reference.`,
+          `₦${tx.ngnAmount.toLocaleString()} → ${tx.meta?.accountName} (${tx.meta?.accountNumber}). Check the ${provider.label} dashboard.`,
+        ].join("\n"),
+        data: { transactionReference: tx.paymentReference, payoutReference, provider: provider.name, providerStatus: transfer?.status ?? null, transferId: tx.meta?.payoutTransferId ?? tx.meta?.lencoTransferId, ngnAmount: tx.ngnAmount },
+      });
     }
-    return res.json({ success: true, message: "Failure recorded" });
   }
 
-  llog.info(`Unhandled event "${event}" — acknowledged`);
-  res.json({ success: true, message: `Event ${event} acknowledged` });
+  if (summary.checked) paylog.info(`Reconciled ${summary.checked} settling payout(s): ${JSON.stringify(summary)}`);
+  return summary;
 }
 
 async function getOfframpStatus(req, res) {
@@ -928,8 +1497,8 @@ async function getOfframpStatus(req, res) {
   try {
     const tx = await Transaction.findOne({ paymentReference: req.params.reference, direction: "offramp" }).lean();
     if (!tx) return res.status(404).json({ success: false, message: "Transaction not found" });
-    const statusMessages = { pending: "Awaiting token deposit", processing: "Tokens received. Initiating NGN transfer.", settling: "NGN bank transfer in progress", confirmed: "NGN successfully sent to your bank account", failed: "Transaction failed" };
-    res.json({ success: true, data: { transactionId: tx._id, transactionReference: tx.paymentReference, token: tx.token, tokenAmount: tx.tokenAmount, ngnAmount: tx.ngnAmount, status: tx.status, statusMessage: statusMessages[tx.status] || tx.status, stacksTxId: tx.txId, lencoTransferId: tx.meta?.lencoTransferId, bank: { accountName: tx.meta?.accountName, accountNumber: tx.meta?.accountNumber, bankName: tx.meta?.bankName }, createdAt: tx.createdAt, confirmedAt: tx.confirmedAt, failureReason: tx.status === "failed" ? tx.meta?.failureReason : undefined } });
+    const statusMessages = { pending: "Awaiting token deposit", processing: "Tokens received. Initiating NGN transfer.", settling: "NGN bank transfer in progress", confirmed: "NGN successfully sent to your bank account", failed: "Transaction failed", held: "Deposit was short of the order — accept a pro-rata payout or request a refund", refunded: "Tokens returned to your wallet", expired: tx.meta?.requiresRefund ? "Deposit arrived after the order expired — queued for refund" : "Order expired before a deposit arrived" };
+    res.json({ success: true, data: { transactionId: tx._id, transactionReference: tx.paymentReference, token: tx.token, tokenAmount: tx.tokenAmount, ngnAmount: tx.ngnAmount, status: tx.status, statusMessage: statusMessages[tx.status] || tx.status, stacksTxId: tx.txId, payoutProvider: tx.meta?.payoutProvider, payoutTransferId: tx.meta?.payoutTransferId ?? tx.meta?.lencoTransferId, bank: { accountName: tx.meta?.accountName, accountNumber: tx.meta?.accountNumber, bankName: tx.meta?.bankName }, createdAt: tx.createdAt, expiresAt: tx.expiresAt || tx.meta?.expiresAt, expiredAt: tx.expiredAt, lateDeposit: tx.meta?.lateDeposit, depositResolution: tx.meta?.depositResolution, refund: tx.refund && { kind: tx.refund.kind, status: tx.refund.status, amount: tx.refund.amount, networkFee: tx.refund.networkFee, txId: tx.refund.txId, explorerUrl: tx.refund.explorerUrl, sentAt: tx.refund.sentAt }, confirmedAt: tx.confirmedAt, failureReason: tx.status === "failed" ? tx.meta?.failureReason : undefined } });
   } catch (err) {
     log.error(`getOfframpStatus error: ${err.message}`);
     res.status(500).json({ success: false, message: "Failed to fetch status" });
@@ -963,9 +1532,12 @@ module.exports = {
   initializeOfframp,
   notifyTxBroadcast,
   confirmTokenReceipt,
+  resolveUnderpayment,
+  retryPayout,            // admin exceptions queue
   handleLencoWebhook,
+  handlePaystackWebhook,
+  reconcileSettlingPayouts,
   getOfframpStatus,
   getOfframpHistory,
   getLiquidityInfo,       // ← new: expose to router as GET /api/offramp/liquidity
-  getLencoAccountBalance, // ← new: export for health checks / admin tooling
 };
\ No newline at end of file
@@ -3,7 +3,23 @@
 
 const crypto = require("crypto");
 const Transaction = require("../models/Transaction");
-const { getCurrentPrices } = require("../services/priceService");
+const { assertTradingOpen } = require("../services/marketStatusService");
+const {
+  calculateOnrampQuote,
+  calculateIndicativeRate,
+  getOnrampLimits,
+  consumeQuote,
+  releaseQuote,
+  getQuote,
+  quoteFromDoc,
+  ONRAMP_FLAT_FEE_NGN: FLAT_FEE_NGN,
+  ONRAMP_LIMITS,
+} = require("../services/quoteService");
+const { normalizeFiat, isSettlementCurrency, fiatSymbol, ENABLED_FIATS, DEFAULT_FIAT } = require("../config/currencies");
+const { isSupportedToken, tokenListMessage, listTokens } = require("../config/tokens");
+const { registerHandler, enqueue, giveUp } = require("../services/jobQueue");
+const { getReserved, reserveLiquidity, keepReservation, releaseReservation } = require("../services/liquidityReservationService");
+const { minBalance, getHotWalletBalances, invalidateHotWalletBalances } = require("../services/hotWalletService");
 const logger = require("../config/logger");
 
 // ── Config ──────────────────────────────────────────────────────
@@ -17,15 +33,15 @@ const MONNIFY_ALLOWED_IPS = process.env.MONNIFY_IPS
   ? process.env.MONNIFY_IPS.split(",").map((ip) => ip.trim()).filter(Boolean)
   : [];
 
+// An order not paid within this is expired, and its reserved tokens freed
+const PAYMENT_WINDOW_MINUTES = parseInt(process.env.ONRAMP_PAYMENT_WINDOW_MINUTES || "60", 10);
+
 // Transaction limits (NGN)
-const MIN_AMOUNT_NGN = 1_000;
-const MAX_AMOUNT_NGN = 2_000_000;
-const DAILY_LIMIT_NGN = 10_000_000;
+const { minNGN: MIN_AMOUNT_NGN, maxNGN: MAX_AMOUNT_NGN, dailyNGN: DAILY_LIMIT_NGN } = ONRAMP_LIMITS;
 
 // ── Fee model ────────────────────────────────────────────────────
-// Flat ₦100 added on top of the user's requested amount.
+// Flat ₦100 added on top of the user's requested amount (see quoteService).
 // User pays: amountNGN + ₦100 → receives tokens equivalent to amountNGN at onramp rate.
-const FLAT_FEE_NGN = parseFloat(process.env.ONRAMP_FLAT_FEE_NGN || "100");
 
 // ── Helpers ─────────────────────────────────────────────────────
 
@@ -79,40 +95,6 @@ function checkMonnifyIP(req) {
   return { allowed, ip };
 }
 
-/**
- * Calculate onramp quote for a given NGN token-purchase amount.
- *
- * Fee model (flat ₦100):
- *   • User specifies amountNGN — the NGN value of tokens they want.
- *   • A flat ₦100 service fee is added ON TOP.
- *   • Monnify charges: amountNGN + ₦100
- *   • Tokens delivered = amountNGN ÷ marketRate  (full amountNGN used, fee is separate)
- *
- * Example — ₦50,000 of STX at ₦2,500/STX:
- *   totalPayable = ₦50,100   (₦50,000 + ₦100 flat fee)
- *   tokenAmount  = 50,000 / 2,500 = 20 STX
- */
-async function calculateOnrampQuote(token, amountNGN) {
-  const prices = await getCurrentPrices();
-  const tokenData = prices[token.toUpperCase()];
-  if (!tokenData) throw new Error(`Unsupported token: ${token}`);
-
-  const marketRateNGN   = tokenData.priceNGN;
-  const tokenAmount     = amountNGN / marketRateNGN;
-  const totalPayableNGN = amountNGN + FLAT_FEE_NGN;
-
-  return {
-    token:            token.toUpperCase(),
-    marketRateNGN:    parseFloat(marketRateNGN.toFixed(2)),
-    flatFeeNGN:       FLAT_FEE_NGN,
-    tokenAmount:      parseFloat(tokenAmount.toFixed(6)),
-    amountNGN:        parseFloat(amountNGN.toFixed(2)),
-    totalPayableNGN:  parseFloat(totalPayableNGN.toFixed(2)),
-    priceUSD:         tokenData.priceUSD,
-    usdToNgn:         tokenData.usdToNgn,
-  };
-}
-
 /**
  * Check if address has exceeded daily onramp limit
  */
@@ -136,6 +118,51 @@ async function checkDailyLimit(senderAddress, newAmount) {
   return usedToday + newAmount <= DAILY_LIMIT_NGN;
 }
 
+// ── Token liquidity: can the hot wallet deliver this order? ──────
+// Mirrors the offramp NGN check. An accepted order holds a reservation for
+// its tokenAmount under `reference` (services/liquidityReservationService.js)
+// until the tokens are delivered or the order ends without them — unpaid
+// orders expire after ONRAMP_PAYMENT_WINDOW_MINUTES
+// (services/offrampExpiryService.js). A payment that lands after that has to
+// reserve again before anything is delivered.
+
+// Hot wallet balance of `token` less its buffer and what open orders have
+// reserved; balance is null when it can't be read
+async function tokenLiquidity(token) {
+  const balances = await getHotWalletBalances();
+  const { reserved, count } = await getReserved(token);
+  if (!balances) return { balance: null, capacity: null, reserved, reservations: count, free: null };
+
+  const capacity = Math.max(0, balances[token] - minBalance(token));
+  return { balance: balances[token], capacity, reserved, reservations: count, free: Math.max(0, capacity - reserved) };
+}
+
+/** Returns { ok: true } or { ok: false, reason, maxTokenAmount }. */
+async function checkTokenLiquidity(token, tokenAmount, reference) {
+  const { balance, capacity } = await tokenLiquidity(token);
+  if (balance === null) {
+    // Can't read the hot wallet — fail safe: reject the order
+    logger.warn(`Hot wallet balance unknown — rejecting ${token} onramp as precaution`);
+    return { ok: false, reason: "Unable to verify liquidity at this time. Please try again in a moment.", maxTokenAmount: null };
+  }
+
+  const reservation = await reserveLiquidity(reference, tokenAmount, capacity, { asset: token });
+  if (reservation.ok) {
+    logger.info(`Token liquidity OK — ${tokenAmount} ${token} reserved, ${reservation.free} ${token} left unreserved`);
+    return { ok: true };
+  }
+
+  logger.warn(
+    `Insufficient ${token} liquidity: balance ${balance}, buffer ${minBalance(token)}, ` +
+    `reserved ${reservation.reserved}, order needs ${tokenAmount}`
+  );
+  return {
+    ok: false,
+    reason: "Insufficient liquidity to process this order right now. Please try a smaller amount or come back shortly.",
+    maxTokenAmount: reservation.free,
+  };
+}
+
 // ── Controllers ─────────────────────────────────────────────────
 
 /**
@@ -145,44 +172,46 @@ async function checkDailyLimit(senderAddress, newAmount) {
  */
 async function getOnrampRate(req, res) {
   try {
-    const { token = "STX", amountNGN } = req.query;
+    const { token = "STX", currency } = req.query;
+    // `amount` is in `currency`; `amountNGN` is the original NGN-only parameter
+    const rawAmount = req.query.amount ?? req.query.amountNGN;
 
-    if (!["STX", "USDC"].includes(token.toUpperCase())) {
-      return res.status(400).json({ success: false, message: "token must be STX or USDC" });
+    if (!isSupportedToken(token, "onramp")) {
+      return res.status(400).json({ success: false, message: tokenListMessage("onramp") });
+    }
+
+    const fiatCurrency = normalizeFiat(currency);
+    if (!fiatCurrency) {
+      return res.status(400).json({ success: false, message: `currency must be one of ${ENABLED_FIATS.join(", ")}`, code: "UNSUPPORTED_CURRENCY" });
     }
 
     let quote;
-    if (amountNGN) {
-      const parsed = parseFloat(amountNGN);
+    if (rawAmount) {
+      const parsed = parseFloat(rawAmount);
       if (isNaN(parsed) || parsed <= 0) {
-        return res.status(400).json({ success: false, message: "Invalid amountNGN" });
+        return res.status(400).json({ success: false, message: "Invalid amount" });
       }
-      quote = await calculateOnrampQuote(token, parsed);
+      quote = await calculateOnrampQuote(token, parsed, fiatCurrency);
     } else {
       // Return rate info without amount-specific calculation
-      const prices = await getCurrentPrices();
-      const tokenData = prices[token.toUpperCase()];
-      quote = {
-        token:          token.toUpperCase(),
-        marketRateNGN:  parseFloat(tokenData.priceNGN.toFixed(2)),
-        flatFeeNGN:     FLAT_FEE_NGN,
-        feeNote:        `₦${FLAT_FEE_NGN} flat fee added to every transaction`,
-        priceUSD:       tokenData.priceUSD,
-        usdToNgn:       tokenData.usdToNgn,
-      };
+      quote = await calculateIndicativeRate(token, "onramp", fiatCurrency);
+      quote.feeNote = `${fiatSymbol(fiatCurrency)}${quote.flatFee} flat fee added to every transaction`;
     }
 
     res.json({
       success: true,
       data: {
         ...quote,
-        limits: { min: MIN_AMOUNT_NGN, max: MAX_AMOUNT_NGN, daily: DAILY_LIMIT_NGN },
+        limits: fiatCurrency === DEFAULT_FIAT
+          ? { min: MIN_AMOUNT_NGN, max: MAX_AMOUNT_NGN, daily: DAILY_LIMIT_NGN }
+          : await getOnrampLimits(token, fiatCurrency),
+        settlementSupported: isSettlementCurrency(fiatCurrency),
         fetchedAt: new Date().toISOString(),
       },
     });
   } catch (err) {
     logger.error(`getOnrampRate error: ${err.message}`);
-    res.status(500).json({ success: false, message: err.message });
+    res.status(err.statusCode || 500).json({ success: false, message: err.message, code: err.code });
   }
 }
 
@@ -190,23 +219,49 @@ async function getOnrampRate(req, res) {
  * @desc    Initialize onramp — create transaction + return Monnify config
  * @route   POST /api/onramp/initialize
  * @access  Private
- * @body    { token, amountNGN, stacksAddress, customerEmail, customerPhone? }
+ * @body    { token, amountNGN, stacksAddress, customerEmail, customerPhone?, quoteId? }
+ *          With quoteId, token/amountNGN default to the quote's and the quoted rate is honored exactly.
  */
 async function initializeOnramp(req, res) {
   try {
-    const { token, amountNGN, stacksAddress, customerEmail, customerPhone } = req.body;
+    const { stacksAddress, customerEmail, customerPhone, quoteId } = req.body;
+    let { token, amountNGN } = req.body;
+
+    // Monnify collects NGN only — other currencies are quote-only for now
+    const fiatCurrency = normalizeFiat(req.body.fiatCurrency);
+    if (!fiatCurrency || !isSettlementCurrency(fiatCurrency)) {
+      return res.status(400).json({
+        success: false,
+        message: `Onramp payments can only be made in ${DEFAULT_FIAT} (got ${req.body.fiatCurrency})`,
+        code: "UNSUPPORTED_SETTLEMENT_CURRENCY",
+      });
+    }
+
+    // ── Locked quote (optional) ────────────────────────────────
+    if (quoteId) {
+      const locked = await getQuote(quoteId);
+      if ((token && token.toUpperCase() !== locked.token) || (amountNGN && parseFloat(amountNGN) !== locked.amountNGN)) {
+        return res.status(400).json({
+          success: false,
+          message: `Quote ${quoteId} is for ₦${locked.amountNGN} of ${locked.token}`,
+          code: "QUOTE_MISMATCH",
+        });
+      }
+      token     = locked.token;
+      amountNGN = locked.amountNGN;
+    }
 
     // ── Validate inputs ────────────────────────────────────────
     if (!token || !amountNGN || !stacksAddress || !customerEmail) {
       return res.status(400).json({
         success: false,
-        message: "Missing required fields: token, amountNGN, stacksAddress, customerEmail",
+        message: "Missing required fields: token, amountNGN (or quoteId), stacksAddress, customerEmail",
       });
     }
 
     const upperToken = token.toUpperCase();
-    if (!["STX", "USDC"].includes(upperToken)) {
-      return res.status(400).json({ success: false, message: "token must be STX or USDC" });
+    if (!isSupportedToken(upperToken, "onramp")) {
+      return res.status(400).json({ success: false, message: tokenListMessage("onramp") });
     }
 
     const amount = parseFloat(amountNGN);
@@ -225,6 +280,9 @@ async function initializeOnramp(req, res) {
       return res.status(400).json({ success: false, message: "Invalid Stacks wallet address" });
     }
 
+    // ── Market status — refuses with TRADING_HALTED ─────────────
+    await assertTradingOpen();
+
     // ── Daily limit ────────────────────────────────────────────
     const withinLimit = await checkDailyLimit(stacksAddress, amount);
     if (!withinLimit) {
@@ -235,38 +293,78 @@ async function initializeOnramp(req, res) {
     }
 
     // ── Quote calculation ──────────────────────────────────────
-    const quote = await calculateOnrampQuote(upperToken, amount);
+    // A locked quote is claimed atomically — it throws QUOTE_EXPIRED / QUOTE_USED
+    const quote = quoteId
+      ? quoteFromDoc(await consumeQuote(quoteId, { direction: "onramp", token: upperToken }))
+      : await calculateOnrampQuote(upperToken, amount);
 
     // ── Generate payment reference ─────────────────────────────
     const timestamp = Date.now();
     const randomSuffix = crypto.randomBytes(4).toString("hex").toUpperCase();
     const paymentReference = `SSWAP_ONRAMP_${timestamp}_${randomSuffix}`;
 
+    // ── Token liquidity — reserves quote.tokenAmount ───────────
+    let liquidity;
+    try {
+      liquidity = await checkTokenLiquidity(upperToken, quote.tokenAmount, paymentReference);
+    } catch (err) {
+      // The order was never placed — the user keeps their quote
+      if (quoteId) await releaseQuote(quoteId);
+      throw err;
+    }
+    if (!liquidity.ok) {
+      if (quoteId) await releaseQuote(quoteId);
+      return res.status(503).json({
+        success: false,
+        message: liquidity.reason,
+        code: "INSUFFICIENT_TOKEN_LIQUIDITY",
+        data: {
+          requiredTokenAmount: quote.tokenAmount,
+          // Only the largest order that fits, never the hot wallet balance
+          maxTokenAmount: liquidity.maxTokenAmount,
+          maxAmountNGN:   liquidity.maxTokenAmount === null ? null : Math.floor(liquidity.maxTokenAmount * quote.rateNGN),
+        },
+      });
+    }
+
     // ── Create pending transaction ─────────────────────────────
-    const tx = await Transaction.create({
-      token:            upperToken,
-      type:             "buy",
-      direction:        "onramp",
-      tokenAmount:      quote.tokenAmount,
-      ngnAmount:        amount,                    // NGN value of tokens (excl. fee)
-      feeNGN:           FLAT_FEE_NGN,              // flat ₦100 fee
-      netNGN:           amount,                    // full amount goes toward buying tokens
-      rateAtTime:       quote.marketRateNGN,
-      senderAddress:    stacksAddress,
-      recipientAddress: stacksAddress,             // user receives tokens into their own wallet
-      paymentReference,
-      monnifyReference: "",
-      customerEmail,
-      status: "pending",
-      meta: {
-        marketRateNGN:   quote.marketRateNGN,
-        totalPayableNGN: quote.totalPayableNGN,
-        flatFeeNGN:      FLAT_FEE_NGN,
-        usdToNgn:        quote.usdToNgn,
-        priceUSD:        quote.priceUSD,
-        paymentMethod:   "monnify",
-      },
-    });
+    let tx;
+    try {
+      tx = await Transaction.create({
+        token:            upperToken,
+        type:             "buy",
+        direction:        "onramp",
+        tokenAmount:      quote.tokenAmount,
+        ngnAmount:        amount,                    // NGN value of tokens (excl. fee)
+        fiatCurrency,
+        fiatAmount:       amount,
+        feeNGN:           quote.flatFeeNGN,          // flat ₦100 fee
+        netNGN:           amount,                    // full amount goes toward buying tokens
+        rateAtTime:       quote.rateNGN,               // ask rate actually charged
+        senderAddress:    stacksAddress,
+        recipientAddress: stacksAddress,             // user receives tokens into their own wallet
+        paymentReference,
+        monnifyReference: "",
+        customerEmail,
+        status: "pending",
+        expiresAt:        new Date(Date.now() + PAYMENT_WINDOW_MINUTES * 60 * 1000),
+        meta: {
+          marketRateNGN:   quote.marketRateNGN,
+          midRateNGN:      quote.midRateNGN,
+          spreadBps:       quote.spreadBps,
+          totalPayableNGN: quote.totalPayableNGN,
+          flatFeeNGN:      FLAT_FEE_NGN,
+          usdToNgn:        quote.usdToNgn,
+          priceUSD:        quote.priceUSD,
+          paymentMethod:   "monnify",
+          quoteId:         quote.quoteId || null,
+        },
+      });
+    } catch (err) {
+      if (quoteId) await releaseQuote(quoteId);
+      await releaseReservation(paymentReference, "abandoned");
+      throw err;
+    }
 
     logger.info(`Onramp initialized: ${paymentReference} | ${upperToken} | ₦${amount} | ${stacksAddress}`);
 
@@ -276,18 +374,24 @@ async function initializeOnramp(req, res) {
       data: {
         transactionId: tx._id,
         paymentReference,
+        quoteId: quote.quoteId || null,
         token: upperToken,
+        fiatCurrency,
         amountNGN: amount,
         flatFeeNGN: FLAT_FEE_NGN,
         totalPayableNGN: quote.totalPayableNGN,
         tokenAmount: quote.tokenAmount,
         marketRateNGN: quote.marketRateNGN,
+        midRateNGN: quote.midRateNGN,
+        spreadBps: quote.spreadBps,
+        rateNGN: quote.rateNGN,
         stacksAddress,
+        expiresAt: tx.expiresAt,
         breakdown: {
           youPay:     `₦${amount.toLocaleString()} + ₦${FLAT_FEE_NGN} flat fee = ₦${quote.totalPayableNGN.toLocaleString()} total`,
           fee:        `₦${FLAT_FEE_NGN} flat service fee`,
           youReceive: `${quote.tokenAmount.toFixed(6)} ${upperToken}`,
-          rate:       `₦${quote.marketRateNGN.toFixed(2)} per ${upperToken} (live market rate)`,
+          rate:       `₦${quote.rateNGN.toFixed(2)} per ${upperToken} (₦${quote.midRateNGN.toFixed(2)} mid + ${quote.spreadBps} bps spread)`,
         },
         // Monnify SDK config — pass this directly to @monnify/monnify-js on the frontend
         monnifyConfig: {
@@ -313,7 +417,7 @@ async function initializeOnramp(req, res) {
     });
   } catch (err) {
     logger.error(`initializeOnramp error: ${err.message}`);
-    res.status(500).json({ success: false, message: err.message });
+    res.status(err.statusCode || 500).json({ success: false, message: err.message, code: err.code });
   }
 }
 
@@ -366,94 +470,267 @@ async function handleMonnifyWebhook(req, res) {
     return res.status(400).json({ success: false, message: "Incomplete webhook payload" });
   }
 
-  // ── Step 4: Find transaction ────────────────────────────────────
-  let tx = await Transaction.findOne({ paymentReference });
-  if (!tx && metaData?.paymentReference) {
-    tx = await Transaction.findOne({ paymentReference: metaData.paymentReference });
-  }
-  if (!tx) {
-    logger.warn(`Transaction not found for paymentReference: ${paymentReference}`);
-    return res.status(404).json({ success: false, message: "Transaction not found" });
-  }
-
-  // ── Step 5: Idempotency ─────────────────────────────────────────
-  if (tx.status === "confirmed") {
-    logger.info(`Transaction ${tx._id} already confirmed — idempotent response`);
-    return res.json({ success: true, message: "Already processed" });
-  }
-
-  // ── Step 6: Update monnify reference ───────────────────────────
-  tx.monnifyReference = monnifyRef;
-  tx.paymentMethod = paymentMethod;
-  tx.paidAt = paidOn ? new Date(paidOn) : new Date();
+  // Everything from here reads or writes the database — an error is answered
+  // with a 500 so Monnify retries the webhook
+  try {
+    // ── Step 4: Find transaction ────────────────────────────────────
+    let tx = await Transaction.findOne({ paymentReference });
+    if (!tx && metaData?.paymentReference) {
+      tx = await Transaction.findOne({ paymentReference: metaData.paymentReference });
+    }
+    if (!tx) {
+      logger.warn(`Transaction not found for paymentReference: ${paymentReference}`);
+      return res.status(404).json({ success: false, message: "Transaction not found" });
+    }
 
-  // ── Step 7: Handle non-payment statuses ────────────────────────
-  if (paymentStatus !== "PAID") {
-    tx.status = paymentStatus === "USER_CANCELLED" ? "failed" : "failed";
-    tx.meta = { ...tx.meta, failureReason: `Monnify status: ${paymentStatus}` };
-    await tx.save();
-    logger.warn(`Transaction ${tx._id} marked failed — payment status: ${paymentStatus}`);
-    return res.json({ success: true, message: `Payment ${paymentStatus.toLowerCase()}` });
-  }
+    // ── Step 5: Idempotency ─────────────────────────────────────────
+    if (tx.status === "confirmed" || tx.meta?.requiresManualCredit) {
+      logger.info(`Transaction ${tx._id} already ${tx.status} — idempotent response`);
+      return res.json({ success: true, message: "Already processed" });
+    }
+    // Paid but delivery may never have been queued (crash in between) — queueing is idempotent
+    if (tx.status === "processing") {
+      await queueDelivery(tx.paymentReference, tx.meta?.deliveryReference);
+      logger.info(`Transaction ${tx._id} already processing — delivery job ensured`);
+      return res.json({ success: true, message: "Already processing" });
+    }
 
-  // ── Step 8: Amount verification ────────────────────────────────
-  // Monnify should have charged amountNGN + ₦100 flat fee = totalPayableNGN
-  const expectedNGN = tx.ngnAmount + (tx.feeNGN || 100); // ngnAmount + flat fee
-  const tolerance = 1; // ₦1 tolerance for rounding
-  if (Math.abs(amountPaid - expectedNGN) > tolerance) {
-    logger.error(`Amount mismatch! Expected ₦${expectedNGN} (₦${tx.ngnAmount} + ₦${tx.feeNGN} fee), paid ₦${amountPaid}`);
-    tx.status = "failed";
-    tx.meta = { ...tx.meta, failureReason: `Amount mismatch: expected ₦${expectedNGN}, received ₦${amountPaid}` };
-    await tx.save();
-    return res.status(400).json({ success: false, message: "Amount mismatch" });
-  }
+    // ── Step 6: Update monnify reference ───────────────────────────
+    tx.monnifyReference = monnifyRef;
+    tx.paymentMethod = paymentMethod;
+    tx.paidAt = paidOn ? new Date(paidOn) : new Date();
+
+    // ── Step 7: Handle non-payment statuses ────────────────────────
+    if (paymentStatus !== "PAID") {
+      tx.status = paymentStatus === "USER_CANCELLED" ? "failed" : "failed";
+      tx.meta = { ...tx.meta, failureReason: `Monnify status: ${paymentStatus}` };
+      await tx.save();
+      logger.warn(`Transaction ${tx._id} marked failed — payment status: ${paymentStatus}`);
+      return res.json({ success: true, message: `Payment ${paymentStatus.toLowerCase()}` });
+    }
 
-  // ── Step 9: Credit tokens to Stacks wallet ─────────────────────
-  tx.status = "processing";
-  await tx.save();
+    // ── Step 8: Amount verification ────────────────────────────────
+    // Monnify should have charged amountNGN + ₦100 flat fee = totalPayableNGN
+    const expectedNGN = tx.ngnAmount + (tx.feeNGN || 100); // ngnAmount + flat fee
+    const tolerance = 1; // ₦1 tolerance for rounding
+    if (Math.abs(amountPaid - expectedNGN) > tolerance) {
+      logger.error(`Amount mismatch! Expected ₦${expectedNGN} (₦${tx.ngnAmount} + ₦${tx.feeNGN} fee), paid ₦${amountPaid}`);
+      tx.status = "failed";
+      tx.meta = { ...tx.meta, failureReason: `Amount mismatch: expected ₦${expectedNGN}, received ₦${amountPaid}` };
+      await tx.save();
+      return res.status(400).json({ success: false, message: "Amount mismatch" });
+    }
 
-  try {
-    const stacksTransferService = require("../services/stacksTransferService");
-    const result = await stacksTransferService.sendTokens({
-      token: tx.token,
-      amount: tx.tokenAmount,
-      recipientAddress: tx.recipientAddress,
-      memo: `StackSwap onramp ${tx.paymentReference}`,
-    });
+    // ── Step 9: Paid after expiry — keep its reservation, or reserve again ──
+    // Nothing is released first, so an error here leaves the order as it
+    // was and Monnify's retry tries again
+    if (tx.status === "expired") {
+      const liquidity = (await keepReservation(tx.paymentReference))
+        ? { ok: true }
+        : await checkTokenLiquidity(tx.token, tx.tokenAmount, tx.paymentReference);
+      if (!liquidity.ok) {
+        tx.status = "failed";
+        tx.meta = {
+          ...tx.meta,
+          failureReason: `Paid after expiry; hot wallet can't cover ${tx.tokenAmount} ${tx.token} right now`,
+          requiresManualCredit: true,
+        };
+        await tx.save();
+        logger.error(`Late payment for expired ${tx.paymentReference} can't be filled — left for manual credit`);
+        return res.json({ success: true, message: "Payment received after the order expired — it will be reviewed" });
+      }
+      logger.warn(`Late payment for expired ${tx.paymentReference} — tokens reserved again, delivering`);
+    }
 
-    tx.status = "confirmed";
-    tx.txId = result.txId;
-    tx.confirmedAt = new Date();
-    tx.meta = { ...tx.meta, stacksTxId: result.txId, explorerUrl: result.explorerUrl };
+    // ── Step 10: Queue token delivery to the Stacks wallet ─────────
+    tx.status = "processing";
     await tx.save();
 
-    logger.info(`✅ Onramp complete: ${tx.tokenAmount} ${tx.token} → ${tx.recipientAddress}`);
-    logger.info(`   Stacks TxID: ${result.txId}`);
+    const job = await queueDelivery(tx.paymentReference);
+    logger.info(`Payment verified for ${tx._id} — token delivery job ${job._id} queued`);
 
     return res.json({
       success: true,
-      message: "Tokens credited to Stacks wallet",
+      message: "Payment received. Tokens are being sent to your Stacks wallet.",
       data: {
         transactionId: tx._id,
         token: tx.token,
         tokenAmount: tx.tokenAmount,
         stacksAddress: tx.recipientAddress,
-        stacksTxId: result.txId,
-        explorerUrl: result.explorerUrl,
+        jobId: job._id,
       },
     });
   } catch (err) {
-    logger.error(`CRITICAL: Stacks transfer failed for ${tx._id}: ${err.message}`);
-    logger.error(`Manual action required — send ${tx.tokenAmount} ${tx.token} to ${tx.recipientAddress}`);
+    logger.error(`Monnify webhook error for ${paymentReference}: ${err.message}`);
+    return res.status(500).json({ success: false, message: "Webhook processing failed" });
+  }
+}
 
-    tx.status = "failed";
-    tx.meta = { ...tx.meta, failureReason: `Stacks transfer failed: ${err.message}`, requiresManualCredit: true };
-    await tx.save();
+// ── Token delivery job ──────────────────────────────────────────
+// Runs on the durable job queue (services/jobQueue.js) so a restart between
+// payment and transfer can't strand a paid order in "processing".
+
+// One delivery job per delivery reference — the order reference, or the
+// fresh one an operator's retry (retryDelivery) assigned as meta.deliveryReference
+function queueDelivery(reference, deliveryReference = reference) {
+  return enqueue("onramp.deliver", { reference }, { key: `onramp.deliver:${deliveryReference}` });
+}
+
+/**
+ * processing → confirmed. deliveryStartedAt is written before broadcasting;
+ * finding it set with no result means an earlier run died mid-send, and
+ * whether the tokens went out can't be known here — so that's left to a human
+ * rather than risking a second transfer.
+ */
+async function deliverTokensJob(job) {
+  const tx = await Transaction.findOne({ paymentReference: job.payload.reference, direction: "onramp" });
+  if (!tx) throw giveUp(`Transaction ${job.payload.reference} not found`);
+  if (tx.status !== "processing") return { outcome: "skipped", status: tx.status };
+
+  if (tx.meta?.deliveryStartedAt) {
+    throw giveUp(`Delivery started at ${tx.meta.deliveryStartedAt} never finished — check the hot wallet before resending`);
+  }
+
+  tx.meta = { ...tx.meta, deliveryStartedAt: new Date().toISOString() };
+  await tx.save();
 
-    return res.status(500).json({
-      success: false,
-      message: "Token transfer failed. Support team notified.",
+  const stacksTransferService = require("../services/stacksTransferService");
+  let result;
+  try {
+    result = await stacksTransferService.sendTokens({
+      token: tx.token,
+      amount: tx.tokenAmount,
+      recipientAddress: tx.recipientAddress,
+      memo: `StackSwap onramp ${tx.meta?.deliveryReference || tx.paymentReference}`,
     });
+  } catch (err) {
+    if (!err.notBroadcast) throw giveUp(`Stacks transfer outcome unknown: ${err.message}`);
+    // Nothing went out — clear the marker so the retry may send
+    const { deliveryStartedAt, ...meta } = tx.meta;
+    tx.meta = meta;
+    await tx.save();
+    throw err;
+  }
+
+  tx.status = "confirmed";
+  tx.txId = result.txId;
+  tx.confirmedAt = new Date();
+  tx.meta = { ...tx.meta, stacksTxId: result.txId, explorerUrl: result.explorerUrl };
+  await tx.save();
+
+  // The hot wallet balance now carries it
+  invalidateHotWalletBalances();
+  await releaseReservation(tx.paymentReference, "settled").catch((err) =>
+    logger.warn(`Reservation release failed for ${tx.paymentReference}: ${err.message}`)
+  );
+
+  logger.info(`✅ Onramp complete: ${tx.tokenAmount} ${tx.token} → ${tx.recipientAddress}`);
+  logger.info(`   Stacks TxID: ${result.txId}`);
+  return { outcome: "delivered", stacksTxId: result.txId };
+}
+
+async function onDeliveryDead(job, err) {
+  const tx = await Transaction.findOneAndUpdate(
+    { paymentReference: job.payload.reference, direction: "onramp", status: "processing" },
+    { $set: { status: "failed", "meta.failureReason": `Stacks transfer failed: ${err.message}`, "meta.requiresManualCredit": true } },
+    { new: true }
+  );
+  if (!tx) return;
+  logger.error(`CRITICAL: Stacks transfer failed for ${tx._id}: ${err.message}`);
+  logger.error(`Manual action required — send ${tx.tokenAmount} ${tx.token} to ${tx.recipientAddress}`);
+}
+
+registerHandler("onramp.deliver", deliverTokensJob, { onDead: onDeliveryDead });
+
+function retryError(message, statusCode, code) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  err.code = code;
+  return err;
+}
+
+/**
+ * Re-run token delivery for a failed order flagged requiresManualCredit,
+ * as a new job under a fresh reference (<reference>-R<n>). If the last send
+ * may have reached the network (deliveryStartedAt left set), the operator
+ * must first check the hot wallet and pass confirmNotSent.
+ * Used by the admin exceptions queue (controllers/adminController.js).
+ */
+async function retryDelivery(reference, { operator, notes, confirmNotSent = false } = {}) {
+  const tx = await Transaction.findOne({ paymentReference: reference, direction: "onramp" });
+  if (!tx) throw retryError("Transaction not found", 404, "NOT_FOUND");
+  if (tx.status !== "failed" || !tx.meta?.requiresManualCredit) {
+    throw retryError(`Order is ${tx.status} and not awaiting manual credit`, 409, "NOT_AN_EXCEPTION");
+  }
+  if (tx.meta.deliveryStartedAt && !confirmNotSent) {
+    throw retryError(
+      `The send started at ${tx.meta.deliveryStartedAt} may have gone out — check the hot wallet, then retry with confirmNotSent`,
+      409,
+      "DELIVERY_OUTCOME_UNKNOWN"
+    );
+  }
+
+  // The failed delivery released the order's tokens — take them back (or keep
+  // them, if the reconciler hasn't released them yet) before sending again
+  const reserved = (await keepReservation(reference)) || (await checkTokenLiquidity(tx.token, tx.tokenAmount, reference)).ok;
+  if (!reserved) {
+    throw retryError(`Not enough unreserved ${tx.token} in the hot wallet to send ${tx.tokenAmount} right now — top it up, then retry`, 503, "INSUFFICIENT_TOKEN_LIQUIDITY");
+  }
+
+  const retries = tx.meta.deliveryRetries || 0;
+  const deliveryReference = `${reference}-R${retries + 1}`;
+
+  const updated = await Transaction.findOneAndUpdate(
+    { _id: tx._id, status: "failed", "meta.requiresManualCredit": true, "meta.deliveryRetries": tx.meta.deliveryRetries ?? null },
+    {
+      $set: {
+        status: "processing",
+        "meta.requiresManualCredit": false,
+        "meta.deliveryReference": deliveryReference,
+        "meta.deliveryRetries": retries + 1,
+        "meta.deliveryStartedAt": null,
+        "meta.previousFailureReason": tx.meta.failureReason,
+        "meta.failureReason": null,
+      },
+      $push: {
+        "meta.manualActions": { action: "retry", operator, notes, deliveryReference, confirmNotSent, at: new Date().toISOString() },
+      },
+    },
+    { new: true }
+  );
+  if (!updated) {
+    await releaseReservation(reference, "abandoned");
+    throw retryError("Order changed while the retry was being set up — try again", 409, "CONFLICT");
+  }
+
+  const job = await queueDelivery(reference, deliveryReference);
+  logger.warn(`Manual delivery retry for ${reference} by ${operator} — new reference ${deliveryReference}, job ${job._id}`);
+  return { tx: updated, job };
+}
+
+/**
+ * @desc    Hot wallet token liquidity, so the UI can warn before a user pays
+ * @route   GET /api/onramp/liquidity
+ * @access  Public
+ */
+async function getOnrampLiquidity(req, res) {
+  try {
+    // Force-refresh once (bypass the cache for an accurate check)
+    if (!(await getHotWalletBalances(true))) {
+      return res.status(503).json({ success: false, message: "Liquidity check temporarily unavailable. Please try again." });
+    }
+
+    const data = {};
+    for (const token of listTokens("onramp")) {
+      const { reserved, reservations, free } = await tokenLiquidity(token);
+      // Like the offramp endpoint, only what can be bought — not the balance itself
+      data[token] = { reserved, reservations, maxTokenAmount: free, available: free > 0 };
+    }
+
+    res.json({ success: true, data: { tokens: data, checkedAt: new Date().toISOString() } });
+  } catch (err) {
+    logger.error(`getOnrampLiquidity error: ${err.message}`);
+    res.status(500).json({ success: false, message: "Internal server error during liquidity check." });
   }
 }
 
@@ -531,4 +808,6 @@ module.exports = {
   handleMonnifyWebhook,
   verifyOnramp,
   getOnrampHistory,
+  getOnrampLiquidity,
+  retryDelivery, // admin exceptions queue
 };
\ No newline at end of file
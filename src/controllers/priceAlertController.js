@@ -0,0 +1,207 @@
+// ============= controllers/priceAlertController.js =============
+// Price alerts — CRUD under /api/prices/alerts, keyed by Stacks address.
+// Writes are gated by an ownership proof in routes/prices.js.
+// Evaluation and delivery live in services/priceAlertService.js.
+
+const {
+  createAlert,
+  listAlerts,
+  getAlert,
+  updateAlert,
+  cancelAlert,
+  describe,
+} = require("../services/priceAlertService");
+const { normalizeFiat, ENABLED_FIATS } = require("../config/currencies");
+const { isSupportedToken, tokenListMessage } = require("../config/tokens");
+const logger = require("../config/logger");
+
+const STACKS_ADDRESS_RE = /^(SP|SM|ST)[0-9A-Z]{20,50}$/i;
+const ALERT_STATUSES    = ["active", "triggered", "expired", "cancelled"];
+
+// Reads are unauthenticated, so they only show enough of the target (an
+// email address or a private webhook URL) to tell alerts apart; the signed
+// writes return it in full
+function maskTarget(channel, target) {
+  if (!target) return target || null;
+  if (channel === "email") {
+    const [local, domain] = String(target).split("@");
+    return `${local.slice(0, 1)}***@${domain || ""}`;
+  }
+  if (channel === "webhook") {
+    try {
+      return `${new URL(target).origin}/…`;
+    } catch {
+      return "…";
+    }
+  }
+  return `${String(target).slice(0, 2)}…`;
+}
+
+function formatAlert(alert, { fullTarget = false } = {}) {
+  return {
+    alertId:       alert._id,
+    stacksAddress: alert.stacksAddress,
+    token:         alert.token,
+    currency:      alert.currency,
+    condition:     alert.condition,
+    threshold:     alert.threshold,
+    basePrice:     alert.basePrice,
+    description:   describe(alert),
+    channel:       alert.channel,
+    target:        fullTarget ? alert.target : maskTarget(alert.channel, alert.target),
+    status:        alert.status,
+    expiresAt:     alert.expiresAt,
+    triggeredAt:   alert.triggeredAt,
+    triggerPrice:  alert.triggerPrice,
+    notification:  alert.notification,
+    createdAt:     alert.createdAt,
+  };
+}
+
+// Every route but POST identifies the owner with ?address=
+function requireAddress(req, res) {
+  const { address } = req.query;
+  if (!address || !STACKS_ADDRESS_RE.test(address)) {
+    res.status(400).json({ success: false, message: "address query param must be a valid Stacks address." });
+    return null;
+  }
+  return address;
+}
+
+/**
+ * @desc    Create a price alert
+ * @route   POST /api/prices/alerts
+ * @access  Public — signed by the address's wallet (middleware/addressProof.js)
+ * @body    { stacksAddress, token, condition, threshold, channel, target?, currency?, expiresAt? }
+ */
+async function postAlert(req, res) {
+  try {
+    const { stacksAddress, token, condition, threshold, channel, target, currency, expiresAt } = req.body;
+
+    if (!stacksAddress || !token || !condition || threshold === undefined || !channel) {
+      return res.status(400).json({
+        success: false,
+        message: "Missing required fields: stacksAddress, token, condition, threshold, channel",
+      });
+    }
+    if (!STACKS_ADDRESS_RE.test(stacksAddress)) {
+      return res.status(400).json({ success: false, message: "Invalid Stacks wallet address" });
+    }
+    if (!isSupportedToken(token)) {
+      return res.status(400).json({ success: false, message: tokenListMessage() });
+    }
+    const fiatCurrency = normalizeFiat(currency);
+    if (!fiatCurrency) {
+      return res.status(400).json({ success: false, message: `currency must be one of ${ENABLED_FIATS.join(", ")}`, code: "UNSUPPORTED_CURRENCY" });
+    }
+
+    const alert = await createAlert({
+      stacksAddress,
+      token: token.toUpperCase(),
+      currency: fiatCurrency,
+      condition,
+      threshold: Number(threshold),
+      channel,
+      target,
+      expiresAt,
+    });
+
+    logger.info(`Price alert ${alert._id} created for ${stacksAddress}: ${describe(alert)} via ${channel}`);
+    res.status(201).json({ success: true, data: formatAlert(alert, { fullTarget: true }) });
+  } catch (err) {
+    if (!err.statusCode) logger.error(`postAlert error: ${err.message}`);
+    res.status(err.statusCode || 500).json({ success: false, message: err.message, code: err.code });
+  }
+}
+
+/**
+ * @desc    List an address's alerts, newest first
+ * @route   GET /api/prices/alerts?address=SP...&status=active&page=1&limit=20
+ * @access  Public
+ */
+async function getAlerts(req, res) {
+  const address = requireAddress(req, res);
+  if (!address) return;
+
+  const { status } = req.query;
+  if (status && !ALERT_STATUSES.includes(status)) {
+    return res.status(400).json({ success: false, message: `status must be one of: ${ALERT_STATUSES.join(", ")}` });
+  }
+
+  try {
+    const page  = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const { alerts, total } = await listAlerts(address, { status, page, limit });
+    res.json({
+      success: true,
+      data: alerts.map((alert) => formatAlert(alert)),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    });
+  } catch (err) {
+    logger.error(`getAlerts error: ${err.message}`);
+    res.status(500).json({ success: false, message: "Failed to retrieve alerts." });
+  }
+}
+
+/**
+ * @desc    Get one alert
+ * @route   GET /api/prices/alerts/:id?address=SP...
+ * @access  Public
+ */
+async function fetchAlert(req, res) {
+  const address = requireAddress(req, res);
+  if (!address) return;
+
+  try {
+    const alert = await getAlert(req.params.id, address);
+    res.json({ success: true, data: formatAlert(alert) });
+  } catch (err) {
+    if (!err.statusCode) logger.error(`fetchAlert error: ${err.message}`);
+    res.status(err.statusCode || 500).json({ success: false, message: err.message, code: err.code });
+  }
+}
+
+/**
+ * @desc    Change an active alert's threshold, channel, target or expiry
+ * @route   PATCH /api/prices/alerts/:id?address=SP...
+ * @access  Public — signed by the address's wallet (middleware/addressProof.js)
+ */
+async function patchAlert(req, res) {
+  const address = requireAddress(req, res);
+  if (!address) return;
+
+  try {
+    const { threshold, channel, target, expiresAt } = req.body;
+    const alert = await updateAlert(req.params.id, address, {
+      threshold: threshold === undefined ? undefined : Number(threshold),
+      channel,
+      target,
+      expiresAt,
+    });
+    res.json({ success: true, data: formatAlert(alert, { fullTarget: true }) });
+  } catch (err) {
+    if (!err.statusCode) logger.error(`patchAlert error: ${err.message}`);
+    res.status(err.statusCode || 500).json({ success: false, message: err.message, code: err.code });
+  }
+}
+
+/**
+ * @desc    Cancel an active alert (kept as a record with status "cancelled")
+ * @route   DELETE /api/prices/alerts/:id?address=SP...
+ * @access  Public — signed by the address's wallet (middleware/addressProof.js)
+ */
+async function deleteAlert(req, res) {
+  const address = requireAddress(req, res);
+  if (!address) return;
+
+  try {
+    const alert = await cancelAlert(req.params.id, address);
+    logger.info(`Price alert ${alert._id} cancelled by ${address}`);
+    res.json({ success: true, data: formatAlert(alert, { fullTarget: true }) });
+  } catch (err) {
+    if (!err.statusCode) logger.error(`deleteAlert error: ${err.message}`);
+    res.status(err.statusCode || 500).json({ success: false, message: err.message, code: err.code });
+  }
+}
+
+module.exports = { postAlert, getAlerts, fetchAlert, patchAlert, deleteAlert };
@@ -1,41 +1,153 @@
-const { getCurrentPrices, getPriceHistory, refreshPrices } = require("../services/priceService");
+const {
+  getCurrentPrices,
+  getPriceHistory,
+  refreshPrices,
+  getPriceFeedState,
+  getPriceServiceStatus,
+  getRefreshLogs,
+  priceEvents,
+} = require("../services/priceService");
+const { getMarketStatus } = require("../services/marketStatusService");
+const { getCandles, getPriceAt, CANDLE_INTERVALS, DEFAULT_RANGE_MS, MAX_CANDLES } = require("../services/priceHistoryService");
+const { listTokens, isSupportedToken, tokenListMessage } = require("../config/tokens");
 const logger = require("../config/logger");
 
+const STREAM_HEARTBEAT_MS = parseInt(process.env.PRICE_STREAM_HEARTBEAT_MS || "15000", 10);
+const STREAM_MAX_CLIENTS  = parseInt(process.env.PRICE_STREAM_MAX_CLIENTS  || "500",   10);
+
+const REFRESH_OUTCOMES = ["live", "stale_cache", "emergency"];
+
+let streamClients = 0;
+
+// Public price payload — shared by GET /api/prices and the SSE stream
+function formatLivePrices(prices) {
+  const symbols = listTokens();
+  const first   = prices[symbols[0]];
+  return {
+    ...Object.fromEntries(symbols.map((symbol) => [symbol, {
+      priceNGN: prices[symbol].priceNGN,
+      priceUSD: prices[symbol].priceUSD,
+      change24h: prices[symbol].change24h,
+      prices: prices[symbol].prices,
+    }])),
+    usdToNgn: first.usdToNgn,
+    fxRates: first.fxRates,
+    fromCache: prices.fromCache,
+    fetchedAt: first.fetchedAt,
+  };
+}
+
 // GET /api/prices
 async function getLivePrices(req, res) {
   try {
     const prices = await getCurrentPrices();
-    res.json({
-      success: true,
-      data: {
-        STX: {
-          priceNGN: prices.STX.priceNGN,
-          priceUSD: prices.STX.priceUSD,
-          change24h: prices.STX.change24h,
-        },
-        USDC: {
-          priceNGN: prices.USDC.priceNGN,
-          priceUSD: prices.USDC.priceUSD,
-          change24h: prices.USDC.change24h,
-        },
-        usdToNgn: prices.STX.usdToNgn,
-        fromCache: prices.fromCache,
-        fetchedAt: prices.STX.fetchedAt,
-      },
-    });
+    res.json({ success: true, data: formatLivePrices(prices) });
   } catch (err) {
     logger.error(`getLivePrices error: ${err.message}`);
     res.status(502).json({ success: false, message: "Failed to fetch prices. Try again shortly." });
   }
 }
 
-// GET /api/prices/:token (STX or USDC)
+// GET /api/prices/stream (Server-Sent Events)
+// Sends the current prices on connect, a "prices" event per new cache entry
+// and a "heartbeat" every PRICE_STREAM_HEARTBEAT_MS so proxies keep the
+// connection open and clients notice when data turns stale.
+async function streamPrices(req, res) {
+  if (streamClients >= STREAM_MAX_CLIENTS) {
+    return res.status(503).json({ success: false, message: "Too many open price streams. Poll GET /api/prices instead." });
+  }
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // disable nginx response buffering
+  });
+  res.flushHeaders();
+  res.write(`retry: ${STREAM_HEARTBEAT_MS}\n\n`);
+  streamClients++;
+
+  let closed = false;
+  let lastSentAt = null;
+
+  function send(event, data) {
+    if (closed) return;
+    const id = data.fetchedAt ? `id: ${new Date(data.fetchedAt).getTime()}\n` : "";
+    res.write(`${id}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  // The initial fetch may also fire "update" — don't send the same entry twice
+  function sendPrices(prices) {
+    const fetchedAt = new Date(prices.STX.fetchedAt).getTime();
+    if (fetchedAt === lastSentAt) return;
+    lastSentAt = fetchedAt;
+
+    const { emergency, stale } = getPriceFeedState();
+    send("prices", { ...formatLivePrices(prices), emergency, stale });
+  }
+
+  const onUpdate = (prices) => sendPrices({ ...prices, fromCache: false });
+  priceEvents.on("update", onUpdate);
+
+  const heartbeat = setInterval(() => {
+    send("heartbeat", { time: new Date(), ...getPriceFeedState() });
+  }, STREAM_HEARTBEAT_MS);
+
+  req.on("close", () => {
+    closed = true;
+    clearInterval(heartbeat);
+    priceEvents.off("update", onUpdate);
+    streamClients--;
+  });
+
+  try {
+    sendPrices(await getCurrentPrices());
+  } catch (err) {
+    logger.error(`streamPrices initial snapshot error: ${err.message}`);
+  }
+}
+
+// GET /api/prices/market-status
+async function getMarket(req, res) {
+  try {
+    const market = await getMarketStatus();
+    res.json({ success: true, data: market });
+  } catch (err) {
+    logger.error(`getMarket error: ${err.message}`);
+    res.status(500).json({ success: false, message: "Failed to evaluate market status." });
+  }
+}
+
+// GET /api/prices/status?logs=20&outcome=emergency
+// Price-service internals for on-call. Never triggers a fetch; the refresh
+// log is best-effort so the endpoint still answers when MongoDB is down.
+async function getFeedStatus(req, res) {
+  const limit   = Math.min(parseInt(req.query.logs) || 20, 200);
+  const outcome = req.query.outcome;
+  if (outcome && !REFRESH_OUTCOMES.includes(outcome)) {
+    return res.status(400).json({ success: false, message: `outcome must be one of: ${REFRESH_OUTCOMES.join(", ")}` });
+  }
+
+  const status = getPriceServiceStatus();
+  let recentRefreshes = null;
+  let refreshLogError = null;
+  try {
+    recentRefreshes = await getRefreshLogs({ limit, outcome });
+  } catch (err) {
+    refreshLogError = err.message;
+    logger.warn(`getFeedStatus: refresh log unavailable — ${err.message}`);
+  }
+
+  res.json({ success: true, data: { ...status, recentRefreshes, refreshLogError, checkedAt: new Date() } });
+}
+
+// GET /api/prices/:token (any enabled token — see config/tokens.js)
 async function getTokenPrice(req, res) {
   const { token } = req.params;
   const upper = token.toUpperCase();
 
-  if (!["STX", "USDC"].includes(upper)) {
-    return res.status(400).json({ success: false, message: "Invalid token. Use STX or USDC." });
+  if (!isSupportedToken(upper)) {
+    return res.status(400).json({ success: false, message: `Invalid token: ${tokenListMessage()}` });
   }
 
   try {
@@ -54,8 +166,8 @@ async function getHistory(req, res) {
   const hours = Math.min(parseInt(req.query.hours) || 24, 168); // cap at 7 days
   const upper = token.toUpperCase();
 
-  if (!["STX", "USDC"].includes(upper)) {
-    return res.status(400).json({ success: false, message: "Invalid token." });
+  if (!isSupportedToken(upper)) {
+    return res.status(400).json({ success: false, message: `Invalid token: ${tokenListMessage()}` });
   }
 
   try {
@@ -67,6 +179,87 @@ async function getHistory(req, res) {
   }
 }
 
+// Accepts ISO-8601 strings or epoch milliseconds.
+// Returns null when absent, undefined when unparseable.
+function parseTime(value) {
+  if (value === undefined || value === "") return null;
+  const date = /^\d+$/.test(value) ? new Date(parseInt(value, 10)) : new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+}
+
+// GET /api/prices/:token/candles?interval=1h&from=...&to=...
+async function getPriceCandles(req, res) {
+  const { token } = req.params;
+  const upper = token.toUpperCase();
+  const interval = req.query.interval || "1h";
+
+  if (!isSupportedToken(upper)) {
+    return res.status(400).json({ success: false, message: `Invalid token: ${tokenListMessage()}` });
+  }
+  if (!CANDLE_INTERVALS[interval]) {
+    return res.status(400).json({ success: false, message: `Invalid interval. Use ${Object.keys(CANDLE_INTERVALS).join(", ")}.` });
+  }
+
+  const parsedFrom = parseTime(req.query.from);
+  const parsedTo = parseTime(req.query.to);
+  if (parsedFrom === undefined || parsedTo === undefined) {
+    return res.status(400).json({ success: false, message: "from/to must be ISO dates or epoch milliseconds." });
+  }
+  const to = parsedTo || new Date();
+  const from = parsedFrom || new Date(to.getTime() - DEFAULT_RANGE_MS[interval]);
+  if (from >= to) {
+    return res.status(400).json({ success: false, message: "from must be before to." });
+  }
+  if ((to - from) / CANDLE_INTERVALS[interval] > MAX_CANDLES) {
+    return res.status(400).json({
+      success: false,
+      message: `Range too large for ${interval} candles (max ${MAX_CANDLES}). Use a wider interval or a shorter range.`,
+    });
+  }
+
+  try {
+    const candles = await getCandles(upper, interval, from, to);
+    res.json({
+      success: true,
+      token: upper,
+      interval,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      count: candles.length,
+      data: candles,
+    });
+  } catch (err) {
+    logger.error(`getPriceCandles error: ${err.message}`);
+    res.status(500).json({ success: false, message: "Failed to build price candles." });
+  }
+}
+
+// GET /api/prices/:token/at?timestamp=...
+// The recorded price nearest to a moment — for audits and disputes.
+async function getPriceAtTime(req, res) {
+  const { token } = req.params;
+  const upper = token.toUpperCase();
+
+  if (!isSupportedToken(upper)) {
+    return res.status(400).json({ success: false, message: `Invalid token: ${tokenListMessage()}` });
+  }
+  const at = parseTime(req.query.timestamp);
+  if (!at) {
+    return res.status(400).json({ success: false, message: "timestamp is required as an ISO date or epoch milliseconds." });
+  }
+
+  try {
+    const found = await getPriceAt(upper, at);
+    if (!found) {
+      return res.status(404).json({ success: false, message: `No ${upper} price recorded around ${at.toISOString()}.` });
+    }
+    res.json({ success: true, token: upper, requestedAt: at.toISOString(), ...found });
+  } catch (err) {
+    logger.error(`getPriceAtTime error: ${err.message}`);
+    res.status(500).json({ success: false, message: "Failed to look up historical price." });
+  }
+}
+
 // POST /api/prices/refresh (manual trigger — admin use)
 async function forceRefresh(req, res) {
   try {
@@ -77,4 +270,4 @@ async function forceRefresh(req, res) {
   }
 }
 
-module.exports = { getLivePrices, getTokenPrice, getHistory, forceRefresh };
+module.exports = { getLivePrices, streamPrices, getMarket, getFeedStatus, getTokenPrice, getHistory, getPriceCandles, getPriceAtTime, forceRefresh };
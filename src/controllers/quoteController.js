@@ -0,0 +1,123 @@
+// ============= controllers/quoteController.js =============
+// Locked, expiring quotes — POST one, then pass its quoteId to
+// /api/onramp/initialize or /api/offramp/initialize.
+
+const { createQuote, getQuote, ONRAMP_LIMITS, getOfframpLimits, QUOTE_TTL_SECONDS } = require("../services/quoteService");
+const { assertTradingOpen } = require("../services/marketStatusService");
+const { normalizeFiat, isSettlementCurrency, DEFAULT_FIAT } = require("../config/currencies");
+const { isSupportedToken, tokenListMessage } = require("../config/tokens");
+const logger = require("../config/logger");
+
+function formatQuote(quote) {
+  const expired = quote.status === "expired" || new Date(quote.expiresAt) <= new Date();
+  return {
+    quoteId:         quote._id,
+    token:           quote.token,
+    direction:       quote.direction,
+    tokenAmount:     quote.tokenAmount,
+    amountNGN:       quote.amountNGN,
+    grossNGN:        quote.grossNGN,
+    totalPayableNGN: quote.totalPayableNGN,
+    flatFeeNGN:      quote.flatFeeNGN,
+    midRateNGN:      quote.midRateNGN,
+    spreadBps:       quote.spreadBps,
+    rateNGN:         quote.rateNGN,
+    priceUSD:        quote.priceUSD,
+    usdToNgn:        quote.usdToNgn,
+    status:          quote.status === "active" && expired ? "expired" : quote.status,
+    expiresAt:       quote.expiresAt,
+    createdAt:       quote.createdAt,
+  };
+}
+
+/**
+ * @desc    Lock a quote for an onramp or offramp order
+ * @route   POST /api/quotes
+ * @access  Public
+ * @body    { token, direction: "onramp", amountNGN } | { token, direction: "offramp", tokenAmount }
+ */
+async function postQuote(req, res) {
+  try {
+    const { token, direction, amountNGN, tokenAmount } = req.body;
+
+    if (!token || !direction) {
+      return res.status(400).json({ success: false, message: "Missing required fields: token, direction" });
+    }
+
+    const upperToken = token.toUpperCase();
+    if (!["onramp", "offramp"].includes(direction)) {
+      return res.status(400).json({ success: false, message: "direction must be onramp or offramp" });
+    }
+    if (!isSupportedToken(upperToken, direction)) {
+      return res.status(400).json({ success: false, message: tokenListMessage(direction) });
+    }
+    // Locked quotes are redeemed at /initialize, which only settles NGN.
+    // Use GET /api/onramp/rate or /api/offramp/rate?currency= for other currencies.
+    const fiatCurrency = normalizeFiat(req.body.fiatCurrency);
+    if (!fiatCurrency || !isSettlementCurrency(fiatCurrency)) {
+      return res.status(400).json({
+        success: false,
+        message: `Quotes can only be locked in ${DEFAULT_FIAT} (got ${req.body.fiatCurrency})`,
+        code: "UNSUPPORTED_SETTLEMENT_CURRENCY",
+      });
+    }
+
+    // No point locking a rate nobody can trade on
+    await assertTradingOpen();
+
+    let quote;
+    if (direction === "onramp") {
+      const amount = parseFloat(amountNGN);
+      if (isNaN(amount) || amount <= 0) {
+        return res.status(400).json({ success: false, message: "amountNGN must be a positive number" });
+      }
+      if (amount < ONRAMP_LIMITS.minNGN || amount > ONRAMP_LIMITS.maxNGN) {
+        return res.status(400).json({
+          success: false,
+          message: `amountNGN must be between ₦${ONRAMP_LIMITS.minNGN.toLocaleString()} and ₦${ONRAMP_LIMITS.maxNGN.toLocaleString()}`,
+        });
+      }
+      quote = await createQuote({ token: upperToken, direction, amountNGN: amount });
+    } else {
+      const amount = parseFloat(tokenAmount);
+      if (isNaN(amount) || amount <= 0) {
+        return res.status(400).json({ success: false, message: "tokenAmount must be a positive number" });
+      }
+      const limits = getOfframpLimits(upperToken);
+      if (amount < limits.minToken || amount > limits.maxToken) {
+        return res.status(400).json({
+          success: false,
+          message: `tokenAmount must be between ${limits.minToken} and ${limits.maxToken} ${upperToken}`,
+        });
+      }
+      quote = await createQuote({ token: upperToken, direction, tokenAmount: amount });
+    }
+
+    logger.info(`Quote ${quote._id} locked: ${direction} ${quote.tokenAmount} ${upperToken} @ ₦${quote.rateNGN} until ${quote.expiresAt.toISOString()}`);
+
+    res.status(201).json({
+      success: true,
+      data: { ...formatQuote(quote.toObject()), ttlSeconds: QUOTE_TTL_SECONDS },
+    });
+  } catch (err) {
+    logger.error(`postQuote error: ${err.message}`);
+    res.status(err.statusCode || 500).json({ success: false, message: err.message, code: err.code });
+  }
+}
+
+/**
+ * @desc    Fetch a quote and whether it is still usable
+ * @route   GET /api/quotes/:id
+ * @access  Public
+ */
+async function fetchQuote(req, res) {
+  try {
+    const quote = await getQuote(req.params.id);
+    res.json({ success: true, data: formatQuote(quote) });
+  } catch (err) {
+    if (!err.statusCode) logger.error(`fetchQuote error: ${err.message}`);
+    res.status(err.statusCode || 500).json({ success: false, message: err.message, code: err.code });
+  }
+}
+
+module.exports = { postQuote, fetchQuote };
@@ -3,8 +3,10 @@ const {
   getTransactionHistory,
   updateTransactionStatus,
   getTransactionById,
+  getRateAudit,
   getWalletStats,
 } = require("../services/transactionService");
+const { isSupportedToken, tokenListMessage } = require("../config/tokens");
 const logger = require("../config/logger");
 
 // POST /api/transactions
@@ -18,8 +20,8 @@ async function initTransaction(req, res) {
     });
   }
 
-  if (!["STX", "USDC"].includes(token.toUpperCase())) {
-    return res.status(400).json({ success: false, message: "Invalid token. Use STX or USDC." });
+  if (!isSupportedToken(token)) {
+    return res.status(400).json({ success: false, message: `Invalid token: ${tokenListMessage()}` });
   }
 
   if (!["sell", "buy"].includes(type)) {
@@ -80,6 +82,20 @@ async function getTransaction(req, res) {
   }
 }
 
+// GET /api/transactions/:id/rate-audit
+async function rateAudit(req, res) {
+  try {
+    const audit = await getRateAudit(req.params.id);
+    res.json({ success: true, data: audit });
+  } catch (err) {
+    if (err.message === "Transaction not found" || err.name === "CastError") {
+      return res.status(404).json({ success: false, message: "Transaction not found" });
+    }
+    logger.error(`rateAudit error: ${err.message}`);
+    res.status(500).json({ success: false, message: "Failed to build rate audit." });
+  }
+}
+
 // PATCH /api/transactions/:id/status
 async function patchStatus(req, res) {
   const { status, stacksTxId } = req.body;
@@ -110,4 +126,4 @@ async function walletStats(req, res) {
   }
 }
 
-module.exports = { initTransaction, listTransactions, getTransaction, patchStatus, walletStats };
+module.exports = { initTransaction, listTransactions, getTransaction, rateAudit, patchStatus, walletStats };
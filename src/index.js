@@ -10,6 +10,16 @@ const connectDB = require("./config/db");
 const logger = require("./config/logger");
 const { notFound, errorHandler } = require("./middleware/errorHandler");
 const { refreshPrices } = require("./services/priceService");
+const { runPriceRetention } = require("./services/priceRetentionService");
+const { startWorker: startJobWorker } = require("./services/jobQueue");
+const { expireStaleOrders } = require("./services/offrampExpiryService");
+const { queuePolicyRefunds } = require("./services/refundService");
+const { reconcileSettlingPayouts } = require("./controllers/offrampController");
+const { queueDepositSweeps } = require("./services/depositAddressService");
+const { releaseFinishedReservations } = require("./services/liquidityReservationService");
+const { takeTreasurySnapshot } = require("./services/treasuryService");
+const { syncHotWalletNonces } = require("./services/stacksTransferService");
+const { ensureUniqueTxIdIndex } = require("./services/txIdIndexService");
 
 const swaggerUi = require("swagger-ui-express");
 const swaggerSpec = require("./config/swagger");
@@ -18,6 +28,8 @@ const priceRoutes = require("./routes/prices");
 const transactionRoutes = require("./routes/transactions");
 const onrampRoutes = require("./routes/onramp");   // ← NEW
 const offrampRoutes = require("./routes/offramp"); // ← NEW
+const quoteRoutes = require("./routes/quotes");
+const adminRoutes = require("./routes/admin");
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -26,9 +38,11 @@ const PORT = process.env.PORT || 5000;
 app.use(helmet());
 app.use(cors({
   origin: process.env.ALLOWED_ORIGIN || "*",
-  methods: ["GET", "POST", "PATCH"],
+  methods: ["GET", "POST", "PATCH", "DELETE"],
 }));
-app.use(express.json({ limit: "10kb" }));
+// The raw body is kept for ownership proofs, which sign a hash of it
+// (middleware/addressProof.js)
+app.use(express.json({ limit: "10kb", verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use(morgan("dev", { stream: { write: (msg) => logger.http(msg.trim()) } }));
 
 // ── Rate Limiting ───────────────────────────────────────────────
@@ -95,6 +109,8 @@ app.use("/api/prices", priceRoutes);
 app.use("/api/transactions", transactionRoutes);
 app.use("/api/onramp", onrampRoutes);   // ← NEW
 app.use("/api/offramp", offrampRoutes); // ← NEW
+app.use("/api/quotes", quoteRoutes);
+app.use("/api/admin", adminRoutes);
 
 // ── 404 & Error Handlers ────────────────────────────────────────
 app.use(notFound);
@@ -110,10 +126,95 @@ cron.schedule("*/2 * * * *", async () => {
   }
 });
 
+// Roll old price snapshots into hourly/daily aggregates, hourly at :15
+cron.schedule("15 * * * *", async () => {
+  try {
+    await runPriceRetention();
+  } catch (err) {
+    logger.error(`Cron price retention failed: ${err.message}`);
+  }
+});
+
+// Expire unfunded offramp and unpaid onramp orders past their deadline, every minute
+cron.schedule("* * * * *", async () => {
+  try {
+    await expireStaleOrders();
+  } catch (err) {
+    logger.error(`Cron offramp expiry failed: ${err.message}`);
+  }
+});
+
+// Free the NGN (offramps) and hot wallet tokens (onramps) reserved by orders that
+// expired, failed or were refunded, every minute
+cron.schedule("* * * * *", async () => {
+  try {
+    await releaseFinishedReservations();
+  } catch (err) {
+    logger.error(`Cron liquidity reservation release failed: ${err.message}`);
+  }
+});
+
+// Queue refunds for orders a policy flagged requiresRefund, every minute
+cron.schedule("* * * * *", async () => {
+  try {
+    await queuePolicyRefunds();
+  } catch (err) {
+    logger.error(`Cron refund sweep failed: ${err.message}`);
+  }
+});
+
+// Check long-settling offramp payouts with their provider (missed webhooks), every 5 minutes
+cron.schedule("*/5 * * * *", async () => {
+  try {
+    await reconcileSettlingPayouts();
+  } catch (err) {
+    logger.error(`Cron payout reconciliation failed: ${err.message}`);
+  }
+});
+
+// Sweep received deposits from per-order addresses into the treasury, every 10 minutes
+cron.schedule("*/10 * * * *", async () => {
+  try {
+    await queueDepositSweeps();
+  } catch (err) {
+    logger.error(`Cron deposit sweep failed: ${err.message}`);
+  }
+});
+
+// Snapshot treasury balances and alert on low runway, every 15 minutes
+cron.schedule("*/15 * * * *", async () => {
+  try {
+    await takeTreasurySnapshot();
+  } catch (err) {
+    logger.error(`Cron treasury snapshot failed: ${err.message}`);
+  }
+});
+
+// Resync hot wallet nonces with the chain and refill gaps, every 2 minutes
+cron.schedule("*/2 * * * *", async () => {
+  try {
+    await syncHotWalletNonces();
+  } catch (err) {
+    logger.error(`Cron nonce sync failed: ${err.message}`);
+  }
+});
+
 // ── Start Server ────────────────────────────────────────────────
 async function start() {
   await connectDB();
 
+  // One order per on-chain TX — reports orders sharing one if the unique
+  // index can't be built
+  try {
+    await ensureUniqueTxIdIndex();
+  } catch (err) {
+    logger.error(`txId index check failed: ${err.message}`);
+  }
+
+  // Settlement jobs (deposit confirmation, payouts, token delivery, refunds,
+  // deposit sweeps) — picks up whatever a previous process left queued
+  startJobWorker();
+
   // Warm up price cache on boot
   try {
     await refreshPrices();
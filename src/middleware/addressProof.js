@@ -0,0 +1,90 @@
+const crypto = require("crypto");
+const { verifyMessageSignature, verifyMessageSignatureRsv } = require("@stacks/encryption");
+const { getAddressFromPublicKey } = require("@stacks/transactions");
+const { NETWORK } = require("../config/tokens");
+const logger = require("../config/logger");
+
+// How far a proof's timestamp may be from now, either way
+const MAX_AGE_MS = parseInt(process.env.ADDRESS_PROOF_MAX_AGE_SECONDS || "300", 10) * 1000;
+
+const STACKS_ADDRESS_RE = /^(SP|SM|ST)[0-9A-Z]{20,50}$/i;
+
+/**
+ * The message a wallet signs to prove it owns `address` for one request:
+ *
+ *   StackSwap request
+ *   PATCH /api/prices/alerts/665f1c2e8a4b2c0012345678
+ *   Address: SP3EWE151DHDTV7CP5D7N2YYESA3VEH3TBPNTT4EV
+ *   Body: <hex SHA-256 of the raw request body, of "" when there is none>
+ *   Timestamp: 2026-01-01T12:00:00.000Z
+ *
+ * The body hash ties the proof to what the request asks for, so a captured
+ * one can't be replayed with another webhook target or bank account.
+ */
+function proofMessage(method, path, address, body, timestamp) {
+  const bodyHash = crypto.createHash("sha256").update(body || "").digest("hex");
+  return `StackSwap request\n${method} ${path}\nAddress: ${address}\nBody: ${bodyHash}\nTimestamp: ${timestamp}`;
+}
+
+function signatureMatches(message, signature, publicKey) {
+  // Wallets (Leather, Xverse) sign RSV; older tooling signs VRS
+  for (const verify of [verifyMessageSignatureRsv, verifyMessageSignature]) {
+    try {
+      if (verify({ message, signature, publicKey })) return true;
+    } catch {
+      // malformed signature or key — try the other encoding
+    }
+  }
+  return false;
+}
+
+function keyOwnsAddress(publicKey, address) {
+  try {
+    return getAddressFromPublicKey(publicKey, NETWORK) === address.toUpperCase();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Gate for writes keyed by a Stacks address — requires a signature by that
+ * address's key over proofMessage() for this request, in the headers
+ *   x-stacks-public-key, x-stacks-signature, x-stacks-timestamp (ISO 8601).
+ * `getAddress(req)` picks the address the route acts for; a missing or
+ * malformed one is left to the controller to reject.
+ */
+function requireAddressProof(getAddress) {
+  return function (req, res, next) {
+    const address = getAddress(req);
+    if (typeof address !== "string" || !STACKS_ADDRESS_RE.test(address)) return next();
+
+    const publicKey = req.get("x-stacks-public-key");
+    const signature = req.get("x-stacks-signature");
+    const timestamp = req.get("x-stacks-timestamp");
+    if (!publicKey || !signature || !timestamp) {
+      return res.status(401).json({
+        success: false,
+        message: "Sign the request with the wallet: x-stacks-public-key, x-stacks-signature and x-stacks-timestamp headers are required",
+        code: "OWNERSHIP_PROOF_REQUIRED",
+      });
+    }
+
+    const signedAt = Date.parse(timestamp);
+    if (isNaN(signedAt) || Math.abs(Date.now() - signedAt) > MAX_AGE_MS) {
+      return res.status(401).json({
+        success: false,
+        message: `x-stacks-timestamp must be within ${MAX_AGE_MS / 1000} seconds of now`,
+        code: "OWNERSHIP_PROOF_EXPIRED",
+      });
+    }
+
+    const message = proofMessage(req.method, req.baseUrl + req.path, address, req.rawBody, timestamp);
+    if (!keyOwnsAddress(publicKey, address) || !signatureMatches(message, signature, publicKey)) {
+      logger.warn(`Rejected ownership proof for ${address} from ${req.ip}: ${req.method} ${req.originalUrl}`);
+      return res.status(401).json({ success: false, message: "Signature does not prove ownership of this address", code: "INVALID_OWNERSHIP_PROOF" });
+    }
+    next();
+  };
+}
+
+module.exports = { requireAddressProof, proofMessage };
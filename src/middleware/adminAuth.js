@@ -0,0 +1,26 @@
+const crypto = require("crypto");
+const logger = require("../config/logger");
+
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || "";
+
+// Hash both sides so timingSafeEqual gets equal-length buffers
+const digest = (value) => crypto.createHash("sha256").update(value).digest();
+
+/**
+ * Gate for /api/admin — requires the x-admin-key header to match
+ * ADMIN_API_KEY. With no key configured every admin route is refused.
+ */
+function requireAdminKey(req, res, next) {
+  if (!ADMIN_API_KEY) {
+    return res.status(503).json({ success: false, message: "Admin API disabled — ADMIN_API_KEY not configured", code: "ADMIN_DISABLED" });
+  }
+
+  const given = req.get("x-admin-key") || "";
+  if (!crypto.timingSafeEqual(digest(given), digest(ADMIN_API_KEY))) {
+    logger.warn(`Rejected admin request from ${req.ip}: ${req.method} ${req.originalUrl}`);
+    return res.status(401).json({ success: false, message: "Invalid admin key", code: "UNAUTHORIZED" });
+  }
+  next();
+}
+
+module.exports = { requireAdminKey };
@@ -0,0 +1,56 @@
+const mongoose = require("mongoose");
+
+// A bank account a wallet has saved for offramp payouts. Verified with a
+// payout provider when added, so an order placed with its beneficiaryId
+// skips the account lookup. Managed by services/beneficiaryService.js.
+const beneficiarySchema = new mongoose.Schema(
+  {
+    // Owner — beneficiaries are listed and managed by Stacks address
+    stacksAddress: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+
+    // Bank code as listed by GET /api/offramp/banks
+    bankCode: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    bankName: String,
+    accountNumber: {
+      type: String,
+      required: true,
+      match: /^\d{10}$/,
+    },
+    // As resolved by the payout provider, not as typed by the user
+    accountName: {
+      type: String,
+      required: true,
+    },
+
+    label: {
+      type: String,
+      trim: true,
+      maxlength: 50,
+    },
+    // At most one per address (partial unique index below)
+    isDefault: {
+      type: Boolean,
+      default: false,
+    },
+
+    verifiedAt: {
+      type: Date,
+      required: true,
+    },
+    lastUsedAt: Date,
+  },
+  { timestamps: true }
+);
+
+beneficiarySchema.index({ stacksAddress: 1, bankCode: 1, accountNumber: 1 }, { unique: true });
+beneficiarySchema.index({ stacksAddress: 1 }, { unique: true, partialFilterExpression: { isDefault: true } });
+
+module.exports = mongoose.model("Beneficiary", beneficiarySchema);
@@ -0,0 +1,18 @@
+const mongoose = require("mongoose");
+
+// Named sequences and running totals, bumped atomically with $inc — e.g.
+// "depositAddressIndex", the next HD derivation index for an offramp deposit
+// address, and "liquidityReserved<asset>", what open orders have reserved
+// of NGN (offramps) or a hot wallet token (onramps).
+const counterSchema = new mongoose.Schema(
+  {
+    _id: String,
+    seq: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { versionKey: false }
+);
+
+module.exports = mongoose.model("Counter", counterSchema);
@@ -0,0 +1,66 @@
+const mongoose = require("mongoose");
+
+const RETENTION_DAYS = parseInt(process.env.JOB_RETENTION_DAYS || "30", 10);
+
+// A unit of background work run by services/jobQueue.js — settlement steps
+// that must survive a restart. Workers claim a job by taking a lease
+// (lockedBy / lockedUntil); a crashed worker's lease lapses and another
+// worker picks the job up again.
+const jobSchema = new mongoose.Schema(
+  {
+    // Handler name, e.g. "offramp.confirm_deposit"
+    type: {
+      type: String,
+      required: true,
+    },
+    // Idempotency key — enqueueing the same key twice returns the existing job
+    key: {
+      type: String,
+      required: true,
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+
+    // Lifecycle: queued → running → completed
+    //                            ↘ queued (retry / deferred) → … → dead
+    status: {
+      type: String,
+      enum: ["queued", "running", "completed", "dead"],
+      default: "queued",
+    },
+    runAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    // Failed runs so far; the job is dead-lettered at maxAttempts.
+    // Deferred runs ("not ready yet, look again later") don't count.
+    attempts:    { type: Number, default: 0 },
+    maxAttempts: { type: Number, required: true },
+    runs:        { type: Number, default: 0 },
+
+    // Lease held by the worker currently running the job
+    lockedBy:    String,
+    lockedUntil: Date,
+
+    lastError:   String,
+    deferReason: String,
+    result:      mongoose.Schema.Types.Mixed,
+    completedAt: Date,
+    deadAt:      Date,
+  },
+  { timestamps: true }
+);
+
+jobSchema.index({ key: 1 }, { unique: true });
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ status: 1, lockedUntil: 1 });
+// Finished jobs are kept for a while as an audit trail; dead ones stay until handled
+jobSchema.index(
+  { completedAt: 1 },
+  { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60, partialFilterExpression: { status: "completed" } }
+);
+
+module.exports = mongoose.model("Job", jobSchema);
@@ -0,0 +1,50 @@
+const mongoose = require("mongoose");
+
+// Funds held back for one open order, so concurrent orders can't each be
+// accepted against the same balance: NGN for an offramp (until its payout
+// is sent), tokens from the hot wallet for an onramp (until they are
+// delivered). The active ones of an asset add up to its
+// "liquidityReserved<asset>" counter. Managed by
+// services/liquidityReservationService.js.
+const liquidityReservationSchema = new mongoose.Schema(
+  {
+    // The order's paymentReference — one reservation per order
+    reference: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // "NGN" or a token symbol
+    asset: {
+      type: String,
+      required: true,
+      default: "NGN",
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // active → released
+    status: {
+      type: String,
+      enum: ["active", "released"],
+      default: "active",
+    },
+    // settled  — the payout or delivery was sent, so balances now carry it
+    // expired / failed / refunded — the order ended without one
+    // abandoned — no order was ever created for it
+    releaseReason: {
+      type: String,
+      enum: ["settled", "expired", "failed", "refunded", "abandoned"],
+    },
+    releasedAt: Date,
+    // Taken back by an order paid after it expired
+    revivedAt:  Date,
+  },
+  { timestamps: true }
+);
+
+liquidityReservationSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model("LiquidityReservation", liquidityReservationSchema);
@@ -0,0 +1,47 @@
+const mongoose = require("mongoose");
+
+const RETENTION_DAYS = parseInt(process.env.NONCE_ALLOCATION_RETENTION_DAYS || "30", 10);
+
+// One nonce of a sending address and what it was used for — the in-flight
+// ledger behind models/NonceState.js (services/nonceManager.js).
+const nonceAllocationSchema = new mongoose.Schema(
+  {
+    address: {
+      type: String,
+      required: true,
+    },
+    nonce: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // What the send was for, e.g. "5 STX → SP… (StackSwap onramp SSWAP_…)"
+    purpose: String,
+
+    // allocated → broadcast → confirmed
+    //           ↘ released (never used — handed out again first)
+    //           ↘ void (the node refused it as taken or too low — never reused)
+    // A broadcast the chain never saw is released again by a resync.
+    status: {
+      type: String,
+      enum: ["allocated", "broadcast", "confirmed", "released", "void"],
+      default: "allocated",
+    },
+    txId:        String,
+    error:       String,
+    allocatedAt: Date,
+    broadcastAt: Date,
+    confirmedAt: Date,
+  },
+  { timestamps: true }
+);
+
+nonceAllocationSchema.index({ address: 1, nonce: 1 }, { unique: true });
+nonceAllocationSchema.index({ address: 1, status: 1, nonce: 1 });
+// Confirmed nonces are kept for a while as an audit trail
+nonceAllocationSchema.index(
+  { confirmedAt: 1 },
+  { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60, partialFilterExpression: { status: "confirmed" } }
+);
+
+module.exports = mongoose.model("NonceAllocation", nonceAllocationSchema);
@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+
+// Next nonce to hand out for one sending address (the hot wallet), kept by
+// services/nonceManager.js so concurrent sends never build transactions with
+// the same nonce. Raised atomically with $inc on every allocation, and only
+// ever moved forward by a resync with the chain.
+const nonceStateSchema = new mongoose.Schema(
+  {
+    // Stacks address
+    _id: String,
+    nextNonce: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+
+    // What the Stacks API reported at the last resync
+    chain: {
+      _id: false,
+      lastExecuted:  Number,
+      lastMempool:   Number,
+      possibleNext:  Number,
+      missing:       [Number],
+    },
+    syncedAt: Date,
+  },
+  { versionKey: false }
+);
+
+module.exports = mongoose.model("NonceState", nonceStateSchema);
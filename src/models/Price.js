@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { ALL_TOKEN_SYMBOLS } = require("../config/tokens");
 
 const priceSchema = new mongoose.Schema(
   {
@@ -6,7 +7,7 @@ const priceSchema = new mongoose.Schema(
       type: String,
       required: true,
       uppercase: true,
-      enum: ["STX", "USDC"],
+      enum: ALL_TOKEN_SYMBOLS,
       index: true,
     },
     priceUSD: {
@@ -21,10 +22,38 @@ const priceSchema = new mongoose.Schema(
       type: Number,
       required: true,
     },
+    // Token price per fiat currency code, e.g. { NGN: 1847.3, GHS: 17.6, KES: 147 }
+    prices: {
+      type: Map,
+      of: Number,
+      default: {},
+    },
+    // USD→fiat rates used for this snapshot, e.g. { NGN: 1620, GHS: 15.4, KES: 129 }
+    fxRates: {
+      type: Map,
+      of: Number,
+      default: {},
+    },
+    // "median" when several sources were aggregated, otherwise the single source name
     source: {
       type: String,
       default: "coingecko",
     },
+    // Oracle sources whose token price made it into the median
+    sources: {
+      type: [String],
+      default: [],
+    },
+    // Sources dropped as outliers for this snapshot
+    rejectedSources: {
+      type: [String],
+      default: [],
+    },
+    // Sources that contributed the USD/NGN rate
+    fxSources: {
+      type: [String],
+      default: [],
+    },
     fetchedAt: {
       type: Date,
       default: Date.now,
@@ -33,7 +62,8 @@ const priceSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
-// Keep only the latest 1440 records per token (~24h at 1-min intervals)
+// Raw snapshots are kept PRICE_RAW_RETENTION_HOURS, then rolled into
+// PriceAggregate buckets (see services/priceRetentionService.js)
 priceSchema.index({ token: 1, fetchedAt: -1 });
 
 module.exports = mongoose.model("Price", priceSchema);
@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+const { ALL_TOKEN_SYMBOLS } = require("../config/tokens");
+
+// Downsampled price history. Raw Price snapshots older than the retention
+// window are rolled into hourly buckets, and old hourly buckets into daily
+// ones (see services/priceRetentionService.js).
+const priceAggregateSchema = new mongoose.Schema(
+  {
+    token: {
+      type: String,
+      required: true,
+      uppercase: true,
+      enum: ALL_TOKEN_SYMBOLS,
+    },
+    resolution: {
+      type: String,
+      required: true,
+      enum: ["1h", "1d"],
+    },
+    // UTC-aligned start of the bucket
+    bucketStart: {
+      type: Date,
+      required: true,
+    },
+    openNGN:  { type: Number, required: true },
+    highNGN:  { type: Number, required: true },
+    lowNGN:   { type: Number, required: true },
+    closeNGN: { type: Number, required: true },
+    openUSD:  { type: Number, required: true },
+    highUSD:  { type: Number, required: true },
+    lowUSD:   { type: Number, required: true },
+    closeUSD: { type: Number, required: true },
+    // Number of raw snapshots behind this bucket
+    samples: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+// Required by the $merge rollups — one bucket per token/resolution/start
+priceAggregateSchema.index({ token: 1, resolution: 1, bucketStart: 1 }, { unique: true });
+
+module.exports = mongoose.model("PriceAggregate", priceAggregateSchema);
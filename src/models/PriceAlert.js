@@ -0,0 +1,80 @@
+const mongoose = require("mongoose");
+const { ALL_TOKEN_SYMBOLS } = require("../config/tokens");
+const { FIAT_CURRENCIES } = require("../config/currencies");
+
+// A user's price threshold subscription. Evaluated after every price refresh
+// by services/priceAlertService.js; fires once, then stays as a record.
+const priceAlertSchema = new mongoose.Schema(
+  {
+    // Owner — alerts are listed and managed by Stacks address
+    stacksAddress: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+
+    token: {
+      type: String,
+      required: true,
+      uppercase: true,
+      enum: ALL_TOKEN_SYMBOLS,
+    },
+    currency: {
+      type: String,
+      uppercase: true,
+      enum: Object.keys(FIAT_CURRENCIES),
+      default: "NGN",
+    },
+
+    // above / below — threshold is a price in `currency`
+    // percent_change — threshold is a % move (either way) from basePrice
+    condition: {
+      type: String,
+      required: true,
+      enum: ["above", "below", "percent_change"],
+    },
+    threshold: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    basePrice: Number, // mid price in `currency` when the alert was created
+
+    // Where to send the notification — see services/notifications/
+    channel: {
+      type: String,
+      required: true,
+      enum: ["webhook", "email", "stub"],
+    },
+    target: String, // webhook URL or email address (unused by stub)
+
+    // Lifecycle: active → triggered | expired | cancelled
+    status: {
+      type: String,
+      enum: ["active", "triggered", "expired", "cancelled"],
+      default: "active",
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    triggeredAt: Date,
+    triggerPrice: Number,
+    expiredAt: Date,
+    cancelledAt: Date,
+
+    // Outcome of the notification sent on trigger
+    notification: {
+      delivered: Boolean,
+      error:     String,
+      sentAt:    Date,
+    },
+  },
+  { timestamps: true }
+);
+
+priceAlertSchema.index({ stacksAddress: 1, createdAt: -1 });
+priceAlertSchema.index({ status: 1, token: 1 });
+priceAlertSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model("PriceAlert", priceAlertSchema);
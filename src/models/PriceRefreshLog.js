@@ -0,0 +1,58 @@
+const mongoose = require("mongoose");
+
+const RETENTION_DAYS = parseInt(process.env.PRICE_REFRESH_LOG_RETENTION_DAYS || "7", 10);
+
+// One row per refreshPrices() call — what happened and why.
+// Read by GET /api/prices/status; MongoDB's TTL monitor drops rows after
+// PRICE_REFRESH_LOG_RETENTION_DAYS.
+const providerAttemptSchema = new mongoose.Schema(
+  {
+    source:     { type: String, required: true },
+    outcome:    { type: String, enum: ["ok", "error", "backoff"], required: true },
+    httpStatus: Number, // upstream status; null for timeouts / network errors
+    latencyMs:  Number,
+    error:      String,
+  },
+  { _id: false }
+);
+
+const priceRefreshLogSchema = new mongoose.Schema(
+  {
+    // live           — fresh prices from the oracle
+    // stale_cache    — oracle failed (or backoff), previous prices served
+    // emergency      — oracle failed with nothing cached, fallback rates served
+    outcome: {
+      type: String,
+      required: true,
+      enum: ["live", "stale_cache", "emergency"],
+    },
+    // The oracle wasn't called because the service-wide 429 backoff was active
+    skippedForBackoff: {
+      type: Boolean,
+      default: false,
+    },
+    error: String,
+
+    startedAt:  { type: Date, required: true },
+    durationMs: { type: Number, required: true },
+
+    providers: [providerAttemptSchema],
+
+    // Per-token sources when live: { STX: { sources: [...], rejectedSources: [...] } }
+    tokens: {
+      type: Map,
+      of: new mongoose.Schema({ sources: [String], rejectedSources: [String] }, { _id: false }),
+    },
+
+    // Service state after this attempt
+    consecutiveFailures: Number,
+    backoffUntil:        Date,
+    cacheAgeMs:          Number,
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+priceRefreshLogSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+priceRefreshLogSchema.index({ outcome: 1, createdAt: -1 });
+
+module.exports = mongoose.model("PriceRefreshLog", priceRefreshLogSchema);
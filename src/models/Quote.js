@@ -0,0 +1,80 @@
+const mongoose = require("mongoose");
+const { ALL_TOKEN_SYMBOLS } = require("../config/tokens");
+
+const RETENTION_DAYS = parseInt(process.env.QUOTE_RETENTION_DAYS || "7", 10);
+
+// A locked price for one order. /initialize honors it exactly until expiresAt.
+const quoteSchema = new mongoose.Schema(
+  {
+    token: {
+      type: String,
+      required: true,
+      uppercase: true,
+      enum: ALL_TOKEN_SYMBOLS,
+    },
+
+    // onramp = NGN→token, offramp = token→NGN
+    direction: {
+      type: String,
+      required: true,
+      enum: ["onramp", "offramp"],
+    },
+
+    // Amounts
+    tokenAmount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // onramp: NGN value of tokens bought (excl. fee) | offramp: NGN paid out (net of fee)
+    amountNGN: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    grossNGN: Number,          // offramp only: tokenAmount × bid rate, before fee
+    totalPayableNGN: Number,   // onramp only: amountNGN + flat fee
+    flatFeeNGN: {
+      type: Number,
+      required: true,
+    },
+
+    // Rates used
+    midRateNGN: {
+      type: Number,
+      required: true,
+    },
+    spreadBps: {
+      type: Number,
+      required: true,
+    },
+    rateNGN: {
+      type: Number,
+      required: true,
+    },
+    priceUSD: Number,
+    usdToNgn: Number,
+
+    // Lifecycle: active → used | expired
+    status: {
+      type: String,
+      enum: ["active", "used", "expired"],
+      default: "active",
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+quoteSchema.index({ status: 1, expiresAt: 1 });
+// Quotes are deleted RETENTION_DAYS after they expire — an order keeps its
+// own copy of the rates it was quoted
+quoteSchema.index({ expiresAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model("Quote", quoteSchema);
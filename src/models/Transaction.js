@@ -1,4 +1,73 @@
 const mongoose = require("mongoose");
+const { ALL_TOKEN_SYMBOLS } = require("../config/tokens");
+const { FIAT_CURRENCIES } = require("../config/currencies");
+
+// Tokens sent back to the depositor — services/refundService.js.
+// kind "full" returns the whole deposit of a failed/expired order (the order
+// ends "refunded"); "excess" returns only an overpayment and leaves the order as is.
+const refundSchema = new mongoose.Schema(
+  {
+    kind:   { type: String, enum: ["full", "excess"], required: true },
+    // queued → sending → sent
+    //      ↘ failed   ↘ failed (outcomeUnknown — the broadcast may have gone out)
+    status: { type: String, enum: ["queued", "sending", "sent", "failed"], required: true },
+    trigger:     { type: String, enum: ["admin", "policy"], required: true },
+    requestedBy: String,
+    reason:      String,
+
+    // tokenAmount received back − networkFee = amount actually sent
+    tokenAmount:      { type: Number, required: true },
+    networkFee:       { type: Number, default: 0 },
+    amount:           { type: Number, required: true },
+    recipientAddress: { type: String, required: true },
+    // An earlier excess refund already sent, deducted from this one
+    alreadyRefunded:  Number,
+
+    attempt:        { type: Number, default: 1 },
+    txId:           String,
+    explorerUrl:    String,
+    error:          String,
+    outcomeUnknown: { type: Boolean, default: false },
+
+    requestedAt: Date,
+    sendingAt:   Date,
+    sentAt:      Date,
+    failedAt:    Date,
+  },
+  { _id: false }
+);
+
+// Moving an offramp deposit from its per-order address to the treasury —
+// services/depositAddressService.js. One transfer per token held; each is
+// confirmed on-chain before the next goes out.
+const sweepSchema = new mongoose.Schema(
+  {
+    // queued → sweeping → swept (→ queued again if more arrives)
+    //                   ↘ failed
+    status: { type: String, enum: ["queued", "sweeping", "swept", "failed"], required: true },
+    // 1 for the first sweep, +1 each time the address is swept again
+    round:  Number,
+    toAddress: String,
+    transfers: [
+      {
+        _id:    false,
+        token:  String,
+        amount: Number,
+        txId:   String,
+        // pending until settled, then the node's tx_status (or "dropped")
+        status: String,
+        sentAt: Date,
+      },
+    ],
+    error:     String,
+    queuedAt:  Date,
+    sweptAt:   Date,
+    failedAt:  Date,
+    // Last time a swept address was checked for funds that arrived later
+    checkedAt: Date,
+  },
+  { _id: false }
+);
 
 const transactionSchema = new mongoose.Schema(
   {
@@ -7,7 +76,7 @@ const transactionSchema = new mongoose.Schema(
       type: String,
       required: true,
       uppercase: true,
-      enum: ["STX", "USDC"],
+      enum: ALL_TOKEN_SYMBOLS,
     },
 
     // Direction
@@ -28,6 +97,18 @@ const transactionSchema = new mongoose.Schema(
       required: true,
       min: 0,
     },
+    // Fiat side of the order. ngnAmount/feeNGN/netNGN stay the NGN ledger
+    // values; fiatAmount is the same order in fiatCurrency (equal for NGN).
+    fiatCurrency: {
+      type: String,
+      uppercase: true,
+      enum: Object.keys(FIAT_CURRENCIES),
+      default: "NGN",
+    },
+    fiatAmount: {
+      type: Number,
+      min: 0,
+    },
     rateAtTime: {
       type: Number,
       required: true,
@@ -57,16 +138,36 @@ const transactionSchema = new mongoose.Schema(
       trim: true,
       sparse: true, // optional until confirmed
     },
+    // Offramp: HD derivation index of recipientAddress when it was derived
+    // for this order. Unset for orders paid to the platform address by memo.
+    depositIndex: {
+      type: Number,
+      min: 1,
+    },
 
     // Status lifecycle
     // pending → processing → settling → confirmed
-    //                      ↘ failed
+    //   │    ↘ expired     ↘ failed
+    //   ↘ held (underpaid, waiting on the user) → processing | failed
+    // failed | expired (tokens received) → refunded
     status: {
       type: String,
-      enum: ["pending", "processing", "settling", "confirmed", "failed"], // ✅ added "settling"
+      enum: ["pending", "processing", "settling", "confirmed", "failed", "expired", "held", "refunded"],
       default: "pending",
     },
 
+    // Offramp deposit / onramp payment deadline — unfunded orders past it are
+    // swept to "expired"
+    expiresAt: {
+      type: Date,
+    },
+    expiredAt: {
+      type: Date,
+    },
+
+    refund: refundSchema,
+    sweep:  sweepSchema,
+
     // Optional memo / reference
     memo: {
       type: String,
@@ -109,8 +210,14 @@ const transactionSchema = new mongoose.Schema(
 // Useful query indexes
 transactionSchema.index({ senderAddress: 1, createdAt: -1 });
 transactionSchema.index({ status: 1 });
-transactionSchema.index({ txId: 1 }, { sparse: true });
+// One order per on-chain TX — a deposit can't be credited to two offramps.
+// Built (and checked for duplicates) at startup by services/txIdIndexService.js
+transactionSchema.index({ txId: 1 }, { unique: true, sparse: true });
 transactionSchema.index({ paymentReference: 1 }, { sparse: true });
 transactionSchema.index({ direction: 1, status: 1 });
+transactionSchema.index({ status: 1, expiresAt: 1 });
+transactionSchema.index({ "refund.status": 1 }, { sparse: true });
+transactionSchema.index({ depositIndex: 1 }, { unique: true, sparse: true });
+transactionSchema.index({ "sweep.status": 1 }, { sparse: true });
 
 module.exports = mongoose.model("Transaction", transactionSchema);
\ No newline at end of file
@@ -0,0 +1,52 @@
+const mongoose = require("mongoose");
+
+const RETENTION_DAYS = parseInt(process.env.TREASURY_SNAPSHOT_RETENTION_DAYS || "30", 10);
+
+// One row per treasury check (services/treasuryService.js): what the payout
+// providers and the hot wallet held, how fast recent volume has been
+// drawing them down, and how long that leaves. Read by
+// GET /api/admin/treasury; dropped by MongoDB's TTL monitor after
+// TREASURY_SNAPSHOT_RETENTION_DAYS.
+const assetSchema = new mongoose.Schema(
+  {
+    // "NGN" or a token symbol
+    asset:   { type: String, required: true },
+    // Balance less its safety buffer and what open orders have reserved —
+    // payout providers for NGN, the hot wallet for tokens. Null when it
+    // couldn't be read.
+    balance: Number,
+    // Average outflow per hour over the snapshot's window
+    burnPerHour: { type: Number, default: 0 },
+    // balance / burnPerHour — null when nothing is flowing out
+    runwayHours: Number,
+    alerted:     { type: Boolean, default: false },
+  },
+  { _id: false }
+);
+
+const treasurySnapshotSchema = new mongoose.Schema(
+  {
+    windowHours: { type: Number, required: true },
+
+    ngn: {
+      providers: [
+        {
+          _id:        false,
+          name:       String,
+          balanceNGN: Number,
+          down:       Boolean,
+        },
+      ],
+      capacityNGN: Number,
+      reservedNGN: Number,
+    },
+    hotWalletAddress: String,
+
+    assets: [assetSchema],
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+treasurySnapshotSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model("TreasurySnapshot", treasurySnapshotSchema);
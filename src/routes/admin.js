@@ -0,0 +1,278 @@
+// ============= routes/admin.js =============
+
+const express = require("express");
+const router  = express.Router();
+const { requireAdminKey } = require("../middleware/adminAuth");
+const {
+  createRefund,
+  listRefunds,
+  listExceptions,
+  retryException,
+  resolveException,
+  getTreasury,
+} = require("../controllers/adminController");
+
+router.use(requireAdminKey);
+
+/**
+ * @swagger
+ * /api/admin/refunds:
+ *   post:
+ *     summary: Refund an offramp order's tokens to its sender
+ *     tags: [Admin]
+ *     description: |
+ *       Sends the tokens received for a failed or expired order (or the excess of an
+ *       overpaid one) back to its senderAddress, less REFUND_NETWORK_FEE_STX. The send
+ *       runs as a background job; poll GET /api/offramp/status/{reference} or this
+ *       list for `refund.status` and `refund.txId`. A full refund moves the order to
+ *       "refunded".
+ *
+ *       An order is refunded once: a second request is rejected unless the previous
+ *       refund failed before it was broadcast. Refunds that failed mid-send carry
+ *       `outcomeUnknown` and must be checked on-chain first.
+ *     security:
+ *       - AdminApiKey: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [transactionReference]
+ *             properties:
+ *               transactionReference:
+ *                 type: string
+ *                 example: SSWAP_OFFRAMP_MM4PKWOL_1DEEFEA8
+ *               reason:
+ *                 type: string
+ *                 example: Lenco rejected the beneficiary account
+ *               operator:
+ *                 type: string
+ *                 description: Recorded as refund.requestedBy
+ *     responses:
+ *       202:
+ *         description: Refund queued
+ *       401:
+ *         description: Missing or invalid x-admin-key
+ *       404:
+ *         description: Transaction not found
+ *       409:
+ *         description: Not refundable (NOT_REFUNDABLE, NOTHING_TO_REFUND), already refunded (ALREADY_REFUNDED) or last refund's outcome unknown (REFUND_OUTCOME_UNKNOWN)
+ *       422:
+ *         description: Amount doesn't cover the network fee (REFUND_BELOW_FEE)
+ *       503:
+ *         description: ADMIN_API_KEY not configured, or no price to convert the fee
+ *   get:
+ *     summary: List offramp refunds
+ *     tags: [Admin]
+ *     security:
+ *       - AdminApiKey: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [flagged, queued, sending, sent, failed]
+ *         description: "flagged — orders marked requiresRefund with no refund requested yet"
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Refunds, most recently updated first
+ *       401:
+ *         description: Missing or invalid x-admin-key
+ */
+router.post("/refunds", createRefund);
+router.get("/refunds", listRefunds);
+
+/**
+ * @swagger
+ * /api/admin/exceptions:
+ *   get:
+ *     summary: List orders awaiting manual settlement
+ *     tags: [Admin]
+ *     description: |
+ *       Failed orders whose settlement job gave up: offramps flagged
+ *       `requiresManualSettlement` (NGN payout failed after the tokens arrived) and
+ *       onramps flagged `requiresManualCredit` (token delivery failed after payment).
+ *       Also offramps flagged `requiresManualRefund`: a refund the auto-refund sweep
+ *       wouldn't send (`autoRefundSkipped` says why), to be sent with
+ *       `POST /api/admin/refunds` once checked. Oldest first, with the failure reason, retry count and the operator actions
+ *       taken so far.
+ *     security:
+ *       - AdminApiKey: []
+ *     parameters:
+ *       - in: query
+ *         name: direction
+ *         schema:
+ *           type: string
+ *           enum: [onramp, offramp]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Exceptions
+ *       401:
+ *         description: Missing or invalid x-admin-key
+ */
+router.get("/exceptions", listExceptions);
+
+/**
+ * @swagger
+ * /api/admin/exceptions/{reference}/retry:
+ *   post:
+ *     summary: Retry a failed payout or token delivery under a fresh reference
+ *     tags: [Admin]
+ *     description: |
+ *       Offramp — queues a new payout under `<reference>-R<n>`, routed afresh. Refused
+ *       with PAYOUT_EXISTS while the last provider still has a pending or successful
+ *       transfer under the previous reference, and with REFUND_IN_PROGRESS once the tokens are
+ *       being refunded. Webhook events for the replaced reference no longer move
+ *       the order.
+ *
+ *       Onramp — queues a new `sendTokens` delivery. If the last send may have been
+ *       broadcast (`deliveryOutcomeUnknown`), check the hot wallet and pass
+ *       `confirmNotSent: true`; otherwise DELIVERY_OUTCOME_UNKNOWN.
+ *
+ *       Either way the order's NGN or tokens are reserved again first; a retry
+ *       that no longer fits the payout float or hot wallet is refused with 503.
+ *     security:
+ *       - AdminApiKey: []
+ *     parameters:
+ *       - in: path
+ *         name: reference
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [operator]
+ *             properties:
+ *               operator:
+ *                 type: string
+ *                 example: ada@stackswap
+ *               notes:
+ *                 type: string
+ *               confirmNotSent:
+ *                 type: boolean
+ *     responses:
+ *       202:
+ *         description: Re-queued — data.jobId is the new settlement job
+ *       400:
+ *         description: operator missing
+ *       404:
+ *         description: Transaction not found
+ *       409:
+ *         description: NOT_AN_EXCEPTION, PAYOUT_EXISTS, REFUND_IN_PROGRESS, DELIVERY_OUTCOME_UNKNOWN or CONFLICT
+ *       503:
+ *         description: INSUFFICIENT_LIQUIDITY or INSUFFICIENT_TOKEN_LIQUIDITY — top up, then retry
+ */
+router.post("/exceptions/:reference/retry", retryException);
+
+/**
+ * @swagger
+ * /api/admin/exceptions/{reference}/resolve:
+ *   post:
+ *     summary: Mark an exception as settled out-of-band
+ *     tags: [Admin]
+ *     description: |
+ *       For orders an operator settled by hand — a manual bank transfer or a token
+ *       send from another wallet. The order moves to `confirmed` and the notes are
+ *       kept in `meta.manualResolution` and `meta.manualActions`.
+ *     security:
+ *       - AdminApiKey: []
+ *     parameters:
+ *       - in: path
+ *         name: reference
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [operator, notes]
+ *             properties:
+ *               operator:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *                 example: Paid from the GTBank ops account
+ *               externalReference:
+ *                 type: string
+ *                 description: Bank transfer id or Stacks txid of the manual settlement
+ *     responses:
+ *       200:
+ *         description: Marked as settled
+ *       400:
+ *         description: operator or notes missing
+ *       404:
+ *         description: Transaction not found
+ *       409:
+ *         description: Not an exception (NOT_AN_EXCEPTION) or tokens being refunded (REFUND_IN_PROGRESS)
+ */
+router.post("/exceptions/:reference/resolve", resolveException);
+
+/**
+ * @swagger
+ * /api/admin/treasury:
+ *   get:
+ *     summary: Treasury balances, burn rate and runway
+ *     tags: [Admin]
+ *     description: |
+ *       Snapshots taken every 15 minutes: NGN payout capacity (less the buffer and
+ *       open orders' reservations) and the hot wallet's onramp token balances, each
+ *       with its average hourly outflow over `TREASURY_BURN_WINDOW_HOURS` and the
+ *       runway that leaves. Inflows aren't counted, so runway is a floor.
+ *       `runwayHours` is null when nothing is flowing out.
+ *     security:
+ *       - AdminApiKey: []
+ *     parameters:
+ *       - in: query
+ *         name: hours
+ *         schema:
+ *           type: integer
+ *           default: 24
+ *         description: How far back the history goes (max 720)
+ *     responses:
+ *       200:
+ *         description: Latest snapshot and history, newest first
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               data:
+ *                 thresholdHours: 12
+ *                 latest:
+ *                   windowHours: 24
+ *                   assets:
+ *                     - { asset: NGN, balance: 2450000, burnPerHour: 310000, runwayHours: 7.9, alerted: true }
+ *                     - { asset: STX, balance: 18250, burnPerHour: 120.5, runwayHours: 151.45, alerted: false }
+ *       401:
+ *         description: Missing or invalid x-admin-key
+ */
+router.get("/treasury", getTreasury);
+
+module.exports = router;
@@ -9,11 +9,20 @@ const {
   initializeOfframp,
   notifyTxBroadcast,
   confirmTokenReceipt,
+  resolveUnderpayment,
   handleLencoWebhook,
+  handlePaystackWebhook,
   getOfframpStatus,
   getOfframpHistory,
   getLiquidityInfo,       // ← ADD THIS
 } = require("../controllers/offrampController");
+const {
+  postBeneficiary,
+  getBeneficiaries,
+  patchBeneficiary,
+  removeBeneficiary,
+} = require("../controllers/beneficiaryController");
+const { requireAddressProof } = require("../middleware/addressProof");
 /**
  * Middleware: restrict an endpoint to server-to-server calls only.
  * Rejects any request missing a valid x-internal-key header.
@@ -27,6 +36,14 @@ function requireInternalKey(req, res, next) {
   next();
 }
 
+// Saving, changing and deleting beneficiaries, and resolving a held
+// underpayment, must be signed by the address's wallet
+const proveBodyAddress  = requireAddressProof((req) => req.body.stacksAddress);
+const proveQueryAddress = requireAddressProof((req) => req.query.address);
+
+// Paying a saved beneficiary must be signed too — its id is listed publicly
+const proveBeneficiaryUse = (req, res, next) => (req.body.beneficiaryId ? proveBodyAddress(req, res, next) : next());
+
 /**
  * @swagger
  * /api/offramp/banks:
@@ -34,7 +51,8 @@ function requireInternalKey(req, res, next) {
  *     summary: Get list of supported Nigerian banks (sorted, fintech-first)
  *     tags: [Offramp]
  *     description: |
- *       Returns all banks supported by Lenco for NGN payouts.
+ *       Returns the banks NGN payouts can go to, in the bank codes of the first
+ *       configured provider in PAYOUT_PROVIDERS (other providers are matched by name).
  *       Results are cached server-side for 24 hours.
  *       OPay, Kuda, PalmPay and other fintechs are surfaced at the top.
  *       Used by the frontend to populate the bank selector dropdown.
@@ -68,7 +86,7 @@ function requireInternalKey(req, res, next) {
  *                       type: string
  *                       format: date-time
  *       500:
- *         description: Failed to fetch from Lenco
+ *         description: Failed to fetch from the payout provider
  */
 router.get("/banks", getBankList);
 
@@ -78,6 +96,9 @@ router.get("/banks", getBankList);
  *   get:
  *     summary: Get offramp quote — how much NGN you receive for selling STX/USDC
  *     tags: [Offramp]
+ *     description: |
+ *       Sellers are paid at the bid rate — `midRateNGN` minus `spreadBps`.
+ *       `rateNGN` is the rate actually paid and is stored as `rateAtTime`.
  *     parameters:
  *       - in: query
  *         name: token
@@ -89,8 +110,15 @@ router.get("/banks", getBankList);
  *         name: tokenAmount
  *         schema:
  *           type: number
- *         description: Optional. If provided, returns full NGN calculation including fee breakdown.
+ *         description: Optional. If provided, returns full fiat calculation including fee breakdown.
  *         example: 100
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *           enum: [NGN, GHS, KES]
+ *           default: NGN
+ *         description: Fiat currency to quote in. Non-NGN responses carry only the currency-neutral fields (`midRate`, `rate`, `flatFee`, `fiatAmount`, ...).
  *     responses:
  *       200:
  *         description: Offramp rate and optional quote
@@ -101,7 +129,7 @@ router.get("/rate", getOfframpRate);
  * @swagger
  * /api/offramp/verify-account:
  *   post:
- *     summary: Verify a Nigerian bank account via Lenco
+ *     summary: Verify a Nigerian bank account with the payout provider
  *     tags: [Offramp]
  *     description: |
  *       Resolves account name for a given bank code + account number.
@@ -139,6 +167,158 @@ router.get("/rate", getOfframpRate);
  */
 router.post("/verify-account", verifyAccount);
 
+/**
+ * @swagger
+ * /api/offramp/beneficiaries:
+ *   post:
+ *     summary: Save a bank account for future offramps
+ *     tags: [Offramp]
+ *     description: |
+ *       Verifies the account with the payout provider and saves it for the wallet.
+ *       Pass the returned `beneficiaryId` to /api/offramp/initialize instead of
+ *       bank details. The first account a wallet saves becomes its default.
+ *       Account numbers are only ever returned masked.
+ *
+ *       Saving, changing and deleting beneficiaries must be signed by the
+ *       address's wallet. Sign this message (lines joined with `\n`) and send
+ *       the result in the `x-stacks-public-key`, `x-stacks-signature` and
+ *       `x-stacks-timestamp` headers; the timestamp must be within
+ *       ADDRESS_PROOF_MAX_AGE_SECONDS (default 300) of the server's clock:
+ *       ```
+ *       StackSwap request
+ *       POST /api/offramp/beneficiaries
+ *       Address: <stacksAddress>
+ *       Body: <hex SHA-256 of the exact JSON body sent>
+ *       Timestamp: <x-stacks-timestamp>
+ *       ```
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [stacksAddress, bankCode, accountNumber]
+ *             properties:
+ *               stacksAddress:
+ *                 type: string
+ *                 example: SP3EWE151DHDTV7CP5D7N2YYESA3VEH3TBPNTT4EV
+ *               bankCode:
+ *                 type: string
+ *                 example: "100004"
+ *                 description: Bank code from /api/offramp/banks
+ *               accountNumber:
+ *                 type: string
+ *                 example: "7043314162"
+ *               label:
+ *                 type: string
+ *                 example: "Salary account"
+ *               isDefault:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Saved beneficiary
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               data:
+ *                 beneficiaryId: 665f1c2e8a4b2c0012345678
+ *                 label: "Salary account"
+ *                 bankCode: "100004"
+ *                 bankName: "OPay"
+ *                 accountNumber: "******4162"
+ *                 accountName: "JOHN DOE"
+ *                 isDefault: true
+ *       400:
+ *         description: Validation or bank verification error
+ *       401:
+ *         description: OWNERSHIP_PROOF_REQUIRED, OWNERSHIP_PROOF_EXPIRED or INVALID_OWNERSHIP_PROOF
+ *       409:
+ *         description: BENEFICIARY_EXISTS — this account is already saved
+ *       429:
+ *         description: BENEFICIARY_LIMIT_REACHED — too many beneficiaries for this address
+ *   get:
+ *     summary: List a wallet's saved bank accounts, default first
+ *     tags: [Offramp]
+ *     parameters:
+ *       - in: query
+ *         name: address
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Beneficiaries
+ */
+router.post("/beneficiaries", proveBodyAddress, postBeneficiary);
+router.get("/beneficiaries", getBeneficiaries);
+
+/**
+ * @swagger
+ * /api/offramp/beneficiaries/{id}:
+ *   patch:
+ *     summary: Rename a saved bank account or make it the default
+ *     tags: [Offramp]
+ *     description: |
+ *       Signed like POST /api/offramp/beneficiaries, over
+ *       `PATCH /api/offramp/beneficiaries/{id}` and the `address` query param.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: address
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               label:
+ *                 type: string
+ *                 nullable: true
+ *               isDefault:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Updated beneficiary
+ *       401:
+ *         description: Missing or invalid ownership proof
+ *       404:
+ *         description: No such beneficiary for this address
+ *   delete:
+ *     summary: Delete a saved bank account
+ *     tags: [Offramp]
+ *     description: |
+ *       Signed like POST /api/offramp/beneficiaries, over
+ *       `DELETE /api/offramp/beneficiaries/{id}` and the `address` query param.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: address
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Deleted beneficiary
+ *       401:
+ *         description: Missing or invalid ownership proof
+ *       404:
+ *         description: No such beneficiary for this address
+ */
+router.patch("/beneficiaries/:id", proveQueryAddress, patchBeneficiary);
+router.delete("/beneficiaries/:id", proveQueryAddress, removeBeneficiary);
+
 /**
  * @swagger
  * /api/offramp/initialize:
@@ -150,14 +330,30 @@ router.post("/verify-account", verifyAccount);
  *       transaction, and returns a deposit address + memo.
  *       The user must then send exactly `tokenAmount` of `token` to `depositInstructions.sendTo`
  *       with `transactionReference` as the memo/note within 30 minutes.
+ *       When per-order deposit addresses are enabled, `sendTo` belongs to this
+ *       order alone and the memo is optional.
+ *
+ *       Pass `quoteId` from `POST /api/quotes` to be paid exactly that quote.
+ *       `token` and `tokenAmount` then default to the quote's. An expired quote is
+ *       rejected with HTTP 410 and `code: QUOTE_EXPIRED`.
+ *
+ *       Pass `beneficiaryId` from `POST /api/offramp/beneficiaries` instead of
+ *       `bankCode` + `accountNumber` to pay a saved account without re-verifying it.
+ *       Such a request must be signed by `stacksAddress`'s wallet, like
+ *       POST /api/offramp/beneficiaries, over `POST /api/offramp/initialize`.
+ *       The account number is returned masked (`******4162`) in `bank` and
+ *       `breakdown.toBank`.
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required: [token, tokenAmount, stacksAddress, bankCode, accountNumber]
+ *             required: [token, tokenAmount, stacksAddress]
  *             properties:
+ *               quoteId:
+ *                 type: string
+ *                 description: Optional locked quote from POST /api/quotes
  *               token:
  *                 type: string
  *                 enum: [STX, USDC]
@@ -165,6 +361,10 @@ router.post("/verify-account", verifyAccount);
  *               tokenAmount:
  *                 type: number
  *                 example: 100
+ *               fiatCurrency:
+ *                 type: string
+ *                 default: NGN
+ *                 description: Only NGN can be paid out today — anything else is rejected with UNSUPPORTED_SETTLEMENT_CURRENCY
  *               stacksAddress:
  *                 type: string
  *                 example: SP3EWE151DHDTV7CP5D7N2YYESA3VEH3TBPNTT4EV
@@ -177,15 +377,26 @@ router.post("/verify-account", verifyAccount);
  *               accountName:
  *                 type: string
  *                 example: "John Doe"
+ *               beneficiaryId:
+ *                 type: string
+ *                 description: A saved account of stacksAddress — replaces bankCode, accountNumber and accountName
  *     responses:
  *       201:
  *         description: Transaction created. Send tokens to deposit address with reference as memo.
  *       400:
- *         description: Validation or bank verification error
+ *         description: Validation, bank verification error or QUOTE_MISMATCH
+ *       401:
+ *         description: beneficiaryId sent without a valid ownership proof
+ *       404:
+ *         description: beneficiaryId is not a saved account of stacksAddress
+ *       409:
+ *         description: QUOTE_USED — quote already claimed by another order
+ *       410:
+ *         description: QUOTE_EXPIRED — request a new quote
  *       503:
- *         description: Deposit address not configured
+ *         description: Deposit address not configured, or TRADING_HALTED (see GET /api/prices/market-status)
  */
-router.post("/initialize", initializeOfframp);
+router.post("/initialize", proveBeneficiaryUse, initializeOfframp);
 
 /**
  * @swagger
@@ -196,13 +407,19 @@ router.post("/initialize", initializeOfframp);
  *     description: |
  *       Called by the frontend immediately after the user approves the transaction
  *       in their wallet (Leather/Xverse) and onFinish fires with a txId.
- *       Saves the Stacks TX ID to the database and starts a background poll loop
- *       that watches the Stacks blockchain for confirmation, then triggers the
- *       Lenco NGN bank payout automatically once the TX is confirmed on-chain.
+ *       Saves the Stacks TX ID to the database and queues a deposit confirmation
+ *       job that watches the Stacks blockchain for confirmation, then queues the
+ *       NGN bank payout once the TX is confirmed on-chain. Both are durable
+ *       jobs (services/jobQueue.js) and resume after a server restart.
  *
- *       This endpoint responds immediately (fire-and-forget polling in background).
- *       The frontend does not need to wait for settlement — it just needs to call
- *       this once so the backend knows which TX to watch.
+ *       This endpoint responds immediately. The frontend does not need to wait
+ *       for settlement — it just needs to call this once so the backend knows
+ *       which TX to watch. Calling it again for the same TX is harmless.
+ *
+ *       Once confirmed, the order is credited only with the transfers in the TX
+ *       of its token, from its sender address to its deposit address. A TX with
+ *       none fails the order. A TX already attached to another order is
+ *       rejected with HTTP 409 and `code: TX_ALREADY_USED`.
  *     requestBody:
  *       required: true
  *       content:
@@ -221,7 +438,7 @@ router.post("/initialize", initializeOfframp);
  *                 example: be93a32cf499e79a70edf08edc901c5faf9afdd876975fa2aa55cd92d49
  *     responses:
  *       200:
- *         description: TX received, background polling started
+ *         description: TX received, confirmation job queued
  *         content:
  *           application/json:
  *             example:
@@ -230,10 +447,13 @@ router.post("/initialize", initializeOfframp);
  *               data:
  *                 transactionReference: SSWAP_OFFRAMP_MM4PKWOL_1DEEFEA8
  *                 stacksTxId: be93a32cf499e79a70edf08edc901c5faf9afdd876975fa2aa55cd92d49
+ *                 jobId: 6650f1c2a9e4b8d1f0c3a7e2
  *       400:
  *         description: Missing transactionReference or stacksTxId
  *       404:
  *         description: Transaction not found in database
+ *       409:
+ *         description: The TX is already attached to another order (TX_ALREADY_USED)
  */
 router.post("/notify-tx", notifyTxBroadcast);
 
@@ -247,7 +467,9 @@ router.post("/notify-tx", notifyTxBroadcast);
  *       Called exclusively by the server-side Stacks blockchain indexer
  *       (services/stacksIndexer.js) when it detects an inbound token transfer
  *       to the deposit address with a matching SSWAP_OFFRAMP_ memo.
- *       Triggers the Lenco NGN bank transfer.
+ *       Marks the order received and queues the NGN bank transfer as a
+ *       durable job (retried with backoff; failed for manual settlement once
+ *       retries run out).
  *
  *       SECURITY: Protected by requireInternalKey middleware (x-internal-key header).
  *       This endpoint must NEVER be called from the browser.
@@ -274,16 +496,60 @@ router.post("/notify-tx", notifyTxBroadcast);
  *                 type: string
  *     responses:
  *       200:
- *         description: Tokens confirmed, NGN settlement initiated
+ *         description: Tokens confirmed, NGN payout job queued
  *       401:
  *         description: Unauthorized — missing or invalid x-internal-key
  *       404:
  *         description: Transaction not found
- *       500:
- *         description: Lenco transfer failed — manual action required
  */
 router.post("/confirm-receipt", requireInternalKey, confirmTokenReceipt);
 
+/**
+ * @swagger
+ * /api/offramp/resolve-underpayment:
+ *   post:
+ *     summary: Accept a pro-rata payout or request a refund for a held underpayment
+ *     tags: [Offramp]
+ *     description: |
+ *       With OFFRAMP_UNDERPAYMENT_POLICY=hold, a deposit short of the ordered amount
+ *       (beyond OFFRAMP_AMOUNT_TOLERANCE_PCT) parks the order as "held". The depositor
+ *       then chooses: `accept` pays out for the tokens that arrived at the order's rate,
+ *       `refund` fails the order and flags the tokens to be sent back. Holds left
+ *       unanswered for OFFRAMP_HOLD_TIMEOUT_HOURS are refunded.
+ *
+ *       The request must be signed by the sender's wallet, like
+ *       POST /api/offramp/beneficiaries, over `POST /api/offramp/resolve-underpayment`.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [transactionReference, stacksAddress, action]
+ *             properties:
+ *               transactionReference:
+ *                 type: string
+ *                 example: SSWAP_OFFRAMP_MM4PKWOL_1DEEFEA8
+ *               stacksAddress:
+ *                 type: string
+ *                 description: The order's sender address
+ *               action:
+ *                 type: string
+ *                 enum: [accept, refund]
+ *     responses:
+ *       200:
+ *         description: Resolved — data.depositResolution records the outcome
+ *       400:
+ *         description: Missing or invalid fields
+ *       401:
+ *         description: Missing or invalid ownership proof
+ *       404:
+ *         description: No such order for this address
+ *       409:
+ *         description: Order is not held (NOT_HELD)
+ */
+router.post("/resolve-underpayment", proveBodyAddress, resolveUnderpayment);
+
 /**
  * @swagger
  * /api/offramp/lenco-webhook:
@@ -301,6 +567,24 @@ router.post("/confirm-receipt", requireInternalKey, confirmTokenReceipt);
  */
 router.post("/lenco-webhook", handleLencoWebhook);
 
+/**
+ * @swagger
+ * /api/offramp/paystack-webhook:
+ *   post:
+ *     summary: Paystack webhook — finalizes transaction on a Paystack NGN transfer
+ *     tags: [Offramp]
+ *     description: |
+ *       Receives transfer events from Paystack (transfer.success, transfer.failed,
+ *       transfer.reversed) for payouts routed to Paystack. Verified via the
+ *       HMAC-SHA512 signature in the x-paystack-signature header.
+ *     responses:
+ *       200:
+ *         description: Event processed
+ *       401:
+ *         description: Missing or invalid signature
+ */
+router.post("/paystack-webhook", handlePaystackWebhook);
+
 /**
  * @swagger
  * /api/offramp/liquidity:
@@ -310,7 +594,9 @@ router.post("/lenco-webhook", handleLencoWebhook);
  *     description: |
  *       Returns whether the platform has enough NGN to fulfil orders right now,
  *       and the maximum single order amount that can be processed.
- *       Does NOT expose raw balance — returns sanitised maxOrderNGN only.
+ *       Every open (unpaid) offramp order reserves its ngnAmount until its
+ *       payout is sent or it expires or fails; `reservedNGN` is the total held
+ *       and `freeNGN` what is left for new orders.
  *     responses:
  *       200:
  *         description: Liquidity info
@@ -319,6 +605,11 @@ router.post("/lenco-webhook", handleLencoWebhook);
  *             example:
  *               success: true
  *               data:
+ *                 balanceNGN: 1250000
+ *                 capacityNGN: 1245000
+ *                 reservedNGN: 1000000
+ *                 freeNGN: 245000
+ *                 reservations: 4
  *                 available: true
  *                 maxOrderNGN: 245000
  *                 minBufferNGN: 5000
@@ -363,7 +654,7 @@ router.get("/status/:reference", getOfframpStatus);
  *         name: status
  *         schema:
  *           type: string
- *           enum: [pending, processing, settling, confirmed, failed]
+ *           enum: [pending, processing, settling, confirmed, failed, expired, held, refunded]
  *     responses:
  *       200:
  *         description: Paginated offramp history
@@ -8,6 +8,7 @@ const {
   handleMonnifyWebhook,
   verifyOnramp,
   getOnrampHistory,
+  getOnrampLiquidity,
 } = require("../controllers/onrampController");
 
 /**
@@ -16,6 +17,9 @@ const {
  *   get:
  *     summary: Get onramp quote — how many STX/USDC you receive for a given NGN amount
  *     tags: [Onramp]
+ *     description: |
+ *       Tokens are priced at the ask rate — `midRateNGN` plus `spreadBps`.
+ *       `rateNGN` is the rate actually charged and is stored as `rateAtTime`.
  *     parameters:
  *       - in: query
  *         name: token
@@ -24,11 +28,23 @@ const {
  *           enum: [STX, USDC]
  *           default: STX
  *       - in: query
- *         name: amountNGN
+ *         name: currency
+ *         schema:
+ *           type: string
+ *           enum: [NGN, GHS, KES]
+ *           default: NGN
+ *         description: Fiat currency to quote in. Non-NGN responses carry only the currency-neutral fields (`midRate`, `rate`, `flatFee`, `fiatAmount`, ...).
+ *       - in: query
+ *         name: amount
  *         schema:
  *           type: number
- *         description: Optional. If provided, returns full calculation breakdown.
+ *         description: Optional amount in `currency`. If provided, returns full calculation breakdown.
  *         example: 50000
+ *       - in: query
+ *         name: amountNGN
+ *         schema:
+ *           type: number
+ *         description: Alias of `amount` for NGN (kept for existing clients).
  *     responses:
  *       200:
  *         description: Onramp rate and optional calculation
@@ -41,6 +57,18 @@ router.get("/rate", getOnrampRate);
  *   post:
  *     summary: Initialize onramp — creates transaction and returns Monnify payment config
  *     tags: [Onramp]
+ *     description: |
+ *       Pass `quoteId` from `POST /api/quotes` to be charged exactly that quote.
+ *       `token` and `amountNGN` then default to the quote's. An expired quote is
+ *       rejected with HTTP 410 and `code: QUOTE_EXPIRED`.
+ *
+ *       The hot wallet must hold the order's `tokenAmount` on top of its safety
+ *       buffer and what other open onramps have reserved, or the order is
+ *       rejected with `code: INSUFFICIENT_TOKEN_LIQUIDITY` before the user pays.
+ *       An accepted order reserves its tokens until they are delivered. One not
+ *       paid by its `expiresAt` (ONRAMP_PAYMENT_WINDOW_MINUTES) is expired and
+ *       its tokens freed; a payment that still arrives reserves them again, or
+ *       is left for manual credit if they are gone.
  *     requestBody:
  *       required: true
  *       content:
@@ -49,6 +77,9 @@ router.get("/rate", getOnrampRate);
  *             type: object
  *             required: [token, amountNGN, stacksAddress, customerEmail]
  *             properties:
+ *               quoteId:
+ *                 type: string
+ *                 description: Optional locked quote from POST /api/quotes
  *               token:
  *                 type: string
  *                 enum: [STX, USDC]
@@ -56,6 +87,10 @@ router.get("/rate", getOnrampRate);
  *               amountNGN:
  *                 type: number
  *                 example: 50000
+ *               fiatCurrency:
+ *                 type: string
+ *                 default: NGN
+ *                 description: Only NGN can be settled today — anything else is rejected with UNSUPPORTED_SETTLEMENT_CURRENCY
  *               stacksAddress:
  *                 type: string
  *                 example: SP3EWE151DHDTV7CP5D7N2YYESA3VEH3TBPNTT4EV
@@ -70,17 +105,53 @@ router.get("/rate", getOnrampRate);
  *       201:
  *         description: Transaction created. Use monnifyConfig on the frontend to launch payment modal.
  *       400:
- *         description: Validation error
+ *         description: Validation error or QUOTE_MISMATCH
+ *       409:
+ *         description: QUOTE_USED — quote already claimed by another order
+ *       410:
+ *         description: QUOTE_EXPIRED — request a new quote
+ *       503:
+ *         description: |
+ *           TRADING_HALTED — pricing is unreliable, see GET /api/prices/market-status.
+ *           INSUFFICIENT_TOKEN_LIQUIDITY — the hot wallet can't fill the order;
+ *           `data.maxTokenAmount` / `data.maxAmountNGN` is the largest that would fit
+ *           (null if the balance couldn't be read).
  */
 router.post("/initialize", initializeOnramp);
 
+/**
+ * @swagger
+ * /api/onramp/liquidity:
+ *   get:
+ *     summary: Check hot wallet token liquidity
+ *     tags: [Onramp]
+ *     description: |
+ *       How much of each onramp token can be bought right now — the hot wallet
+ *       balance less its safety buffer and what open onramps have reserved.
+ *     responses:
+ *       200:
+ *         description: Liquidity per token
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               data:
+ *                 tokens:
+ *                   STX: { reserved: 420.5, reservations: 3, maxTokenAmount: 1579.5, available: true }
+ *                   USDC: { reserved: 0, reservations: 0, maxTokenAmount: 0, available: false }
+ *                 checkedAt: "2026-03-01T12:00:00.000Z"
+ *       503:
+ *         description: Liquidity check temporarily unavailable
+ */
+router.get("/liquidity", getOnrampLiquidity);
+
 /**
  * @swagger
  * /api/onramp/webhook:
  *   post:
  *     summary: Monnify payment webhook — auto-credits STX/USDC on successful payment
  *     tags: [Onramp]
- *     description: Called by Monnify after payment. Verifies HMAC-SHA512 signature and credits tokens to the Stacks wallet.
+ *     description: Called by Monnify after payment. Verifies HMAC-SHA512 signature and queues a durable job that sends the tokens to the Stacks wallet.
  *     responses:
  *       200:
  *         description: Processed
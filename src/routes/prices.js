@@ -1,6 +1,12 @@
 const express = require("express");
 const router = express.Router();
-const { getLivePrices, getTokenPrice, getHistory, forceRefresh } = require("../controllers/priceController");
+const { getLivePrices, streamPrices, getMarket, getFeedStatus, getTokenPrice, getHistory, getPriceCandles, getPriceAtTime, forceRefresh } = require("../controllers/priceController");
+const { postAlert, getAlerts, fetchAlert, patchAlert, deleteAlert } = require("../controllers/priceAlertController");
+const { requireAddressProof } = require("../middleware/addressProof");
+
+// Creating, changing and cancelling alerts must be signed by the address's wallet
+const proveBodyAddress  = requireAddressProof((req) => req.body.stacksAddress);
+const proveQueryAddress = requireAddressProof((req) => req.query.address);
 
 /**
  * @swagger
@@ -24,6 +30,358 @@ const { getLivePrices, getTokenPrice, getHistory, forceRefresh } = require("../c
  */
 router.get("/", getLivePrices);
 
+/**
+ * @swagger
+ * /api/prices/stream:
+ *   get:
+ *     summary: Stream live prices over Server-Sent Events
+ *     tags: [Prices]
+ *     description: |
+ *       Long-lived `text/event-stream` connection. Events:
+ *       - `prices` — sent on connect and whenever the price cache is refreshed.
+ *         Same `data` shape as `GET /api/prices`, plus `emergency` (fallback rates
+ *         are being served) and `stale` (cache older than PRICE_CACHE_TTL_MS).
+ *       - `heartbeat` — every PRICE_STREAM_HEARTBEAT_MS (default 15s) with
+ *         `{ time, emergency, stale, ageMs, lastFetched }`.
+ *
+ *       One connection counts once against the rate limiter, so prefer this to
+ *       polling `GET /api/prices`.
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             example: |
+ *               event: prices
+ *               data: {"STX":{"priceNGN":1847.35,"priceUSD":1.14,"change24h":2.4},"USDC":{"priceNGN":1620.5,"priceUSD":1,"change24h":0.1},"usdToNgn":1620.5,"fromCache":false,"fetchedAt":"2026-03-01T12:00:00.000Z","emergency":false,"stale":false}
+ *
+ *               event: heartbeat
+ *               data: {"time":"2026-03-01T12:00:15.000Z","emergency":false,"stale":false,"ageMs":15000,"lastFetched":"2026-03-01T12:00:00.000Z"}
+ *       503:
+ *         description: Too many open streams — fall back to polling
+ */
+router.get("/stream", streamPrices);
+
+/**
+ * @swagger
+ * /api/prices/market-status:
+ *   get:
+ *     summary: Whether prices are currently good enough to trade on
+ *     tags: [Prices]
+ *     description: |
+ *       - `healthy` — fresh prices from enough sources
+ *       - `degraded` — still trading, but the cache is past its TTL, too few sources agreed,
+ *         or a token is priced from one source only (`SINGLE_SOURCE` — see PRICE_ALLOW_SINGLE_SOURCE)
+ *       - `halted` — onramp/offramp initialize and POST /api/quotes return 503 `TRADING_HALTED`.
+ *         Triggers: emergency fallback rates (`EMERGENCY_RATES`), prices older than
+ *         PRICE_HALT_STALE_MS (`STALE_PRICES`), or a move beyond PRICE_HALT_JUMP_PCT between
+ *         refreshes (`PRICE_JUMP`, held for PRICE_HALT_COOLDOWN_MS).
+ *     responses:
+ *       200:
+ *         description: Market status
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               data:
+ *                 status: halted
+ *                 tradingEnabled: false
+ *                 reasons:
+ *                   - severity: halt
+ *                     code: PRICE_JUMP
+ *                     message: STX moved 12.4% between refreshes
+ *                     token: STX
+ *                     until: "2026-03-01T12:05:00.000Z"
+ *                 feed:
+ *                   emergency: false
+ *                   stale: false
+ *                   ageMs: 4200
+ *                   lastFetched: "2026-03-01T12:00:00.000Z"
+ *                 checkedAt: "2026-03-01T12:00:04.200Z"
+ */
+router.get("/market-status", getMarket);
+
+/**
+ * @swagger
+ * /api/prices/status:
+ *   get:
+ *     summary: Price-feed diagnostics — cache, backoff, in-flight fetch and recent refreshes
+ *     tags: [Prices]
+ *     description: |
+ *       Read-only view of the price service for on-call; never triggers a fetch.
+ *       - `cache` — age, freshness, emergency flag and per-token sources/rejected sources
+ *       - `backoff` — service-wide 429 backoff and `consecutiveFailures`
+ *       - `inFlight` — whether an oracle fetch is running and for how long
+ *       - `lastRefresh` / `lastSuccessAt` — latest attempt and latest live prices
+ *       - `providers` — per-source backoff and last attempt (outcome, HTTP status, latency)
+ *       - `recentRefreshes` — persisted refresh log, newest first (kept PRICE_REFRESH_LOG_RETENTION_DAYS).
+ *         `null` with `refreshLogError` when the database is unreachable.
+ *     parameters:
+ *       - in: query
+ *         name: logs
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 200
+ *       - in: query
+ *         name: outcome
+ *         schema:
+ *           type: string
+ *           enum: [live, stale_cache, emergency]
+ *     responses:
+ *       200:
+ *         description: Price service status
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               data:
+ *                 feed: { emergency: false, stale: false, ageMs: 41200, lastFetched: "2026-03-01T12:00:00.000Z" }
+ *                 cache:
+ *                   fresh: true
+ *                   emergency: false
+ *                   ttlMs: 60000
+ *                   tokens:
+ *                     STX: { priceNGN: 1847.35, sources: [coingecko, binance], rejectedSources: [] }
+ *                 backoff: { active: false, until: null, remainingMs: 0, consecutiveFailures: 0 }
+ *                 inFlight: { active: false, startedAt: null, elapsedMs: null }
+ *                 lastRefresh: { outcome: live, durationMs: 412, providers: [{ source: binance, outcome: ok, httpStatus: 200, latencyMs: 180 }] }
+ *                 providers:
+ *                   - source: coingecko
+ *                     inBackoff: true
+ *                     consecutiveFailures: 2
+ *                     lastAttempt: { outcome: error, httpStatus: 429, latencyMs: 95, error: "Request failed with status code 429" }
+ *                 recentRefreshes: []
+ *       400:
+ *         description: Invalid outcome filter
+ */
+router.get("/status", getFeedStatus);
+
+/**
+ * @swagger
+ * /api/prices/alerts:
+ *   post:
+ *     summary: Subscribe to a price alert
+ *     tags: [Price Alerts]
+ *     description: |
+ *       Conditions, with `threshold` in `currency` (default NGN):
+ *       - `above` / `below` — fires when the mid price crosses `threshold`
+ *       - `percent_change` — fires when the mid price moves `threshold`% either way
+ *         from its value when the alert was created (`basePrice`)
+ *
+ *       Alerts are checked after every price refresh and fire once. Channels:
+ *       `webhook` (POSTs JSON to `target`, signed with X-StackSwap-Signature when
+ *       NOTIFY_WEBHOOK_SECRET is set), `email` (to `target`, needs EMAIL_API_KEY) and
+ *       `stub` (logs to the console; not available in production). Unless `expiresAt`
+ *       is given an alert expires after PRICE_ALERT_TTL_DAYS (default 30).
+ *
+ *       Webhook targets must be https:// URLs whose host resolves only to public
+ *       addresses — loopback, private, link-local and other reserved ranges are
+ *       refused, and redirects are not followed.
+ *
+ *       Creating, changing and cancelling an alert must be signed by the
+ *       address's wallet. Sign this message (lines joined with `\n`) and send
+ *       the result in the `x-stacks-public-key`, `x-stacks-signature` and
+ *       `x-stacks-timestamp` headers; the timestamp must be within
+ *       ADDRESS_PROOF_MAX_AGE_SECONDS (default 300) of the server's clock:
+ *       ```
+ *       StackSwap request
+ *       POST /api/prices/alerts
+ *       Address: <stacksAddress>
+ *       Body: <hex SHA-256 of the exact JSON body sent>
+ *       Timestamp: <x-stacks-timestamp>
+ *       ```
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [stacksAddress, token, condition, threshold, channel]
+ *             properties:
+ *               stacksAddress:
+ *                 type: string
+ *                 example: SP3EWE151DHDTV7CP5D7N2YYESA3VEH3TBPNTT4EV
+ *               token:
+ *                 type: string
+ *                 enum: [STX, USDC]
+ *                 example: STX
+ *               condition:
+ *                 type: string
+ *                 enum: [above, below, percent_change]
+ *                 example: above
+ *               threshold:
+ *                 type: number
+ *                 example: 2000
+ *               currency:
+ *                 type: string
+ *                 enum: [NGN, GHS, KES]
+ *                 default: NGN
+ *               channel:
+ *                 type: string
+ *                 enum: [webhook, email, stub]
+ *                 example: webhook
+ *               target:
+ *                 type: string
+ *                 description: Webhook URL or email address
+ *                 example: https://example.com/hooks/stackswap
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Alert created
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               data:
+ *                 alertId: 65f1a2b3c4d5e6f7a8b9c0d1
+ *                 stacksAddress: SP3EWE151DHDTV7CP5D7N2YYESA3VEH3TBPNTT4EV
+ *                 token: STX
+ *                 currency: NGN
+ *                 condition: above
+ *                 threshold: 2000
+ *                 description: STX above ₦2,000
+ *                 channel: webhook
+ *                 target: https://example.com/hooks/stackswap
+ *                 status: active
+ *                 expiresAt: "2026-03-31T12:00:00.000Z"
+ *       400:
+ *         description: Validation error (UNSUPPORTED_CHANNEL for a channel not configured here)
+ *       401:
+ *         description: OWNERSHIP_PROOF_REQUIRED, OWNERSHIP_PROOF_EXPIRED or INVALID_OWNERSHIP_PROOF
+ *       429:
+ *         description: ALERT_LIMIT_REACHED — too many active alerts for this address
+ *   get:
+ *     summary: List an address's price alerts
+ *     tags: [Price Alerts]
+ *     parameters:
+ *       - in: query
+ *         name: address
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, triggered, expired, cancelled]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: |
+ *           Alerts, newest first, with pagination. `target` is masked
+ *           (`j***@example.com`, `https://example.com/…`); the signed
+ *           writes return it in full.
+ */
+router.post("/alerts", proveBodyAddress, postAlert);
+router.get("/alerts", getAlerts);
+
+/**
+ * @swagger
+ * /api/prices/alerts/{id}:
+ *   get:
+ *     summary: Get one price alert, including trigger and delivery details
+ *     tags: [Price Alerts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: address
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Alert, with `target` masked as in the list
+ *       404:
+ *         description: No such alert for this address
+ *   patch:
+ *     summary: Change an active alert's threshold, channel, target or expiry
+ *     tags: [Price Alerts]
+ *     description: |
+ *       Signed like POST /api/prices/alerts, over `PATCH /api/prices/alerts/{id}`
+ *       and the `address` query param.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: address
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               threshold:
+ *                 type: number
+ *               channel:
+ *                 type: string
+ *                 enum: [webhook, email, stub]
+ *               target:
+ *                 type: string
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       200:
+ *         description: Updated alert
+ *       401:
+ *         description: Missing or invalid ownership proof
+ *       404:
+ *         description: No such alert for this address
+ *       409:
+ *         description: Alert is no longer active
+ *   delete:
+ *     summary: Cancel an active alert
+ *     tags: [Price Alerts]
+ *     description: |
+ *       Signed like POST /api/prices/alerts, over `DELETE /api/prices/alerts/{id}`
+ *       and the `address` query param.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: address
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Alert cancelled (kept with status "cancelled")
+ *       401:
+ *         description: Missing or invalid ownership proof
+ *       404:
+ *         description: No such alert for this address
+ *       409:
+ *         description: Alert is no longer active
+ */
+router.get("/alerts/:id", fetchAlert);
+router.patch("/alerts/:id", proveQueryAddress, patchAlert);
+router.delete("/alerts/:id", proveQueryAddress, deleteAlert);
+
 /**
  * @swagger
  * /api/prices/{token}:
@@ -86,6 +444,9 @@ router.get("/:token", getTokenPrice);
  *           default: 24
  *           maximum: 168
  *         description: Hours of history to return (max 168 = 7 days)
+ *     description: |
+ *       Raw snapshots are kept for PRICE_RAW_RETENTION_HOURS (default 48h); older
+ *       points come from hourly (then daily) aggregates and report the bucket close.
  *     responses:
  *       200:
  *         description: Price history array
@@ -114,14 +475,131 @@ router.get("/:token", getTokenPrice);
  *                       fetchedAt:
  *                         type: string
  *                         format: date-time
+ *                       resolution:
+ *                         type: string
+ *                         enum: [raw, 1h, 1d]
  */
 router.get("/:token/history", getHistory);
 
+/**
+ * @swagger
+ * /api/prices/{token}/candles:
+ *   get:
+ *     summary: Get OHLC candles for a token in NGN and USD
+ *     tags: [Prices]
+ *     description: |
+ *       Aggregates price snapshots into open/high/low/close buckets aligned to UTC
+ *       interval boundaries. Empty buckets are omitted. At most 1000 candles per request.
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [STX, USDC]
+ *         example: STX
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [5m, 1h, 1d]
+ *           default: 1h
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *         description: ISO date or epoch ms. Defaults to 1 day (5m), 7 days (1h) or 90 days (1d) before `to`.
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *         description: ISO date or epoch ms. Defaults to now.
+ *     responses:
+ *       200:
+ *         description: Candle array
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               token: STX
+ *               interval: 1h
+ *               from: "2026-02-21T10:00:00.000Z"
+ *               to: "2026-02-22T10:00:00.000Z"
+ *               count: 1
+ *               data:
+ *                 - time: "2026-02-22T09:00:00.000Z"
+ *                   openNGN: 1840.1
+ *                   highNGN: 1852.7
+ *                   lowNGN: 1838.4
+ *                   closeNGN: 1847.35
+ *                   openUSD: 1.135
+ *                   highUSD: 1.143
+ *                   lowUSD: 1.134
+ *                   closeUSD: 1.14
+ *                   samples: 30
+ *       400:
+ *         description: Invalid token, interval or range
+ */
+router.get("/:token/candles", getPriceCandles);
+
+/**
+ * @swagger
+ * /api/prices/{token}/at:
+ *   get:
+ *     summary: The recorded price nearest to a point in time
+ *     tags: [Prices]
+ *     description: |
+ *       For audits and disputes. Returns the nearest raw snapshot (with its oracle
+ *       sources) or, once raw snapshots have been rolled up, the hourly/daily bucket
+ *       covering `timestamp` — `priceNGN` is then the bucket close, with `lowNGN`/`highNGN`
+ *       giving the range traded in it. `ageMs` is `timestamp` minus the snapshot time
+ *       (negative when the nearest snapshot came after it).
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [STX, USDC]
+ *       - in: query
+ *         name: timestamp
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ISO-8601 date or epoch milliseconds
+ *         example: "2026-03-01T12:00:00Z"
+ *     responses:
+ *       200:
+ *         description: Nearest snapshot
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               token: STX
+ *               requestedAt: "2026-03-01T12:00:00.000Z"
+ *               snapshot:
+ *                 resolution: raw
+ *                 priceNGN: 1847.35
+ *                 priceUSD: 1.14
+ *                 usdToNgn: 1620.5
+ *                 source: median
+ *                 sources: [coingecko, binance]
+ *                 rejectedSources: []
+ *                 fetchedAt: "2026-03-01T11:59:12.000Z"
+ *               ageMs: 48000
+ *               gapMs: 48000
+ *       400:
+ *         description: Invalid token or timestamp
+ *       404:
+ *         description: No price recorded around that time
+ */
+router.get("/:token/at", getPriceAtTime);
+
 /**
  * @swagger
  * /api/prices/refresh:
  *   post:
- *     summary: Force refresh prices from CoinGecko
+ *     summary: Force refresh prices from the price oracle
  *     tags: [Prices]
  *     responses:
  *       200:
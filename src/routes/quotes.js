@@ -0,0 +1,90 @@
+// ============= routes/quotes.js =============
+
+const express = require("express");
+const router = express.Router();
+const { postQuote, fetchQuote } = require("../controllers/quoteController");
+
+/**
+ * @swagger
+ * /api/quotes:
+ *   post:
+ *     summary: Lock a quote for an onramp or offramp order
+ *     tags: [Quotes]
+ *     description: |
+ *       Prices the order at the live rate (mid ± spread, flat fee) and persists it
+ *       for QUOTE_TTL_SECONDS (default 120s). Pass the returned `quoteId` to
+ *       `/api/onramp/initialize` or `/api/offramp/initialize` to be charged or paid
+ *       exactly this rate. Expired quotes are rejected with `QUOTE_EXPIRED`.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token, direction]
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 enum: [STX, USDC]
+ *                 example: STX
+ *               direction:
+ *                 type: string
+ *                 enum: [onramp, offramp]
+ *                 example: offramp
+ *               amountNGN:
+ *                 type: number
+ *                 description: Required for onramp — NGN value of tokens to buy (excl. fee)
+ *                 example: 50000
+ *               tokenAmount:
+ *                 type: number
+ *                 description: Required for offramp — tokens to sell
+ *                 example: 100
+ *     responses:
+ *       201:
+ *         description: Quote locked
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               data:
+ *                 quoteId: 65f1a2b3c4d5e6f7a8b9c0d1
+ *                 token: STX
+ *                 direction: offramp
+ *                 tokenAmount: 100
+ *                 amountNGN: 182801
+ *                 grossNGN: 182901.5
+ *                 flatFeeNGN: 100
+ *                 midRateNGN: 1847.49
+ *                 spreadBps: 100
+ *                 rateNGN: 1829.02
+ *                 status: active
+ *                 expiresAt: "2026-03-01T12:02:00.000Z"
+ *                 ttlSeconds: 120
+ *       400:
+ *         description: Validation error
+ *       503:
+ *         description: TRADING_HALTED — no quotes while pricing is halted
+ */
+router.post("/", postQuote);
+
+/**
+ * @swagger
+ * /api/quotes/{id}:
+ *   get:
+ *     summary: Get a quote and its status (active, used or expired)
+ *     tags: [Quotes]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Quote details
+ *       404:
+ *         description: Quote not found
+ */
+router.get("/:id", fetchQuote);
+
+module.exports = router;
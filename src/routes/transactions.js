@@ -4,6 +4,7 @@ const {
   initTransaction,
   listTransactions,
   getTransaction,
+  rateAudit,
   patchStatus,
   walletStats,
 } = require("../controllers/transactionController");
@@ -183,6 +184,51 @@ router.post("/", initTransaction);
  */
 router.get("/:id", getTransaction);
 
+/**
+ * @swagger
+ * /api/transactions/{id}/rate-audit:
+ *   get:
+ *     summary: Compare a transaction's booked rate with the recorded market
+ *     tags: [Transactions]
+ *     description: |
+ *       For disputes. For each checkpoint that applies — `quoted` (locked quote created),
+ *       `created`, `tokenReceived` (offramp deposit seen) and `settled` — returns the
+ *       nearest market snapshot (see `GET /api/prices/{token}/at`), how far `rateAtTime`
+ *       sat from it (`rateVsMarketPct`) and what that was worth to the customer
+ *       (`customerImpactNGN`, negative = worse than market, flat fee excluded).
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Rate audit
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               data:
+ *                 transactionId: 65f1a2b3c4d5e6f7a8b9c0d1
+ *                 token: STX
+ *                 direction: offramp
+ *                 status: confirmed
+ *                 tokenAmount: 100
+ *                 rateAtTime: 1829.02
+ *                 recorded: { midRateNGN: 1847.49, spreadBps: 100, quoteId: null }
+ *                 checkpoints:
+ *                   - label: created
+ *                     at: "2026-03-01T12:00:00.000Z"
+ *                     market: { resolution: raw, priceNGN: 1847.35, sources: [coingecko, binance], fetchedAt: "2026-03-01T11:59:40.000Z" }
+ *                     gapMs: 20000
+ *                     rateVsMarketPct: -0.9917
+ *                     customerImpactNGN: -1833
+ *       404:
+ *         description: Transaction not found
+ */
+router.get("/:id/rate-audit", rateAudit);
+
 /**
  * @swagger
  * /api/transactions/{id}/status:
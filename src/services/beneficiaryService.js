@@ -0,0 +1,132 @@
+// ============= services/beneficiaryService.js =============
+// Saved payout bank accounts per wallet, so repeat sellers don't retype
+// bank details and we don't resolve the account on every order.
+//
+// An account is resolved with the payout providers once, when it is saved;
+// the resolved name is what payouts go to. The first beneficiary an address
+// saves becomes its default. Deleting the default leaves the address with
+// none until another is set.
+
+const mongoose = require("mongoose");
+const Beneficiary = require("../models/Beneficiary");
+const { resolveAccount } = require("./payoutProviders");
+
+// ── Config ───────────────────────────────────────────────────────────
+const MAX_PER_ADDRESS = parseInt(process.env.BENEFICIARY_MAX_PER_ADDRESS || "20", 10);
+const MAX_LABEL_LENGTH = 50;
+
+function beneficiaryError(message, statusCode, code) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (code) err.code = code;
+  return err;
+}
+
+// Anyone who knows an address can list its beneficiaries, so the full
+// account number is never returned by the API — only its last 4 digits
+function maskAccountNumber(accountNumber) {
+  return `******${String(accountNumber).slice(-4)}`;
+}
+
+function checkLabel(label) {
+  if (typeof label !== "string" || label.trim().length > MAX_LABEL_LENGTH) {
+    throw beneficiaryError(`label must be a string of at most ${MAX_LABEL_LENGTH} characters`, 400);
+  }
+  return label.trim() || undefined;
+}
+
+/**
+ * Resolve and save a bank account for stacksAddress.
+ * Throws 409 BENEFICIARY_EXISTS if the address already saved it.
+ */
+async function addBeneficiary({ stacksAddress, bankCode, accountNumber, label, isDefault }) {
+  if (label !== undefined) label = checkLabel(label);
+
+  const [count, existing] = await Promise.all([
+    Beneficiary.countDocuments({ stacksAddress }),
+    Beneficiary.findOne({ stacksAddress, bankCode, accountNumber }),
+  ]);
+  if (existing) throw beneficiaryError("This account is already saved", 409, "BENEFICIARY_EXISTS");
+  if (count >= MAX_PER_ADDRESS) {
+    throw beneficiaryError(`At most ${MAX_PER_ADDRESS} beneficiaries per address`, 429, "BENEFICIARY_LIMIT_REACHED");
+  }
+
+  let bank;
+  try {
+    bank = await resolveAccount(bankCode, accountNumber);
+  } catch (err) {
+    throw beneficiaryError(`Bank verification failed: ${err.message}`, 400);
+  }
+
+  const makeDefault = count === 0 || isDefault === true;
+  if (makeDefault) await Beneficiary.updateMany({ stacksAddress, isDefault: true }, { $set: { isDefault: false } });
+
+  try {
+    return await Beneficiary.create({
+      stacksAddress,
+      bankCode,
+      bankName:      bank.bankName,
+      accountNumber: bank.accountNumber,
+      accountName:   bank.accountName,
+      label,
+      isDefault:     makeDefault,
+      verifiedAt:    new Date(),
+    });
+  } catch (err) {
+    if (err.code === 11000) throw beneficiaryError("This account is already saved", 409, "BENEFICIARY_EXISTS");
+    throw err;
+  }
+}
+
+/** An address's beneficiaries: the default first, then most recently used. */
+async function listBeneficiaries(stacksAddress) {
+  return Beneficiary.find({ stacksAddress }).sort({ isDefault: -1, lastUsedAt: -1, createdAt: -1 }).lean();
+}
+
+/** A beneficiary owned by stacksAddress — 404 for anyone else so ids can't be probed. */
+async function getBeneficiary(id, stacksAddress) {
+  if (!mongoose.Types.ObjectId.isValid(id)) throw beneficiaryError("Beneficiary not found", 404);
+  const beneficiary = await Beneficiary.findOne({ _id: id, stacksAddress });
+  if (!beneficiary) throw beneficiaryError("Beneficiary not found", 404);
+  return beneficiary;
+}
+
+/**
+ * Rename a beneficiary or make it the default. Bank details can't be
+ * changed — save the new account instead.
+ */
+async function updateBeneficiary(id, stacksAddress, { label, isDefault }) {
+  const beneficiary = await getBeneficiary(id, stacksAddress);
+
+  if (label !== undefined) beneficiary.label = label === null ? undefined : checkLabel(label);
+  if (isDefault !== undefined) {
+    if (typeof isDefault !== "boolean") throw beneficiaryError("isDefault must be true or false", 400);
+    if (isDefault && !beneficiary.isDefault) {
+      await Beneficiary.updateMany({ stacksAddress, isDefault: true }, { $set: { isDefault: false } });
+    }
+    beneficiary.isDefault = isDefault;
+  }
+
+  return beneficiary.save();
+}
+
+async function deleteBeneficiary(id, stacksAddress) {
+  const beneficiary = await getBeneficiary(id, stacksAddress);
+  await Beneficiary.deleteOne({ _id: beneficiary._id });
+  return beneficiary;
+}
+
+/** Record that an order was placed to this beneficiary (orders it in the list). */
+async function markBeneficiaryUsed(id) {
+  await Beneficiary.updateOne({ _id: id }, { $set: { lastUsedAt: new Date() } });
+}
+
+module.exports = {
+  addBeneficiary,
+  listBeneficiaries,
+  getBeneficiary,
+  updateBeneficiary,
+  deleteBeneficiary,
+  markBeneficiaryUsed,
+  maskAccountNumber,
+};
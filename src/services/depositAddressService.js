@@ -0,0 +1,301 @@
+// ============= services/depositAddressService.js =============
+// Per-order offramp deposit addresses, derived from an HD wallet.
+//
+// With DEPOSIT_WALLET_SEED set (a Stacks secret key phrase, kept like the hot
+// wallet key), every offramp order is paid to an address of its own: account
+// `depositIndex` of that wallet, the index taken from the
+// "depositAddressIndex" counter (models/Counter.js). The indexer
+// (services/stacksIndexer.js) matches those deposits by recipient address,
+// so a forgotten memo no longer strands a deposit. Index 0 — the account a
+// wallet app shows for the phrase — is never handed out. Without a seed,
+// orders are paid to PLATFORM_STX_ADDRESS and matched by memo as before.
+//
+// Sweeps: once an order's deposit has been received, a "deposit.sweep" job
+// moves everything its address holds (STX and every enabled token) to
+// DEPOSIT_SWEEP_ADDRESS (default PLATFORM_STX_ADDRESS). The hot wallet
+// sponsors the fees, so deposit addresses never need STX of their own. One
+// transfer goes out at a time and must settle before the balances are read
+// again. Each transfer takes the address's next nonce from the node, so a
+// transfer re-sent after a crash either clashes with the first or finds
+// nothing left to move. The hot wallet's sponsor nonce comes from
+// services/nonceManager.js, like every other hot wallet send.
+//
+// A swept address keeps being checked for DEPOSIT_SWEEP_WATCH_HOURS: anything
+// sent to it after the sweep (a second deposit, a late top-up) is swept again
+// in a new round and raised as an ops alert, since no order credits it.
+
+const axios = require("axios");
+const { generateWallet, getRootNode, deriveAccount, getStxAddress, DerivationType } = require("@stacks/wallet-sdk");
+const Transaction = require("../models/Transaction");
+const Counter = require("../models/Counter");
+const { registerHandler, enqueue, defer, giveUp } = require("./jobQueue");
+const { sendTokens } = require("./stacksTransferService");
+const { sendOpsAlert } = require("./opsAlertService");
+const { NETWORK, listTokens, getToken, isNative, getContract, fromBaseUnits } = require("../config/tokens");
+const { sweeps: log } = require("../config/consoleLogger");
+
+// ── Config ───────────────────────────────────────────────────────────
+const DEPOSIT_WALLET_SEED = process.env.DEPOSIT_WALLET_SEED || "";
+const SWEEP_ADDRESS       = process.env.DEPOSIT_SWEEP_ADDRESS || process.env.PLATFORM_STX_ADDRESS || "";
+const STACKS_API_URL      = process.env.STACKS_API_URL || "https://api.mainnet.hiro.so";
+// How often to check a sweep transfer, and how long one the node has never
+// seen may stay missing before it is taken as dropped
+const SWEEP_POLL_MS    = parseInt(process.env.DEPOSIT_SWEEP_POLL_MS || "60000", 10);
+const SWEEP_DROP_AFTER_MS = 30 * 60 * 1000;
+const SWEEP_BATCH      = 50;
+// How long a swept address is still checked for funds that arrive later
+const SWEEP_WATCH_MS   = parseInt(process.env.DEPOSIT_SWEEP_WATCH_HOURS || "72", 10) * 60 * 60 * 1000;
+const COUNTER_ID       = "depositAddressIndex";
+
+function isEnabled() {
+  return Boolean(DEPOSIT_WALLET_SEED);
+}
+
+// ── Derivation ───────────────────────────────────────────────────────
+
+let walletKeys = null; // Promise<{ rootNode, salt }>, derived once per process
+
+function loadWalletKeys() {
+  if (!walletKeys) {
+    walletKeys = generateWallet({ secretKey: DEPOSIT_WALLET_SEED, password: "" })
+      .then((wallet) => ({ rootNode: getRootNode(wallet), salt: wallet.salt }));
+    walletKeys.catch(() => { walletKeys = null; });
+  }
+  return walletKeys;
+}
+
+/** Address and private key of deposit account `index`. */
+async function deriveDepositAccount(index) {
+  if (!isEnabled()) throw new Error("DEPOSIT_WALLET_SEED not configured");
+  const { rootNode, salt } = await loadWalletKeys();
+  const account = deriveAccount({ rootNode, index, salt, stxDerivationType: DerivationType.Wallet });
+  return { index, address: getStxAddress(account, NETWORK), privateKey: account.stxPrivateKey };
+}
+
+/** Take the next derivation index and return its { index, address }. */
+async function allocateDepositAddress() {
+  const counter = await Counter.findOneAndUpdate(
+    { _id: COUNTER_ID },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true }
+  );
+  const { index, address } = await deriveDepositAccount(counter.seq);
+  log.info(`Deposit address #${index}: ${address}`);
+  return { index, address };
+}
+
+// ── Chain reads ──────────────────────────────────────────────────────
+
+/** What `address` holds of every enabled token: [{ token, amount }], non-zero only. */
+async function fetchBalances(address) {
+  const res = await axios.get(`${STACKS_API_URL}/extended/v1/address/${address}/balances`, { timeout: 15000 });
+  const balances = [];
+  for (const symbol of listTokens()) {
+    const token = getToken(symbol);
+    let raw;
+    if (isNative(token)) {
+      raw = parseInt(res.data?.stx?.balance || "0", 10) - parseInt(res.data?.stx?.locked || "0", 10);
+    } else {
+      let contract;
+      try {
+        contract = getContract(token);
+      } catch {
+        continue;
+      }
+      raw = parseInt(res.data?.fungible_tokens?.[`${contract.fullId}::${token.assetName}`]?.balance || "0", 10);
+    }
+    if (raw > 0) balances.push({ token: symbol, amount: fromBaseUnits(token, raw) });
+  }
+  return balances;
+}
+
+/** tx_status of a Stacks transaction, or null if the node doesn't know it. */
+async function fetchTxStatus(txId) {
+  try {
+    const res = await axios.get(`${STACKS_API_URL}/extended/v1/tx/${txId}`, { timeout: 10000 });
+    return res.data?.tx_status || null;
+  } catch (err) {
+    if (err.response?.status === 404) return null;
+    throw err;
+  }
+}
+
+// ── Queueing ─────────────────────────────────────────────────────────
+
+// One job per sweep round — a later round can't be taken for the first
+function queueSweepJob(tx) {
+  const round = tx.sweep?.round || 1;
+  const key   = round > 1 ? `deposit.sweep:${tx.paymentReference}:${round}` : `deposit.sweep:${tx.paymentReference}`;
+  return enqueue("deposit.sweep", { reference: tx.paymentReference }, { key });
+}
+
+// Sweep again any recently swept address that holds something again
+async function queueResweeps() {
+  const watched = await Transaction.find({
+    direction:       "offramp",
+    depositIndex:    { $ne: null },
+    "sweep.status":  "swept",
+    "sweep.sweptAt": { $gte: new Date(Date.now() - SWEEP_WATCH_MS) },
+  }).sort({ "sweep.checkedAt": 1 }).limit(SWEEP_BATCH).lean();
+
+  let queued = 0;
+  for (const tx of watched) {
+    let balances;
+    try {
+      balances = await fetchBalances(tx.recipientAddress);
+    } catch (err) {
+      log.warn(`Couldn't re-check swept address ${tx.recipientAddress} (${tx.paymentReference}): ${err.message}`);
+      continue;
+    }
+    if (!balances.length) {
+      await Transaction.updateOne({ _id: tx._id, "sweep.status": "swept" }, { $set: { "sweep.checkedAt": new Date() } });
+      continue;
+    }
+
+    const round   = (tx.sweep.round || 1) + 1;
+    const claimed = await Transaction.findOneAndUpdate(
+      { _id: tx._id, "sweep.status": "swept", "sweep.sweptAt": tx.sweep.sweptAt },
+      { $set: { "sweep.status": "queued", "sweep.round": round, "sweep.queuedAt": new Date(), "sweep.checkedAt": new Date() } },
+      { new: true }
+    );
+    if (!claimed) continue;
+
+    const held = balances.map((b) => `${b.amount} ${b.token}`).join(", ");
+    log.warn(`${held} reached ${tx.recipientAddress} (${tx.paymentReference}) after it was swept — sweeping again (round ${round})`);
+    await sendOpsAlert({
+      key:     `deposit-after-sweep:${tx.paymentReference}:${round}`,
+      subject: `Funds sent to ${tx.paymentReference}'s deposit address after its sweep`,
+      text:
+        `${held} arrived at ${tx.recipientAddress} (deposit index ${tx.depositIndex}) after the order's deposit was swept. ` +
+        `No order credits it; it is being swept to ${claimed.sweep.toAddress}. Check whether the sender needs a refund.`,
+      data: { reference: tx.paymentReference, address: tx.recipientAddress, depositIndex: tx.depositIndex, balances, round },
+    });
+    await queueSweepJob(claimed);
+    queued++;
+  }
+  return queued;
+}
+
+/**
+ * Queue a sweep for every order whose deposit reached its own address,
+ * re-queue jobs for sweeps claimed but never enqueued, and sweep again
+ * recently swept addresses that received more.
+ */
+async function queueDepositSweeps() {
+  if (!isEnabled()) return { queued: 0 };
+  if (!SWEEP_ADDRESS) {
+    log.warn("DEPOSIT_SWEEP_ADDRESS / PLATFORM_STX_ADDRESS not set — deposits are not swept");
+    return { queued: 0 };
+  }
+
+  const stranded = await Transaction.find({ direction: "offramp", "sweep.status": { $in: ["queued", "sweeping"] } }).limit(SWEEP_BATCH);
+  for (const tx of stranded) await queueSweepJob(tx);
+
+  const received = await Transaction.find({
+    direction:    "offramp",
+    depositIndex: { $ne: null },
+    sweep:        null,
+    $or: [{ "meta.tokenReceivedAt": { $ne: null } }, { "meta.lateDeposit": { $ne: null } }],
+  }).limit(SWEEP_BATCH);
+
+  let queued = 0;
+  for (const tx of received) {
+    const claimed = await Transaction.findOneAndUpdate(
+      { _id: tx._id, sweep: null },
+      { $set: { sweep: { status: "queued", round: 1, toAddress: SWEEP_ADDRESS, transfers: [], queuedAt: new Date() } } },
+      { new: true }
+    );
+    if (!claimed) continue;
+    await queueSweepJob(claimed);
+    queued++;
+  }
+  const resweeps = await queueResweeps();
+  if (queued || resweeps) log.info(`Queued ${queued} deposit sweep(s), ${resweeps} repeat sweep(s)`);
+  return { queued, resweeps };
+}
+
+// ── Job: deposit.sweep ───────────────────────────────────────────────
+// One step per run: wait for the last transfer, or send the next one.
+
+async function sweepJob(job) {
+  const { reference } = job.payload;
+
+  const tx = await Transaction.findOne({ paymentReference: reference, direction: "offramp" });
+  if (!tx?.sweep) throw giveUp(`No sweep recorded for ${reference}`);
+  const { sweep } = tx;
+  if (sweep.status === "swept" || sweep.status === "failed") return { outcome: "skipped", status: sweep.status };
+
+  const account = await deriveDepositAccount(tx.depositIndex);
+  if (account.address !== tx.recipientAddress) {
+    throw giveUp(`Index ${tx.depositIndex} derives ${account.address}, not ${tx.recipientAddress} — has DEPOSIT_WALLET_SEED changed?`);
+  }
+
+  const transfers = sweep.transfers || [];
+  const last = transfers[transfers.length - 1];
+  if (last?.status === "pending") {
+    let status = await fetchTxStatus(last.txId);
+    if (status === null && Date.now() - new Date(last.sentAt).getTime() > SWEEP_DROP_AFTER_MS) status = "dropped";
+    if (status === null || status === "pending") throw defer(SWEEP_POLL_MS, `Sweep TX ${last.txId} not settled yet`);
+    await Transaction.updateOne({ _id: tx._id }, { $set: { [`sweep.transfers.${transfers.length - 1}.status`]: status } });
+    if (status !== "success") log.warn(`Sweep TX ${last.txId} for ${reference} ended ${status} — re-reading balances`);
+  }
+
+  const balances = await fetchBalances(tx.recipientAddress);
+  if (!balances.length) {
+    await Transaction.updateOne(
+      { _id: tx._id, "sweep.status": { $in: ["queued", "sweeping"] } },
+      { $set: { "sweep.status": "swept", "sweep.sweptAt": new Date(), "sweep.error": null } }
+    );
+    if (!transfers.length) log.warn(`Nothing to sweep at ${tx.recipientAddress} (${reference})`);
+    else log.success(`Swept ${reference}'s deposit address ${tx.recipientAddress} → ${sweep.toAddress}`);
+    return { outcome: "swept", transfers: transfers.length };
+  }
+
+  const { token, amount } = balances[0];
+  const result = await sendTokens({
+    token,
+    amount,
+    recipientAddress: sweep.toAddress,
+    memo:             `sweep ${tx.depositIndex}`,
+    senderKey:        account.privateKey,
+    sponsored:        true,
+  });
+
+  await Transaction.updateOne(
+    { _id: tx._id },
+    {
+      $set:  { "sweep.status": "sweeping" },
+      $push: { "sweep.transfers": { token, amount, txId: result.txId, status: "pending", sentAt: new Date() } },
+    }
+  );
+  log.info(`Sweeping ${amount} ${token} from ${tx.recipientAddress} (${reference}) — TX ${result.txId}`);
+  throw defer(SWEEP_POLL_MS, `Sweep TX ${result.txId} sent`);
+}
+
+async function onSweepDead(job, err) {
+  const { reference } = job.payload;
+  const tx = await Transaction.findOne({ paymentReference: reference, direction: "offramp" });
+  if (!tx?.sweep || !["queued", "sweeping"].includes(tx.sweep.status)) return;
+
+  await Transaction.updateOne(
+    { _id: tx._id, "sweep.status": tx.sweep.status },
+    { $set: { "sweep.status": "failed", "sweep.error": err.message, "sweep.failedAt": new Date() } }
+  );
+  log.error(`SWEEP FAILED for ${reference} (${tx.recipientAddress}, index ${tx.depositIndex}): ${err.message}`);
+  await sendOpsAlert({
+    key:     `deposit-sweep:${reference}`,
+    subject: `Deposit sweep failed for ${reference}`,
+    text:    `Funds remain at ${tx.recipientAddress} (deposit index ${tx.depositIndex}).\n${err.message}`,
+    data:    { reference, address: tx.recipientAddress, depositIndex: tx.depositIndex },
+  });
+}
+
+registerHandler("deposit.sweep", sweepJob, { onDead: onSweepDead });
+
+module.exports = {
+  isEnabled,
+  allocateDepositAddress,
+  deriveDepositAccount,
+  queueDepositSweeps,
+  fetchBalances,
+};
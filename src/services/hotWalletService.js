@@ -0,0 +1,71 @@
+// ============= services/hotWalletService.js =============
+// Token balances of the platform hot wallet — the wallet onramp deliveries
+// and refunds are sent from (HOT_WALLET_STX_ADDRESS, default
+// PLATFORM_STX_ADDRESS).
+//
+// Balances are read from the Stacks API and cached for
+// HOT_WALLET_BALANCE_CACHE_MS; if a refresh fails the last reading is used.
+// HOT_WALLET_MIN_BALANCE_JSON keeps a safety buffer of each token out of
+// what onramps may be sold, e.g. {"STX":10,"USDC":5} — STX also pays the
+// network fees for every send.
+
+const { fetchBalances } = require("./depositAddressService");
+const { listTokens } = require("../config/tokens");
+const { treasury: log } = require("../config/consoleLogger");
+
+// ── Config ───────────────────────────────────────────────────────────
+const HOT_WALLET_ADDRESS = process.env.HOT_WALLET_STX_ADDRESS || process.env.PLATFORM_STX_ADDRESS || "";
+const CACHE_TTL_MS       = parseInt(process.env.HOT_WALLET_BALANCE_CACHE_MS || "30000", 10);
+
+function loadMinBalances() {
+  if (!process.env.HOT_WALLET_MIN_BALANCE_JSON) return { STX: 10 };
+  try {
+    return JSON.parse(process.env.HOT_WALLET_MIN_BALANCE_JSON);
+  } catch (err) {
+    throw new Error(`HOT_WALLET_MIN_BALANCE_JSON is not valid JSON: ${err.message}`);
+  }
+}
+
+const MIN_BALANCES = loadMinBalances();
+
+/** Safety buffer kept back of `token`. */
+function minBalance(token) {
+  return MIN_BALANCES[token] || 0;
+}
+
+let cached = null; // { balances: { STX: 12.5, ... }, at }
+
+/**
+ * What the hot wallet holds of every enabled token: { STX: 12.5, USDC: 0, ... }.
+ * Null when it has never been read and can't be now.
+ */
+async function getHotWalletBalances(forceRefresh = false) {
+  if (!HOT_WALLET_ADDRESS) return null;
+  if (!forceRefresh && cached && Date.now() - cached.at <= CACHE_TTL_MS) return cached.balances;
+
+  try {
+    const held = await fetchBalances(HOT_WALLET_ADDRESS);
+    const balances = Object.fromEntries(listTokens().map((token) => [token, held.find((b) => b.token === token)?.amount || 0]));
+    cached = { balances, at: Date.now() };
+    return balances;
+  } catch (err) {
+    if (cached) {
+      log.warn(`Hot wallet balance refresh failed (${err.message}) — using reading from ${new Date(cached.at).toISOString()}`);
+      return cached.balances;
+    }
+    log.warn(`Hot wallet balance fetch failed: ${err.message}`);
+    return null;
+  }
+}
+
+/** Drop the cached balances, so the next read sees a send that just went out. */
+function invalidateHotWalletBalances() {
+  cached = null;
+}
+
+module.exports = {
+  HOT_WALLET_ADDRESS,
+  minBalance,
+  getHotWalletBalances,
+  invalidateHotWalletBalances,
+};
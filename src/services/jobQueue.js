@@ -0,0 +1,228 @@
+// ============= services/jobQueue.js =============
+// Durable background jobs, stored in MongoDB (models/Job.js).
+//
+// Settlement steps that used to run as detached promises — polling Stacks
+// for a deposit, initiating the Lenco payout, broadcasting an onramp
+// transfer — run as jobs here, so a restart mid-way loses nothing.
+//
+//   registerHandler(type, fn, opts) — fn(job) does the work for one run
+//   enqueue(type, payload, { key }) — idempotent on key
+//
+// The worker claims the oldest due job with an atomic lease
+// (lockedUntil = now + JOB_LEASE_MS) and renews it while the handler runs.
+// If the process dies the lease lapses and the next worker runs the job
+// again — handlers must check the state they act on before acting.
+//
+// What a handler run can end with:
+//   return value      — completed; the value is stored as job.result
+//   throw defer(ms)   — not ready yet; run again in ms, no attempt used
+//   throw giveUp(msg) — permanent failure; dead-lettered straight away
+//   any other throw   — retried with exponential backoff, dead-lettered
+//                       after maxAttempts
+
+const os = require("os");
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const Job = require("../models/Job");
+const { jobs: log } = require("../config/consoleLogger");
+
+// ── Config ───────────────────────────────────────────────────────────
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS || "1000",   10);
+const LEASE_MS         = parseInt(process.env.JOB_LEASE_MS         || "60000",  10);
+const MAX_ATTEMPTS     = parseInt(process.env.JOB_MAX_ATTEMPTS     || "8",      10);
+const BACKOFF_BASE_MS  = parseInt(process.env.JOB_BACKOFF_BASE_MS  || "5000",   10);
+const BACKOFF_MAX_MS   = parseInt(process.env.JOB_BACKOFF_MAX_MS   || "600000", 10); // 10min
+
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString("hex")}`;
+
+const handlers = {};
+
+/**
+ * Register the function that runs jobs of `type`. onDead(job, err) is
+ * called once when a job of this type is dead-lettered.
+ */
+function registerHandler(type, handler, { maxAttempts = MAX_ATTEMPTS, onDead } = {}) {
+  handlers[type] = { handler, maxAttempts, onDead };
+}
+
+function defer(ms, reason) {
+  const err = new Error(reason || "Deferred");
+  err.deferMs = ms;
+  return err;
+}
+
+function giveUp(message) {
+  const err = new Error(message);
+  err.permanent = true;
+  return err;
+}
+
+function backoffMs(attempts) {
+  return Math.min(BACKOFF_BASE_MS * 2 ** Math.max(attempts - 1, 0), BACKOFF_MAX_MS);
+}
+
+// ── Enqueue ──────────────────────────────────────────────────────────
+
+/**
+ * Queue a job. With a key, enqueueing again returns the existing job
+ * (whatever its status) instead of creating a second one.
+ */
+async function enqueue(type, payload = {}, { key, runAt, maxAttempts } = {}) {
+  const entry = handlers[type];
+  if (!entry) throw new Error(`No job handler registered for "${type}"`);
+
+  const jobKey = key || `${type}:${new mongoose.Types.ObjectId()}`;
+  try {
+    const res = await Job.findOneAndUpdate(
+      { key: jobKey },
+      {
+        $setOnInsert: {
+          type,
+          key: jobKey,
+          payload,
+          status: "queued",
+          runAt: runAt || new Date(),
+          maxAttempts: maxAttempts || entry.maxAttempts,
+        },
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true, includeResultMetadata: true }
+    );
+    if (res.lastErrorObject?.updatedExisting) {
+      log.info(`Job ${jobKey} already exists (${res.value.status}) — not queued again`);
+    } else {
+      log.info(`Queued ${type} job ${res.value._id} (${jobKey})`);
+    }
+    return res.value;
+  } catch (err) {
+    // Two upserts racing on the same key — the other one won
+    if (err.code === 11000) return Job.findOne({ key: jobKey });
+    throw err;
+  }
+}
+
+// ── Worker ───────────────────────────────────────────────────────────
+
+/**
+ * Lease the oldest due job — queued and due, or running with a lapsed
+ * lease (its worker died). `attempts` counts every claim; deferred runs
+ * hand theirs back.
+ */
+async function claimNext() {
+  const now = new Date();
+  return Job.findOneAndUpdate(
+    {
+      type: { $in: Object.keys(handlers) },
+      $or: [
+        { status: "queued",  runAt: { $lte: now } },
+        { status: "running", lockedUntil: { $lte: now } },
+      ],
+    },
+    {
+      $set: { status: "running", lockedBy: WORKER_ID, lockedUntil: new Date(now.getTime() + LEASE_MS) },
+      $inc: { attempts: 1, runs: 1 },
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+}
+
+// Writes to a job only while this worker still holds its lease
+async function release(job, update) {
+  const { modifiedCount } = await Job.updateOne({ _id: job._id, lockedBy: WORKER_ID }, update);
+  if (!modifiedCount) log.warn(`Lost the lease on job ${job._id} (${job.key}) — result not recorded`);
+  return modifiedCount > 0;
+}
+
+async function deadLetter(job, entry, err) {
+  log.error(`☠️  Job ${job._id} (${job.key}) dead after ${job.attempts} attempt(s): ${err.message}`);
+  const released = await release(job, {
+    $set: { status: "dead", deadAt: new Date(), lastError: err.message, lockedBy: null, lockedUntil: null },
+  });
+  if (!released || !entry.onDead) return;
+  try {
+    await entry.onDead(job, err);
+  } catch (hookErr) {
+    log.error(`onDead hook for job ${job._id} failed: ${hookErr.message}`);
+  }
+}
+
+async function runJob(job) {
+  const entry = handlers[job.type];
+
+  // Each claim counts as an attempt, so a job that keeps killing the
+  // process still ends up dead instead of looping forever
+  if (job.attempts > job.maxAttempts) {
+    return deadLetter(job, entry, new Error(`Lease expired on ${job.attempts - 1} run(s) — worker crashed mid-job`));
+  }
+
+  const heartbeat = setInterval(() => {
+    Job.updateOne({ _id: job._id, lockedBy: WORKER_ID }, { $set: { lockedUntil: new Date(Date.now() + LEASE_MS) } })
+      .catch((err) => log.warn(`Lease renewal failed for job ${job._id}: ${err.message}`));
+  }, Math.floor(LEASE_MS / 3));
+
+  try {
+    const result = await entry.handler(job);
+    await release(job, {
+      $set: { status: "completed", result, completedAt: new Date(), lastError: null, deferReason: null, lockedBy: null, lockedUntil: null },
+    });
+    log.success(`Job ${job._id} (${job.key}) completed`);
+  } catch (err) {
+    if (err.deferMs !== undefined) {
+      await release(job, {
+        $set: { status: "queued", runAt: new Date(Date.now() + err.deferMs), deferReason: err.message, lockedBy: null, lockedUntil: null },
+        $inc: { attempts: -1 },
+      });
+    } else if (err.permanent || job.attempts >= job.maxAttempts) {
+      await deadLetter(job, entry, err);
+    } else {
+      const delay = backoffMs(job.attempts);
+      log.warn(`Job ${job._id} (${job.key}) attempt ${job.attempts}/${job.maxAttempts} failed: ${err.message} — retrying in ${Math.round(delay / 1000)}s`);
+      await release(job, {
+        $set: { status: "queued", runAt: new Date(Date.now() + delay), lastError: err.message, lockedBy: null, lockedUntil: null },
+      });
+    }
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
+
+let workerInterval = null;
+let draining       = false;
+
+// Run due jobs one at a time until none are left
+async function drain() {
+  if (draining || mongoose.connection.readyState !== 1) return;
+  draining = true;
+  try {
+    let job;
+    while (workerInterval && (job = await claimNext())) {
+      await runJob(job);
+    }
+  } finally {
+    draining = false;
+  }
+}
+
+function startWorker() {
+  if (workerInterval) return;
+  log.info(`Worker ${WORKER_ID} started — handlers: ${Object.keys(handlers).join(", ") || "none"}`);
+  workerInterval = setInterval(() => {
+    drain().catch((err) => log.error(`Job worker error: ${err.message}`));
+  }, POLL_INTERVAL_MS);
+}
+
+function stopWorker() {
+  if (!workerInterval) return;
+  clearInterval(workerInterval);
+  workerInterval = null;
+  log.info(`Worker ${WORKER_ID} stopped`);
+}
+
+module.exports = {
+  registerHandler,
+  enqueue,
+  defer,
+  giveUp,
+  startWorker,
+  stopWorker,
+  WORKER_ID,
+};
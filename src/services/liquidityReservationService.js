@@ -0,0 +1,244 @@
+// ============= services/liquidityReservationService.js =============
+// Ledger of funds promised to open orders: NGN to offramps, hot-wallet
+// tokens to onramps.
+//
+// Balances only drop once a payout or delivery is sent, so on their own
+// they let any number of simultaneous orders through, each against the
+// same balance. Each order therefore reserves its amount when it is
+// initialized, and is only accepted if all active reservations of that
+// asset still fit within the capacity (balance less its safety buffer).
+// An order whose payout grows later (an overpaid deposit credited in full)
+// raises its reservation under the same rule, or doesn't get the extra.
+//
+// Each asset's running total lives in the "liquidityReserved<asset>"
+// counter and is raised with a single conditional $inc, so concurrent
+// orders are admitted one at a time by MongoDB itself. The per-order
+// LiquidityReservation documents are the ledger behind it: a reservation
+// is released (and the total lowered) when the payout or delivery is sent,
+// since the balance now carries it, and by releaseFinishedReservations
+// once its order expired, failed or was refunded. That job also repairs a
+// total a crash left out of step with the ledger.
+
+const LiquidityReservation = require("../models/LiquidityReservation");
+const Counter = require("../models/Counter");
+const Transaction = require("../models/Transaction");
+const { listTokens } = require("../config/tokens");
+const { payouts: log, c } = require("../config/consoleLogger");
+
+// ── Config ───────────────────────────────────────────────────────────
+// A reservation whose order never got created (crash between the two) is
+// dropped after this long
+const ABANDON_AFTER_MS = 5 * 60 * 1000;
+const RECONCILE_BATCH  = 200;
+// Token amounts are fractional — totals this close count as equal
+const EPSILON = 1e-6;
+
+// Order statuses that still hold their reservation
+const OPEN_STATUSES = ["pending", "processing", "held"];
+
+const totalId = (asset) => `liquidityReserved${asset}`;
+const formatAmount = (asset, amount) => (asset === "NGN" ? `₦${amount.toLocaleString()}` : `${amount} ${asset}`);
+
+/** Total of `asset` reserved by open orders, and how many there are. */
+async function getReserved(asset = "NGN") {
+  const [total, count] = await Promise.all([
+    Counter.findOne({ _id: totalId(asset) }).lean(),
+    LiquidityReservation.countDocuments({ asset, status: "active" }),
+  ]);
+  return { reserved: Math.max(0, total?.seq || 0), count };
+}
+
+/**
+ * Reserve `amount` of `asset` for order `reference` if it fits within
+ * `capacity`.
+ * @param {object} [opts] - { asset = "NGN" }
+ * @returns {{ ok: boolean, reserved: number, free: number }} —
+ *   without this order when refused
+ */
+async function reserveLiquidity(reference, amount, capacity, { asset = "NGN" } = {}) {
+  const id = totalId(asset);
+  await Counter.updateOne({ _id: id }, { $setOnInsert: { seq: 0 } }, { upsert: true });
+  const total = await Counter.findOneAndUpdate(
+    { _id: id, seq: { $lte: capacity - amount } },
+    { $inc: { seq: amount } },
+    { new: true }
+  );
+
+  if (!total) {
+    const { reserved } = await getReserved(asset);
+    log.warn(
+      `Reservation refused for ${reference}: ${formatAmount(asset, amount)} + ${formatAmount(asset, reserved)} reserved ` +
+      `> ${formatAmount(asset, capacity)} capacity`
+    );
+    return { ok: false, reserved, free: Math.max(0, capacity - reserved) };
+  }
+
+  try {
+    await LiquidityReservation.create({ reference, asset, amount });
+  } catch (err) {
+    // An order paid after it expired takes its released reservation back
+    const revived = err.code === 11000 && await LiquidityReservation.findOneAndUpdate(
+      { reference, status: "released" },
+      { $set: { asset, amount, status: "active", releaseReason: null, releasedAt: null, revivedAt: new Date() } }
+    );
+    if (!revived) {
+      await Counter.updateOne({ _id: id }, { $inc: { seq: -amount } });
+      throw err;
+    }
+  }
+
+  log.info(`Reserved ${formatAmount(asset, amount)} for ${reference} — ${c.bold}${formatAmount(asset, total.seq)}${c.reset} of ${formatAmount(asset, capacity)} now reserved`);
+  return { ok: true, reserved: total.seq, free: capacity - total.seq };
+}
+
+/**
+ * Add `amount` to order `reference`'s active reservation if the total still
+ * fits within `capacity` — for an order whose payout grew after it was
+ * accepted. Refused if the order holds no reservation.
+ * @returns {{ ok: boolean, reserved: number, free: number }}
+ */
+async function growReservation(reference, amount, capacity) {
+  const reservation = await LiquidityReservation.findOne({ reference, status: "active" }).lean();
+  const asset = reservation?.asset || "NGN";
+  const refused = async (why) => {
+    const { reserved } = await getReserved(asset);
+    log.warn(`Reservation for ${reference} not raised by ${formatAmount(asset, amount)}: ${why}`);
+    return { ok: false, reserved, free: Math.max(0, capacity - reserved) };
+  };
+  if (!reservation) return refused("it holds none");
+
+  const id = totalId(asset);
+  const total = await Counter.findOneAndUpdate(
+    { _id: id, seq: { $lte: capacity - amount } },
+    { $inc: { seq: amount } },
+    { new: true }
+  );
+  if (!total) return refused(`it would exceed ${formatAmount(asset, capacity)} capacity`);
+
+  const { modifiedCount } = await LiquidityReservation.updateOne({ _id: reservation._id, status: "active" }, { $inc: { amount } });
+  if (!modifiedCount) {
+    // Released in between (payout sent, order ended)
+    await Counter.updateOne({ _id: id }, { $inc: { seq: -amount } });
+    return refused("it was released");
+  }
+
+  log.info(`Raised ${reference}'s reservation by ${formatAmount(asset, amount)} — ${c.bold}${formatAmount(asset, total.seq)}${c.reset} of ${formatAmount(asset, capacity)} now reserved`);
+  return { ok: true, reserved: total.seq, free: capacity - total.seq };
+}
+
+/**
+ * Keep order `reference`'s reservation for an order being reopened — paid
+ * after it expired, or retried by an operator after it failed:
+ * releaseFinishedReservations leaves it alone while the order moves back to
+ * an open status. False if it holds none any more — reserve again with
+ * reserveLiquidity, which takes the released one back.
+ */
+async function keepReservation(reference) {
+  const { modifiedCount } = await LiquidityReservation.updateOne(
+    { reference, status: "active" },
+    { $set: { revivedAt: new Date() } }
+  );
+  return modifiedCount > 0;
+}
+
+/** Release order `reference`'s reservation, if it still holds one. */
+async function releaseReservation(reference, reason) {
+  const reservation = await LiquidityReservation.findOneAndUpdate(
+    { reference, status: "active" },
+    { $set: { status: "released", releaseReason: reason, releasedAt: new Date() } }
+  );
+  if (!reservation) return false;
+
+  await Counter.updateOne({ _id: totalId(reservation.asset) }, { $inc: { seq: -reservation.amount } });
+  return true;
+}
+
+const releaseReasonFor = (status) => (status === "confirmed" || status === "settling" ? "settled" : status);
+
+// A total and the ledger disagree for a moment during every reserve and
+// release; a mismatch still there, unchanged, a run later was left by a
+// crash and is corrected
+const lastMismatch = new Map(); // asset → { recorded, ledger }
+
+async function repairTotals() {
+  const assets = ["NGN", ...listTokens()];
+  const [totals, sums] = await Promise.all([
+    Promise.all(assets.map((asset) => Counter.findOne({ _id: totalId(asset) }).lean())),
+    LiquidityReservation.aggregate([
+      { $match: { status: "active" } },
+      { $group: { _id: "$asset", sum: { $sum: "$amount" } } },
+    ]),
+  ]);
+
+  for (const [i, asset] of assets.entries()) {
+    const recorded = totals[i]?.seq || 0;
+    const ledger   = sums.find((s) => s._id === asset)?.sum || 0;
+    const last     = lastMismatch.get(asset);
+
+    if (Math.abs(recorded - ledger) < EPSILON) {
+      lastMismatch.delete(asset);
+      continue;
+    }
+    if (last?.recorded !== recorded || last?.ledger !== ledger) {
+      lastMismatch.set(asset, { recorded, ledger });
+      continue;
+    }
+
+    // Only if nothing moved the total since it was read
+    const { modifiedCount } = await Counter.updateOne({ _id: totalId(asset), seq: recorded }, { $set: { seq: ledger } });
+    if (modifiedCount) log.warn(`Reserved ${asset} total was ${formatAmount(asset, recorded)}, ledger says ${formatAmount(asset, ledger)} — corrected`);
+    lastMismatch.delete(asset);
+  }
+}
+
+/**
+ * Release reservations whose order is no longer open — expired, failed,
+ * refunded, or paid by a path that didn't release it — and those whose order
+ * was never created.
+ */
+async function releaseFinishedReservations(now = new Date()) {
+  const active = await LiquidityReservation.find({ status: "active" })
+    .sort({ createdAt: 1 })
+    .limit(RECONCILE_BATCH)
+    .lean();
+
+  let released = 0;
+  if (active.length) {
+    const orders = await Transaction.find(
+      { paymentReference: { $in: active.map((r) => r.reference) } },
+      { paymentReference: 1, status: 1 }
+    ).lean();
+    const statusOf = new Map(orders.map((tx) => [tx.paymentReference, tx.status]));
+
+    for (const reservation of active) {
+      const status = statusOf.get(reservation.reference);
+      let reason;
+      if (status === undefined) {
+        if (now - new Date(reservation.createdAt) < ABANDON_AFTER_MS) continue;
+        reason = "abandoned";
+      } else if (["expired", "failed"].includes(status) && reservation.revivedAt && now - new Date(reservation.revivedAt) < ABANDON_AFTER_MS) {
+        // Just taken back for a late payment or an operator's retry — the
+        // order reopens next
+        continue;
+      } else if (OPEN_STATUSES.includes(status)) {
+        continue;
+      } else {
+        reason = releaseReasonFor(status);
+      }
+      if (await releaseReservation(reservation.reference, reason)) released++;
+    }
+    if (released) log.info(`Released ${released} liquidity reservation(s) of finished orders`);
+  }
+
+  await repairTotals();
+  return { released };
+}
+
+module.exports = {
+  getReserved,
+  reserveLiquidity,
+  growReservation,
+  keepReservation,
+  releaseReservation,
+  releaseFinishedReservations,
+};
@@ -0,0 +1,161 @@
+// ============= services/marketStatusService.js =============
+// Decides whether prices are good enough to trade on.
+//
+//   healthy  — fresh prices from ≥ PRICE_MIN_HEALTHY_SOURCES sources
+//   degraded — still tradable: cache past its TTL, too few sources agreed,
+//              or a token is on the oracle's single-source fallback
+//   halted   — new orders refused (TRADING_HALTED):
+//                • emergency fallback rates are being served
+//                • prices older than PRICE_HALT_STALE_MS
+//                • a token moved more than PRICE_HALT_JUMP_PCT between two
+//                  refreshes (halt holds for PRICE_HALT_COOLDOWN_MS)
+
+const { getCurrentPrices, getPriceFeedState, priceEvents } = require("./priceService");
+const { listTokens } = require("../config/tokens");
+const { market: log } = require("../config/consoleLogger");
+
+// ── Config ───────────────────────────────────────────────────────────
+const HALT_STALE_MS       = parseInt(process.env.PRICE_HALT_STALE_MS       || "240000", 10); // 4min
+const HALT_JUMP_PCT       = parseFloat(process.env.PRICE_HALT_JUMP_PCT     || "10");
+const HALT_COOLDOWN_MS    = parseInt(process.env.PRICE_HALT_COOLDOWN_MS    || "300000", 10); // 5min
+const MIN_HEALTHY_SOURCES = parseInt(process.env.PRICE_MIN_HEALTHY_SOURCES || "2",      10);
+
+// ── Jump detection ───────────────────────────────────────────────────
+// Last live (non-emergency) price per token, and any active jump halt
+let lastLive  = {};
+let jumpHalt  = null; // { token, fromNGN, toNGN, changePct, until }
+let lastState = null;
+
+priceEvents.on("update", (prices) => {
+  if (!getPriceFeedState().emergency) detectJumps(prices);
+  evaluate(prices);
+});
+
+function detectJumps(prices) {
+  for (const token of listTokens()) {
+    const prev = lastLive[token];
+    const next = prices[token];
+    if (!next) continue;
+
+    if (prev) {
+      const changePct = ((next.priceNGN - prev.priceNGN) / prev.priceNGN) * 100;
+      if (Math.abs(changePct) > HALT_JUMP_PCT) {
+        jumpHalt = {
+          token,
+          fromNGN:   prev.priceNGN,
+          toNGN:     next.priceNGN,
+          changePct: parseFloat(changePct.toFixed(2)),
+          until:     new Date(Date.now() + HALT_COOLDOWN_MS),
+        };
+        log.warn(
+          `${token} moved ${jumpHalt.changePct}% in one refresh ` +
+          `(₦${prev.priceNGN.toFixed(2)} → ₦${next.priceNGN.toFixed(2)}) — halting until ${jumpHalt.until.toISOString()}`
+        );
+      }
+    }
+    lastLive[token] = { priceNGN: next.priceNGN, fetchedAt: next.fetchedAt };
+  }
+}
+
+// ── Evaluation ───────────────────────────────────────────────────────
+
+function evaluate(prices) {
+  const feed    = getPriceFeedState();
+  const halts   = [];
+  const degrade = [];
+
+  // During a 429 backoff with no usable cache, emergency rates are returned
+  // without being cached — so check the prices themselves too
+  if (feed.emergency || listTokens().some((t) => prices?.[t]?.emergency)) {
+    halts.push({ severity: "halt", code: "EMERGENCY_RATES", message: "Every price source is down — emergency fallback rates are in use" });
+  }
+  if (feed.ageMs === null || feed.ageMs > HALT_STALE_MS) {
+    halts.push({
+      severity: "halt",
+      code: "STALE_PRICES",
+      message: feed.ageMs === null
+        ? "No prices fetched yet"
+        : `Prices are ${Math.floor(feed.ageMs / 1000)}s old (limit ${HALT_STALE_MS / 1000}s)`,
+    });
+  }
+  if (jumpHalt && jumpHalt.until > new Date()) {
+    halts.push({
+      severity: "halt",
+      code: "PRICE_JUMP",
+      message: `${jumpHalt.token} moved ${jumpHalt.changePct}% between refreshes`,
+      token: jumpHalt.token,
+      until: jumpHalt.until,
+    });
+  }
+
+  if (feed.stale && !feed.emergency) {
+    degrade.push({ severity: "degrade", code: "STALE_CACHE", message: "Serving cached prices past their TTL" });
+  }
+  for (const token of listTokens()) {
+    const sources = prices?.[token]?.sources;
+    if (prices?.[token]?.singleSource) {
+      degrade.push({
+        severity: "degrade",
+        code: "SINGLE_SOURCE",
+        message: `${token} priced from ${sources.join(", ")} alone — fewer than PRICE_MIN_SOURCES answered`,
+        token,
+      });
+    } else if (sources && sources.length < MIN_HEALTHY_SOURCES) {
+      degrade.push({
+        severity: "degrade",
+        code: "FEW_SOURCES",
+        message: `${token} priced from ${sources.length} source(s): ${sources.join(", ") || "none"}`,
+        token,
+      });
+    }
+  }
+
+  const status = halts.length ? "halted" : degrade.length ? "degraded" : "healthy";
+
+  if (lastState && lastState !== status) {
+    const reasons = (halts.length ? halts : degrade).map((r) => r.code).join(", ");
+    const line    = `Market status ${lastState} → ${status}${reasons ? ` (${reasons})` : ""}`;
+    status === "halted" ? log.error(line) : status === "degraded" ? log.warn(line) : log.ok(line);
+  }
+  lastState = status;
+
+  return {
+    status,
+    tradingEnabled: status !== "halted",
+    reasons:        [...halts, ...degrade],
+    feed,
+    checkedAt:      new Date(),
+  };
+}
+
+/**
+ * Current market status. Warms the price cache first, so a cold start
+ * is judged on real data rather than reported as "no prices yet".
+ */
+async function getMarketStatus() {
+  const prices = await getCurrentPrices();
+  return evaluate(prices);
+}
+
+/**
+ * Throws a 503 TRADING_HALTED error when new orders must be refused.
+ */
+async function assertTradingOpen() {
+  const market = await getMarketStatus();
+  if (market.tradingEnabled) return market;
+
+  const halts = market.reasons.filter((r) => r.severity === "halt");
+  const err   = new Error(`Trading is temporarily halted: ${halts.map((r) => r.message).join("; ")}`);
+  err.statusCode = 503;
+  err.code       = "TRADING_HALTED";
+  err.reasons    = market.reasons;
+  throw err;
+}
+
+module.exports = {
+  getMarketStatus,
+  assertTradingOpen,
+  HALT_STALE_MS,
+  HALT_JUMP_PCT,
+  HALT_COOLDOWN_MS,
+};
@@ -0,0 +1,225 @@
+// ============= services/nonceManager.js =============
+// Nonces for the hot wallet's transactions.
+//
+// Left to @stacks/transactions, every send asks the node for the next nonce,
+// so two sends built at the same moment (two Monnify webhooks, a delivery and
+// a refund) get the same one and the node rejects or replaces one of them.
+// Instead each send takes its nonce from here: the address's NonceState is
+// bumped with a single $inc, so concurrent sends get consecutive nonces, and
+// a NonceAllocation records what each nonce was used for.
+//
+// A nonce handed out but never broadcast (build failed, the node refused the
+// transaction) leaves a gap — every later transaction then sits in the
+// mempool until it is filled — so it is released and handed out again
+// before any new one. syncNonces() compares the ledger with the chain:
+// executed nonces are marked confirmed, sends made outside the manager move
+// nextNonce forward, and gaps the chain reports (or nonces it has never seen)
+// are released for reuse. A transaction that was broadcast but has since
+// vanished from the mempool raises an ops alert, as whatever it sent didn't
+// go out.
+
+const axios = require("axios");
+const NonceState = require("../models/NonceState");
+const NonceAllocation = require("../models/NonceAllocation");
+const { sendOpsAlert } = require("./opsAlertService");
+const { nonces: log } = require("../config/consoleLogger");
+
+// ── Config ───────────────────────────────────────────────────────────
+const STACKS_API_URL = process.env.STACKS_API_URL || "https://api.mainnet.hiro.so";
+// An allocation not broadcast after this long belongs to a send that died
+const ALLOCATION_TIMEOUT_MS = 2 * 60 * 1000;
+// A broadcast the node still doesn't know after this long was dropped
+const DROP_AFTER_MS = 30 * 60 * 1000;
+
+// Broadcast rejections meaning the nonce itself is unusable
+const NONCE_REJECTIONS = /BadNonce|ConflictingNonceInMempool/;
+
+/** What the Stacks API knows of `address`'s nonces. */
+async function fetchChainNonces(address) {
+  const { data } = await axios.get(`${STACKS_API_URL}/extended/v1/address/${address}/nonces`, { timeout: 15000 });
+  return {
+    lastExecuted: data.last_executed_tx_nonce ?? -1,
+    lastMempool:  data.last_mempool_tx_nonce ?? -1,
+    possibleNext: data.possible_next_nonce ?? 0,
+    missing:      data.detected_missing_nonces || [],
+  };
+}
+
+// Start an address we've never sent from at the chain's next nonce
+async function ensureState(address) {
+  if (await NonceState.exists({ _id: address })) return;
+  const chain = await fetchChainNonces(address);
+  try {
+    await NonceState.updateOne(
+      { _id: address },
+      { $setOnInsert: { nextNonce: chain.possibleNext, chain, syncedAt: new Date() } },
+      { upsert: true }
+    );
+  } catch (err) {
+    if (err.code !== 11000) throw err; // another send created it first
+  }
+  log.info(`Nonces for ${address} start at ${chain.possibleNext}`);
+}
+
+const claim = (purpose) => ({
+  $set: { status: "allocated", purpose, txId: null, error: null, allocatedAt: new Date(), broadcastAt: null },
+});
+
+/** Hand out `address`'s lowest released nonce, or else its next new one. */
+async function allocateNonce(address, purpose) {
+  await ensureState(address);
+
+  for (;;) {
+    const reused = await NonceAllocation.findOneAndUpdate(
+      { address, status: "released" },
+      claim(purpose),
+      { sort: { nonce: 1 }, new: true }
+    );
+    if (reused) return reused;
+
+    const { nextNonce: nonce } = await NonceState.findOneAndUpdate({ _id: address }, { $inc: { nextNonce: 1 } });
+    try {
+      return await NonceAllocation.create({ address, nonce, purpose, allocatedAt: new Date() });
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      // A resync saw this nonce as a gap before it was recorded — take it
+      // back, unless another send already has
+      const taken = await NonceAllocation.findOneAndUpdate({ address, nonce, status: "released" }, claim(purpose), { new: true });
+      if (taken) return taken;
+    }
+  }
+}
+
+/** Mark `allocation` as not used, so the next send takes it. */
+function releaseNonce(allocation, reason) {
+  return NonceAllocation.updateOne(
+    { _id: allocation._id, status: "allocated" },
+    { $set: { status: "released", error: reason } }
+  );
+}
+
+/**
+ * Run `send(nonce)` with a nonce of `address`. `send` resolves to
+ * { txId, ... } once the node accepted the transaction, and rejects with
+ * `notBroadcast` set if it never reached it (services/stacksTransferService.js).
+ */
+async function withNonce(address, purpose, send) {
+  const allocation = await allocateNonce(address, purpose).catch((err) => {
+    err.notBroadcast = true; // nothing was sent
+    throw err;
+  });
+  log.info(`Nonce ${allocation.nonce} of ${address} → ${purpose}`);
+
+  let result;
+  try {
+    result = await send(allocation.nonce);
+  } catch (err) {
+    let settle;
+    if (!err.notBroadcast) {
+      // It may have reached the node — keep the nonce; a resync releases it
+      // if the chain never sees it
+      settle = NonceAllocation.updateOne(
+        { _id: allocation._id },
+        { $set: { status: "broadcast", error: err.message, broadcastAt: new Date() } }
+      );
+    } else if (NONCE_REJECTIONS.test(err.message)) {
+      // Used by a transaction we didn't send — skip past it
+      settle = NonceAllocation.updateOne({ _id: allocation._id }, { $set: { status: "void", error: err.message } })
+        .then(() => syncNonces(address));
+    } else {
+      settle = releaseNonce(allocation, err.message);
+    }
+    await settle.catch((e) => log.error(`Could not record nonce ${allocation.nonce} after a failed send: ${e.message}`));
+    throw err;
+  }
+
+  await NonceAllocation.updateOne(
+    { _id: allocation._id },
+    { $set: { status: "broadcast", txId: result.txId, broadcastAt: new Date() } }
+  ).catch((err) => log.error(`Could not record nonce ${allocation.nonce} as broadcast (${result.txId}): ${err.message}`));
+  return result;
+}
+
+// Release gap nonce `nonce` for reuse, unless it belongs to a send still in
+// progress. Returns null if it wasn't released, else { dropped } — the
+// allocation it replaced if that one had been broadcast.
+async function releaseGap(address, nonce, now) {
+  const allocation = await NonceAllocation.findOne({ address, nonce }).lean();
+  if (!allocation) {
+    const { upsertedCount } = await NonceAllocation.updateOne(
+      { address, nonce },
+      { $setOnInsert: { status: "released", error: "gap found on resync" } },
+      { upsert: true }
+    );
+    return upsertedCount ? { dropped: null } : null;
+  }
+
+  const { status } = allocation;
+  if (status === "released") return null;
+  if (status === "allocated" && now - new Date(allocation.allocatedAt) < ALLOCATION_TIMEOUT_MS) return null;
+  if (status === "broadcast" && now - new Date(allocation.broadcastAt) < DROP_AFTER_MS) return null;
+
+  const { modifiedCount } = await NonceAllocation.updateOne(
+    { _id: allocation._id, status, updatedAt: allocation.updatedAt },
+    { $set: { status: "released", error: `gap found on resync (was ${status})` } }
+  );
+  if (!modifiedCount) return null;
+  return { dropped: status === "broadcast" ? allocation : null };
+}
+
+/**
+ * Bring `address`'s nonce ledger in line with the chain: confirm executed
+ * nonces, move nextNonce past sends made elsewhere, and release gaps.
+ */
+async function syncNonces(address, now = new Date()) {
+  await ensureState(address);
+  const chain = await fetchChainNonces(address);
+
+  const { modifiedCount: confirmed } = await NonceAllocation.updateMany(
+    { address, status: "broadcast", nonce: { $lte: chain.lastExecuted } },
+    { $set: { status: "confirmed", confirmedAt: now } }
+  );
+  // Released nonces the chain has since used can't be handed out again
+  await NonceAllocation.updateMany(
+    { address, status: "released", nonce: { $lte: chain.lastExecuted } },
+    { $set: { status: "void", error: "used outside the nonce manager" } }
+  );
+
+  const state = await NonceState.findOneAndUpdate(
+    { _id: address },
+    { $max: { nextNonce: chain.possibleNext }, $set: { chain, syncedAt: now } },
+    { new: true }
+  );
+
+  // Gaps below the chain's highest nonce, and nonces we handed out above it
+  // that it has never seen
+  const top = Math.max(chain.lastExecuted, chain.lastMempool);
+  const gaps = new Set(chain.missing.filter((n) => n < state.nextNonce));
+  for (let n = top + 1; n < state.nextNonce; n++) gaps.add(n);
+
+  let released = 0;
+  for (const nonce of [...gaps].sort((a, b) => a - b)) {
+    const gap = await releaseGap(address, nonce, now);
+    if (!gap) continue;
+    released++;
+    const { dropped } = gap;
+    if (!dropped) continue;
+
+    log.error(`Nonce ${nonce} of ${address} was broadcast (${dropped.txId || "txid unknown"}) but never reached the chain — ${dropped.purpose}`);
+    await sendOpsAlert({
+      key:     `nonce-dropped:${address}:${nonce}`,
+      subject: `Hot wallet transaction dropped (nonce ${nonce})`,
+      text:
+        `${dropped.purpose}\nBroadcast ${new Date(dropped.broadcastAt).toISOString()} as ${dropped.txId || "unknown txid"}, ` +
+        `but the chain has no transaction with this nonce — it was not sent. Check the order and resend if needed.`,
+      data: { address, nonce, txId: dropped.txId, purpose: dropped.purpose },
+    });
+  }
+
+  if (confirmed || released) {
+    log.info(`Nonce sync for ${address}: ${confirmed} confirmed, ${released} gap(s) released, next ${state.nextNonce}`);
+  }
+  return { confirmed, released, nextNonce: state.nextNonce, chain };
+}
+
+module.exports = { withNonce, syncNonces };
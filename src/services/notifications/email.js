@@ -0,0 +1,30 @@
+// ============= services/notifications/email.js =============
+// Plain-text email through an HTTP email API.
+//
+// Posts { from, to, subject, text } to EMAIL_API_URL with a Bearer
+// EMAIL_API_KEY — the shape Resend's /emails endpoint takes; most
+// transactional providers accept the same or have a compatible route.
+
+const axios = require("axios");
+
+const EMAIL_API_URL = process.env.EMAIL_API_URL || "https://api.resend.com/emails";
+const EMAIL_API_KEY = process.env.EMAIL_API_KEY || "";
+const EMAIL_FROM    = process.env.EMAIL_FROM    || "StackSwap <alerts@stackswap.app>";
+
+function isConfigured() {
+  return !!EMAIL_API_KEY;
+}
+
+function validateTarget(target) {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(target || "") ? null : "target must be a valid email address";
+}
+
+async function send(target, message) {
+  await axios.post(
+    EMAIL_API_URL,
+    { from: EMAIL_FROM, to: [target], subject: message.subject, text: message.text },
+    { headers: { Authorization: `Bearer ${EMAIL_API_KEY}` }, timeout: 10000 }
+  );
+}
+
+module.exports = { name: "email", isConfigured, validateTarget, send };
@@ -0,0 +1,33 @@
+// ============= services/notifications/index.js =============
+// Notification channel registry.
+//
+// Every channel exports { name, isConfigured, validateTarget, send } where:
+//   isConfigured()          — true if the channel can deliver in this environment
+//   validateTarget(target)  — error message for a bad target, or null (may
+//                             return a promise of it)
+//   send(target, message)   — resolves once delivered, throws on failure
+// and `message` is { subject, text, data } — data is the machine-readable
+// payload (webhooks post it as-is, email ignores it).
+//
+// Add a channel by dropping a module in this folder and listing it below.
+
+const webhook = require("./webhook");
+const email   = require("./email");
+const stub    = require("./stub");
+
+const CHANNELS = {
+  [webhook.name]: webhook,
+  [email.name]:   email,
+  [stub.name]:    stub,
+};
+
+function getChannel(name) {
+  return CHANNELS[name] || null;
+}
+
+/** Names of channels that can deliver right now. */
+function availableChannels() {
+  return Object.values(CHANNELS).filter((ch) => ch.isConfigured()).map((ch) => ch.name);
+}
+
+module.exports = { CHANNELS, getChannel, availableChannels };
@@ -0,0 +1,20 @@
+// ============= services/notifications/stub.js =============
+// Local development channel — prints the notification instead of sending it.
+// Disabled when NODE_ENV=production.
+
+const { alerts: log, box } = require("../../config/consoleLogger");
+
+function isConfigured() {
+  return process.env.NODE_ENV !== "production";
+}
+
+function validateTarget() {
+  return null;
+}
+
+async function send(target, message) {
+  log.info(`📣 [stub] ${message.subject}${target ? ` → ${target}` : ""}`);
+  box(message.text.split("\n"));
+}
+
+module.exports = { name: "stub", isConfigured, validateTarget, send };
@@ -0,0 +1,137 @@
+// ============= services/notifications/webhook.js =============
+// POSTs message.data as JSON to the subscriber's URL.
+//
+// When NOTIFY_WEBHOOK_SECRET is set every request carries
+//   X-StackSwap-Signature: hex HMAC-SHA512 of the raw body
+// so receivers can check it came from us — same scheme Monnify uses on ours.
+//
+// Targets are chosen by anyone who can create an alert, so only public
+// https endpoints are accepted: the host must resolve, and only to public
+// addresses — loopback, private (RFC1918), link-local (cloud metadata at
+// 169.254.169.254), CGNAT and other reserved ranges are refused. The check
+// is made again at send time, and the connection only goes to the address
+// that passed it, so a DNS answer changed after the alert was saved can't
+// redirect it. Redirects are never followed.
+
+const crypto = require("crypto");
+const dns    = require("dns");
+const net    = require("net");
+const axios  = require("axios");
+
+const WEBHOOK_SECRET     = process.env.NOTIFY_WEBHOOK_SECRET     || "";
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.NOTIFY_WEBHOOK_TIMEOUT_MS || "5000", 10);
+
+// Addresses a webhook may never connect to
+const BLOCKED = new net.BlockList();
+[
+  ["0.0.0.0", 8],       // "this" network
+  ["10.0.0.0", 8],      // private
+  ["100.64.0.0", 10],   // carrier-grade NAT
+  ["127.0.0.0", 8],     // loopback
+  ["169.254.0.0", 16],  // link-local, cloud metadata
+  ["172.16.0.0", 12],   // private
+  ["192.0.0.0", 24],    // IETF protocol assignments
+  ["192.0.2.0", 24],    // documentation
+  ["192.88.99.0", 24],  // 6to4 relay
+  ["192.168.0.0", 16],  // private
+  ["198.18.0.0", 15],   // benchmarking
+  ["198.51.100.0", 24], // documentation
+  ["203.0.113.0", 24],  // documentation
+  ["224.0.0.0", 4],     // multicast
+  ["240.0.0.0", 4],     // reserved, broadcast
+].forEach(([prefix, bits]) => BLOCKED.addSubnet(prefix, bits, "ipv4"));
+[
+  ["::", 128],          // unspecified
+  ["::1", 128],         // loopback
+  ["64:ff9b::", 96],    // NAT64
+  ["100::", 64],        // discard
+  ["2001:db8::", 32],   // documentation
+  ["fc00::", 7],        // unique local
+  ["fe80::", 10],       // link-local
+  ["ff00::", 8],        // multicast
+].forEach(([prefix, bits]) => BLOCKED.addSubnet(prefix, bits, "ipv6"));
+
+// IPv4 address carried by an IPv4-mapped IPv6 one (::ffff:10.0.0.1, or
+// ::ffff:a00:1 as URL writes it), else null
+function mappedIPv4(address) {
+  const match = address.match(/^::ffff:(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/i);
+  if (!match) return null;
+  if (match[1]) return match[1];
+  const [hi, lo] = [parseInt(match[2], 16), parseInt(match[3], 16)];
+  return [hi >> 8, hi & 255, lo >> 8, lo & 255].join(".");
+}
+
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return true;
+  if (family === 4) return BLOCKED.check(address, "ipv4");
+  const mapped = mappedIPv4(address);
+  return mapped ? BLOCKED.check(mapped, "ipv4") : BLOCKED.check(address, "ipv6");
+}
+
+/** Every address `hostname` resolves to. */
+async function resolveHost(hostname) {
+  if (net.isIP(hostname)) return [{ address: hostname, family: net.isIP(hostname) }];
+  return dns.promises.lookup(hostname, { all: true });
+}
+
+function isConfigured() {
+  return true;
+}
+
+// Error message for `target`, or null — also returns the URL and the
+// addresses it was checked against
+async function checkTarget(target) {
+  let url;
+  try {
+    url = new URL(target);
+  } catch {
+    return { error: "target must be a valid URL" };
+  }
+  if (url.protocol !== "https:") return { error: "target must be an https:// URL" };
+  if (url.username || url.password) return { error: "target must not contain credentials" };
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, "");
+  let addresses;
+  try {
+    addresses = await resolveHost(hostname);
+  } catch {
+    return { error: `target host ${hostname} could not be resolved` };
+  }
+  if (!addresses.length || addresses.some(({ address }) => isBlockedAddress(address))) {
+    return { error: "target must be a public address — private, loopback and reserved ranges are not allowed" };
+  }
+  return { error: null, url, addresses };
+}
+
+async function validateTarget(target) {
+  return (await checkTarget(target)).error;
+}
+
+async function send(target, message) {
+  const { error, addresses } = await checkTarget(target);
+  if (error) throw new Error(`Webhook target refused: ${error}`);
+
+  const body    = JSON.stringify(message.data);
+  const headers = { "Content-Type": "application/json" };
+  if (WEBHOOK_SECRET) {
+    headers["X-StackSwap-Signature"] = crypto.createHmac("sha512", WEBHOOK_SECRET).update(body).digest("hex");
+  }
+
+  // Connect only to the addresses checked above (Node skips the lookup for
+  // IP literals, which were checked directly)
+  const lookup = (hostname, options, callback) => {
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  };
+
+  await axios.post(target, body, {
+    headers,
+    timeout: WEBHOOK_TIMEOUT_MS,
+    maxRedirects: 0,
+    proxy: false,
+    lookup,
+  });
+}
+
+module.exports = { name: "webhook", isConfigured, validateTarget, send };
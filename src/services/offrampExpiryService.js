@@ -0,0 +1,74 @@
+// ============= services/offrampExpiryService.js =============
+// Expires offramp orders nobody funded in time, and onramp orders that
+// were never paid for.
+//
+// An order is swept once it is still "pending" past its expiresAt and no
+// deposit has been reported for it (no txId). Orders whose TX has been
+// broadcast are left to their confirmation job. A deposit that still turns
+// up for an expired order is handled per OFFRAMP_LATE_DEPOSIT_POLICY —
+// see handleLateDeposit in controllers/offrampController.js.
+//
+// An onramp still "pending" past its expiresAt is expired too, which frees
+// the hot wallet tokens it reserved. A Monnify payment that arrives later
+// reserves them again (controllers/onrampController.js).
+//
+// Underpaid orders "held" for the user past their holdExpiresAt are failed
+// and flagged for refund, the same as if the user had asked for one.
+
+const Transaction = require("../models/Transaction");
+const { offramp: log } = require("../config/consoleLogger");
+
+/**
+ * Move unfunded offramp and unpaid onramp orders past their deadline to
+ * "expired", and refund held underpayments nobody answered. Orders created
+ * before expiresAt was a top-level field fall back to meta.expiresAt (an ISO
+ * string, so it compares as text).
+ */
+async function expireStaleOrders(now = new Date()) {
+  const { modifiedCount } = await Transaction.updateMany(
+    {
+      direction: "offramp",
+      status:    "pending",
+      txId:      null,
+      $or: [
+        { expiresAt: { $lte: now } },
+        { expiresAt: null, "meta.expiresAt": { $lte: now.toISOString() } },
+      ],
+    },
+    { $set: { status: "expired", expiredAt: now } }
+  );
+
+  if (modifiedCount) log.info(`⌛ Expired ${modifiedCount} unfunded offramp order(s)`);
+
+  const { modifiedCount: onrampsExpired } = await Transaction.updateMany(
+    { direction: "onramp", status: "pending", expiresAt: { $lte: now } },
+    { $set: { status: "expired", expiredAt: now } }
+  );
+  if (onrampsExpired) log.info(`⌛ Expired ${onrampsExpired} unpaid onramp order(s)`);
+
+  const { modifiedCount: holdsRefunded } = await Transaction.updateMany(
+    {
+      direction: "offramp",
+      status:    "held",
+      "meta.depositResolution.holdExpiresAt": { $lte: now.toISOString() },
+    },
+    // Pipeline update, so the refund amount can be copied from the resolution
+    [{
+      $set: {
+        status:                              "failed",
+        "meta.failureReason":                "Underpaid deposit — no response before the hold expired",
+        "meta.requiresRefund":               true,
+        "meta.refundTokenAmount":            "$meta.depositResolution.receivedTokenAmount",
+        "meta.depositResolution.action":     "refund",
+        "meta.depositResolution.payoutNGN":  0,
+        "meta.depositResolution.resolvedAt": now.toISOString(),
+        "meta.depositResolution.resolvedBy": "timeout",
+      },
+    }]
+  );
+  if (holdsRefunded) log.warn(`⌛ ${holdsRefunded} held underpayment(s) timed out — flagged for refund`);
+
+  return { expired: modifiedCount, onrampsExpired, holdsRefunded };
+}
+
+module.exports = { expireStaleOrders };
@@ -0,0 +1,49 @@
+// ============= services/opsAlertService.js =============
+// Alerts for the people running the platform — things that need a human
+// (a payout its provider doesn't recognise, a hot wallet running dry).
+//
+// Delivered through the notification channels in services/notifications/
+// (OPS_ALERT_CHANNEL + OPS_ALERT_TARGET) and always written to the log.
+// The same alert key is sent at most once per OPS_ALERT_COOLDOWN_MINUTES,
+// so a condition that persists across sweeps doesn't page every run.
+
+const { getChannel } = require("./notifications");
+const logger = require("../config/logger");
+
+// ── Config ───────────────────────────────────────────────────────────
+const CHANNEL     = process.env.OPS_ALERT_CHANNEL || "stub";
+const TARGET      = process.env.OPS_ALERT_TARGET  || "";
+const COOLDOWN_MS = parseInt(process.env.OPS_ALERT_COOLDOWN_MINUTES || "60", 10) * 60 * 1000;
+
+const lastSentAt = new Map(); // alert key → ms
+
+/**
+ * Raise an ops alert. Never throws — a broken channel is logged, not
+ * allowed to break the sweep that raised the alert.
+ *
+ * @param {object} alert - { key, subject, text, data? }
+ * @returns true if it went out on the channel
+ */
+async function sendOpsAlert({ key, subject, text, data = {} }) {
+  logger.error(`[OPS ALERT] ${subject} — ${text.replace(/\n/g, " | ")}`);
+
+  const last = lastSentAt.get(key);
+  if (last && Date.now() - last < COOLDOWN_MS) return false;
+
+  const channel = getChannel(CHANNEL);
+  if (!channel || !channel.isConfigured()) {
+    logger.warn(`Ops alert channel "${CHANNEL}" unavailable — alert "${key}" logged only`);
+    return false;
+  }
+
+  try {
+    await channel.send(TARGET, { subject: `[StackSwap ops] ${subject}`, text, data: { alert: key, subject, ...data, raisedAt: new Date().toISOString() } });
+    lastSentAt.set(key, Date.now());
+    return true;
+  } catch (err) {
+    logger.error(`Ops alert "${key}" via ${CHANNEL} failed: ${err.message}`);
+    return false;
+  }
+}
+
+module.exports = { sendOpsAlert };
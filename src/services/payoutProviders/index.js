@@ -0,0 +1,317 @@
+// ============= services/payoutProviders/index.js =============
+// NGN payout provider registry, routing and failover.
+//
+// Every provider exports { name, label, isConfigured, getBalance, listBanks,
+// resolveAccount, initiateTransfer, findTransfer, transferState } and
+// optionally parseWebhook:
+//   getBalance()                            — NGN available to send, or null if unknown
+//   listBanks()                             — [{ code, name, … }] in the provider's own bank codes
+//   resolveAccount(bankCode, accountNumber) — { accountName, accountNumber, bankCode, bankName? }
+//   initiateTransfer({ amountNGN, accountNumber, bankCode, accountName, reference })
+//                                           — { transferId, providerReference, status, reference }
+//   findTransfer(reference)                 — the same shape, or null if the provider has none
+//   transferState(status)                   — "completed" | "failed" | "pending" | "unknown"
+//   parseWebhook(headers, body)             — { event, reference, result, reason } or { error }
+// Errors from a provider that answered carry httpStatus; a transfer refused
+// for lack of funds also carries insufficientFunds.
+//
+// Routing: PAYOUT_PROVIDERS lists providers in order of preference (default
+// lenco, plus paystack when PAYSTACK_SECRET_KEY is set; "mock" for local
+// development). PAYOUT_ROUTING_JSON limits the payouts a provider takes, e.g.
+//   {"paystack":{"maxNGN":500000},"lenco":{"minNGN":1000}}
+// A payout goes to the first provider that is configured, not marked down,
+// allowed the amount, and whose balance covers it plus PAYOUT_MIN_BALANCE_NGN.
+//
+// Failover: a provider that times out or answers 5xx/429 is marked down for
+// PAYOUT_PROVIDER_COOLDOWN_SECONDS, and meanwhile only tried once every
+// other provider has been.
+//
+// Bank codes differ between providers. The codes clients pick from
+// (GET /api/offramp/banks) are those of the first configured provider in
+// PAYOUT_PROVIDERS; any other provider is given its own code for the same
+// bank, matched on name, and skipped for banks it doesn't list.
+
+const lenco    = require("./lenco");
+const paystack = require("./paystack");
+const mock     = require("./mock");
+const { sendOpsAlert } = require("../opsAlertService");
+const { payouts: log } = require("../../config/consoleLogger");
+
+const PROVIDERS = {
+  [lenco.name]:    lenco,
+  [paystack.name]: paystack,
+  [mock.name]:     mock,
+};
+
+const DEFAULT_PROVIDERS = ["lenco", ...(process.env.PAYSTACK_SECRET_KEY ? ["paystack"] : [])];
+
+// ── Config ───────────────────────────────────────────────────────────
+// Reject orders / skip providers whose balance would drop below this
+const MIN_BALANCE_NGN = parseFloat(process.env.PAYOUT_MIN_BALANCE_NGN ?? process.env.LENCO_MIN_BALANCE_NGN ?? "0");
+const COOLDOWN_MS     = parseInt(process.env.PAYOUT_PROVIDER_COOLDOWN_SECONDS || "60", 10) * 1000;
+const BALANCE_CACHE_TTL_MS = 30 * 1000;
+const BANK_CACHE_TTL_MS    = 24 * 60 * 60 * 1000;
+
+function loadRoutingRules() {
+  if (!process.env.PAYOUT_ROUTING_JSON) return {};
+  try {
+    return JSON.parse(process.env.PAYOUT_ROUTING_JSON);
+  } catch (err) {
+    throw new Error(`PAYOUT_ROUTING_JSON is not valid JSON: ${err.message}`);
+  }
+}
+
+const ROUTING_RULES = loadRoutingRules();
+
+function getEnabledProviders() {
+  const names = process.env.PAYOUT_PROVIDERS
+    ? process.env.PAYOUT_PROVIDERS.split(",").map((n) => n.trim().toLowerCase()).filter(Boolean)
+    : DEFAULT_PROVIDERS;
+
+  return names.map((name) => {
+    const provider = PROVIDERS[name];
+    if (!provider) throw new Error(`Unknown payout provider "${name}" in PAYOUT_PROVIDERS`);
+    return provider;
+  });
+}
+
+function getProvider(name) {
+  return PROVIDERS[name] || null;
+}
+
+// ── Health ───────────────────────────────────────────────────────────
+
+const downUntil = new Map(); // provider name → ms
+
+function isDown(name) {
+  return (downUntil.get(name) || 0) > Date.now();
+}
+
+/** True for errors that say the provider is unreachable, not that the request was wrong. */
+function isOutage(err) {
+  return !err.httpStatus || err.httpStatus >= 500 || err.httpStatus === 429;
+}
+
+function markDown(provider, err) {
+  downUntil.set(provider.name, Date.now() + COOLDOWN_MS);
+  log.warn(`${provider.label} marked down for ${COOLDOWN_MS / 1000}s: ${err.message}`);
+  sendOpsAlert({
+    key:     `payout-provider-down:${provider.name}`,
+    subject: `${provider.label} payouts unavailable`,
+    text:    `${provider.label} failed with: ${err.message}\nPayouts fail over to the next provider in PAYOUT_PROVIDERS meanwhile.`,
+    data:    { provider: provider.name, httpStatus: err.httpStatus ?? null },
+  });
+}
+
+// ── Balances (short cache) ───────────────────────────────────────────
+
+const balances = new Map(); // provider name → { balanceNGN, at }
+
+/**
+ * NGN balance of one provider. Cached for 30s; the last known balance is
+ * used while the provider can't be reached. Null if it was never known.
+ */
+async function getBalance(provider, forceRefresh = false) {
+  const cached = balances.get(provider.name);
+  if (!forceRefresh && cached && Date.now() - cached.at <= BALANCE_CACHE_TTL_MS) return cached.balanceNGN;
+
+  try {
+    const balanceNGN = await provider.getBalance();
+    if (balanceNGN === null) return null;
+    balances.set(provider.name, { balanceNGN, at: Date.now() });
+    return balanceNGN;
+  } catch (err) {
+    if (isOutage(err)) markDown(provider, err);
+    if (cached) {
+      log.warn(`Using stale cached ${provider.label} balance: ₦${cached.balanceNGN.toLocaleString()}`);
+      return cached.balanceNGN;
+    }
+    return null;
+  }
+}
+
+/** Drop a provider's cached balance — after a transfer, so the next order sees it lower. */
+function invalidateBalance(name) {
+  balances.delete(name);
+}
+
+// ── Routing ──────────────────────────────────────────────────────────
+
+function ruleAllows(provider, amountNGN) {
+  const rule = ROUTING_RULES[provider.name] || {};
+  return (rule.minNGN === undefined || amountNGN >= rule.minNGN)
+    && (rule.maxNGN === undefined || amountNGN <= rule.maxNGN);
+}
+
+/** Configured providers in routing order, those marked down last. */
+function routingOrder() {
+  const configured = getEnabledProviders().filter((p) => p.isConfigured());
+  return [...configured.filter((p) => !isDown(p.name)), ...configured.filter((p) => isDown(p.name))];
+}
+
+/**
+ * The provider a payout of `amountNGN` should go to, skipping any named in
+ * `exclude` (already tried). Null when none can take it.
+ */
+async function nextProvider(amountNGN, { exclude = [], forceRefresh = false } = {}) {
+  for (const provider of routingOrder()) {
+    if (exclude.includes(provider.name) || !ruleAllows(provider, amountNGN)) continue;
+
+    const balanceNGN = await getBalance(provider, forceRefresh);
+    if (balanceNGN === null) {
+      log.warn(`${provider.label} balance unknown — skipping`);
+      continue;
+    }
+    if (balanceNGN < amountNGN + MIN_BALANCE_NGN) {
+      log.warn(`${provider.label} short: ₦${balanceNGN.toLocaleString()} < ₦${amountNGN.toLocaleString()} + ₦${MIN_BALANCE_NGN.toLocaleString()} buffer — skipping`);
+      continue;
+    }
+    return provider;
+  }
+  return null;
+}
+
+/**
+ * Payout capacity across providers: the largest balance, the largest
+ * single order any provider could pay right now (balance less the buffer,
+ * capped by its routing rule), and capacityNGN, what all of them could pay
+ * between them. Null when no balance is known.
+ */
+async function getLiquidity(forceRefresh = false) {
+  const providers = [];
+  for (const provider of getEnabledProviders()) {
+    if (!provider.isConfigured()) continue;
+    const balanceNGN = await getBalance(provider, forceRefresh);
+    providers.push({ name: provider.name, balanceNGN, down: isDown(provider.name) });
+  }
+
+  const known = providers.filter((p) => p.balanceNGN !== null);
+  if (!known.length) return null;
+
+  const maxOrderNGN = Math.max(...known.map((p) => {
+    const maxNGN = ROUTING_RULES[p.name]?.maxNGN ?? Infinity;
+    return Math.max(0, Math.floor(Math.min(p.balanceNGN - MIN_BALANCE_NGN, maxNGN)));
+  }));
+
+  const capacityNGN = known.reduce((sum, p) => sum + Math.max(0, Math.floor(p.balanceNGN - MIN_BALANCE_NGN)), 0);
+
+  return { balanceNGN: Math.max(...known.map((p) => p.balanceNGN)), maxOrderNGN, capacityNGN, providers };
+}
+
+// ── Banks ────────────────────────────────────────────────────────────
+
+const bankLists = new Map(); // provider name → { banks, at }
+
+async function listBanks(provider, forceRefresh = false) {
+  const cached = bankLists.get(provider.name);
+  if (!forceRefresh && cached && Date.now() - cached.at <= BANK_CACHE_TTL_MS) return cached;
+
+  try {
+    const entry = { banks: await provider.listBanks(), at: Date.now() };
+    bankLists.set(provider.name, entry);
+    log.success(`${provider.label} bank list cached — ${entry.banks.length} banks`);
+    return entry;
+  } catch (err) {
+    if (cached) {
+      log.warn(`${provider.label} bank list refresh failed (${err.message}) — using cached list`);
+      return cached;
+    }
+    throw err;
+  }
+}
+
+/** The provider whose bank codes clients use. */
+function bankListProvider() {
+  return getEnabledProviders().find((p) => p.isConfigured()) || null;
+}
+
+/** Banks clients pick from: { provider, banks, cachedAt }. */
+async function getBankList(forceRefresh = false) {
+  const provider = bankListProvider();
+  if (!provider) throw new Error("No payout provider configured");
+  const { banks, at } = await listBanks(provider, forceRefresh);
+  return { provider: provider.name, banks, cachedAt: new Date(at).toISOString() };
+}
+
+const normalizeBankName = (name) => String(name || "")
+  .toLowerCase()
+  .replace(/\b(plc|limited|ltd|nigeria|bank|microfinance|mfb)\b/g, "")
+  .replace(/[^a-z0-9]/g, "");
+
+/** Bank name for a client bank code, if the bank list has it. */
+async function bankName(bankCode) {
+  const provider = bankListProvider();
+  if (!provider) return undefined;
+  try {
+    return (await listBanks(provider)).banks.find((b) => b.code === bankCode)?.name;
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * `provider`'s own code for the bank behind a client bank code, or null if
+ * it doesn't list that bank (or the lists can't be fetched).
+ */
+async function bankCodeFor(provider, bankCode) {
+  const primary = bankListProvider();
+  if (!primary || provider.name === primary.name) return bankCode;
+
+  try {
+    const name = await bankName(bankCode);
+    if (!name) return null;
+    const match = (await listBanks(provider)).banks.find((b) => normalizeBankName(b.name) === normalizeBankName(name));
+    return match ? match.code : null;
+  } catch (err) {
+    log.warn(`Can't map bank ${bankCode} to ${provider.label}: ${err.message}`);
+    return null;
+  }
+}
+
+// ── Account resolution ───────────────────────────────────────────────
+
+/**
+ * Resolve an account name with the first provider that answers. A provider
+ * that rejects the account ends the search — the next one would too.
+ *
+ * @returns {{ success, accountName, accountNumber, bankCode, bankName }} with the client's bankCode
+ */
+async function resolveAccount(bankCode, accountNumber) {
+  let lastErr = null;
+  for (const provider of routingOrder()) {
+    const providerCode = await bankCodeFor(provider, bankCode);
+    if (!providerCode) continue;
+
+    try {
+      const result = await provider.resolveAccount(providerCode, accountNumber);
+      return {
+        success:       true,
+        accountName:   result.accountName,
+        accountNumber: result.accountNumber || accountNumber,
+        bankCode,
+        bankName:      (providerCode === bankCode && result.bankName) || await bankName(bankCode) || result.bankName,
+      };
+    } catch (err) {
+      if (!isOutage(err)) throw err;
+      markDown(provider, err);
+      lastErr = err;
+    }
+  }
+  throw lastErr || new Error("No payout provider available to verify the account");
+}
+
+module.exports = {
+  PROVIDERS,
+  MIN_BALANCE_NGN,
+  getEnabledProviders,
+  getProvider,
+  isOutage,
+  markDown,
+  getBalance,
+  invalidateBalance,
+  nextProvider,
+  getLiquidity,
+  getBankList,
+  bankCodeFor,
+  resolveAccount,
+};
@@ -0,0 +1,261 @@
+// ============= services/payoutProviders/lenco.js =============
+// Lenco (api.lenco.co) — NGN transfers from the platform's Lenco account.
+// Bank codes are NIP institution codes ("000013", "100004", …).
+//
+// Webhooks: transfer.completed / transfer.failed / transfer.reversed, signed
+// with an HMAC-SHA256 of the JSON body in x-lenco-signature.
+
+const crypto = require("crypto");
+const axios  = require("axios");
+const { lenco: llog, c, divider, box } = require("../../config/consoleLogger");
+
+const LENCO_API_KEY        = process.env.LENCO_API_KEY        || "";
+const LENCO_BASE_URL       = "https://api.lenco.co";
+const LENCO_WEBHOOK_SECRET = process.env.LENCO_WEBHOOK_SECRET || "";
+
+const headers = () => ({ Authorization: `Bearer ${LENCO_API_KEY}`, "Content-Type": "application/json" });
+
+function isConfigured() {
+  return Boolean(LENCO_API_KEY && process.env.LENCO_ACCOUNT_ID);
+}
+
+// Lenco's message for a transfer the account can't cover
+const isInsufficientFunds = (msg) => /insufficient/i.test(msg || "");
+
+// Fetches the NGN balance of the platform's Lenco account.
+async function getBalance() {
+  const debitAccountId = process.env.LENCO_ACCOUNT_ID;
+  if (!debitAccountId) {
+    llog.warn("LENCO_ACCOUNT_ID not set — skipping balance check");
+    return null;
+  }
+
+  // ✅ CORRECT ENDPOINT: /access/v1/account/:id/balance  (singular "account")
+  // NOT /access/v1/accounts/:id — that returns full account object, not balance
+  const url = `${LENCO_BASE_URL}/access/v1/account/${debitAccountId}/balance`;
+  llog.info(`Fetching Lenco account balance... GET ${url}`);
+
+  try {
+    const res = await axios.get(url, { headers: headers(), timeout: 10000 });
+
+    llog.info(`  HTTP ${res.status}`);
+    llog.data("Lenco balance response", res.data);
+
+    if (!res.data?.status) {
+      throw new Error(res.data?.message || "Failed to fetch account balance");
+    }
+
+    // Dedicated balance endpoint returns:
+    // { status: true, data: { balance: number, ledgerBalance: number } }
+    const balanceRaw = res.data?.data?.availableBalance ?? res.data?.data?.currentBalance ?? res.data?.data?.balance ?? "0";
+    const balanceNGN = parseFloat(String(balanceRaw)); // already NGN — just parse
+
+    llog.success(`Lenco balance: ₦${balanceNGN.toLocaleString()} (raw string: "${balanceRaw}" NGN)`);
+    return balanceNGN;
+  } catch (err) {
+    if (err.response) {
+      const msg = err.response.data?.message || JSON.stringify(err.response.data);
+      llog.error(`Lenco balance HTTP ${err.response.status}: ${msg}`);
+      const lencoErr = new Error(msg);
+      lencoErr.httpStatus = err.response.status;
+      throw lencoErr;
+    }
+    llog.error(`Lenco balance network error: ${err.message}`);
+    throw err;
+  }
+}
+
+async function listBanks() {
+  const res = await axios.get(`${LENCO_BASE_URL}/access/v1/banks`, { headers: headers(), timeout: 15000 });
+  llog.info(`Lenco banks HTTP ${res.status}`);
+  if (!res.data?.status) throw new Error(res.data?.message || "Failed to fetch bank list");
+  return res.data.data || [];
+}
+
+async function resolveAccount(bankCode, accountNumber) {
+  const url = `${LENCO_BASE_URL}/access/v1/resolve`;
+  llog.info(`Verifying bank account → GET ${url}`);
+  llog.info(`  bankCode=${c.bold}${bankCode}${c.reset} | accountNumber=${c.bold}${accountNumber}${c.reset}`);
+
+  try {
+    const res = await axios.get(url, { params: { bankCode, accountNumber }, headers: headers(), timeout: 15000 });
+
+    llog.info(`  HTTP ${res.status} — ${res.data?.status ? c.green + "OK" + c.reset : c.red + "FAILED" + c.reset}`);
+    llog.data("Lenco resolve response", res.data);
+
+    if (!res.data?.status) {
+      const err = new Error(res.data?.message || "Account verification failed");
+      err.httpStatus = 400;
+      throw err;
+    }
+
+    const result = {
+      accountName:   res.data.data?.accountName,
+      accountNumber: res.data.data?.accountNumber,
+      bankCode:      res.data.data?.bank?.code || bankCode,
+      bankName:      res.data.data?.bank?.name,
+    };
+    llog.success(`Account verified: ${c.bold}${result.accountName}${c.reset} @ ${result.bankName}`);
+    return result;
+  } catch (err) {
+    if (err.response) {
+      const msg = err.response.data?.message || err.response.data?.error || JSON.stringify(err.response.data);
+      llog.error(`Lenco resolve HTTP ${err.response.status}: ${msg}`);
+      llog.data("Lenco error body", err.response.data);
+      const lencoErr = new Error(msg);
+      lencoErr.httpStatus = err.response.status;
+      throw lencoErr;
+    }
+    if (!err.httpStatus) llog.error(`Lenco resolve network error: ${err.message}`);
+    throw err;
+  }
+}
+
+async function initiateTransfer({ amountNGN, accountNumber, bankCode, accountName, reference }) {
+  const debitAccountId = process.env.LENCO_ACCOUNT_ID;
+
+  divider("💸 LENCO NGN TRANSFER");
+  llog.info(`Initiating transfer → POST ${LENCO_BASE_URL}/access/v1/transactions`);
+  box([
+    `${c.bold}Reference   :${c.reset} ${reference}`,
+    `${c.bold}Amount      :${c.reset} ${c.green}₦${amountNGN.toLocaleString()}${c.reset}`,
+    `${c.bold}To account  :${c.reset} ${accountNumber} (${bankCode})`,
+    `${c.bold}Account name:${c.reset} ${accountName}`,
+    `${c.bold}Debit from  :${c.reset} ${debitAccountId || c.red + "NOT SET ⚠" + c.reset}`,
+  ]);
+
+  if (!debitAccountId) throw new Error("LENCO_ACCOUNT_ID not configured — needed to debit your Lenco account");
+
+  const payload = {
+    accountId:    debitAccountId,
+    amount:       String(amountNGN),
+    accountNumber,
+    bankCode,
+    narration:    `StackSwap offramp - ${reference}`,
+    reference,
+  };
+
+  llog.data("Lenco transfer request body", payload);
+
+  try {
+    const res = await axios.post(`${LENCO_BASE_URL}/access/v1/transactions`, payload, { headers: headers(), timeout: 30000 });
+
+    llog.info(`  HTTP ${res.status}`);
+    llog.data("Lenco transfer response", res.data);
+
+    if (!res.data?.status) throw new Error(res.data?.message || "Lenco transfer initiation failed");
+
+    const result = {
+      transferId:        res.data.data?.id,
+      providerReference: res.data.data?.transactionReference,
+      status:            res.data.data?.status,
+      reference,
+    };
+    llog.success(`Transfer initiated — ID: ${c.bold}${result.transferId}${c.reset} | Status: ${result.status}`);
+    return result;
+  } catch (err) {
+    if (err.response) {
+      const msg = err.response.data?.message || err.response.data?.error || JSON.stringify(err.response.data);
+      llog.error(`Lenco transfer HTTP ${err.response.status}: ${msg}`);
+      llog.data("Lenco transfer error body", err.response.data);
+      const lencoErr = new Error(msg);
+      lencoErr.httpStatus        = err.response.status;
+      lencoErr.insufficientFunds = isInsufficientFunds(msg);
+      throw lencoErr;
+    }
+    llog.error(`Lenco transfer network error: ${err.message}`);
+    throw err;
+  }
+}
+
+// Returns null when Lenco has no transfer with this reference.
+async function findTransfer(reference) {
+  const url = `${LENCO_BASE_URL}/access/v1/transaction-by-reference/${encodeURIComponent(reference)}`;
+  llog.info(`Checking for an existing transfer → GET ${url}`);
+
+  try {
+    const res = await axios.get(url, { headers: headers(), timeout: 15000 });
+    if (!res.data?.status || !res.data.data) return null;
+    return {
+      transferId:        res.data.data.id,
+      providerReference: res.data.data.transactionReference,
+      status:            res.data.data.status,
+      reference,
+    };
+  } catch (err) {
+    if (err.response?.status === 404) return null;
+    llog.error(`Lenco lookup failed for ${reference}: ${err.response?.data?.message || err.message}`);
+    throw err;
+  }
+}
+
+// Lenco transfer status → what it means for the order. Anything not listed
+// is "unknown" and left for a human.
+const TRANSFER_STATES = {
+  successful: "completed",
+  completed:  "completed",
+  failed:     "failed",
+  declined:   "failed",
+  reversed:   "failed",
+  pending:    "pending",
+  processing: "pending",
+  queued:     "pending",
+};
+
+function transferState(status) {
+  return TRANSFER_STATES[String(status || "").toLowerCase()] || "unknown";
+}
+
+function verifySignature(payload, signature) {
+  if (!LENCO_WEBHOOK_SECRET) {
+    llog.warn("LENCO_WEBHOOK_SECRET not configured — skipping signature check");
+    return true;
+  }
+  const hash = crypto
+    .createHmac("sha256", LENCO_WEBHOOK_SECRET)
+    .update(JSON.stringify(payload))
+    .digest("hex");
+  const match = hash === signature;
+  if (!match) {
+    llog.error(`Signature mismatch\n  Expected: ${hash}\n  Got     : ${signature}`);
+  }
+  return match;
+}
+
+const WEBHOOK_RESULTS = {
+  "transfer.completed": "completed",
+  "transfer.failed":    "failed",
+  "transfer.reversed":  "failed",
+};
+
+/**
+ * Check and decode a webhook. Returns { event, reference, result, reason }
+ * (result null for events that don't settle a transfer), or { error } when
+ * the signature is missing or wrong.
+ */
+function parseWebhook(headers, payload) {
+  const signature = headers["x-lenco-signature"];
+  if (!signature) return { error: "Missing signature" };
+  if (!verifySignature(payload, signature)) return { error: "Invalid signature" };
+
+  const { event, data } = payload || {};
+  return {
+    event,
+    reference: data?.reference,
+    result:    WEBHOOK_RESULTS[event] || null,
+    reason:    data?.reason || `Lenco event: ${event}`,
+  };
+}
+
+module.exports = {
+  name: "lenco",
+  label: "Lenco",
+  isConfigured,
+  getBalance,
+  listBanks,
+  resolveAccount,
+  initiateTransfer,
+  findTransfer,
+  transferState,
+  parseWebhook,
+};
@@ -0,0 +1,86 @@
+// ============= services/payoutProviders/mock.js =============
+// Local development provider — no money moves. Disabled when NODE_ENV=production.
+//
+// Every account resolves (to "MOCK ACCOUNT <last 4>") except 0000000000.
+// Transfers come back "successful" straight away, so an order runs through
+// to confirmed with no webhook; one to an account ending 9999 comes back
+// "failed" instead. The balance is MOCK_PAYOUT_BALANCE_NGN, less what has
+// been sent since start. Transfers are kept in memory only.
+
+const { payouts: log } = require("../../config/consoleLogger");
+
+const START_BALANCE_NGN = parseFloat(process.env.MOCK_PAYOUT_BALANCE_NGN || "10000000");
+
+const transfers = new Map(); // reference → transfer
+let sentNGN = 0;
+
+function isConfigured() {
+  return process.env.NODE_ENV !== "production";
+}
+
+async function getBalance() {
+  return START_BALANCE_NGN - sentNGN;
+}
+
+async function listBanks() {
+  return [
+    { code: "000013", name: "Guaranty Trust Bank" },
+    { code: "000014", name: "Access Bank" },
+    { code: "100004", name: "OPay" },
+    { code: "090267", name: "Kuda Microfinance Bank" },
+    { code: "999999", name: "Mock Bank" },
+  ];
+}
+
+async function resolveAccount(bankCode, accountNumber) {
+  if (accountNumber === "0000000000") {
+    const err = new Error("Account not found");
+    err.httpStatus = 404;
+    throw err;
+  }
+  const bank = (await listBanks()).find((b) => b.code === bankCode);
+  return { accountName: `MOCK ACCOUNT ${accountNumber.slice(-4)}`, accountNumber, bankCode, bankName: bank?.name || "Mock Bank" };
+}
+
+async function initiateTransfer({ amountNGN, accountNumber, bankCode, reference }) {
+  if (transfers.has(reference)) {
+    const err = new Error(`Duplicate reference ${reference}`);
+    err.httpStatus = 409;
+    throw err;
+  }
+  if (amountNGN > await getBalance()) {
+    const err = new Error("Insufficient balance");
+    err.httpStatus        = 400;
+    err.insufficientFunds = true;
+    throw err;
+  }
+
+  const status   = accountNumber.endsWith("9999") ? "failed" : "successful";
+  const transfer = { transferId: `mock_${transfers.size + 1}`, providerReference: `MOCK-${reference}`, status, reference };
+  transfers.set(reference, transfer);
+  if (status === "successful") sentNGN += amountNGN;
+
+  log.info(`🧪 [mock] ₦${amountNGN.toLocaleString()} → ${accountNumber} (${bankCode}) — ${status}`);
+  return { ...transfer };
+}
+
+async function findTransfer(reference) {
+  const transfer = transfers.get(reference);
+  return transfer ? { ...transfer } : null;
+}
+
+function transferState(status) {
+  return { successful: "completed", failed: "failed" }[status] || "unknown";
+}
+
+module.exports = {
+  name: "mock",
+  label: "Mock",
+  isConfigured,
+  getBalance,
+  listBanks,
+  resolveAccount,
+  initiateTransfer,
+  findTransfer,
+  transferState,
+};
@@ -0,0 +1,235 @@
+// ============= services/payoutProviders/paystack.js =============
+// Paystack Transfers (api.paystack.co) — NGN transfers from the Paystack
+// balance. Bank codes are CBN codes ("058", "999992", …).
+//
+// A transfer needs a transfer recipient first; one is created per payout.
+// Paystack references must be lowercase, so ours are sent lowercased and
+// upper-cased again on the way back (order references are upper case).
+// Disable transfer OTPs on the Paystack dashboard — a transfer waiting for
+// one stays "otp" and is left for a human.
+//
+// Webhooks: transfer.success / transfer.failed / transfer.reversed, signed
+// with an HMAC-SHA512 of the JSON body (keyed on the secret key) in
+// x-paystack-signature.
+
+const crypto = require("crypto");
+const axios  = require("axios");
+const { paystack: plog, c, divider, box } = require("../../config/consoleLogger");
+
+const PAYSTACK_SECRET_KEY = process.env.PAYSTACK_SECRET_KEY || "";
+const PAYSTACK_BASE_URL   = process.env.PAYSTACK_BASE_URL   || "https://api.paystack.co";
+
+const headers = () => ({ Authorization: `Bearer ${PAYSTACK_SECRET_KEY}`, "Content-Type": "application/json" });
+
+function isConfigured() {
+  return Boolean(PAYSTACK_SECRET_KEY);
+}
+
+const toKobo   = (ngn) => Math.round(ngn * 100);
+const fromKobo = (kobo) => Number(kobo) / 100;
+
+// Paystack's message for a transfer the balance can't cover
+const isInsufficientFunds = (msg) => /balance is not enough|insufficient/i.test(msg || "");
+
+function paystackError(err, what) {
+  if (!err.response) {
+    plog.error(`Paystack ${what} network error: ${err.message}`);
+    return err;
+  }
+  const msg = err.response.data?.message || JSON.stringify(err.response.data);
+  plog.error(`Paystack ${what} HTTP ${err.response.status}: ${msg}`);
+  const psErr = new Error(msg);
+  psErr.httpStatus        = err.response.status;
+  psErr.insufficientFunds = isInsufficientFunds(msg);
+  return psErr;
+}
+
+async function getBalance() {
+  plog.info(`Fetching Paystack balance... GET ${PAYSTACK_BASE_URL}/balance`);
+  try {
+    const res = await axios.get(`${PAYSTACK_BASE_URL}/balance`, { headers: headers(), timeout: 10000 });
+    if (!res.data?.status) throw new Error(res.data?.message || "Failed to fetch balance");
+
+    const ngn = (res.data.data || []).find((b) => b.currency === "NGN");
+    const balanceNGN = ngn ? fromKobo(ngn.balance) : 0;
+    plog.success(`Paystack balance: ₦${balanceNGN.toLocaleString()}`);
+    return balanceNGN;
+  } catch (err) {
+    throw paystackError(err, "balance");
+  }
+}
+
+async function listBanks() {
+  const banks = [];
+  let next = null;
+  try {
+    do {
+      const res = await axios.get(`${PAYSTACK_BASE_URL}/bank`, {
+        params:  { country: "nigeria", currency: "NGN", perPage: 100, use_cursor: true, ...(next ? { next } : {}) },
+        headers: headers(),
+        timeout: 15000,
+      });
+      if (!res.data?.status) throw new Error(res.data?.message || "Failed to fetch bank list");
+      banks.push(...(res.data.data || []).filter((b) => b.active !== false).map((b) => ({ code: b.code, name: b.name })));
+      next = res.data.meta?.next || null;
+    } while (next);
+  } catch (err) {
+    throw paystackError(err, "banks");
+  }
+  plog.info(`Paystack banks — ${banks.length}`);
+  return banks;
+}
+
+async function resolveAccount(bankCode, accountNumber) {
+  plog.info(`Verifying bank account → GET ${PAYSTACK_BASE_URL}/bank/resolve`);
+  plog.info(`  bankCode=${c.bold}${bankCode}${c.reset} | accountNumber=${c.bold}${accountNumber}${c.reset}`);
+  try {
+    const res = await axios.get(`${PAYSTACK_BASE_URL}/bank/resolve`, {
+      params:  { account_number: accountNumber, bank_code: bankCode },
+      headers: headers(),
+      timeout: 15000,
+    });
+    if (!res.data?.status) {
+      const err = new Error(res.data?.message || "Account verification failed");
+      err.httpStatus = 400;
+      throw err;
+    }
+    const result = {
+      accountName:   res.data.data?.account_name,
+      accountNumber: res.data.data?.account_number || accountNumber,
+      bankCode,
+    };
+    plog.success(`Account verified: ${c.bold}${result.accountName}${c.reset}`);
+    return result;
+  } catch (err) {
+    if (err.httpStatus) throw err;
+    throw paystackError(err, "resolve");
+  }
+}
+
+async function createRecipient({ accountNumber, bankCode, accountName }) {
+  const res = await axios.post(`${PAYSTACK_BASE_URL}/transferrecipient`, {
+    type:           "nuban",
+    name:           accountName,
+    account_number: accountNumber,
+    bank_code:      bankCode,
+    currency:       "NGN",
+  }, { headers: headers(), timeout: 15000 });
+  if (!res.data?.status) throw new Error(res.data?.message || "Failed to create transfer recipient");
+  return res.data.data.recipient_code;
+}
+
+async function initiateTransfer({ amountNGN, accountNumber, bankCode, accountName, reference }) {
+  divider("💸 PAYSTACK NGN TRANSFER");
+  box([
+    `${c.bold}Reference   :${c.reset} ${reference}`,
+    `${c.bold}Amount      :${c.reset} ${c.green}₦${amountNGN.toLocaleString()}${c.reset}`,
+    `${c.bold}To account  :${c.reset} ${accountNumber} (${bankCode})`,
+    `${c.bold}Account name:${c.reset} ${accountName}`,
+  ]);
+
+  try {
+    const recipient = await createRecipient({ accountNumber, bankCode, accountName });
+    const res = await axios.post(`${PAYSTACK_BASE_URL}/transfer`, {
+      source:    "balance",
+      amount:    toKobo(amountNGN),
+      recipient,
+      reason:    `StackSwap offramp - ${reference}`,
+      reference: reference.toLowerCase(),
+    }, { headers: headers(), timeout: 30000 });
+
+    plog.data("Paystack transfer response", res.data);
+    if (!res.data?.status) throw new Error(res.data?.message || "Paystack transfer initiation failed");
+
+    const result = {
+      transferId:        res.data.data?.transfer_code,
+      providerReference: res.data.data?.reference,
+      status:            res.data.data?.status,
+      reference,
+    };
+    plog.success(`Transfer initiated — ${c.bold}${result.transferId}${c.reset} | Status: ${result.status}`);
+    return result;
+  } catch (err) {
+    throw paystackError(err, "transfer");
+  }
+}
+
+// Returns null when Paystack has no transfer with this reference.
+async function findTransfer(reference) {
+  const url = `${PAYSTACK_BASE_URL}/transfer/verify/${encodeURIComponent(reference.toLowerCase())}`;
+  plog.info(`Checking for an existing transfer → GET ${url}`);
+  try {
+    const res = await axios.get(url, { headers: headers(), timeout: 15000 });
+    if (!res.data?.status || !res.data.data) return null;
+    return {
+      transferId:        res.data.data.transfer_code,
+      providerReference: res.data.data.reference,
+      status:            res.data.data.status,
+      reference,
+    };
+  } catch (err) {
+    if (err.response?.status === 404) return null;
+    throw paystackError(err, "lookup");
+  }
+}
+
+// Paystack transfer status → what it means for the order. "otp", "blocked"
+// and anything else unlisted are left for a human.
+const TRANSFER_STATES = {
+  success:    "completed",
+  failed:     "failed",
+  reversed:   "failed",
+  rejected:   "failed",
+  abandoned:  "failed",
+  pending:    "pending",
+  processing: "pending",
+  received:   "pending",
+  queued:     "pending",
+};
+
+function transferState(status) {
+  return TRANSFER_STATES[String(status || "").toLowerCase()] || "unknown";
+}
+
+const WEBHOOK_RESULTS = {
+  "transfer.success":  "completed",
+  "transfer.failed":   "failed",
+  "transfer.reversed": "failed",
+};
+
+/**
+ * Check and decode a webhook. Returns { event, reference, result, reason }
+ * (result null for events that don't settle a transfer), or { error } when
+ * the signature is missing or wrong.
+ */
+function parseWebhook(headers, payload) {
+  const signature = headers["x-paystack-signature"];
+  if (!signature) return { error: "Missing signature" };
+
+  const hash = crypto.createHmac("sha512", PAYSTACK_SECRET_KEY).update(JSON.stringify(payload)).digest("hex");
+  if (!PAYSTACK_SECRET_KEY || hash !== signature) {
+    plog.error("Paystack signature mismatch");
+    return { error: "Invalid signature" };
+  }
+
+  const { event, data } = payload || {};
+  return {
+    event,
+    reference: data?.reference ? String(data.reference).toUpperCase() : undefined,
+    result:    WEBHOOK_RESULTS[event] || null,
+    reason:    data?.gateway_response || `Paystack event: ${event}`,
+  };
+}
+
+module.exports = {
+  name: "paystack",
+  label: "Paystack",
+  isConfigured,
+  getBalance,
+  listBanks,
+  resolveAccount,
+  initiateTransfer,
+  findTransfer,
+  transferState,
+  parseWebhook,
+};
@@ -0,0 +1,273 @@
+// ============= services/priceAlertService.js =============
+// User price alerts — "tell me when STX goes above ₦2,000".
+//
+// Conditions (threshold is in the alert's currency, default NGN):
+//   above          — mid price ≥ threshold
+//   below          — mid price ≤ threshold
+//   percent_change — mid price moved ≥ threshold % either way from basePrice,
+//                    the price when the alert was created
+//
+// The evaluator runs on every priceEvents "update" (i.e. after each
+// refreshPrices). Alerts fire once: the active → triggered flip is atomic,
+// so overlapping evaluations can't notify twice. Emergency fallback rates
+// never trigger alerts. Past expiresAt an alert moves to "expired".
+
+const mongoose = require("mongoose");
+const PriceAlert = require("../models/PriceAlert");
+const { getCurrentPrices, getFiatPrice, getPriceFeedState, priceEvents } = require("./priceService");
+const { getChannel, availableChannels } = require("./notifications");
+const { fiatSymbol } = require("../config/currencies");
+const { alerts: log } = require("../config/consoleLogger");
+
+// ── Config ───────────────────────────────────────────────────────────
+const MAX_ACTIVE_PER_ADDRESS = parseInt(process.env.PRICE_ALERT_MAX_PER_ADDRESS || "20", 10);
+const DEFAULT_TTL_DAYS       = parseInt(process.env.PRICE_ALERT_TTL_DAYS        || "30", 10);
+const MAX_TTL_DAYS           = parseInt(process.env.PRICE_ALERT_MAX_TTL_DAYS    || "365", 10);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CONDITIONS = ["above", "below", "percent_change"];
+
+function alertError(message, statusCode, code) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (code) err.code = code;
+  return err;
+}
+
+function formatPrice(currency, price) {
+  return `${fiatSymbol(currency)}${price.toLocaleString("en-US", { maximumFractionDigits: 2 })}`;
+}
+
+function describe(alert) {
+  return alert.condition === "percent_change"
+    ? `${alert.token} moves ${alert.threshold}% from ${formatPrice(alert.currency, alert.basePrice)}`
+    : `${alert.token} ${alert.condition} ${formatPrice(alert.currency, alert.threshold)}`;
+}
+
+// ── CRUD ─────────────────────────────────────────────────────────────
+
+function resolveExpiry(expiresAt) {
+  if (expiresAt === undefined || expiresAt === null) return new Date(Date.now() + DEFAULT_TTL_DAYS * DAY_MS);
+  const date = new Date(expiresAt);
+  if (isNaN(date.getTime()) || date <= new Date()) {
+    throw alertError("expiresAt must be a future date", 400);
+  }
+  if (date.getTime() - Date.now() > MAX_TTL_DAYS * DAY_MS) {
+    throw alertError(`expiresAt can be at most ${MAX_TTL_DAYS} days away`, 400);
+  }
+  return date;
+}
+
+async function checkChannel(channel, target) {
+  const ch = getChannel(channel);
+  if (!ch || !ch.isConfigured()) {
+    throw alertError(`channel must be one of ${availableChannels().join(", ")}`, 400, "UNSUPPORTED_CHANNEL");
+  }
+  const targetError = await ch.validateTarget(target);
+  if (targetError) throw alertError(targetError, 400);
+}
+
+/**
+ * Create an alert. Token and currency must already be validated;
+ * percent_change alerts capture the current mid price as their base.
+ */
+async function createAlert({ stacksAddress, token, currency, condition, threshold, channel, target, expiresAt }) {
+  if (!CONDITIONS.includes(condition)) throw alertError(`condition must be one of ${CONDITIONS.join(", ")}`, 400);
+  if (typeof threshold !== "number" || !isFinite(threshold) || threshold <= 0) {
+    throw alertError("threshold must be a positive number", 400);
+  }
+  await checkChannel(channel, target);
+
+  const active = await PriceAlert.countDocuments({ stacksAddress, status: "active" });
+  if (active >= MAX_ACTIVE_PER_ADDRESS) {
+    throw alertError(`At most ${MAX_ACTIVE_PER_ADDRESS} active alerts per address`, 429, "ALERT_LIMIT_REACHED");
+  }
+
+  let basePrice;
+  if (condition === "percent_change") {
+    const prices = await getCurrentPrices();
+    basePrice = getFiatPrice(prices[token], currency).price;
+  }
+
+  return PriceAlert.create({
+    stacksAddress,
+    token,
+    currency,
+    condition,
+    threshold,
+    basePrice,
+    channel,
+    target,
+    expiresAt: resolveExpiry(expiresAt),
+  });
+}
+
+async function listAlerts(stacksAddress, { status, page = 1, limit = 20 } = {}) {
+  const query = { stacksAddress };
+  if (status) query.status = status;
+
+  const [alerts, total] = await Promise.all([
+    PriceAlert.find(query).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+    PriceAlert.countDocuments(query),
+  ]);
+  return { alerts, total };
+}
+
+/** An alert owned by stacksAddress — 404 for anyone else so ids can't be probed. */
+async function getAlert(id, stacksAddress) {
+  if (!mongoose.Types.ObjectId.isValid(id)) throw alertError("Alert not found", 404);
+  const alert = await PriceAlert.findOne({ _id: id, stacksAddress });
+  if (!alert) throw alertError("Alert not found", 404);
+  return alert;
+}
+
+/**
+ * Change the threshold, channel, target or expiry of an active alert.
+ */
+async function updateAlert(id, stacksAddress, changes) {
+  const alert = await getAlert(id, stacksAddress);
+  if (alert.status !== "active") throw alertError(`Alert is ${alert.status} and can no longer be changed`, 409);
+
+  if (changes.threshold !== undefined) {
+    if (typeof changes.threshold !== "number" || !isFinite(changes.threshold) || changes.threshold <= 0) {
+      throw alertError("threshold must be a positive number", 400);
+    }
+    alert.threshold = changes.threshold;
+  }
+  if (changes.channel !== undefined || changes.target !== undefined) {
+    const channel = changes.channel ?? alert.channel;
+    const target  = changes.target  ?? alert.target;
+    await checkChannel(channel, target);
+    alert.channel = channel;
+    alert.target  = target;
+  }
+  if (changes.expiresAt !== undefined) alert.expiresAt = resolveExpiry(changes.expiresAt);
+
+  return alert.save();
+}
+
+async function cancelAlert(id, stacksAddress) {
+  const alert = await getAlert(id, stacksAddress);
+  if (alert.status !== "active") throw alertError(`Alert is already ${alert.status}`, 409);
+  alert.status      = "cancelled";
+  alert.cancelledAt = new Date();
+  return alert.save();
+}
+
+// ── Evaluation ───────────────────────────────────────────────────────
+
+function isMet(alert, price) {
+  switch (alert.condition) {
+    case "above": return price >= alert.threshold;
+    case "below": return price <= alert.threshold;
+    case "percent_change":
+      return alert.basePrice > 0 && Math.abs((price - alert.basePrice) / alert.basePrice) * 100 >= alert.threshold;
+    default: return false;
+  }
+}
+
+function buildMessage(alert, price, tokenData) {
+  const changePct = alert.basePrice ? ((price - alert.basePrice) / alert.basePrice) * 100 : null;
+  const text =
+    `${alert.token} is now ${formatPrice(alert.currency, price)}.\n` +
+    `Your alert: ${describe(alert)}.\n` +
+    `Priced at ${new Date(tokenData.fetchedAt).toISOString()}.`;
+
+  return {
+    subject: `StackSwap alert: ${alert.token} ${formatPrice(alert.currency, price)}`,
+    text,
+    data: {
+      event:         "price_alert.triggered",
+      alertId:       alert._id,
+      stacksAddress: alert.stacksAddress,
+      token:         alert.token,
+      currency:      alert.currency,
+      condition:     alert.condition,
+      threshold:     alert.threshold,
+      basePrice:     alert.basePrice,
+      price,
+      changePct:     changePct === null ? null : parseFloat(changePct.toFixed(2)),
+      priceUSD:      tokenData.priceUSD,
+      fetchedAt:     tokenData.fetchedAt,
+      triggeredAt:   alert.triggeredAt,
+    },
+  };
+}
+
+async function notify(alert, price, tokenData) {
+  const channel = getChannel(alert.channel);
+  const message = buildMessage(alert, price, tokenData);
+  try {
+    if (!channel || !channel.isConfigured()) throw new Error(`channel "${alert.channel}" is not available`);
+    await channel.send(alert.target, message);
+    alert.notification = { delivered: true, sentAt: new Date() };
+    log.success(`🔔 Alert ${alert._id} delivered via ${alert.channel}: ${describe(alert)}`);
+  } catch (err) {
+    alert.notification = { delivered: false, error: err.message, sentAt: new Date() };
+    log.error(`Alert ${alert._id} delivery via ${alert.channel} failed: ${err.message}`);
+  }
+  await alert.save();
+}
+
+let evaluating = false;
+
+/**
+ * Expire overdue alerts, then trigger and notify every active alert whose
+ * condition the given prices meet. Returns { expired, triggered }.
+ */
+async function evaluateAlerts(prices) {
+  const now = new Date();
+  const { modifiedCount: expired } = await PriceAlert.updateMany(
+    { status: "active", expiresAt: { $lte: now } },
+    { $set: { status: "expired", expiredAt: now } }
+  );
+  if (expired) log.info(`${expired} alert(s) expired`);
+
+  const tokens = Object.keys(prices).filter((t) => prices[t]?.priceNGN);
+  const alerts = await PriceAlert.find({ status: "active", token: { $in: tokens } });
+
+  let triggered = 0;
+  for (const candidate of alerts) {
+    const tokenData = prices[candidate.token];
+    const price     = tokenData.prices?.[candidate.currency] ?? (candidate.currency === "NGN" ? tokenData.priceNGN : null);
+    if (!price || !isMet(candidate, price)) continue;
+
+    // Claim it — only one evaluation wins the active → triggered flip
+    const alert = await PriceAlert.findOneAndUpdate(
+      { _id: candidate._id, status: "active" },
+      { $set: { status: "triggered", triggeredAt: new Date(), triggerPrice: price } },
+      { new: true }
+    );
+    if (!alert) continue;
+
+    triggered++;
+    await notify(alert, price, tokenData);
+  }
+
+  return { expired, triggered };
+}
+
+priceEvents.on("update", (prices) => {
+  // No DB, nothing to evaluate; emergency rates aren't real prices
+  if (mongoose.connection.readyState !== 1) return;
+  if (getPriceFeedState().emergency || Object.values(prices).some((p) => p?.emergency)) return;
+  if (evaluating) return;
+
+  evaluating = true;
+  evaluateAlerts(prices)
+    .catch((err) => log.error(`Alert evaluation failed: ${err.message}`))
+    .finally(() => { evaluating = false; });
+});
+
+module.exports = {
+  createAlert,
+  listAlerts,
+  getAlert,
+  updateAlert,
+  cancelAlert,
+  evaluateAlerts,
+  describe,
+  CONDITIONS,
+  MAX_ACTIVE_PER_ADDRESS,
+};
@@ -0,0 +1,233 @@
+// ============= services/priceHistoryService.js =============
+// Chart-friendly views over price history.
+// Aggregation runs in MongoDB so long ranges never ship raw rows to Node.
+//
+// History lives in tiers (see priceRetentionService): recent raw Price
+// snapshots, then hourly and daily PriceAggregate buckets. Tiers never
+// overlap in time, so readers query each and stitch the results.
+
+const Price = require("../models/Price");
+const PriceAggregate = require("../models/PriceAggregate");
+
+const CANDLE_INTERVALS = {
+  "5m": 5 * 60 * 1000,
+  "1h": 60 * 60 * 1000,
+  "1d": 24 * 60 * 60 * 1000,
+};
+
+// Default lookback per interval when `from` isn't given
+const DEFAULT_RANGE_MS = {
+  "5m": 24 * 60 * 60 * 1000,        // 1 day   → 288 candles
+  "1h": 7 * 24 * 60 * 60 * 1000,    // 7 days  → 168 candles
+  "1d": 90 * 24 * 60 * 60 * 1000,   // 90 days → 90 candles
+};
+
+const MAX_CANDLES = 1000;
+
+const OHLC_FIELDS = ["openNGN", "highNGN", "lowNGN", "closeNGN", "openUSD", "highUSD", "lowUSD", "closeUSD"];
+
+function bucketId(field, bucketMs) {
+  return { $subtract: [{ $toLong: field }, { $mod: [{ $toLong: field }, bucketMs] }] };
+}
+
+const CANDLE_PROJECTION = {
+  $project: {
+    _id: 0,
+    time: { $toDate: "$_id" },
+    openNGN: 1, highNGN: 1, lowNGN: 1, closeNGN: 1,
+    openUSD: 1, highUSD: 1, lowUSD: 1, closeUSD: 1,
+    samples: 1,
+  },
+};
+
+function rawCandles(token, bucketMs, from, to) {
+  return Price.aggregate([
+    { $match: { token, fetchedAt: { $gte: from, $lt: to } } },
+    { $sort: { fetchedAt: 1 } },
+    {
+      $group: {
+        _id:      bucketId("$fetchedAt", bucketMs),
+        openNGN:  { $first: "$priceNGN" },
+        highNGN:  { $max: "$priceNGN" },
+        lowNGN:   { $min: "$priceNGN" },
+        closeNGN: { $last: "$priceNGN" },
+        openUSD:  { $first: "$priceUSD" },
+        highUSD:  { $max: "$priceUSD" },
+        lowUSD:   { $min: "$priceUSD" },
+        closeUSD: { $last: "$priceUSD" },
+        samples:  { $sum: 1 },
+      },
+    },
+    { $sort: { _id: 1 } },
+    CANDLE_PROJECTION,
+  ]);
+}
+
+// Re-bucket hourly/daily aggregates. Only resolutions no coarser than the
+// requested interval can contribute — 5m candles never come from aggregates.
+function aggregateCandles(token, bucketMs, from, to) {
+  const resolutions = bucketMs >= CANDLE_INTERVALS["1d"] ? ["1h", "1d"] : bucketMs >= CANDLE_INTERVALS["1h"] ? ["1h"] : [];
+  if (resolutions.length === 0) return [];
+
+  return PriceAggregate.aggregate([
+    { $match: { token, resolution: { $in: resolutions }, bucketStart: { $gte: from, $lt: to } } },
+    { $sort: { bucketStart: 1 } },
+    {
+      $group: {
+        _id:      bucketId("$bucketStart", bucketMs),
+        openNGN:  { $first: "$openNGN" },
+        highNGN:  { $max: "$highNGN" },
+        lowNGN:   { $min: "$lowNGN" },
+        closeNGN: { $last: "$closeNGN" },
+        openUSD:  { $first: "$openUSD" },
+        highUSD:  { $max: "$highUSD" },
+        lowUSD:   { $min: "$lowUSD" },
+        closeUSD: { $last: "$closeUSD" },
+        samples:  { $sum: "$samples" },
+      },
+    },
+    { $sort: { _id: 1 } },
+    CANDLE_PROJECTION,
+  ]);
+}
+
+// Stitch older (aggregate) and newer (raw) candles. A bucket that straddles
+// the retention cutoff appears in both and is merged.
+function mergeCandles(older, newer) {
+  const byTime = new Map(older.map((c) => [c.time.getTime(), { ...c }]));
+  for (const c of newer) {
+    const key  = c.time.getTime();
+    const prev = byTime.get(key);
+    if (!prev) { byTime.set(key, c); continue; }
+    byTime.set(key, {
+      ...prev,
+      highNGN:  Math.max(prev.highNGN, c.highNGN),
+      lowNGN:   Math.min(prev.lowNGN, c.lowNGN),
+      closeNGN: c.closeNGN,
+      highUSD:  Math.max(prev.highUSD, c.highUSD),
+      lowUSD:   Math.min(prev.lowUSD, c.lowUSD),
+      closeUSD: c.closeUSD,
+      samples:  prev.samples + c.samples,
+    });
+  }
+  return [...byTime.values()].sort((a, b) => a.time - b.time);
+}
+
+/**
+ * OHLC candles in NGN and USD, bucketed on UTC-aligned interval boundaries.
+ * Buckets with no data are omitted.
+ */
+async function getCandles(token, interval, from, to) {
+  const bucketMs = CANDLE_INTERVALS[interval];
+  if (!bucketMs) throw new Error(`Unsupported interval: ${interval}`);
+
+  const [older, newer] = await Promise.all([
+    aggregateCandles(token, bucketMs, from, to),
+    rawCandles(token, bucketMs, from, to),
+  ]);
+  return mergeCandles(older, newer);
+}
+
+/**
+ * Price points since `hours` ago, read from whichever tiers cover the range.
+ * Raw rows keep their exact values; aggregate buckets report their close.
+ */
+async function getPriceHistory(token, hours = 24) {
+  const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+
+  const [buckets, raw] = await Promise.all([
+    PriceAggregate.find({ token, bucketStart: { $gte: since } })
+      .sort({ bucketStart: 1 })
+      .select(`resolution bucketStart ${OHLC_FIELDS.join(" ")} -_id`)
+      .lean(),
+    Price.find({ token, fetchedAt: { $gte: since } })
+      .sort({ fetchedAt: 1 })
+      .select("priceNGN priceUSD fetchedAt -_id")
+      .lean(),
+  ]);
+
+  return [
+    ...buckets.map((b) => ({
+      priceNGN:   b.closeNGN,
+      priceUSD:   b.closeUSD,
+      fetchedAt:  b.bucketStart,
+      resolution: b.resolution,
+    })),
+    ...raw.map((r) => ({ ...r, resolution: "raw" })),
+  ];
+}
+
+// Bucket length per aggregate resolution — getPriceAt's "contains" window
+const RESOLUTION_MS = {
+  "1h": CANDLE_INTERVALS["1h"],
+  "1d": CANDLE_INTERVALS["1d"],
+};
+
+function rawSnapshot(row) {
+  return {
+    resolution:      "raw",
+    priceNGN:        row.priceNGN,
+    priceUSD:        row.priceUSD,
+    usdToNgn:        row.usdToNgn,
+    prices:          row.prices,
+    fxRates:         row.fxRates,
+    source:          row.source,
+    sources:         row.sources,
+    rejectedSources: row.rejectedSources,
+    fetchedAt:       row.fetchedAt,
+  };
+}
+
+function aggregateSnapshot(bucket) {
+  return {
+    resolution: bucket.resolution,
+    priceNGN:   bucket.closeNGN,
+    priceUSD:   bucket.closeUSD,
+    openNGN:    bucket.openNGN,
+    highNGN:    bucket.highNGN,
+    lowNGN:     bucket.lowNGN,
+    source:     "aggregate",
+    samples:    bucket.samples,
+    fetchedAt:  bucket.bucketStart,
+    bucketEnd:  new Date(bucket.bucketStart.getTime() + RESOLUTION_MS[bucket.resolution]),
+  };
+}
+
+/**
+ * The recorded market price nearest to `at`, from whichever tier still
+ * holds it. A raw snapshot wins if one lies within the length of the
+ * aggregate bucket covering `at` (or if no bucket covers it); otherwise the
+ * bucket is returned with its close as the price and its high/low range.
+ *
+ * Returns { snapshot, ageMs, gapMs } — ageMs is `at` minus the snapshot
+ * time (negative when the nearest snapshot came after) — or null.
+ */
+async function getPriceAt(token, at) {
+  const time = at.getTime();
+
+  const [before, after, hourly, daily] = await Promise.all([
+    Price.findOne({ token, fetchedAt: { $lte: at } }).sort({ fetchedAt: -1 }).lean(),
+    Price.findOne({ token, fetchedAt: { $gt: at } }).sort({ fetchedAt: 1 }).lean(),
+    PriceAggregate.findOne({ token, resolution: "1h", bucketStart: { $lte: at, $gt: new Date(time - RESOLUTION_MS["1h"]) } }).lean(),
+    PriceAggregate.findOne({ token, resolution: "1d", bucketStart: { $lte: at, $gt: new Date(time - RESOLUTION_MS["1d"]) } }).lean(),
+  ]);
+
+  const raw = [before, after]
+    .filter(Boolean)
+    .sort((a, b) => Math.abs(time - a.fetchedAt.getTime()) - Math.abs(time - b.fetchedAt.getTime()))[0];
+  const bucket = hourly || daily;
+
+  let snapshot;
+  if (raw && (!bucket || Math.abs(time - raw.fetchedAt.getTime()) <= RESOLUTION_MS[bucket.resolution])) {
+    snapshot = rawSnapshot(raw);
+  } else if (bucket) {
+    snapshot = aggregateSnapshot(bucket);
+  } else {
+    return null;
+  }
+
+  const ageMs = time - new Date(snapshot.fetchedAt).getTime();
+  return { snapshot, ageMs, gapMs: Math.abs(ageMs) };
+}
+
+module.exports = { getCandles, getPriceHistory, getPriceAt, CANDLE_INTERVALS, DEFAULT_RANGE_MS, MAX_CANDLES };
@@ -0,0 +1,234 @@
+// ============= services/priceOracle.js =============
+// Multi-source price oracle.
+//
+// Queries every enabled provider in parallel, then for each value
+// (USD/fiat rates, each token's USD price, each token's fiat prices):
+//   1. takes the median of all samples
+//   2. rejects samples more than PRICE_MAX_DEVIATION_PCT away from that median
+//   3. returns the median of the samples that survived
+// A token needs at least PRICE_MIN_SOURCES (default 2) sources agreeing on
+// both its USD and NGN (settlement) price or the whole fetch fails — the
+// caller then falls back to stale cache / emergency rates. Other currencies
+// are best-effort.
+//
+// When only one source quoted a token at all (the others failed, none
+// disagreed), its price is still used unless PRICE_ALLOW_SINGLE_SOURCE=false,
+// but it is flagged `singleSource` and market status reports "degraded"
+// (SINGLE_SOURCE) for as long as it lasts.
+
+const { getEnabledProviders } = require("./priceProviders");
+const { ENABLED_FIATS, DEFAULT_FIAT, fiatSymbol } = require("../config/currencies");
+const { listTokens } = require("../config/tokens");
+const { oracle: log } = require("../config/consoleLogger");
+
+// ── Config ───────────────────────────────────────────────────────────
+const MAX_DEVIATION_PCT = parseFloat(process.env.PRICE_MAX_DEVIATION_PCT || "5");
+const MIN_SOURCES       = parseInt(process.env.PRICE_MIN_SOURCES        || "2", 10);
+const ALLOW_SINGLE_SOURCE = process.env.PRICE_ALLOW_SINGLE_SOURCE !== "false";
+const BASE_BACKOFF_MS   = parseInt(process.env.PRICE_BASE_BACKOFF_MS    || "2000", 10);
+
+// Per-provider 429 backoff so one rate-limited source doesn't stall the rest,
+// plus the outcome of each provider's most recent attempt for diagnostics
+const providerState = {};
+
+function stateFor(name) {
+  if (!providerState[name]) providerState[name] = { backoffUntil: 0, consecutiveFailures: 0, lastAttempt: null };
+  return providerState[name];
+}
+
+/** Backoff and last-attempt state of every enabled provider. */
+function getProviderStates() {
+  const now = Date.now();
+  return getEnabledProviders().map(({ name }) => {
+    const state = stateFor(name);
+    return {
+      source:              name,
+      inBackoff:           now < state.backoffUntil,
+      backoffUntil:        state.backoffUntil ? new Date(state.backoffUntil) : null,
+      consecutiveFailures: state.consecutiveFailures,
+      lastAttempt:         state.lastAttempt,
+    };
+  });
+}
+
+// ── Aggregation helpers ──────────────────────────────────────────────
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid    = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * samples: [{ source, value }]
+ * Returns { value, accepted: [source], rejected: [source] } — value is null
+ * when no sample survives.
+ */
+function aggregate(samples, maxDeviationPct = MAX_DEVIATION_PCT) {
+  if (samples.length === 0) return { value: null, accepted: [], rejected: [] };
+
+  const mid      = median(samples.map((s) => s.value));
+  const accepted = [];
+  const rejected = [];
+
+  for (const s of samples) {
+    const deviationPct = Math.abs(s.value - mid) / mid * 100;
+    (deviationPct <= maxDeviationPct ? accepted : rejected).push(s);
+  }
+
+  return {
+    value:    accepted.length ? median(accepted.map((s) => s.value)) : null,
+    accepted: accepted.map((s) => s.source),
+    rejected: rejected.map((s) => s.source),
+  };
+}
+
+// ── Provider fan-out ─────────────────────────────────────────────────
+
+// attempts: one { source, outcome: ok|error|backoff, httpStatus, latencyMs, error, at }
+// per provider, in the order they finished
+async function collectQuotes() {
+  const now       = Date.now();
+  const providers = getEnabledProviders();
+  const quotes    = [];
+  const failures  = [];
+  const attempts  = [];
+
+  const record = (state, attempt) => {
+    state.lastAttempt = { ...attempt, at: new Date() };
+    attempts.push(state.lastAttempt);
+  };
+
+  await Promise.all(providers.map(async (provider) => {
+    const state = stateFor(provider.name);
+    if (now < state.backoffUntil) {
+      failures.push({ source: provider.name, status: 429, message: "in backoff" });
+      attempts.push({ source: provider.name, outcome: "backoff", httpStatus: null, latencyMs: 0, error: "in backoff", at: new Date() });
+      return;
+    }
+
+    const started = Date.now();
+    try {
+      const quote = await provider.fetchQuotes();
+      state.consecutiveFailures = 0;
+      state.backoffUntil        = 0;
+      quotes.push({ source: provider.name, ...quote });
+      record(state, { source: provider.name, outcome: "ok", httpStatus: 200, latencyMs: Date.now() - started, error: null });
+    } catch (err) {
+      state.consecutiveFailures++;
+      const status = err.response?.status;
+      if (status === 429) {
+        const delay = Math.min(BASE_BACKOFF_MS * Math.pow(2, state.consecutiveFailures - 1), 300_000);
+        state.backoffUntil = Date.now() + delay;
+        log.warn(`${provider.name}: 429 — backing off ${delay / 1000}s`);
+      } else {
+        log.warn(`${provider.name}: fetch failed — ${err.message}`);
+      }
+      failures.push({ source: provider.name, status, message: err.message });
+      record(state, { source: provider.name, outcome: "error", httpStatus: status || null, latencyMs: Date.now() - started, error: err.message });
+    }
+  }));
+
+  return { quotes, failures, attempts };
+}
+
+// ── fetchOraclePrices ────────────────────────────────────────────────
+// Resolves to the same per-token shape priceService caches, plus the
+// sources that contributed. Throws when no usable price can be built.
+//
+// fallbackFxRates: { NGN: 1620, ... } — used per currency when no source
+// quotes that USD→fiat rate.
+// onAttempts(attempts) — called with the per-provider outcomes before
+// aggregation, so callers can record them even when the fetch throws.
+
+async function fetchOraclePrices({ fallbackFxRates = {}, onAttempts } = {}) {
+  const { quotes, failures, attempts } = await collectQuotes();
+  if (onAttempts) onAttempts(attempts);
+
+  if (quotes.length === 0) {
+    const err = new Error(`All price sources failed: ${failures.map((f) => `${f.source} (${f.message})`).join(", ")}`);
+    // Surface 429 to the caller only when every source was rate limited
+    if (failures.length && failures.every((f) => f.status === 429)) err.status = 429;
+    throw err;
+  }
+
+  // USD→fiat across every source that quotes it
+  const fxRates   = {};
+  const fxSources = {};
+  for (const code of ENABLED_FIATS) {
+    const fx = aggregate(
+      quotes.filter((q) => q.fx?.[code]).map((q) => ({ source: q.source, value: q.fx[code] }))
+    );
+    fxRates[code]   = fx.value;
+    fxSources[code] = fx.accepted;
+    if (!fxRates[code]) {
+      fxRates[code] = fallbackFxRates[code];
+      log.warn(`USD/${code} unavailable from all sources — using fallback ${fiatSymbol(code)}${fxRates[code]}`);
+    }
+    if (fx.rejected.length) log.warn(`USD/${code} outliers rejected: ${fx.rejected.join(", ")}`);
+  }
+
+  const now     = new Date();
+  const results = {};
+
+  for (const symbol of listTokens()) {
+    const withToken = quotes.filter((q) => q.tokens?.[symbol]?.priceUSD);
+
+    const usd = aggregate(withToken.map((q) => ({ source: q.source, value: q.tokens[symbol].priceUSD })));
+
+    // Prefer a source's own fiat price; derive from the aggregated FX rate otherwise
+    const fiat = {};
+    for (const code of ENABLED_FIATS) {
+      if (!fxRates[code]) continue;
+      fiat[code] = aggregate(withToken.map((q) => ({
+        source: q.source,
+        value:  q.tokens[symbol].fiat?.[code] || q.tokens[symbol].priceUSD * fxRates[code],
+      })));
+    }
+    const ngn = fiat[DEFAULT_FIAT] || { value: null, accepted: [], rejected: [] };
+
+    const accepted = usd.accepted.filter((s) => ngn.accepted.includes(s));
+    const rejected = [...new Set([...usd.rejected, ...ngn.rejected])];
+
+    if (rejected.length) log.warn(`${symbol} outliers rejected: ${rejected.join(", ")}`);
+
+    // One source and nothing to disagree with — not a consensus, only a fallback
+    const singleSource = ALLOW_SINGLE_SOURCE && accepted.length === 1 && accepted.length < MIN_SOURCES && !rejected.length;
+
+    if (!usd.value || !ngn.value || (accepted.length < MIN_SOURCES && !singleSource)) {
+      throw new Error(
+        `Not enough agreeing sources for ${symbol} — ` +
+        `${accepted.length} accepted (min ${MIN_SOURCES}), rejected: [${rejected.join(", ")}]`
+      );
+    }
+    if (singleSource) log.warn(`${symbol} priced from ${accepted[0]} alone (min ${MIN_SOURCES}) — single-source fallback`);
+
+    const changes = withToken
+      .filter((q) => accepted.includes(q.source) && q.tokens[symbol].change24h !== null && q.tokens[symbol].change24h !== undefined)
+      .map((q) => q.tokens[symbol].change24h);
+
+    const prices = {};
+    for (const [code, agg] of Object.entries(fiat)) {
+      if (agg.value) prices[code] = agg.value;
+    }
+
+    results[symbol] = {
+      priceUSD:        usd.value,
+      // NGN kept at the top level — every pre-multi-currency caller reads these
+      priceNGN:        ngn.value,
+      usdToNgn:        fxRates[DEFAULT_FIAT],
+      prices,
+      fxRates,
+      change24h:       changes.length ? median(changes) : 0,
+      fetchedAt:       now,
+      sources:         accepted,
+      rejectedSources: rejected,
+      singleSource,
+      fxSources:       fxSources[DEFAULT_FIAT],
+    };
+  }
+
+  return results;
+}
+
+module.exports = { fetchOraclePrices, getProviderStates, aggregate, median };
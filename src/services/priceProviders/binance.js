@@ -0,0 +1,42 @@
+// ============= services/priceProviders/binance.js =============
+// Binance spot ticker adapter. Quotes are against USDT, which we treat as USD.
+// Binance has no African fiat markets, so this source only contributes USD prices.
+
+const axios = require("axios");
+
+const { TOKENS, listTokens } = require("../../config/tokens");
+
+const BINANCE_API_URL = process.env.BINANCE_API_URL || "https://api.binance.com";
+
+async function fetchQuotes() {
+  // { STX: "STXUSDT", ... } for every enabled token Binance lists
+  const BINANCE_SYMBOLS = Object.fromEntries(
+    listTokens()
+      .filter((symbol) => TOKENS[symbol].priceIds.binance)
+      .map((symbol) => [symbol, TOKENS[symbol].priceIds.binance])
+  );
+  const symbols = JSON.stringify(Object.values(BINANCE_SYMBOLS));
+
+  const res = await axios.get(`${BINANCE_API_URL}/api/v3/ticker/24hr`, {
+    params:  { symbols },
+    timeout: 10000,
+  });
+
+  const bySymbol = Object.fromEntries((res.data || []).map((t) => [t.symbol, t]));
+
+  const tokens = {};
+  for (const [symbol, pair] of Object.entries(BINANCE_SYMBOLS)) {
+    const priceUSD = parseFloat(bySymbol[pair]?.lastPrice);
+    if (!priceUSD) continue;
+    const change = parseFloat(bySymbol[pair]?.priceChangePercent);
+    tokens[symbol] = {
+      priceUSD,
+      fiat:      {},
+      change24h: isNaN(change) ? null : change,
+    };
+  }
+
+  return { fx: {}, tokens };
+}
+
+module.exports = { name: "binance", fetchQuotes };
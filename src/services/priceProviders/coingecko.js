@@ -0,0 +1,63 @@
+// ============= services/priceProviders/coingecko.js =============
+// CoinGecko adapter — the original price source.
+// One /simple/price call returns USD + fiat prices for every token plus
+// tether as the USD/fiat proxy.
+
+const axios = require("axios");
+const { FIAT_CURRENCIES, ENABLED_FIATS } = require("../../config/currencies");
+const { TOKENS, listTokens } = require("../../config/tokens");
+
+// { STX: "blockstack", ... } for every enabled token CoinGecko lists
+function coingeckoIds() {
+  return Object.fromEntries(
+    listTokens()
+      .filter((symbol) => TOKENS[symbol].priceIds.coingecko)
+      .map((symbol) => [symbol, TOKENS[symbol].priceIds.coingecko])
+  );
+}
+
+async function fetchQuotes() {
+  const COINGECKO_IDS = coingeckoIds();
+  // Include "tether" (and "usd-coin" as its fallback) as USD/fiat proxy in the same request
+  const ids = [...new Set([...Object.values(COINGECKO_IDS), "tether", "usd-coin"])].join(",");
+  const vs  = ENABLED_FIATS.map((code) => FIAT_CURRENCIES[code].coingecko);
+
+  const res = await axios.get(`${process.env.COINGECKO_API_URL || "https://api.coingecko.com/api/v3"}/simple/price`, {
+    params: {
+      ids,
+      vs_currencies:       ["usd", ...vs].join(","),
+      include_24hr_change: true,
+    },
+    timeout: 10000,
+  });
+
+  const raw = res.data;
+
+  // USD→fiat: prefer USDT proxy, fall back to the USDC price
+  const fx = {};
+  for (const code of ENABLED_FIATS) {
+    const key  = FIAT_CURRENCIES[code].coingecko;
+    const rate = raw.tether?.[key] || raw["usd-coin"]?.[key];
+    if (rate) fx[code] = rate;
+  }
+
+  const tokens = {};
+  for (const [symbol, geckoId] of Object.entries(COINGECKO_IDS)) {
+    const priceUSD = raw[geckoId]?.usd;
+    if (!priceUSD) continue;
+    const fiat = {};
+    for (const code of ENABLED_FIATS) {
+      const price = raw[geckoId]?.[FIAT_CURRENCIES[code].coingecko];
+      if (price) fiat[code] = price;
+    }
+    tokens[symbol] = {
+      priceUSD,
+      fiat,
+      change24h: raw[geckoId]?.usd_24h_change ?? null,
+    };
+  }
+
+  return { fx, tokens };
+}
+
+module.exports = { name: "coingecko", fetchQuotes };
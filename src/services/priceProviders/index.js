@@ -0,0 +1,42 @@
+// ============= services/priceProviders/index.js =============
+// Price provider registry.
+//
+// Every provider exports { name, fetchQuotes } where fetchQuotes() resolves to:
+//   {
+//     fx: { NGN: 1620, GHS: 15.4, ... },       // USD→fiat rates the source has
+//     tokens: {
+//       STX: { priceUSD, fiat: { NGN: 1847, ... }, change24h | null },
+//       ...
+//     },
+//   }
+// Currency codes are those in config/currencies.js. A provider may omit
+// tokens or currencies it doesn't list. Throwing marks the source as
+// failed for that refresh; the oracle carries on with the others.
+//
+// Enable sources with PRICE_PROVIDERS=coingecko,binance,p2pdesk (order doesn't matter).
+
+const coingecko = require("./coingecko");
+const binance   = require("./binance");
+const p2pDesk   = require("./p2pDesk");
+
+const PROVIDERS = {
+  [coingecko.name]: coingecko,
+  [binance.name]:   binance,
+  [p2pDesk.name]:   p2pDesk,
+};
+
+const DEFAULT_PROVIDERS = ["coingecko", "binance", ...(process.env.P2P_DESK_FEED_URL ? ["p2pdesk"] : [])];
+
+function getEnabledProviders() {
+  const names = process.env.PRICE_PROVIDERS
+    ? process.env.PRICE_PROVIDERS.split(",").map((n) => n.trim().toLowerCase()).filter(Boolean)
+    : DEFAULT_PROVIDERS;
+
+  return names.map((name) => {
+    const provider = PROVIDERS[name];
+    if (!provider) throw new Error(`Unknown price provider "${name}" in PRICE_PROVIDERS`);
+    return provider;
+  });
+}
+
+module.exports = { PROVIDERS, getEnabledProviders };
@@ -0,0 +1,33 @@
+// ============= services/priceProviders/p2pDesk.js =============
+// Local NGN P2P desk feed — the street USDT/NGN rate our OTC desk quotes.
+// Only contributes the USD/NGN rate; token prices and other currencies come
+// from the other sources.
+//
+// Expected response from P2P_DESK_FEED_URL:
+//   { "pair": "USDT/NGN", "buy": 1615.00, "sell": 1625.00 }
+// The mid of buy/sell is used. A plain { "rate": 1620 } is also accepted.
+
+const axios = require("axios");
+
+const P2P_DESK_FEED_URL = process.env.P2P_DESK_FEED_URL || "";
+const P2P_DESK_API_KEY  = process.env.P2P_DESK_API_KEY  || "";
+
+async function fetchQuotes() {
+  if (!P2P_DESK_FEED_URL) throw new Error("P2P_DESK_FEED_URL not configured");
+
+  const res = await axios.get(P2P_DESK_FEED_URL, {
+    headers: P2P_DESK_API_KEY ? { Authorization: `Bearer ${P2P_DESK_API_KEY}` } : {},
+    timeout: 10000,
+  });
+
+  const { buy, sell, rate } = res.data || {};
+  const usdToNgn = buy && sell
+    ? (parseFloat(buy) + parseFloat(sell)) / 2
+    : parseFloat(rate);
+
+  if (!usdToNgn || isNaN(usdToNgn)) throw new Error("P2P desk feed returned no usable USDT/NGN rate");
+
+  return { fx: { NGN: usdToNgn }, tokens: {} };
+}
+
+module.exports = { name: "p2pdesk", fetchQuotes };
@@ -0,0 +1,147 @@
+// ============= services/priceRetentionService.js =============
+// Price snapshot retention + downsampling.
+//
+// Tiers:
+//   raw    — every refreshPrices snapshot, kept PRICE_RAW_RETENTION_HOURS (default 48h)
+//   hourly — OHLC per UTC hour, kept PRICE_HOURLY_RETENTION_DAYS (default 90d)
+//   daily  — OHLC per UTC day, kept forever
+//
+// Each run rolls only whole buckets that have fully left the window, writes
+// them with $merge (idempotent — a crashed run simply recomputes the same
+// buckets) and only then deletes the rows it rolled up.
+
+const Price = require("../models/Price");
+const PriceAggregate = require("../models/PriceAggregate");
+const logger = require("../config/logger");
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS  = 24 * HOUR_MS;
+
+const RAW_RETENTION_HOURS    = parseInt(process.env.PRICE_RAW_RETENTION_HOURS   || "48", 10);
+const HOURLY_RETENTION_DAYS  = parseInt(process.env.PRICE_HOURLY_RETENTION_DAYS || "90", 10);
+
+function floorTo(date, bucketMs) {
+  return new Date(Math.floor(date.getTime() / bucketMs) * bucketMs);
+}
+
+// Oldest raw snapshot still kept — everything before this lives in aggregates
+function rawCutoff(now = new Date()) {
+  return floorTo(new Date(now.getTime() - RAW_RETENTION_HOURS * HOUR_MS), HOUR_MS);
+}
+
+// Oldest hourly bucket still kept — everything before this lives in daily buckets
+function hourlyCutoff(now = new Date()) {
+  return floorTo(new Date(now.getTime() - HOURLY_RETENTION_DAYS * DAY_MS), DAY_MS);
+}
+
+function bucketExpr(field, bucketMs) {
+  return {
+    $toDate: {
+      $subtract: [{ $toLong: field }, { $mod: [{ $toLong: field }, bucketMs] }],
+    },
+  };
+}
+
+const MERGE_STAGE = {
+  $merge: {
+    into: PriceAggregate.collection.name,
+    on: ["token", "resolution", "bucketStart"],
+    whenMatched: "replace",
+    whenNotMatched: "insert",
+  },
+};
+
+// raw Price rows → hourly buckets
+async function rollRawToHourly(cutoff) {
+  await Price.aggregate([
+    { $match: { fetchedAt: { $lt: cutoff } } },
+    { $sort: { fetchedAt: 1 } },
+    {
+      $group: {
+        _id: { token: "$token", bucketStart: bucketExpr("$fetchedAt", HOUR_MS) },
+        openNGN:  { $first: "$priceNGN" },
+        highNGN:  { $max: "$priceNGN" },
+        lowNGN:   { $min: "$priceNGN" },
+        closeNGN: { $last: "$priceNGN" },
+        openUSD:  { $first: "$priceUSD" },
+        highUSD:  { $max: "$priceUSD" },
+        lowUSD:   { $min: "$priceUSD" },
+        closeUSD: { $last: "$priceUSD" },
+        samples:  { $sum: 1 },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        token: "$_id.token",
+        resolution: { $literal: "1h" },
+        bucketStart: "$_id.bucketStart",
+        openNGN: 1, highNGN: 1, lowNGN: 1, closeNGN: 1,
+        openUSD: 1, highUSD: 1, lowUSD: 1, closeUSD: 1,
+        samples: 1,
+        createdAt: "$$NOW",
+        updatedAt: "$$NOW",
+      },
+    },
+    MERGE_STAGE,
+  ]);
+
+  const { deletedCount } = await Price.deleteMany({ fetchedAt: { $lt: cutoff } });
+  return deletedCount;
+}
+
+// hourly buckets → daily buckets
+async function rollHourlyToDaily(cutoff) {
+  await PriceAggregate.aggregate([
+    { $match: { resolution: "1h", bucketStart: { $lt: cutoff } } },
+    { $sort: { bucketStart: 1 } },
+    {
+      $group: {
+        _id: { token: "$token", bucketStart: bucketExpr("$bucketStart", DAY_MS) },
+        openNGN:  { $first: "$openNGN" },
+        highNGN:  { $max: "$highNGN" },
+        lowNGN:   { $min: "$lowNGN" },
+        closeNGN: { $last: "$closeNGN" },
+        openUSD:  { $first: "$openUSD" },
+        highUSD:  { $max: "$highUSD" },
+        lowUSD:   { $min: "$lowUSD" },
+        closeUSD: { $last: "$closeUSD" },
+        samples:  { $sum: "$samples" },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        token: "$_id.token",
+        resolution: { $literal: "1d" },
+        bucketStart: "$_id.bucketStart",
+        openNGN: 1, highNGN: 1, lowNGN: 1, closeNGN: 1,
+        openUSD: 1, highUSD: 1, lowUSD: 1, closeUSD: 1,
+        samples: 1,
+        createdAt: "$$NOW",
+        updatedAt: "$$NOW",
+      },
+    },
+    MERGE_STAGE,
+  ]);
+
+  const { deletedCount } = await PriceAggregate.deleteMany({ resolution: "1h", bucketStart: { $lt: cutoff } });
+  return deletedCount;
+}
+
+/**
+ * Run one retention pass. Safe to call repeatedly; scheduled hourly from index.js.
+ */
+async function runPriceRetention(now = new Date()) {
+  const started = Date.now();
+  const rawRolled    = await rollRawToHourly(rawCutoff(now));
+  const hourlyRolled = await rollHourlyToDaily(hourlyCutoff(now));
+
+  logger.info(
+    `Price retention: ${rawRolled} raw snapshot(s) → hourly, ` +
+    `${hourlyRolled} hourly bucket(s) → daily (${Date.now() - started}ms)`
+  );
+  return { rawRolled, hourlyRolled };
+}
+
+module.exports = { runPriceRetention, rawCutoff, hourlyCutoff, RAW_RETENTION_HOURS, HOURLY_RETENTION_DAYS };
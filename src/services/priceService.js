@@ -1,6 +1,11 @@
 // ============= services/priceService.js =============
-const axios = require("axios");
+const { EventEmitter } = require("events");
 const Price = require("../models/Price");
+const PriceRefreshLog = require("../models/PriceRefreshLog");
+const { fetchOraclePrices, getProviderStates } = require("./priceOracle");
+const { getPriceHistory } = require("./priceHistoryService");
+const { DEFAULT_FIAT, emergencyFxRates, fiatSymbol } = require("../config/currencies");
+const { TOKENS, listTokens } = require("../config/tokens");
 
 // ── Console logger (replaces logger import) ──────────────────────────
 const useColor = !process.env.NO_COLOR;
@@ -26,32 +31,45 @@ const CACHE_TTL_MS    = parseInt(process.env.PRICE_CACHE_TTL_MS    || "60000",
 const STALE_TTL_MS    = parseInt(process.env.PRICE_STALE_TTL_MS    || "300000", 10); // 5min stale ok
 const BASE_BACKOFF_MS = parseInt(process.env.PRICE_BASE_BACKOFF_MS || "2000",   10); // 2s base
 
-// Emergency fallback if CoinGecko is completely unreachable.
+// Emergency fallback if every price source is unreachable.
 // Update these in .env if the real values drift significantly.
-const EMERGENCY_USD_NGN  = parseFloat(process.env.EMERGENCY_USD_NGN  || "1620");
-const EMERGENCY_STX_USD  = parseFloat(process.env.EMERGENCY_STX_USD  || "1.14");
-const EMERGENCY_USDC_USD = parseFloat(process.env.EMERGENCY_USDC_USD || "1.00");
-
-const COINGECKO_IDS = {
-  STX:  "blockstack",
-  USDC: "usd-coin",
-};
+// Token USD prices (EMERGENCY_STX_USD, ...) live in config/tokens.js,
+// USD→fiat rates (EMERGENCY_USD_NGN, _GHS, _KES) in config/currencies.js.
 
 // ── In-memory cache ──────────────────────────────────────────────────
-// Kept compatible with original shape so callers don't change
+// Kept compatible with original shape so callers don't change:
+// one key per token symbol (STX, USDC, ...) plus the fields below
 let cache = {
-  STX:         null,
-  USDC:        null,
   lastFetched: null,
+  isEmergency: false,
 };
 
+// { STX: cache.STX, USDC: cache.USDC, ... } for every enabled token
+function cachedTokens() {
+  return Object.fromEntries(listTokens().map((symbol) => [symbol, cache[symbol]]));
+}
+
+// Emits "update" ({ STX, USDC, ... }) whenever refreshPrices writes a new cache
+// entry — live or emergency. Subscribers: the SSE stream in priceController.
+const priceEvents = new EventEmitter();
+priceEvents.setMaxListeners(0); // one listener per open stream
+
+function publishUpdate() {
+  priceEvents.emit("update", cachedTokens());
+}
+
 // Backoff state
 let backoffUntil        = 0;
 let consecutiveFailures = 0;
 
-// Prevents concurrent fetches from firing multiple CoinGecko requests.
+// Prevents concurrent fetches from firing multiple oracle fan-outs.
 // All callers share one in-flight promise while a fetch is happening.
-let inFlightFetch = null;
+let inFlightFetch     = null;
+let inFlightStartedAt = null;
+
+// Last refreshPrices() outcome, and the last one that got live prices
+let lastRefresh   = null;
+let lastSuccessAt = null;
 
 // ── Cache helpers ────────────────────────────────────────────────────
 
@@ -61,154 +79,177 @@ function cacheAgeMs() {
     : Infinity;
 }
 
+function hasAllTokens() {
+  return listTokens().every((symbol) => cache[symbol]);
+}
+
 function hasFreshCache() {
-  return !!(cache.STX && cache.USDC && cacheAgeMs() < CACHE_TTL_MS);
+  return hasAllTokens() && cacheAgeMs() < CACHE_TTL_MS;
 }
 
 function hasUsableStaleCache() {
-  return !!(cache.STX && cache.USDC && cacheAgeMs() < STALE_TTL_MS);
+  return hasAllTokens() && cacheAgeMs() < STALE_TTL_MS;
+}
+
+// What kind of data callers are currently being served
+function getPriceFeedState() {
+  return {
+    emergency:   cache.isEmergency,
+    stale:       !cache.isEmergency && !hasFreshCache(),
+    ageMs:       cache.lastFetched ? cacheAgeMs() : null,
+    lastFetched: cache.lastFetched,
+  };
 }
 
 // ── Emergency fallback ───────────────────────────────────────────────
 
+function buildEmergencyToken(priceUSD, fxRates, now) {
+  return {
+    priceUSD,
+    priceNGN:  priceUSD * fxRates[DEFAULT_FIAT],
+    usdToNgn:  fxRates[DEFAULT_FIAT],
+    prices:    Object.fromEntries(Object.entries(fxRates).map(([code, rate]) => [code, priceUSD * rate])),
+    fxRates,
+    change24h: 0,
+    fetchedAt: now,
+    emergency: true,
+  };
+}
+
 function buildEmergencyResults() {
-  const usdToNgn = EMERGENCY_USD_NGN;
+  const fxRates  = emergencyFxRates();
+  const usdToNgn = fxRates[DEFAULT_FIAT];
   const now      = new Date();
-  const results  = {
-    STX: {
-      priceUSD:  EMERGENCY_STX_USD,
-      priceNGN:  EMERGENCY_STX_USD  * usdToNgn,
-      usdToNgn,
-      change24h: 0,
-      fetchedAt: now,
-    },
-    USDC: {
-      priceUSD:  EMERGENCY_USDC_USD,
-      priceNGN:  EMERGENCY_USDC_USD * usdToNgn,
-      usdToNgn,
-      change24h: 0,
-      fetchedAt: now,
-    },
-  };
+  const results  = Object.fromEntries(
+    listTokens().map((symbol) => [symbol, buildEmergencyToken(TOKENS[symbol].emergencyUsd, fxRates, now)])
+  );
   log.warn(
     `⚠️  EMERGENCY FALLBACK RATES ACTIVE\n` +
-    `   STX  $${EMERGENCY_STX_USD}  → ₦${results.STX.priceNGN.toFixed(2)}\n` +
-    `   USDC $${EMERGENCY_USDC_USD} → ₦${results.USDC.priceNGN.toFixed(2)}\n` +
-    `   USD/NGN ₦${usdToNgn}  (override with EMERGENCY_USD_NGN in .env)`
+    Object.entries(results)
+      .map(([symbol, data]) => `   ${symbol.padEnd(4)} $${data.priceUSD} → ₦${data.priceNGN.toFixed(2)}\n`)
+      .join("") +
+    `   USD/NGN ₦${usdToNgn}  (override with EMERGENCY_USD_NGN in .env)` +
+    Object.entries(fxRates)
+      .filter(([code]) => code !== DEFAULT_FIAT)
+      .map(([code, rate]) => `\n   USD/${code} ${fiatSymbol(code)}${rate}`)
+      .join("")
   );
   return results;
 }
 
-// ── CoinGecko fetch ──────────────────────────────────────────────────
-// Original code fired TWO requests (fetchUsdToNgn + fetchTokenPricesUSD).
-// This combines them into ONE call, halving API usage.
-
-async function fetchFromCoinGecko() {
-  // Include "tether" as USD/NGN proxy in the same request
-  const ids = [...Object.values(COINGECKO_IDS), "tether"].join(",");
-
-  log.info(`→ CoinGecko: ids=[${ids}] vs=[usd,ngn]`);
-
-  const res = await axios.get(`${process.env.COINGECKO_API_URL}/simple/price`, {
-    params: {
-      ids,
-      vs_currencies:       "usd,ngn",
-      include_24hr_change: true,
-    },
-    timeout: 10000,
-  });
-
-  const raw = res.data;
-
-  // USD→NGN: prefer USDT proxy, fall back to USDC NGN price, then emergency const
-  const usdToNgn =
-    raw.tether?.ngn        ||
-    raw["usd-coin"]?.ngn   ||
-    EMERGENCY_USD_NGN;
-
-  if (!raw.tether?.ngn && !raw["usd-coin"]?.ngn) {
-    log.warn(`USD/NGN missing from CoinGecko response — using fallback ₦${usdToNgn}`);
-  }
-
-  const now     = new Date();
-  const results = {};
-
-  for (const [symbol, geckoId] of Object.entries(COINGECKO_IDS)) {
-    const priceUSD = raw[geckoId]?.usd;
-    if (!priceUSD) {
-      log.warn(`No price data for ${symbol} (${geckoId}) in CoinGecko response`);
-      continue;
-    }
-
-    // Prefer the NGN price from CoinGecko directly; compute from rate as fallback
-    const priceNGN = raw[geckoId]?.ngn || priceUSD * usdToNgn;
-
-    // DB snapshot — best-effort, don't let a DB error block the response
-    Price.create({ token: symbol, priceUSD, priceNGN, usdToNgn, fetchedAt: now }).catch((dbErr) => {
+// ── Snapshot persistence ─────────────────────────────────────────────
+// DB snapshot — best-effort, don't let a DB error block the response
+
+function saveSnapshots(results) {
+  for (const [symbol, data] of Object.entries(results)) {
+    Price.create({
+      token:           symbol,
+      priceUSD:        data.priceUSD,
+      priceNGN:        data.priceNGN,
+      usdToNgn:        data.usdToNgn,
+      source:          data.sources.length === 1 ? data.sources[0] : "median",
+      sources:         data.sources,
+      rejectedSources: data.rejectedSources,
+      fxSources:       data.fxSources,
+      prices:          data.prices,
+      fxRates:         data.fxRates,
+      fetchedAt:       data.fetchedAt,
+    }).catch((dbErr) => {
       log.warn(`DB snapshot failed for ${symbol}: ${dbErr.message}`);
     });
-
-    results[symbol] = {
-      priceUSD,
-      priceNGN,
-      usdToNgn,
-      change24h: raw[geckoId]?.usd_24h_change ?? 0,
-      fetchedAt: now,
-    };
   }
+}
 
-  if (!results.STX || !results.USDC) {
-    throw new Error("CoinGecko response missing STX or USDC — cannot build quote");
-  }
+// ── Refresh log ──────────────────────────────────────────────────────
+// Every refreshPrices() call is recorded in memory (lastRefresh) and, best
+// effort, as a PriceRefreshLog row for GET /api/prices/status.
+
+function recordRefresh(startedAt, entry) {
+  lastRefresh = {
+    ...entry,
+    startedAt,
+    durationMs:          Date.now() - startedAt.getTime(),
+    consecutiveFailures,
+    backoffUntil:        backoffUntil ? new Date(backoffUntil) : null,
+    cacheAgeMs:          cache.lastFetched ? cacheAgeMs() : null,
+  };
+  if (entry.outcome === "live") lastSuccessAt = new Date();
 
-  return results;
+  PriceRefreshLog.create(lastRefresh).catch((dbErr) => {
+    log.warn(`Refresh log write failed: ${dbErr.message}`);
+  });
 }
 
 // ── refreshPrices (replaces original — now never throws) ────────────
 
 async function refreshPrices() {
-  const now = Date.now();
+  const startedAt = new Date();
+  const now       = startedAt.getTime();
+  let providers   = [];
 
-  // Still inside backoff window — don't attempt CoinGecko
+  // Still inside backoff window — don't attempt the price sources
   if (now < backoffUntil) {
     const waitSec = Math.ceil((backoffUntil - now) / 1000);
-    log.warn(`Backoff active — ${waitSec}s left before next CoinGecko attempt`);
+    log.warn(`Backoff active — ${waitSec}s left before next oracle attempt`);
 
     if (hasUsableStaleCache()) {
       log.warn(`Serving stale cache (age: ${Math.floor(cacheAgeMs() / 1000)}s)`);
-      return { STX: cache.STX, USDC: cache.USDC };
+      recordRefresh(startedAt, { outcome: "stale_cache", skippedForBackoff: true, providers });
+      return cachedTokens();
     }
+    recordRefresh(startedAt, { outcome: "emergency", skippedForBackoff: true, providers });
     return buildEmergencyResults();
   }
 
   try {
-    const results = await fetchFromCoinGecko();
+    const results = await fetchOraclePrices({
+      fallbackFxRates: emergencyFxRates(),
+      onAttempts:      (attempts) => { providers = attempts; },
+    });
+    saveSnapshots(results);
 
     // Success — reset backoff and update cache
     consecutiveFailures = 0;
     backoffUntil        = 0;
-    cache               = { ...results, lastFetched: new Date() };
+    cache               = { ...results, lastFetched: new Date(), isEmergency: false };
+    recordRefresh(startedAt, {
+      outcome: "live",
+      providers,
+      tokens:  Object.fromEntries(Object.entries(results).map(([symbol, data]) => [
+        symbol,
+        { sources: data.sources, rejectedSources: data.rejectedSources },
+      ])),
+    });
+    publishUpdate();
 
+    const any = Object.values(results)[0];
     log.ok(
       `Prices refreshed ✓\n` +
-      `   STX  ${c.bold}$${results.STX.priceUSD.toFixed(4)}${c.reset}  ₦${results.STX.priceNGN.toFixed(2)}  ` +
-      `(${results.STX.change24h >= 0 ? "+" : ""}${results.STX.change24h.toFixed(2)}%)\n` +
-      `   USDC ${c.bold}$${results.USDC.priceUSD.toFixed(4)}${c.reset}  ₦${results.USDC.priceNGN.toFixed(2)}\n` +
-      `   USD/NGN ₦${results.STX.usdToNgn.toFixed(2)}`
+      Object.entries(results)
+        .map(([symbol, data]) =>
+          `   ${symbol.padEnd(4)} ${c.bold}$${data.priceUSD.toFixed(4)}${c.reset}  ₦${data.priceNGN.toFixed(2)}  ` +
+          `(${data.change24h >= 0 ? "+" : ""}${data.change24h.toFixed(2)}%)\n`)
+        .join("") +
+      `   USD/NGN ₦${any.usdToNgn.toFixed(2)}\n` +
+      Object.entries(any.fxRates)
+        .filter(([code]) => code !== DEFAULT_FIAT)
+        .map(([code, rate]) => `   USD/${code} ${fiatSymbol(code)}${rate.toFixed(2)}\n`)
+        .join("") +
+      `   Sources: ${any.sources.join(", ")}`
     );
 
     return results;
 
   } catch (err) {
     consecutiveFailures++;
-    const status = err.response?.status;
+    const status = err.status || err.response?.status;
 
     if (status === 429) {
       // Exponential backoff capped at 5 minutes
       const delay = Math.min(BASE_BACKOFF_MS * Math.pow(2, consecutiveFailures - 1), 300_000);
       backoffUntil = Date.now() + delay;
       log.warn(
-        `429 from CoinGecko (failure #${consecutiveFailures})\n` +
+        `429 from every price source (failure #${consecutiveFailures})\n` +
         `   Backing off ${delay / 1000}s → next attempt after ${new Date(backoffUntil).toLocaleTimeString()}\n` +
         `   Tip: raise PRICE_CACHE_TTL_MS in .env to reduce request frequency`
       );
@@ -219,13 +260,16 @@ async function refreshPrices() {
     // Prefer stale cache over emergency rates
     if (hasUsableStaleCache()) {
       log.warn(`Serving stale cache (age: ${Math.floor(cacheAgeMs() / 1000)}s) after fetch failure`);
-      return { STX: cache.STX, USDC: cache.USDC };
+      recordRefresh(startedAt, { outcome: "stale_cache", error: err.message, providers });
+      return cachedTokens();
     }
 
     // Nothing usable in cache — return emergency rates so the caller gets 200 not 500
     const emergency = buildEmergencyResults();
-    // Cache briefly so we don't hammer CoinGecko on every request during an outage
-    cache = { ...emergency, lastFetched: new Date(Date.now() - CACHE_TTL_MS + 30_000) };
+    // Cache briefly so we don't hammer the sources on every request during an outage
+    cache = { ...emergency, lastFetched: new Date(Date.now() - CACHE_TTL_MS + 30_000), isEmergency: true };
+    recordRefresh(startedAt, { outcome: "emergency", error: err.message, providers });
+    publishUpdate();
     return emergency;
   }
 }
@@ -237,9 +281,9 @@ async function getCurrentPrices() {
   if (hasFreshCache()) {
     log.info(
       `Cache hit (age: ${Math.floor(cacheAgeMs() / 1000)}s / TTL: ${CACHE_TTL_MS / 1000}s) ` +
-      `STX ₦${cache.STX.priceNGN.toFixed(2)} | USDC ₦${cache.USDC.priceNGN.toFixed(2)}`
+      listTokens().map((symbol) => `${symbol} ₦${cache[symbol].priceNGN.toFixed(2)}`).join(" | ")
     );
-    return { STX: cache.STX, USDC: cache.USDC, fromCache: true };
+    return { ...cachedTokens(), fromCache: true };
   }
 
   // Deduplicate concurrent callers — share one in-flight fetch
@@ -255,25 +299,92 @@ async function getCurrentPrices() {
       : "First fetch — no cache yet..."
   );
 
-  inFlightFetch = refreshPrices().finally(() => { inFlightFetch = null; });
+  inFlightStartedAt = new Date();
+  inFlightFetch     = refreshPrices().finally(() => { inFlightFetch = null; inFlightStartedAt = null; });
 
   const result = await inFlightFetch;
   return { ...result, fromCache: false };
 }
 
-// ── getPriceHistory (unchanged) ──────────────────────────────────────
+// ── getPriceServiceStatus ────────────────────────────────────────────
 
-async function getPriceHistory(token, hours = 24) {
-  const since = new Date(Date.now() - hours * 60 * 60 * 1000);
-  return Price.find({ token, fetchedAt: { $gte: since } })
-    .sort({ fetchedAt: 1 })
-    .select("priceNGN priceUSD fetchedAt -_id")
-    .lean();
+/**
+ * Everything that decides what callers are being served right now —
+ * cache, backoff, in-flight fetch, last refresh and per-provider state.
+ * Read-only: never triggers a fetch.
+ */
+function getPriceServiceStatus() {
+  const now = Date.now();
+  return {
+    feed: getPriceFeedState(),
+    cache: {
+      lastFetched: cache.lastFetched,
+      ageMs:       cache.lastFetched ? cacheAgeMs() : null,
+      fresh:       hasFreshCache(),
+      usable:      hasUsableStaleCache(),
+      emergency:   cache.isEmergency,
+      ttlMs:       CACHE_TTL_MS,
+      staleTtlMs:  STALE_TTL_MS,
+      tokens: Object.fromEntries(listTokens().filter((symbol) => cache[symbol]).map((symbol) => [symbol, {
+        priceNGN:        cache[symbol].priceNGN,
+        priceUSD:        cache[symbol].priceUSD,
+        fetchedAt:       cache[symbol].fetchedAt,
+        sources:         cache[symbol].sources || [],
+        rejectedSources: cache[symbol].rejectedSources || [],
+        singleSource:    !!cache[symbol].singleSource,
+        emergency:       !!cache[symbol].emergency,
+      }])),
+    },
+    backoff: {
+      active:              now < backoffUntil,
+      until:               backoffUntil ? new Date(backoffUntil) : null,
+      remainingMs:         Math.max(0, backoffUntil - now),
+      consecutiveFailures,
+    },
+    inFlight: {
+      active:    !!inFlightFetch,
+      startedAt: inFlightStartedAt,
+      elapsedMs: inFlightStartedAt ? now - inFlightStartedAt.getTime() : null,
+    },
+    backgroundRefresh: !!_refreshInterval,
+    lastRefresh,
+    lastSuccessAt,
+    providers: getProviderStates(),
+  };
 }
 
+/**
+ * Most recent refresh attempts, newest first, optionally one outcome only.
+ */
+async function getRefreshLogs({ limit = 20, outcome } = {}) {
+  const query = outcome ? { outcome } : {};
+  return PriceRefreshLog.find(query).sort({ createdAt: -1 }).limit(limit).select("-__v").lean();
+}
+
+// ── getFiatPrice ─────────────────────────────────────────────────────
+
+/**
+ * A token's mid price and USD→fiat rate in any enabled currency.
+ * Throws 503 FIAT_PRICE_UNAVAILABLE when no source priced that currency.
+ */
+function getFiatPrice(tokenData, currency = DEFAULT_FIAT) {
+  const price   = tokenData.prices?.[currency];
+  const usdRate = tokenData.fxRates?.[currency];
+  if (!price || !usdRate) {
+    const err = new Error(`No ${currency} price available right now`);
+    err.statusCode = 503;
+    err.code       = "FIAT_PRICE_UNAVAILABLE";
+    throw err;
+  }
+  return { price, usdRate };
+}
+
+// getPriceHistory lives in priceHistoryService — it reads raw snapshots and
+// the hourly/daily aggregates written by priceRetentionService transparently.
+
 // ── Background refresh ───────────────────────────────────────────────
 // Call startPriceRefresh() in server.js so the cache is always warm
-// and requests never stall waiting for a CoinGecko round-trip.
+// and requests never stall waiting for a price-source round-trip.
 
 let _refreshInterval = null;
 
@@ -312,6 +423,11 @@ module.exports = {
   getCurrentPrices,
   refreshPrices,
   getPriceHistory,
+  getPriceFeedState,
+  getPriceServiceStatus,
+  getRefreshLogs,
+  getFiatPrice,
+  priceEvents,
   startPriceRefresh,
   stopPriceRefresh,
 };
\ No newline at end of file
@@ -0,0 +1,335 @@
+// ============= services/quoteService.js =============
+// Quote engine + locked, expiring quotes.
+//
+// calculateOnrampQuote / calculateOfframpQuote price an order off the live
+// oracle rate with spread and flat fee applied, in any enabled fiat currency.
+// createQuote persists the result with a TTL so /initialize can honor exactly
+// what the user was shown.
+//
+// Calculator output always carries the currency-neutral fields (fiatCurrency,
+// midRate, rate, flatFee, fiatAmount, ...). NGN quotes additionally carry the
+// original *NGN fields so existing clients keep working unchanged.
+
+const mongoose = require("mongoose");
+const Quote = require("../models/Quote");
+const { getCurrentPrices, getFiatPrice } = require("./priceService");
+const { applySpread } = require("./spreadService");
+const { DEFAULT_FIAT, fiatSymbol } = require("../config/currencies");
+const { getToken: getRegistryToken } = require("../config/tokens");
+const { offramp: log, c, box } = require("../config/consoleLogger");
+
+// ── Config ───────────────────────────────────────────────────────────
+const QUOTE_TTL_SECONDS = parseInt(process.env.QUOTE_TTL_SECONDS || "120", 10);
+
+// Flat ₦100 added on top of the user's requested amount. Other currencies
+// pay the same fee converted at the live FX rate.
+const ONRAMP_FLAT_FEE_NGN  = parseFloat(process.env.ONRAMP_FLAT_FEE_NGN  || "100");
+const OFFRAMP_FLAT_FEE_NGN = parseFloat(process.env.OFFRAMP_FLAT_FEE_NGN || "100");
+
+// Transaction limits
+const ONRAMP_LIMITS = {
+  minNGN:   1_000,
+  maxNGN:   2_000_000,
+  dailyNGN: 10_000_000,
+};
+const OFFRAMP_LIMITS = {
+  minToken: parseFloat(process.env.OFFRAMP_MIN_TOKEN || "1"),
+  maxToken: parseFloat(process.env.OFFRAMP_MAX_TOKEN || "50000"),
+};
+
+function quoteError(message, statusCode, code) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  err.code       = code;
+  return err;
+}
+
+// ── Fiat helpers ─────────────────────────────────────────────────────
+
+const round2 = (n) => parseFloat(n.toFixed(2));
+
+// NGN-denominated config (fees, limits) → another currency at live FX rates
+function fromNGN(amountNGN, fiatCurrency, tokenData) {
+  if (fiatCurrency === DEFAULT_FIAT) return amountNGN;
+  const { usdRate } = getFiatPrice(tokenData, fiatCurrency);
+  return round2((amountNGN / tokenData.usdToNgn) * usdRate);
+}
+
+// …and back, so spread tiers (configured in NGN) match on the same notional
+function toNGN(amount, fiatCurrency, tokenData) {
+  if (fiatCurrency === DEFAULT_FIAT) return amount;
+  const { usdRate } = getFiatPrice(tokenData, fiatCurrency);
+  return (amount / usdRate) * tokenData.usdToNgn;
+}
+
+// Prepend the legacy *NGN fields for NGN quotes only
+function withNGNFields(quote, ngnFields) {
+  return quote.fiatCurrency === DEFAULT_FIAT ? { ...ngnFields, ...quote } : quote;
+}
+
+async function getTokenData(token) {
+  const prices    = await getCurrentPrices();
+  const tokenData = prices[token.toUpperCase()];
+  if (!tokenData) throw new Error(`Unsupported token: ${token}`);
+  return tokenData;
+}
+
+/** Per-token sell size bounds — the registry entry's offrampLimits, else the global ones. */
+function getOfframpLimits(token) {
+  return { ...OFFRAMP_LIMITS, ...(getRegistryToken(token)?.offrampLimits || {}) };
+}
+
+/**
+ * Onramp limits expressed in fiatCurrency.
+ */
+async function getOnrampLimits(token, fiatCurrency = DEFAULT_FIAT) {
+  const tokenData = await getTokenData(token);
+  return {
+    currency: fiatCurrency,
+    min:      fromNGN(ONRAMP_LIMITS.minNGN, fiatCurrency, tokenData),
+    max:      fromNGN(ONRAMP_LIMITS.maxNGN, fiatCurrency, tokenData),
+    daily:    fromNGN(ONRAMP_LIMITS.dailyNGN, fiatCurrency, tokenData),
+  };
+}
+
+// ── Calculators ──────────────────────────────────────────────────────
+
+/**
+ * Live rate for a token without an order size — ask for onramp, bid for offramp.
+ */
+async function calculateIndicativeRate(token, direction, fiatCurrency = DEFAULT_FIAT) {
+  const tokenData = await getTokenData(token);
+  const { price: mid, usdRate } = getFiatPrice(tokenData, fiatCurrency);
+  const { spreadBps, rateNGN: rate } = applySpread(token, direction === "onramp" ? "ask" : "bid", mid);
+  const flatFeeNGN = direction === "onramp" ? ONRAMP_FLAT_FEE_NGN : OFFRAMP_FLAT_FEE_NGN;
+
+  return withNGNFields({
+    token:        token.toUpperCase(),
+    fiatCurrency,
+    midRate:      round2(mid),
+    spreadBps,
+    rate:         round2(rate),
+    flatFee:      fromNGN(flatFeeNGN, fiatCurrency, tokenData),
+    priceUSD:     tokenData.priceUSD,
+    usdToFiat:    usdRate,
+  }, {
+    marketRateNGN: round2(mid),
+    midRateNGN:    round2(mid),
+    rateNGN:       round2(rate),
+    flatFeeNGN,
+    usdToNgn:      tokenData.usdToNgn,
+  });
+}
+
+/**
+ * Calculate onramp quote for a given token-purchase amount in fiatCurrency
+ * (NGN unless stated — the example below is in NGN; other currencies pay the
+ * same ₦100 fee converted at the live FX rate).
+ *
+ * Fee model (flat ₦100 + ask spread):
+ *   • User specifies amountNGN — the NGN value of tokens they want.
+ *   • Tokens are priced at the ASK rate: mid-market rate plus the token's spread.
+ *   • A flat ₦100 service fee is added ON TOP.
+ *   • Monnify charges: amountNGN + ₦100
+ *   • Tokens delivered = amountNGN ÷ askRate  (full amountNGN used, fee is separate)
+ *
+ * Example — ₦50,000 of STX at ₦2,500/STX mid, 100 bps spread:
+ *   askRate      = 2,500 × 1.01 = ₦2,525
+ *   totalPayable = ₦50,100   (₦50,000 + ₦100 flat fee)
+ *   tokenAmount  = 50,000 / 2,525 = 19.80198 STX
+ */
+async function calculateOnrampQuote(token, amount, fiatCurrency = DEFAULT_FIAT) {
+  const tokenData = await getTokenData(token);
+  const { price: mid, usdRate } = getFiatPrice(tokenData, fiatCurrency);
+
+  const { spreadBps, rateNGN: rate } = applySpread(token, "ask", mid, toNGN(amount, fiatCurrency, tokenData));
+  const flatFee      = fromNGN(ONRAMP_FLAT_FEE_NGN, fiatCurrency, tokenData);
+  const tokenAmount  = amount / rate;
+  const totalPayable = amount + flatFee;
+
+  return withNGNFields({
+    token:         token.toUpperCase(),
+    fiatCurrency,
+    midRate:       round2(mid),
+    spreadBps,
+    rate:          round2(rate),
+    flatFee,
+    tokenAmount:   parseFloat(tokenAmount.toFixed(6)),
+    fiatAmount:    round2(amount),
+    totalPayable:  round2(totalPayable),
+    priceUSD:      tokenData.priceUSD,
+    usdToFiat:     usdRate,
+  }, {
+    marketRateNGN:   round2(mid),
+    midRateNGN:      round2(mid),
+    rateNGN:         round2(rate),
+    flatFeeNGN:      ONRAMP_FLAT_FEE_NGN,
+    amountNGN:       round2(amount),
+    totalPayableNGN: round2(totalPayable),
+    usdToNgn:        tokenData.usdToNgn,
+  });
+}
+
+async function calculateOfframpQuote(token, tokenAmount, fiatCurrency = DEFAULT_FIAT) {
+  log.step(1, `Calculating quote — ${c.bold}${tokenAmount} ${token}${c.reset} → ${fiatCurrency}`);
+  const tokenData = await getTokenData(token);
+  const { price: mid, usdRate } = getFiatPrice(tokenData, fiatCurrency);
+  const sym = fiatSymbol(fiatCurrency);
+
+  // Sellers are paid at the BID rate — mid minus the token's spread (tiered on NGN notional)
+  const { spreadBps, rateNGN: rate } = applySpread(token, "bid", mid, tokenAmount * tokenData.priceNGN);
+  const flatFee = fromNGN(OFFRAMP_FLAT_FEE_NGN, fiatCurrency, tokenData);
+  const gross   = tokenAmount * rate;
+  // ✅ FIX: floor to whole units — Lenco requires integer amounts
+  const net     = Math.floor(gross - flatFee);
+
+  const quote = withNGNFields({
+    token:        token.toUpperCase(),
+    fiatCurrency,
+    midRate:      round2(mid),
+    spreadBps,
+    rate:         round2(rate),
+    flatFee,
+    grossAmount:  round2(gross),
+    fiatAmount:   net,   // already a whole number
+    tokenAmount:  parseFloat(tokenAmount.toFixed(6)),
+    priceUSD:     tokenData.priceUSD,
+    usdToFiat:    usdRate,
+  }, {
+    marketRateNGN: round2(mid),
+    midRateNGN:    round2(mid),
+    rateNGN:       round2(rate),
+    flatFeeNGN:    OFFRAMP_FLAT_FEE_NGN,
+    grossNGN:      round2(gross),
+    ngnAmount:     net,
+    usdToNgn:      tokenData.usdToNgn,
+  });
+
+  box([
+    `${c.bold}Token     :${c.reset} ${quote.token}`,
+    `${c.bold}Amount    :${c.reset} ${quote.tokenAmount}`,
+    `${c.bold}Mid ${fiatCurrency}   :${c.reset} ${sym}${quote.midRate.toLocaleString()}`,
+    `${c.bold}Spread    :${c.reset} ${quote.spreadBps} bps`,
+    `${c.bold}Bid ${fiatCurrency}   :${c.reset} ${sym}${quote.rate.toLocaleString()}`,
+    `${c.bold}Gross ${fiatCurrency} :${c.reset} ${sym}${quote.grossAmount.toLocaleString()}`,
+    `${c.bold}Fee       :${c.reset} ${sym}${quote.flatFee}`,
+    `${c.bold}Net ${fiatCurrency}   :${c.reset} ${c.green}${sym}${quote.fiatAmount.toLocaleString()}${c.reset}`,
+  ]);
+
+  if (net <= 0) throw new Error(`Amount too small — ${sym}${flatFee} fee exceeds payout`);
+  return quote;
+}
+
+// ── Persisted quotes ─────────────────────────────────────────────────
+
+/**
+ * Price an order and persist it as a locked quote.
+ * onramp needs amountNGN; offramp needs tokenAmount. Locked quotes are NGN
+ * only — they exist to be redeemed at /initialize, which settles in NGN.
+ */
+async function createQuote({ token, direction, amountNGN, tokenAmount }) {
+  const quote = direction === "onramp"
+    ? await calculateOnrampQuote(token, amountNGN)
+    : await calculateOfframpQuote(token, tokenAmount);
+
+  return Quote.create({
+    token:           quote.token,
+    direction,
+    tokenAmount:     quote.tokenAmount,
+    amountNGN:       direction === "onramp" ? quote.amountNGN : quote.ngnAmount,
+    grossNGN:        quote.grossNGN,
+    totalPayableNGN: quote.totalPayableNGN,
+    flatFeeNGN:      quote.flatFeeNGN,
+    midRateNGN:      quote.midRateNGN,
+    spreadBps:       quote.spreadBps,
+    rateNGN:         quote.rateNGN,
+    priceUSD:        quote.priceUSD,
+    usdToNgn:        quote.usdToNgn,
+    expiresAt:       new Date(Date.now() + QUOTE_TTL_SECONDS * 1000),
+  });
+}
+
+/**
+ * Atomically claim an active quote for an order.
+ * Throws with statusCode + code (QUOTE_NOT_FOUND, QUOTE_EXPIRED, QUOTE_USED,
+ * QUOTE_MISMATCH) so controllers can pass them straight to the client.
+ */
+async function consumeQuote(quoteId, { direction, token }) {
+  if (!mongoose.isValidObjectId(quoteId)) throw quoteError("Quote not found", 404, "QUOTE_NOT_FOUND");
+
+  const claimed = await Quote.findOneAndUpdate(
+    { _id: quoteId, status: "active", expiresAt: { $gt: new Date() }, direction, token: token.toUpperCase() },
+    { status: "used", usedAt: new Date() },
+    { new: true }
+  );
+  if (claimed) return claimed;
+
+  const existing = await Quote.findById(quoteId).lean();
+  if (!existing) throw quoteError("Quote not found", 404, "QUOTE_NOT_FOUND");
+  if (existing.direction !== direction || existing.token !== token.toUpperCase()) {
+    throw quoteError(`Quote is for ${existing.direction} ${existing.token}, not ${direction} ${token.toUpperCase()}`, 400, "QUOTE_MISMATCH");
+  }
+  if (existing.status === "used") throw quoteError("Quote has already been used", 409, "QUOTE_USED");
+
+  // Past its TTL — record it so the stored status reflects reality
+  await Quote.updateOne({ _id: quoteId, status: "active" }, { status: "expired" });
+  throw quoteError(`Quote expired at ${new Date(existing.expiresAt).toISOString()}. Request a new quote.`, 410, "QUOTE_EXPIRED");
+}
+
+/**
+ * Return a consumed quote to the pool when the order it was claimed for
+ * could not be created (e.g. DB error). No-op once the quote has expired.
+ */
+async function releaseQuote(quoteId) {
+  await Quote.updateOne({ _id: quoteId, status: "used" }, { status: "active", $unset: { usedAt: 1 } });
+}
+
+/**
+ * Shape a stored quote like the calculators' output so /initialize can use
+ * either interchangeably.
+ */
+function quoteFromDoc(doc) {
+  return {
+    quoteId:         doc._id,
+    token:           doc.token,
+    marketRateNGN:   doc.midRateNGN,
+    midRateNGN:      doc.midRateNGN,
+    spreadBps:       doc.spreadBps,
+    rateNGN:         doc.rateNGN,
+    flatFeeNGN:      doc.flatFeeNGN,
+    tokenAmount:     doc.tokenAmount,
+    amountNGN:       doc.amountNGN,
+    ngnAmount:       doc.amountNGN,
+    grossNGN:        doc.grossNGN,
+    totalPayableNGN: doc.totalPayableNGN,
+    priceUSD:        doc.priceUSD,
+    usdToNgn:        doc.usdToNgn,
+    expiresAt:       doc.expiresAt,
+  };
+}
+
+async function getQuote(quoteId) {
+  if (!mongoose.isValidObjectId(quoteId)) throw quoteError("Quote not found", 404, "QUOTE_NOT_FOUND");
+  const quote = await Quote.findById(quoteId).lean();
+  if (!quote) throw quoteError("Quote not found", 404, "QUOTE_NOT_FOUND");
+  if (quote.status === "active" && quote.expiresAt <= new Date()) quote.status = "expired";
+  return quote;
+}
+
+module.exports = {
+  calculateOnrampQuote,
+  calculateOfframpQuote,
+  calculateIndicativeRate,
+  getOnrampLimits,
+  createQuote,
+  consumeQuote,
+  releaseQuote,
+  getQuote,
+  quoteFromDoc,
+  ONRAMP_FLAT_FEE_NGN,
+  OFFRAMP_FLAT_FEE_NGN,
+  ONRAMP_LIMITS,
+  OFFRAMP_LIMITS,
+  getOfframpLimits,
+  QUOTE_TTL_SECONDS,
+};
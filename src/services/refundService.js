@@ -0,0 +1,274 @@
+// ============= services/refundService.js =============
+// Sends received tokens back to the depositor (tx.senderAddress).
+//
+// Two kinds, recorded on tx.refund (models/Transaction.js):
+//   full   — a failed or expired order whose tokens arrived (Lenco failure,
+//            late deposit, refunded underpayment, deposit below the fee).
+//            The order ends "refunded".
+//   excess — the overpaid part of an order that otherwise settles as usual
+//            (OFFRAMP_OVERPAYMENT_POLICY=refund).
+//
+// Triggered by an operator (POST /api/admin/refunds) or, with
+// OFFRAMP_AUTO_REFUND=true, by the sweep below for every order a policy
+// flagged meta.requiresRefund. The sweep only sends amounts read from the
+// chain — the deposit TX's transfers to the order's deposit address
+// (confirmDepositJob in controllers/offrampController.js). Any other order
+// is flagged meta.requiresManualRefund, which puts it in the admin
+// exceptions queue. Either way the claim on tx.refund is atomic
+// and the send runs as an "offramp.refund" job, so an order is refunded
+// once. A send that may have reached the network is never retried — it
+// fails with outcomeUnknown for an operator to check on-chain.
+//
+// The refund is the amount received minus REFUND_NETWORK_FEE_STX (converted
+// at live prices for SIP-010 tokens, whose fee the hot wallet still pays in STX).
+
+const Transaction = require("../models/Transaction");
+const { registerHandler, enqueue, giveUp } = require("./jobQueue");
+const { sendTokens } = require("./stacksTransferService");
+const { getCurrentPrices } = require("./priceService");
+const { TOKENS, isNative, toBaseUnits } = require("../config/tokens");
+const { refunds: log } = require("../config/consoleLogger");
+
+// ── Config ───────────────────────────────────────────────────────────
+const AUTO_REFUND     = process.env.OFFRAMP_AUTO_REFUND === "true";
+const NETWORK_FEE_STX = parseFloat(process.env.REFUND_NETWORK_FEE_STX || "0.002");
+const SWEEP_BATCH     = 50;
+
+function refundError(message, statusCode, code) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  err.code       = code;
+  return err;
+}
+
+// ── Amounts ──────────────────────────────────────────────────────────
+
+const tokensReceived = (tx) => Boolean(tx.meta?.tokenReceivedAt || tx.meta?.lateDeposit);
+
+// Whether the amount received was checked on-chain against the order's
+// deposit address, rather than reported by a caller
+function amountVerified(tx) {
+  return Boolean(tx.meta?.lateDeposit ? tx.meta.lateDeposit.verified : tx.meta?.depositVerified);
+}
+
+// Everything that arrived on-chain for the order
+function receivedTokenAmount(tx) {
+  return tx.meta?.depositResolution?.receivedTokenAmount
+    ?? tx.meta?.lateDeposit?.tokenAmount
+    ?? tx.meta?.confirmedAmount
+    ?? tx.tokenAmount;
+}
+
+/** What a refund of `tx` would return, before the network fee. Throws if it can't be refunded. */
+function refundPlan(tx) {
+  if (["failed", "expired"].includes(tx.status)) {
+    if (!tokensReceived(tx)) throw refundError("No tokens were received for this order — nothing to refund", 409, "NOTHING_TO_REFUND");
+    // A sent excess refund comes off the full one; a retried full refund keeps the earlier deduction
+    const alreadyRefunded = tx.refund?.kind === "excess"
+      ? (tx.refund.status === "sent" ? tx.refund.tokenAmount : 0)
+      : (tx.refund?.alreadyRefunded || 0);
+    return { kind: "full", tokenAmount: receivedTokenAmount(tx) - alreadyRefunded, alreadyRefunded: alreadyRefunded || undefined };
+  }
+  if (tx.meta?.depositResolution?.action === "refund_excess" && tx.meta.refundTokenAmount > 0) {
+    return { kind: "excess", tokenAmount: tx.meta.refundTokenAmount };
+  }
+  throw refundError(`Order is ${tx.status} — only failed or expired orders and overpayments can be refunded`, 409, "NOT_REFUNDABLE");
+}
+
+/** REFUND_NETWORK_FEE_STX in units of `symbol`, rounded up to the token's decimals. */
+async function networkFeeIn(symbol) {
+  const token = TOKENS[symbol];
+  if (isNative(token)) return NETWORK_FEE_STX;
+
+  const prices = await getCurrentPrices();
+  const stxUsd = prices.STX?.priceUSD;
+  const tokUsd = prices[symbol]?.priceUSD;
+  if (!stxUsd || !tokUsd) throw refundError(`No STX/${symbol} price to convert the network fee`, 503, "PRICE_UNAVAILABLE");
+  return Math.ceil((NETWORK_FEE_STX * stxUsd / tokUsd) * 10 ** token.decimals) / 10 ** token.decimals;
+}
+
+// ── Request ──────────────────────────────────────────────────────────
+
+function queueRefundJob(tx) {
+  const { kind, attempt } = tx.refund;
+  return enqueue("offramp.refund", { reference: tx.paymentReference }, { key: `offramp.refund:${tx.paymentReference}:${kind}:${attempt}` });
+}
+
+/**
+ * Claim a refund for offramp order `reference` and queue the send.
+ * Allowed when the order has no refund yet, when the last one failed before
+ * reaching the network, or (full refunds) after an excess refund went out.
+ *
+ * @param {object} opts - { trigger: "admin" | "policy", requestedBy?, reason? }
+ * @returns the updated transaction
+ */
+async function requestRefund(reference, { trigger, requestedBy, reason } = {}) {
+  const tx = await Transaction.findOne({ paymentReference: reference, direction: "offramp" });
+  if (!tx) throw refundError("Transaction not found", 404, "NOT_FOUND");
+
+  if (tx.refund && !(tx.refund.status === "failed" && !tx.refund.outcomeUnknown)
+      && !(tx.refund.kind === "excess" && tx.refund.status === "sent" && ["failed", "expired"].includes(tx.status))) {
+    throw refundError(
+      tx.refund.outcomeUnknown
+        ? "The last refund may have been broadcast — check it on-chain before refunding again"
+        : `Refund already ${tx.refund.status}`,
+      409,
+      tx.refund.outcomeUnknown ? "REFUND_OUTCOME_UNKNOWN" : "ALREADY_REFUNDED"
+    );
+  }
+
+  const plan  = refundPlan(tx);
+  const token = TOKENS[tx.token];
+  const fee   = await networkFeeIn(tx.token);
+  const net   = (toBaseUnits(token, plan.tokenAmount) - toBaseUnits(token, fee)) / 10 ** token.decimals;
+  if (net <= 0) {
+    throw refundError(`${plan.tokenAmount} ${tx.token} doesn't cover the ${fee} ${tx.token} network fee`, 422, "REFUND_BELOW_FEE");
+  }
+
+  const refund = {
+    ...plan,
+    status:           "queued",
+    trigger,
+    requestedBy,
+    reason,
+    networkFee:       fee,
+    amount:           net,
+    recipientAddress: tx.senderAddress,
+    attempt:          tx.refund?.kind === plan.kind ? tx.refund.attempt + 1 : 1,
+    requestedAt:      new Date(),
+  };
+
+  // Same guard as above, applied atomically against the state we read
+  const claimed = await Transaction.findOneAndUpdate(
+    { _id: tx._id, status: tx.status, "refund.status": tx.refund?.status ?? null, "refund.attempt": tx.refund?.attempt ?? null },
+    { $set: { refund } },
+    { new: true }
+  );
+  if (!claimed) throw refundError("Order changed while the refund was being requested — try again", 409, "CONFLICT");
+
+  log.warn(`Refund (${plan.kind}) queued for ${reference}: ${net} ${tx.token} → ${tx.senderAddress} [${trigger}${requestedBy ? ` by ${requestedBy}` : ""}]`);
+  await queueRefundJob(claimed);
+  return claimed;
+}
+
+// ── Job: offramp.refund ──────────────────────────────────────────────
+
+async function refundJob(job) {
+  const { reference } = job.payload;
+
+  const tx = await Transaction.findOne({ paymentReference: reference, direction: "offramp" });
+  if (!tx?.refund) throw giveUp(`No refund recorded for ${reference}`);
+  const { refund } = tx;
+
+  if (refund.status === "sent" || refund.status === "failed") return { outcome: "skipped", status: refund.status };
+  // The last run got as far as sending and left no result
+  if (refund.status === "sending") throw giveUp(`Refund for ${reference} was mid-send when its worker stopped — check the hot wallet`);
+
+  const current = { _id: tx._id, "refund.attempt": refund.attempt };
+  const sending = await Transaction.findOneAndUpdate(
+    { ...current, "refund.status": "queued" },
+    { $set: { "refund.status": "sending", "refund.sendingAt": new Date() } },
+    { new: true }
+  );
+  if (!sending) return { outcome: "skipped" };
+
+  let result;
+  try {
+    result = await sendTokens({ token: tx.token, amount: refund.amount, recipientAddress: refund.recipientAddress, memo: `Refund ${reference}` });
+  } catch (err) {
+    if (err.notBroadcast) {
+      await Transaction.updateOne({ ...current, "refund.status": "sending" }, { $set: { "refund.status": "queued", "refund.error": err.message } });
+      throw err;
+    }
+    throw giveUp(`Refund send for ${reference} failed after it may have been broadcast: ${err.message}`);
+  }
+
+  const set = {
+    "refund.status":       "sent",
+    "refund.txId":         result.txId,
+    "refund.explorerUrl":  result.explorerUrl,
+    "refund.sentAt":       new Date(),
+    "refund.error":        null,
+    "meta.requiresRefund": false,
+    "meta.requiresManualRefund": false,
+  };
+  if (refund.kind === "full") {
+    set.status = "refunded";
+    set["meta.requiresManualSettlement"] = false;
+  }
+  await Transaction.updateOne({ ...current, "refund.status": "sending" }, { $set: set });
+
+  log.success(`Refunded ${refund.amount} ${tx.token} to ${refund.recipientAddress} for ${reference} — TX ${result.txId}`);
+  return { outcome: "sent", txId: result.txId };
+}
+
+async function onRefundDead(job, err) {
+  const { reference } = job.payload;
+  const tx = await Transaction.findOne({ paymentReference: reference, direction: "offramp" });
+  if (!tx?.refund || !["queued", "sending"].includes(tx.refund.status)) return;
+
+  const outcomeUnknown = tx.refund.status === "sending";
+  await Transaction.updateOne(
+    { _id: tx._id, "refund.attempt": tx.refund.attempt, "refund.status": tx.refund.status },
+    { $set: { "refund.status": "failed", "refund.error": err.message, "refund.outcomeUnknown": outcomeUnknown, "refund.failedAt": new Date() } }
+  );
+  log.error(`REFUND FAILED for ${reference}${outcomeUnknown ? " — outcome unknown, check the hot wallet before retrying" : ""}: ${err.message}`);
+}
+
+registerHandler("offramp.refund", refundJob, { onDead: onRefundDead });
+
+// ── Policy sweep ─────────────────────────────────────────────────────
+
+/**
+ * Queue refunds for orders a policy flagged meta.requiresRefund (with
+ * OFFRAMP_AUTO_REFUND=true), and re-queue jobs for refunds claimed but never
+ * enqueued. Orders that can't be refunded automatically — amount not
+ * verified on-chain, or refused by requestRefund — are marked
+ * meta.autoRefundSkipped and meta.requiresManualRefund for an operator.
+ */
+async function queuePolicyRefunds() {
+  const stranded = await Transaction.find({ direction: "offramp", "refund.status": "queued" }).limit(SWEEP_BATCH);
+  for (const tx of stranded) await queueRefundJob(tx);
+
+  if (!AUTO_REFUND) return { queued: 0 };
+
+  const flagged = await Transaction.find({
+    direction:               "offramp",
+    "meta.requiresRefund":   true,
+    refund:                  null,
+    "meta.autoRefundSkipped": { $exists: false },
+  }).limit(SWEEP_BATCH);
+
+  const leaveToOperator = (tx, why) => Transaction.updateOne(
+    { _id: tx._id },
+    { $set: { "meta.autoRefundSkipped": why, "meta.requiresManualRefund": true } }
+  );
+
+  let queued = 0, skipped = 0;
+  for (const tx of flagged) {
+    if (!amountVerified(tx)) {
+      log.warn(`Auto-refund of ${tx.paymentReference} skipped — amount received wasn't verified on-chain`);
+      await leaveToOperator(tx, "Amount received not verified on-chain — check the deposit before refunding");
+      skipped++;
+      continue;
+    }
+    try {
+      await requestRefund(tx.paymentReference, { trigger: "policy", reason: tx.meta.failureReason || tx.meta.depositResolution?.action });
+      queued++;
+    } catch (err) {
+      log.warn(`Auto-refund of ${tx.paymentReference} not queued: ${err.message}`);
+      // Won't change by trying again — leave it to an operator
+      if (err.statusCode && err.statusCode < 500) {
+        await leaveToOperator(tx, err.message);
+        skipped++;
+      }
+    }
+  }
+  return { queued, skipped };
+}
+
+module.exports = {
+  requestRefund,
+  queuePolicyRefunds,
+  AUTO_REFUND,
+};
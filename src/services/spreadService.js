@@ -0,0 +1,70 @@
+// ============= services/spreadService.js =============
+// Buy/sell spread engine.
+//
+// The price oracle gives us a mid-market rate. Customers never trade at mid:
+//   • onramp (user buys tokens)  → ASK = mid × (1 + askBps / 10,000)
+//   • offramp (user sells tokens) → BID = mid × (1 − bidBps / 10,000)
+// The spread covers price movement between quoting and settlement.
+//
+// Spreads are per token, with optional size tiers keyed on the order's NGN
+// notional at mid. The highest tier whose minNGN the order reaches wins.
+// Override the defaults with PRICE_SPREADS_JSON, e.g.
+//   {"STX":{"askBps":150,"bidBps":150,"tiers":[{"minNGN":1000000,"askBps":100,"bidBps":100}]}}
+// Registry tokens with no entry here trade at PRICE_DEFAULT_SPREAD_BPS either side.
+
+const DEFAULT_SPREADS = {
+  STX: {
+    askBps: 100,
+    bidBps: 100,
+    tiers:  [
+      { minNGN: 1_000_000, askBps: 75, bidBps: 75 },
+    ],
+  },
+  USDC: {
+    askBps: 25,
+    bidBps: 25,
+    tiers:  [],
+  },
+};
+
+function loadSpreadConfig() {
+  if (!process.env.PRICE_SPREADS_JSON) return DEFAULT_SPREADS;
+  try {
+    return { ...DEFAULT_SPREADS, ...JSON.parse(process.env.PRICE_SPREADS_JSON) };
+  } catch (err) {
+    throw new Error(`PRICE_SPREADS_JSON is not valid JSON: ${err.message}`);
+  }
+}
+
+const SPREADS = loadSpreadConfig();
+const DEFAULT_SPREAD_BPS = parseInt(process.env.PRICE_DEFAULT_SPREAD_BPS || "100", 10);
+
+/**
+ * Spread in basis points for a token, side ("ask" | "bid") and order size.
+ */
+function getSpreadBps(token, side, notionalNGN = 0) {
+  const config = SPREADS[token.toUpperCase()] || { askBps: DEFAULT_SPREAD_BPS, bidBps: DEFAULT_SPREAD_BPS };
+
+  const key  = side === "ask" ? "askBps" : "bidBps";
+  const tier = [...(config.tiers || [])]
+    .sort((a, b) => b.minNGN - a.minNGN)
+    .find((t) => notionalNGN >= t.minNGN && t[key] !== undefined);
+
+  return tier ? tier[key] : config[key] || 0;
+}
+
+/**
+ * Apply the spread to a mid rate.
+ * Returns { midRateNGN, spreadBps, rateNGN } — rateNGN is what the customer trades at.
+ */
+function applySpread(token, side, midRateNGN, notionalNGN = 0) {
+  const spreadBps = getSpreadBps(token, side, notionalNGN);
+  const factor    = side === "ask" ? 1 + spreadBps / 10_000 : 1 - spreadBps / 10_000;
+  return {
+    midRateNGN,
+    spreadBps,
+    rateNGN: midRateNGN * factor,
+  };
+}
+
+module.exports = { getSpreadBps, applySpread };
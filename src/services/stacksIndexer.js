@@ -3,10 +3,16 @@
 //
 // This service runs SERVER-SIDE and polls the Stacks blockchain for
 // inbound transfers to the platform deposit address. When it finds a
-// matching transfer (STX or USDC) with a valid SSWAP_OFFRAMP_ memo,
+// matching transfer (STX or any SIP-010 token in config/tokens.js that
+// is enabled for offramp) with a valid SSWAP_OFFRAMP_ memo,
 // it calls /api/offramp/confirm-receipt internally — no browser
 // involvement, no SSL issues, no exposed internal keys.
 //
+// Orders with their own deposit address (DEPOSIT_WALLET_SEED — see
+// services/depositAddressService.js) are matched by recipient address
+// instead, memo or not. Finding those orders needs the database, so that
+// scan only runs in a process with a MongoDB connection.
+//
 // Architecture:
 //   User wallet → Stacks blockchain → THIS INDEXER → confirm-receipt → Lenco NGN payout
 //
@@ -18,6 +24,10 @@
 //     handles missed transactions (e.g. if user closes the tab early)
 
 const axios = require("axios");
+const mongoose = require("mongoose");
+const Transaction = require("../models/Transaction");
+const { isEnabled: perOrderDepositAddresses } = require("./depositAddressService");
+const { getToken, listTokens, isNative, getContract, fromBaseUnits } = require("../config/tokens");
 
 // ── Console logger with colors + timestamps ──────────────────────────
 // Uses ANSI escape codes — works in any Node.js terminal (PM2, Railway, Render, etc.)
@@ -56,11 +66,25 @@ const PLATFORM_ADDRESS = process.env.PLATFORM_STX_ADDRESS;
 const INTERNAL_API_KEY = process.env.INTERNAL_API_KEY;
 const SELF_BASE_URL    = process.env.SELF_BASE_URL || "http://localhost:5000";
 const POLL_INTERVAL_MS = parseInt(process.env.INDEXER_POLL_INTERVAL_MS || "20000", 10); // 20s default
-
-// USDC SIP-010 contract (same as frontend)
-const USDC_CONTRACT_ADDRESS = process.env.USDC_CONTRACT_ADDRESS || "SP3Y2DC0WJ6EXMM9MSSEZ5JHVHPS6XMTFJ35XAPD";
-const USDC_CONTRACT_NAME    = process.env.USDC_CONTRACT_NAME    || "usdc-token";
-const USDC_FULL_ID          = `${USDC_CONTRACT_ADDRESS}.${USDC_CONTRACT_NAME}`;
+// Expired orders' own addresses are still watched this long, for late deposits
+const DEPOSIT_WATCH_HOURS = parseInt(process.env.INDEXER_DEPOSIT_WATCH_HOURS || "24", 10);
+const DEPOSIT_SCAN_BATCH  = 100;
+
+// SIP-010 tokens users can sell, with their contract on this network.
+// A token with no contract for this network is skipped rather than crashing the poll.
+function offrampFungibleTokens() {
+  return listTokens("offramp")
+    .map(getToken)
+    .filter((token) => !isNative(token))
+    .flatMap((token) => {
+      try {
+        return [{ token, contract: getContract(token) }];
+      } catch (err) {
+        log.warn(`${err.message} — not scanning ${token.symbol}`);
+        return [];
+      }
+    });
+}
 
 // Track already-processed tx IDs in memory to avoid duplicate calls.
 // On restart, confirm-receipt is idempotent so re-processing is safe.
@@ -119,7 +143,7 @@ async function checkInboundSTXTransfers() {
         continue;
       }
 
-      const tokenAmount = parseInt(tx.token_transfer.amount, 10) / 1_000_000;
+      const tokenAmount = fromBaseUnits(getToken("STX"), tx.token_transfer.amount);
 
       log.tx(`\n  ┌─ 🟠 INBOUND STX TRANSFER DETECTED`);
       log.tx(`  │  TX ID    : ${c.bold}${tx.tx_id}${c.reset}`);
@@ -143,12 +167,13 @@ async function checkInboundSTXTransfers() {
   }
 }
 
-// ── USDC transfer indexer ────────────────────────────────────────────
-async function checkInboundUSDCTransfers() {
+// ── SIP-010 transfer indexer ─────────────────────────────────────────
+async function checkInboundFungibleTransfers({ token, contract }) {
   if (!PLATFORM_ADDRESS) return;
+  const symbol = token.symbol;
 
   try {
-    const url = `${STACKS_API_BASE}/extended/v1/address/${USDC_FULL_ID}/transactions`;
+    const url = `${STACKS_API_BASE}/extended/v1/address/${contract.fullId}/transactions`;
     const res = await axios.get(url, {
       params: { limit: 50, offset: 0 },
       timeout: 15000,
@@ -161,7 +186,7 @@ async function checkInboundUSDCTransfers() {
     );
 
     log.poll(
-      `USDC scan complete — ${c.bold}${txs.length}${c.reset} txs fetched, ` +
+      `${symbol} scan complete — ${c.bold}${txs.length}${c.reset} txs fetched, ` +
       `${c.bold}${calls.length}${c.reset} transfer() calls`
     );
 
@@ -175,7 +200,7 @@ async function checkInboundUSDCTransfers() {
       const ftEvents = tx.events?.filter(
         (e) =>
           e.event_type === "fungible_token_asset" &&
-          e.asset?.asset_id?.startsWith(USDC_FULL_ID) &&
+          e.asset?.asset_id?.startsWith(contract.fullId) &&
           e.asset?.recipient === PLATFORM_ADDRESS
       ) || [];
 
@@ -193,12 +218,12 @@ async function checkInboundUSDCTransfers() {
       }
 
       const rawAmount   = ftEvents.reduce((sum, e) => sum + parseInt(e.asset.amount || "0", 10), 0);
-      const tokenAmount = rawAmount / 1_000_000;
+      const tokenAmount = fromBaseUnits(token, rawAmount);
 
-      log.tx(`\n  ┌─ 🔵 INBOUND USDC TRANSFER DETECTED`);
+      log.tx(`\n  ┌─ 🔵 INBOUND ${symbol} TRANSFER DETECTED`);
       log.tx(`  │  TX ID    : ${c.bold}${tx.tx_id}${c.reset}`);
       log.tx(`  │  From     : ${tx.sender_address}`);
-      log.tx(`  │  Amount   : ${c.green}${c.bold}${tokenAmount} USDC${c.reset}`);
+      log.tx(`  │  Amount   : ${c.green}${c.bold}${tokenAmount} ${symbol}${c.reset}`);
       log.tx(`  │  Memo     : ${c.yellow}${memo}${c.reset}`);
       log.tx(`  └─ Triggering confirm-receipt...`);
 
@@ -206,14 +231,96 @@ async function checkInboundUSDCTransfers() {
         transactionReference: memo,
         stacksTxId:           tx.tx_id,
         tokenAmount,
-        token:                "USDC",
+        token:                symbol,
         senderAddress:        tx.sender_address,
       });
 
       processedTxIds.add(tx.tx_id);
     }
   } catch (err) {
-    log.error(`USDC poll failed: ${err.message}`);
+    log.error(`${symbol} poll failed: ${err.message}`);
+  }
+}
+
+// ── Per-order deposit addresses ──────────────────────────────────────
+// Each open order's address is checked for a transfer of the order's token:
+// pending orders, and expired ones (no late deposit yet) for
+// INDEXER_DEPOSIT_WATCH_HOURS.
+async function checkDepositAddresses() {
+  if (mongoose.connection.readyState !== 1) {
+    log.warn("No database connection — skipping per-order deposit addresses");
+    return;
+  }
+
+  const since  = new Date(Date.now() - DEPOSIT_WATCH_HOURS * 60 * 60 * 1000);
+  const orders = await Transaction.find({
+    direction:    "offramp",
+    depositIndex: { $ne: null },
+    $or: [
+      { status: "pending" },
+      { status: "expired", "meta.lateDeposit": null, createdAt: { $gte: since } },
+    ],
+  }).sort({ createdAt: -1 }).limit(DEPOSIT_SCAN_BATCH).lean();
+
+  log.poll(`Deposit address scan — ${c.bold}${orders.length}${c.reset} open order(s)`);
+
+  for (const order of orders) {
+    try {
+      await checkDepositAddress(order);
+    } catch (err) {
+      log.error(`Deposit address poll failed for ${order.paymentReference}: ${err.message}`);
+    }
+  }
+}
+
+async function checkDepositAddress(order) {
+  const address = order.recipientAddress;
+  const token   = getToken(order.token);
+  if (!token) return;
+  const assetId = isNative(token) ? null : `${getContract(token).fullId}::${token.assetName}`;
+
+  const res = await axios.get(`${STACKS_API_BASE}/extended/v1/address/${address}/transactions_with_transfers`, {
+    params: { limit: 20 },
+    timeout: 15000,
+  });
+
+  for (const { tx, stx_transfers: stxTransfers = [], ft_transfers: ftTransfers = [] } of res.data?.results || []) {
+    if (tx?.tx_status !== "success" || processedTxIds.has(tx.tx_id)) continue;
+
+    const transfers = assetId
+      ? ftTransfers.filter((t) => t.asset_identifier === assetId && t.recipient === address)
+      : stxTransfers.filter((t) => t.recipient === address);
+
+    if (transfers.length === 0) {
+      const other = [...stxTransfers, ...ftTransfers].some((t) => t.recipient === address);
+      if (other) {
+        log.warn(`  ⚠️  ${tx.tx_id.slice(0, 16)}... sent ${order.paymentReference}'s address something other than ${order.token} — left for the sweep, refund by hand`);
+        processedTxIds.add(tx.tx_id);
+      }
+      continue;
+    }
+
+    const rawAmount   = transfers.reduce((sum, t) => sum + parseInt(t.amount || "0", 10), 0);
+    const tokenAmount = fromBaseUnits(token, rawAmount);
+
+    log.tx(`\n  ┌─ 🟢 DEPOSIT TO ORDER ADDRESS DETECTED`);
+    log.tx(`  │  TX ID    : ${c.bold}${tx.tx_id}${c.reset}`);
+    log.tx(`  │  From     : ${tx.sender_address}`);
+    log.tx(`  │  To       : ${address}`);
+    log.tx(`  │  Amount   : ${c.green}${c.bold}${tokenAmount} ${order.token}${c.reset}`);
+    log.tx(`  │  Order    : ${c.yellow}${order.paymentReference}${c.reset}`);
+    log.tx(`  └─ Triggering confirm-receipt...`);
+
+    await callConfirmReceipt({
+      transactionReference: order.paymentReference,
+      stacksTxId:           tx.tx_id,
+      tokenAmount,
+      token:                order.token,
+      senderAddress:        tx.sender_address,
+    });
+
+    processedTxIds.add(tx.tx_id);
+    return; // one deposit per order — anything later is left for the sweep
   }
 }
 
@@ -289,11 +396,20 @@ async function runPoll() {
     `${c.dim}${new Date().toLocaleTimeString()}${c.reset} — ` +
     `${c.dim}${processedTxIds.size} tx(s) in memory cache${c.reset}`
   );
-  await Promise.all([checkInboundSTXTransfers(), checkInboundUSDCTransfers()]);
+  const memoScans = PLATFORM_ADDRESS
+    ? [
+        ...(listTokens("offramp").includes("STX") ? [checkInboundSTXTransfers()] : []),
+        ...offrampFungibleTokens().map(checkInboundFungibleTransfers),
+      ]
+    : [];
+  await Promise.all([
+    ...memoScans,
+    ...(perOrderDepositAddresses() ? [checkDepositAddresses()] : []),
+  ]);
 }
 
 function startIndexer() {
-  if (!PLATFORM_ADDRESS) {
+  if (!PLATFORM_ADDRESS && !perOrderDepositAddresses()) {
     log.warn("PLATFORM_STX_ADDRESS not set — indexer disabled");
     return;
   }
@@ -304,13 +420,16 @@ function startIndexer() {
 
   log.banner("StackSwap Stacks Indexer");
 
-  console.log(`  ${c.bold}Platform wallet :${c.reset} ${c.cyan}${PLATFORM_ADDRESS}${c.reset}`);
+  console.log(`  ${c.bold}Platform wallet :${c.reset} ${c.cyan}${PLATFORM_ADDRESS || "(not set)"}${c.reset}`);
+  console.log(`  ${c.bold}Order addresses :${c.reset} ${perOrderDepositAddresses() ? `HD wallet, expired orders watched ${DEPOSIT_WATCH_HOURS}h` : "off (memo matching only)"}`);
   console.log(`  ${c.bold}Stacks API      :${c.reset} ${STACKS_API_BASE}`);
   console.log(`  ${c.bold}Backend URL     :${c.reset} ${SELF_BASE_URL}`);
   console.log(`  ${c.bold}Poll interval   :${c.reset} every ${POLL_INTERVAL_MS / 1000}s`);
-  console.log(`  ${c.bold}USDC contract   :${c.reset} ${USDC_FULL_ID}`);
+  for (const { token, contract } of offrampFungibleTokens()) {
+    console.log(`  ${c.bold}${`${token.symbol} contract`.padEnd(16)}:${c.reset} ${contract.fullId}`);
+  }
   console.log();
-  console.log(`  ${c.green}Watching for inbound STX transfers and USDC contract calls...${c.reset}`);
+  console.log(`  ${c.green}Watching for inbound ${listTokens("offramp").join(", ")} transfers...${c.reset}`);
   console.log(`  ${c.dim}(Set NO_COLOR=1 to disable ANSI colors in log files)${c.reset}\n`);
 
   // Run once immediately on startup
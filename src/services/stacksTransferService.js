@@ -1,10 +1,20 @@
 // ============= services/stacksTransferService.js =============
-// Handles sending STX and SIP-010 USDC tokens from the platform hot wallet
+// Handles sending STX and SIP-010 tokens (USDC, sBTC, ...) from the platform hot wallet.
+// Contracts, asset names and decimals come from config/tokens.js.
+//
+// Sends can also be signed by another key (e.g. a per-order deposit address,
+// see services/depositAddressService.js) with `sponsored`, the hot wallet
+// paying the fee — those addresses hold no STX of their own for gas.
+//
+// Whenever the hot wallet pays — as sender, or as sponsor — its nonce comes
+// from services/nonceManager.js rather than the node, so concurrent sends
+// never build transactions with the same nonce.
 
 const {
     makeSTXTokenTransfer,
     makeContractCall,
     broadcastTransaction,
+    sponsorTransaction,
     AnchorMode,
     PostConditionMode,
     FungibleConditionCode,
@@ -17,29 +27,15 @@ const {
     TransactionVersion,
   } = require("@stacks/transactions");
   const { StacksMainnet, StacksTestnet } = require("@stacks/network");
+  const { getToken, getContract, isNative, toBaseUnits } = require("../config/tokens");
+  const { withNonce, syncNonces } = require("./nonceManager");
   const logger = require("../config/logger");
   
   // Platform hot wallet private key (hex) — loaded from env, never hardcoded
   const PLATFORM_PRIVATE_KEY = process.env.PLATFORM_STX_PRIVATE_KEY || "";
   const NETWORK_ENV = process.env.STACKS_NETWORK || "mainnet"; // "mainnet" | "testnet"
-  
-  // USDC on Stacks (SIP-010 token)
-  // Mainnet: SP3FBR2AGK5H9QBDH3EEN6DF8EK8JY7RX8QJ5SVTE.usdc-token
-  // Testnet: ST3FBR2AGK5H9QBDH3EEN6DF8EK8JY7RX8QJ5SVTE.usdc-token
-  const USDC_CONTRACT = {
-    mainnet: {
-      address: process.env.USDC_CONTRACT_ADDRESS || "SP3FBR2AGK5H9QBDH3EEN6DF8EK8JY7RX8QJ5SVTE",
-      name: process.env.USDC_CONTRACT_NAME || "usdc-token",
-    },
-    testnet: {
-      address: process.env.USDC_CONTRACT_ADDRESS_TESTNET || "ST3FBR2AGK5H9QBDH3EEN6DF8EK8JY7RX8QJ5SVTE",
-      name: process.env.USDC_CONTRACT_NAME_TESTNET || "usdc-token",
-    },
-  };
-  
-  // STX decimals = 6 (microSTX), USDC on Stacks = 6 decimals
-  const STX_DECIMALS = 1_000_000;
-  const USDC_DECIMALS = 1_000_000;
+  // micro-STX the hot wallet pays to sponsor a transaction signed by another key
+  const SPONSOR_FEE = parseInt(process.env.STACKS_SPONSOR_FEE_USTX || "3000", 10);
   
   const STACKS_EXPLORER = NETWORK_ENV === "mainnet"
     ? "https://explorer.stacks.co/txid"
@@ -49,17 +45,65 @@ const {
     return NETWORK_ENV === "mainnet" ? new StacksMainnet() : new StacksTestnet();
   }
   
-  function getUSDCConfig() {
-    return USDC_CONTRACT[NETWORK_ENV] || USDC_CONTRACT.mainnet;
+  function addressOf(privateKey) {
+    return getAddressFromPrivateKey(
+      privateKey,
+      NETWORK_ENV === "mainnet" ? TransactionVersion.Mainnet : TransactionVersion.Testnet
+    );
+  }
+  
+  /**
+   * Tag an error raised before the transaction reached a node (building it,
+   * or a broadcast the node rejected). Callers may safely retry those; any
+   * other send error leaves it unknown whether the transfer went out.
+   */
+  function notBroadcast(err) {
+    err.notBroadcast = true;
+    return err;
+  }
+  
+  /**
+   * Broadcast a signed transaction, first adding the hot wallet's sponsor
+   * signature (and fee, at `nonce`) when it was built as sponsored.
+   */
+  async function broadcast(transaction, network, sponsored, nonce) {
+    if (sponsored) {
+      transaction = await sponsorTransaction({ transaction, sponsorPrivateKey: PLATFORM_PRIVATE_KEY, fee: SPONSOR_FEE, sponsorNonce: nonce, network })
+        .catch((err) => { throw notBroadcast(err); });
+    }
+    return broadcastTransaction(transaction, network);
+  }
+  
+  /**
+   * Build a transaction with `build(nonceOptions)` and broadcast it, under a
+   * managed hot wallet nonce when the hot wallet pays. Resolves to the txId.
+   */
+  async function buildAndBroadcast(build, { network, senderKey, sponsored, label, purpose }) {
+    const send = async (nonce) => {
+      const nonceOption = nonce !== undefined && !sponsored ? { nonce } : {};
+      const transaction = await build(nonceOption).catch((err) => { throw notBroadcast(err); });
+      const broadcastResponse = await broadcast(transaction, network, sponsored, nonce);
+      if (broadcastResponse.error) {
+        throw notBroadcast(new Error(`${label} broadcast failed: ${broadcastResponse.error} — ${broadcastResponse.reason}`));
+      }
+      return { txId: broadcastResponse.txid };
+    };
+  
+    const { txId } = sponsored || senderKey === PLATFORM_PRIVATE_KEY
+      ? await withNonce(addressOf(PLATFORM_PRIVATE_KEY), purpose, send)
+      : await send();
+    return txId;
   }
   
+  const describe = (amount, symbol, recipient, memo) => `${amount} ${symbol} → ${recipient}${memo ? ` (${memo})` : ""}`;
+  
   /**
    * Send STX to a recipient address
    */
-  async function sendSTX(recipientAddress, amount, memo = "") {
-    if (!PLATFORM_PRIVATE_KEY) throw new Error("PLATFORM_STX_PRIVATE_KEY not configured");
+  async function sendSTX(recipientAddress, amount, memo = "", { senderKey = PLATFORM_PRIVATE_KEY, sponsored = false } = {}) {
+    if (!PLATFORM_PRIVATE_KEY) throw notBroadcast(new Error("PLATFORM_STX_PRIVATE_KEY not configured"));
   
-    const microSTX = Math.round(amount * STX_DECIMALS);
+    const microSTX = toBaseUnits(getToken("STX"), amount);
     logger.info(`Sending ${amount} STX (${microSTX} μSTX) to ${recipientAddress}`);
   
     const network = getNetwork();
@@ -67,21 +111,17 @@ const {
     const txOptions = {
       recipient: recipientAddress,
       amount: microSTX,
-      senderKey: PLATFORM_PRIVATE_KEY,
+      senderKey,
       network,
       memo: memo.slice(0, 34), // Stacks memo max 34 bytes
       anchorMode: AnchorMode.Any,
-      fee: 2000, // micro-STX fee — adjust based on network congestion
+      fee: sponsored ? 0 : 2000, // micro-STX fee — adjust based on network congestion
+      sponsored,
     };
   
-    const transaction = await makeSTXTokenTransfer(txOptions);
-    const broadcastResponse = await broadcastTransaction(transaction, network);
-  
-    if (broadcastResponse.error) {
-      throw new Error(`STX broadcast failed: ${broadcastResponse.error} — ${broadcastResponse.reason}`);
-    }
-  
-    const txId = broadcastResponse.txid;
+    const txId = await buildAndBroadcast((nonce) => makeSTXTokenTransfer({ ...txOptions, ...nonce }), {
+      network, senderKey, sponsored, label: "STX", purpose: describe(amount, "STX", recipientAddress, memo),
+    });
     logger.info(`STX sent ✓ txId: ${txId}`);
   
     return {
@@ -94,82 +134,89 @@ const {
   }
   
   /**
-   * Send USDC (SIP-010) to a recipient address
+   * Send a SIP-010 token from the registry to a recipient address
    */
-  async function sendUSDC(recipientAddress, amount, memo = "") {
-    if (!PLATFORM_PRIVATE_KEY) throw new Error("PLATFORM_STX_PRIVATE_KEY not configured");
+  async function sendSIP010(token, recipientAddress, amount, memo = "", { senderKey = PLATFORM_PRIVATE_KEY, sponsored = false } = {}) {
+    if (!PLATFORM_PRIVATE_KEY) throw notBroadcast(new Error("PLATFORM_STX_PRIVATE_KEY not configured"));
   
-    const microUSDC = Math.round(amount * USDC_DECIMALS);
+    const baseUnits = toBaseUnits(token, amount);
     const network = getNetwork();
-    const usdcConfig = getUSDCConfig();
-    const senderAddress = getAddressFromPrivateKey(
-      PLATFORM_PRIVATE_KEY,
-      NETWORK_ENV === "mainnet" ? TransactionVersion.Mainnet : TransactionVersion.Testnet
-    );
+    const contract = getContract(token);
+    const senderAddress = addressOf(senderKey);
   
-    logger.info(`Sending ${amount} USDC (${microUSDC} μUSDC) to ${recipientAddress}`);
+    logger.info(`Sending ${amount} ${token.symbol} (${baseUnits} base units) to ${recipientAddress} via ${contract.fullId}`);
   
     // SIP-010 transfer function: (transfer (uint principal principal (optional (buff 34))) (response bool uint))
     const txOptions = {
-      contractAddress: usdcConfig.address,
-      contractName: usdcConfig.name,
+      contractAddress: contract.address,
+      contractName: contract.name,
       functionName: "transfer",
       functionArgs: [
-        uintCV(microUSDC),
+        uintCV(baseUnits),
         standardPrincipalCV(senderAddress),
         standardPrincipalCV(recipientAddress),
         memo ? { type: 9, value: bufferCVFromString(memo.slice(0, 34)) } : { type: 9, value: null }, // (some (buff 34)) or none
       ],
-      senderKey: PLATFORM_PRIVATE_KEY,
+      senderKey,
       network,
       anchorMode: AnchorMode.Any,
+      ...(sponsored ? { sponsored, fee: 0 } : {}),
       postConditionMode: PostConditionMode.Deny,
       postConditions: [
-        // Assert that exactly microUSDC tokens leave the sender
+        // Assert that exactly baseUnits tokens leave the sender
         makeStandardFungiblePostCondition(
           senderAddress,
           FungibleConditionCode.Equal,
-          microUSDC,
-          createAssetInfo(usdcConfig.address, usdcConfig.name, "usdc")
+          baseUnits,
+          createAssetInfo(contract.address, contract.name, token.assetName)
         ),
       ],
     };
   
-    const transaction = await makeContractCall(txOptions);
-    const broadcastResponse = await broadcastTransaction(transaction, network);
-  
-    if (broadcastResponse.error) {
-      throw new Error(`USDC broadcast failed: ${broadcastResponse.error} — ${broadcastResponse.reason}`);
-    }
-  
-    const txId = broadcastResponse.txid;
-    logger.info(`USDC sent ✓ txId: ${txId}`);
+    const txId = await buildAndBroadcast((nonce) => makeContractCall({ ...txOptions, ...nonce }), {
+      network, senderKey, sponsored, label: token.symbol, purpose: describe(amount, token.symbol, recipientAddress, memo),
+    });
+    logger.info(`${token.symbol} sent ✓ txId: ${txId}`);
   
     return {
       txId,
       explorerUrl: `${STACKS_EXPLORER}/${txId}`,
       amount,
-      token: "USDC",
+      token: token.symbol,
       recipient: recipientAddress,
     };
   }
   
   /**
-   * Unified entry point — routes to STX or USDC transfer based on token
+   * Send USDC (SIP-010) to a recipient address
    */
-  async function sendTokens({ token, amount, recipientAddress, memo = "" }) {
+  async function sendUSDC(recipientAddress, amount, memo = "") {
+    return sendSIP010(getToken("USDC"), recipientAddress, amount, memo);
+  }
+  
+  /**
+   * Unified entry point — native STX transfer or SIP-010 contract call,
+   * depending on the token's registry entry. `senderKey` / `sponsored` as
+   * described at the top of this file.
+   */
+  async function sendTokens({ token, amount, recipientAddress, memo = "", senderKey, sponsored }) {
     if (!token || !amount || !recipientAddress) {
-      throw new Error("sendTokens requires: token, amount, recipientAddress");
+      throw notBroadcast(new Error("sendTokens requires: token, amount, recipientAddress"));
     }
   
-    switch (token.toUpperCase()) {
-      case "STX":
-        return sendSTX(recipientAddress, amount, memo);
-      case "USDC":
-        return sendUSDC(recipientAddress, amount, memo);
-      default:
-        throw new Error(`Unsupported token: ${token}`);
-    }
+    const entry = getToken(token);
+    if (!entry) throw notBroadcast(new Error(`Unsupported token: ${token}`));
+  
+    const options = { senderKey: senderKey || PLATFORM_PRIVATE_KEY, sponsored: Boolean(sponsored) };
+    return isNative(entry)
+      ? sendSTX(recipientAddress, amount, memo, options)
+      : sendSIP010(entry, recipientAddress, amount, memo, options);
+  }
+  
+  /** Resync the hot wallet's nonces with the chain (services/nonceManager.js). */
+  async function syncHotWalletNonces() {
+    if (!PLATFORM_PRIVATE_KEY) return null;
+    return syncNonces(addressOf(PLATFORM_PRIVATE_KEY));
   }
   
-  module.exports = { sendTokens, sendSTX, sendUSDC };
\ No newline at end of file
+  module.exports = { sendTokens, sendSTX, sendUSDC, sendSIP010, syncHotWalletNonces };
\ No newline at end of file
@@ -1,5 +1,7 @@
 const Transaction = require("../models/Transaction");
+const Quote = require("../models/Quote");
 const { getCurrentPrices } = require("./priceService");
+const { getPriceAt } = require("./priceHistoryService");
 const logger = require("../config/logger");
 
 const FEE_RATE = 0.005; // 0.5%
@@ -88,6 +90,63 @@ async function getTransactionById(id) {
   return tx;
 }
 
+/**
+ * Compare the rate a transaction was booked at with the recorded market.
+ *
+ * Checkpoints (whichever apply): quoted (locked quote created), created,
+ * tokenReceived (offramp deposit seen on-chain) and settled (confirmedAt).
+ * For each: the nearest market snapshot, how far rateAtTime sat from it,
+ * and what that gap was worth to the customer in NGN — negative means
+ * the customer did worse than market (spread, fee excluded).
+ */
+async function getRateAudit(id) {
+  const tx = await getTransactionById(id);
+  const sells = tx.direction === "offramp" || tx.type === "sell";
+
+  const quote = tx.meta?.quoteId ? await Quote.findById(tx.meta.quoteId).lean() : null;
+  const moments = [
+    quote && { label: "quoted", at: quote.createdAt },
+    { label: "created", at: tx.createdAt },
+    tx.meta?.tokenReceivedAt && { label: "tokenReceived", at: new Date(tx.meta.tokenReceivedAt) },
+    tx.confirmedAt && { label: "settled", at: tx.confirmedAt },
+  ].filter(Boolean);
+
+  const checkpoints = await Promise.all(moments.map(async ({ label, at }) => {
+    const found = await getPriceAt(tx.token, at);
+    if (!found) return { label, at, market: null };
+
+    const marketNGN = found.snapshot.priceNGN;
+    const diffNGN   = tx.rateAtTime - marketNGN;
+    return {
+      label,
+      at,
+      market:             found.snapshot,
+      gapMs:              found.gapMs,
+      rateVsMarketPct:    parseFloat(((diffNGN / marketNGN) * 100).toFixed(4)),
+      customerImpactNGN:  parseFloat(((sells ? diffNGN : -diffNGN) * tx.tokenAmount).toFixed(2)),
+      withinMarketRange:  found.snapshot.lowNGN === undefined
+        ? undefined
+        : tx.rateAtTime >= found.snapshot.lowNGN && tx.rateAtTime <= found.snapshot.highNGN,
+    };
+  }));
+
+  return {
+    transactionId: tx._id,
+    token:         tx.token,
+    direction:     tx.direction || (sells ? "offramp" : "onramp"),
+    status:        tx.status,
+    tokenAmount:   tx.tokenAmount,
+    ngnAmount:     tx.ngnAmount,
+    rateAtTime:    tx.rateAtTime,
+    recorded: {
+      midRateNGN: tx.meta?.midRateNGN ?? null,
+      spreadBps:  tx.meta?.spreadBps ?? null,
+      quoteId:    tx.meta?.quoteId ?? null,
+    },
+    checkpoints,
+  };
+}
+
 /**
  * Summary stats for a wallet
  */
@@ -112,5 +171,6 @@ module.exports = {
   getTransactionHistory,
   updateTransactionStatus,
   getTransactionById,
+  getRateAudit,
   getWalletStats,
 };
@@ -0,0 +1,155 @@
+// ============= services/treasuryService.js =============
+// Treasury snapshots and runway alerts, so ops can top up before orders
+// start failing with INSUFFICIENT_LIQUIDITY.
+//
+// Every run records what the payout providers hold (less the
+// PAYOUT_MIN_BALANCE_NGN buffer and what open offramps have reserved) and
+// what the hot wallet holds of each onramp token (less the
+// HOT_WALLET_MIN_BALANCE_JSON buffer and what open onramps have reserved).
+// Burn rate is the average hourly outflow over the last
+// TREASURY_BURN_WINDOW_HOURS: NGN paid out by offramps (payouts that failed
+// don't count), tokens delivered by onramps. Inflows (onramp NGN, offramp
+// deposits) are left out — they don't land in the same accounts — so the
+// runway is a floor. An asset whose runway falls below
+// TREASURY_RUNWAY_ALERT_HOURS raises an ops alert (services/opsAlertService.js,
+// OPS_ALERT_CHANNEL), at most once per OPS_ALERT_COOLDOWN_MINUTES.
+
+const Transaction = require("../models/Transaction");
+const TreasurySnapshot = require("../models/TreasurySnapshot");
+const { getLiquidity } = require("./payoutProviders");
+const { getReserved } = require("./liquidityReservationService");
+const { HOT_WALLET_ADDRESS, minBalance, getHotWalletBalances } = require("./hotWalletService");
+const { sendOpsAlert } = require("./opsAlertService");
+const { listTokens } = require("../config/tokens");
+const { treasury: log } = require("../config/consoleLogger");
+
+// ── Config ───────────────────────────────────────────────────────────
+const BURN_WINDOW_HOURS  = parseInt(process.env.TREASURY_BURN_WINDOW_HOURS || "24", 10);
+const RUNWAY_ALERT_HOURS = parseFloat(process.env.TREASURY_RUNWAY_ALERT_HOURS || "12");
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/** NGN paid out and tokens delivered since `since`: { NGN, STX, ... }. */
+async function recentOutflows(since) {
+  const [[ngn], tokens] = await Promise.all([
+    Transaction.aggregate([
+      // Sent and settling or settled — a failed payout moved no money
+      { $match: { direction: "offramp", status: { $in: ["settling", "confirmed"] }, "meta.settlementInitiatedAt": { $gte: since.toISOString() } } },
+      { $group: { _id: null, total: { $sum: "$ngnAmount" } } },
+    ]),
+    Transaction.aggregate([
+      { $match: { direction: "onramp", status: "confirmed", confirmedAt: { $gte: since } } },
+      { $group: { _id: "$token", total: { $sum: "$tokenAmount" } } },
+    ]),
+  ]);
+
+  const outflows = { NGN: ngn?.total || 0 };
+  for (const { _id: token, total } of tokens) outflows[token] = total;
+  return outflows;
+}
+
+// Hours `balance` lasts at `burnPerHour`: null when nothing is flowing out
+// (or the balance is unknown), 0 when there is nothing left
+function runwayHours(balance, burnPerHour) {
+  if (balance === null) return null;
+  if (burnPerHour > 0) return round2(Math.max(0, balance) / burnPerHour);
+  return balance > 0 ? null : 0;
+}
+
+async function readNGN() {
+  const liquidity = await getLiquidity(true);
+  if (!liquidity) return { providers: [], capacityNGN: null, reservedNGN: null, freeNGN: null };
+
+  const { reserved: reservedNGN } = await getReserved("NGN");
+  return {
+    providers:   liquidity.providers,
+    capacityNGN: liquidity.capacityNGN,
+    reservedNGN,
+    freeNGN:     liquidity.capacityNGN - reservedNGN,
+  };
+}
+
+// Hot wallet balance of every onramp token not held back as buffer or
+// reserved by open onramps; null each when it can't be read
+async function readHotWallet() {
+  const tokens = listTokens("onramp");
+  const held = Object.fromEntries(tokens.map((token) => [token, null]));
+  if (!HOT_WALLET_ADDRESS) {
+    log.warn("HOT_WALLET_STX_ADDRESS / PLATFORM_STX_ADDRESS not set — hot wallet balances not tracked");
+    return held;
+  }
+
+  const balances = await getHotWalletBalances(true);
+  if (!balances) return held;
+  for (const token of tokens) {
+    const { reserved } = await getReserved(token);
+    held[token] = balances[token] - minBalance(token) - reserved;
+  }
+  return held;
+}
+
+function formatAmount(asset, amount) {
+  return asset === "NGN" ? `₦${Math.round(amount).toLocaleString()}` : `${round2(amount)} ${asset}`;
+}
+
+async function alertLowRunway(entry, ngn) {
+  const { asset, balance, burnPerHour, runwayHours: hours } = entry;
+  const shortBy = Math.max(0, burnPerHour * RUNWAY_ALERT_HOURS - balance);
+
+  const where = asset === "NGN"
+    ? `Payout providers: ${ngn.providers.map((p) => `${p.name} ${p.balanceNGN === null ? "unknown" : formatAmount("NGN", p.balanceNGN)}`).join(", ")}; ` +
+      `${formatAmount("NGN", ngn.reservedNGN)} reserved by open orders.`
+    : `Hot wallet ${HOT_WALLET_ADDRESS}.`;
+
+  return sendOpsAlert({
+    key:     `treasury-runway:${asset}`,
+    subject: `${asset} runway ${hours}h — below ${RUNWAY_ALERT_HOURS}h`,
+    text:
+      `${formatAmount(asset, balance)} available, going out at ${formatAmount(asset, burnPerHour)}/h ` +
+      `(last ${BURN_WINDOW_HOURS}h).\n${where}\n` +
+      `Top up ${formatAmount(asset, shortBy)} to get back to ${RUNWAY_ALERT_HOURS}h.`,
+    data: { asset, balance, burnPerHour, runwayHours: hours, thresholdHours: RUNWAY_ALERT_HOURS },
+  });
+}
+
+/**
+ * Record balances, burn rate and runway for NGN and each onramp token,
+ * and alert on any runway under TREASURY_RUNWAY_ALERT_HOURS.
+ */
+async function takeTreasurySnapshot(now = new Date()) {
+  const since = new Date(now.getTime() - BURN_WINDOW_HOURS * 60 * 60 * 1000);
+  const [ngn, hotWallet, outflows] = await Promise.all([readNGN(), readHotWallet(), recentOutflows(since)]);
+
+  const assets = [["NGN", ngn.freeNGN], ...Object.entries(hotWallet)].map(([asset, balance]) => {
+    const burnPerHour = round2((outflows[asset] || 0) / BURN_WINDOW_HOURS);
+    return { asset, balance, burnPerHour, runwayHours: runwayHours(balance, burnPerHour), alerted: false };
+  });
+
+  if (ngn.freeNGN === null) {
+    await sendOpsAlert({
+      key:     "treasury-balance:NGN",
+      subject: "NGN payout balance unreadable",
+      text:    "No payout provider returned a balance — new offramps are being refused until one does.",
+    });
+  }
+  for (const entry of assets) {
+    if (entry.runwayHours === null || entry.runwayHours >= RUNWAY_ALERT_HOURS) continue;
+    log.warn(`${entry.asset} runway ${entry.runwayHours}h (${formatAmount(entry.asset, entry.balance)} at ${formatAmount(entry.asset, entry.burnPerHour)}/h)`);
+    entry.alerted = await alertLowRunway(entry, ngn);
+  }
+
+  const snapshot = await TreasurySnapshot.create({
+    windowHours: BURN_WINDOW_HOURS,
+    ngn: { providers: ngn.providers, capacityNGN: ngn.capacityNGN, reservedNGN: ngn.reservedNGN },
+    hotWalletAddress: HOT_WALLET_ADDRESS || undefined,
+    assets,
+  });
+
+  log.info(
+    `Snapshot — ${assets.map((a) => `${a.asset} ${a.balance === null ? "?" : formatAmount(a.asset, a.balance)}` +
+      ` (${a.runwayHours === null ? "no burn" : `${a.runwayHours}h`})`).join(", ")}`
+  );
+  return snapshot;
+}
+
+module.exports = { takeTreasurySnapshot, RUNWAY_ALERT_HOURS };
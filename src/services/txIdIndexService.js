@@ -0,0 +1,60 @@
+// ============= services/txIdIndexService.js =============
+// Startup check for the one-order-per-TX rule (models/Transaction.js).
+//
+// The txId index used to be plain; it is now unique, so a deposit can't be
+// credited to two offramps. MongoDB won't build a unique index over
+// duplicates, nor replace an index of the same key with different options,
+// so on a database from before the change Mongoose's own index build fails
+// quietly and the rule isn't enforced. On every start this looks for orders
+// sharing a txId: if there are any, they are logged and raised as an ops
+// alert (an operator decides which order keeps the TX — clear txId on the
+// others and restart); otherwise a leftover plain index is replaced with the
+// unique one.
+
+const Transaction = require("../models/Transaction");
+const { sendOpsAlert } = require("./opsAlertService");
+const logger = require("../config/logger");
+
+const INDEX_NAME = "txId_1";
+
+/** Orders sharing a txId: [{ txId, references: [...] }]. */
+async function findDuplicateTxIds() {
+  const groups = await Transaction.aggregate([
+    { $match: { txId: { $type: "string" } } },
+    { $group: { _id: "$txId", references: { $push: "$paymentReference" }, count: { $sum: 1 } } },
+    { $match: { count: { $gt: 1 } } },
+  ]);
+  return groups.map((g) => ({ txId: g._id, references: g.references }));
+}
+
+/**
+ * Make sure the unique txId index is in place. Returns { duplicates } —
+ * non-empty when it can't be built until they are resolved.
+ */
+async function ensureUniqueTxIdIndex() {
+  const duplicates = await findDuplicateTxIds();
+  if (duplicates.length) {
+    await sendOpsAlert({
+      key:     "txid-duplicates",
+      subject: `${duplicates.length} on-chain TX(s) linked to more than one order`,
+      text:
+        `The unique txId index can't be built, so one order per TX is not enforced:\n` +
+        duplicates.map((d) => `${d.txId}: ${d.references.join(", ")}`).join("\n") +
+        `\nKeep the TX on the order it paid, clear txId on the others, then restart.`,
+      data: { duplicates },
+    });
+    return { duplicates };
+  }
+
+  const indexes = await Transaction.collection.indexes();
+  const existing = indexes.find((ix) => ix.name === INDEX_NAME);
+  if (existing?.unique) return { duplicates };
+  if (existing) {
+    await Transaction.collection.dropIndex(INDEX_NAME);
+    logger.warn(`Replacing plain ${INDEX_NAME} index on transactions with a unique one`);
+  }
+  await Transaction.collection.createIndex({ txId: 1 }, { name: INDEX_NAME, unique: true, sparse: true });
+  return { duplicates };
+}
+
+module.exports = { ensureUniqueTxIdIndex, findDuplicateTxIds };